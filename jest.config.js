@@ -1,6 +1,7 @@
 ﻿export default {
   testEnvironment: 'node',
   roots: ['<rootDir>/tests'],
+  setupFiles: ['<rootDir>/tests/setupEnv.js'],
   moduleFileExtensions: ['js', 'json'],
   collectCoverageFrom: ['lib/**/*.js']
 };
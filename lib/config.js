@@ -1,10 +1,20 @@
-﻿import { cleanEnv, str, num } from 'envalid';
+﻿import { cleanEnv, str, num, json } from 'envalid';
 
 export const env = cleanEnv(process.env, {
   SUPABASE_URL: str(),
   SUPABASE_SERVICE_ROLE_KEY: str(),
   MANYCHAT_API_TOKEN: str(),
   MANYCHAT_API_BASE: str({ default: 'https://api.manychat.com/fb' }),
+  MANYCHAT_MAX_RETRIES: num({ default: 3 }),
+  MANYCHAT_TIMEOUT_MS: num({ default: 10000 }),
+  MANYCHAT_WEBHOOK_SECRETS: str(),
+  WEBHOOK_SIGNATURE_TOLERANCE_SEC: num({ default: 300 }),
+  MANYCHAT_CHANNEL: str({ choices: ['whatsapp', 'messenger', 'instagram'], default: 'whatsapp' }),
+  PUBLIC_BASE_URL: str({ default: '' }),
+  WHATSAPP_WINDOW_HOURS: num({ default: 24 }),
+  WHATSAPP_TEMPLATE_LANGUAGE: str({ default: 'en' }),
+  WHATSAPP_TEMPLATE_FLOWS: json({ default: {} }),
+  QUICK_REPLY_TTL_SEC: num({ default: 86400 }),
   EMA_ALPHA: num({ default: 0.2 }),
   DIFF_EASY_MAX: num({ default: 0.38 }),
   DIFF_MED_MAX: num({ default: 0.72 }),
@@ -12,7 +22,67 @@ export const env = cleanEnv(process.env, {
   ANSWER_STALE_MINUTES: num({ default: 30 }),
   RATE_LIMIT_WINDOW_SEC: num({ default: 10 }),
   RATE_LIMIT_MAX: num({ default: 8 }),
-  DEDUP_WINDOW_SEC: num({ default: 20 }),
+  AI_RATE_LIMIT_WINDOW_SEC: num({ default: 60 }),
+  AI_RATE_LIMIT_MAX: num({ default: 6 }),
+  RATE_LIMIT_STORE: str({ choices: ['memory', 'postgres'], default: 'postgres' }),
+  DEDUP_WINDOW_SEC: num({ default: 300 }),
+  LEARNER_LOCK_STORE: str({ choices: ['memory', 'postgres'], default: 'postgres' }),
+  LEARNER_LOCK_LEASE_SEC: num({ default: 90 }),
+  LEARNER_LOCK_WAIT_MS: num({ default: 8000 }),
+  LEARNER_LOCK_POLL_MS: num({ default: 250 }),
+  ASYNC_REPLY_AFTER_MS: num({ default: 4000 }),
+  SUPABASE_TIMEOUT_MS: num({ default: 8000 }),
+  SUPABASE_MAX_RETRIES: num({ default: 2 }),
+  RETRY_BASE_DELAY_MS: num({ default: 200 }),
+  RETRY_MAX_DELAY_MS: num({ default: 2000 }),
+  BREAKER_FAILURE_THRESHOLD: num({ default: 5 }),
+  BREAKER_RESET_SEC: num({ default: 30 }),
+  AI_FALLBACK_MODE: str({ choices: ['auto', 'on', 'off'], default: 'auto' }),
+  AI_DEGRADED_WINDOW_SEC: num({ default: 300 }),
+  AI_DEGRADED_MIN_CALLS: num({ default: 5 }),
+  AI_DEGRADED_FAILURE_RATE: num({ default: 0.5 }),
+  AI_DEGRADED_PROBE_SEC: num({ default: 30 }),
+  AI_USAGE_STORE: str({ choices: ['memory', 'postgres'], default: 'postgres' }),
+  AI_DAILY_BUDGET_USD: num({ default: 10 }),
+  AI_LEARNER_DAILY_BUDGET_USD: num({ default: 0.25 }),
+  AI_RATE_LIMIT_PER_MINUTE: num({ default: 50 }),
+  AI_PRICING: json({ default: {} }),
+  AI_REPAIR_ATTEMPTS: num({ default: 1 }),
+  PROMPT_VERSIONS: json({ default: {} }),
+  AI_CACHE_STORE: str({ choices: ['memory', 'postgres'], default: 'postgres' }),
+  AI_CACHE_TTL_HOURS: num({ default: 168 }),
+  CONVERSATION_STORE: str({ choices: ['memory', 'postgres'], default: 'postgres' }),
+  CONVERSATION_WINDOW: num({ default: 10 }),
+  CONVERSATION_SUMMARY_BATCH: num({ default: 6 }),
+  CONVERSATION_HISTORY_MAX: num({ default: 60 }),
+  RETRIEVAL_TOP_K: num({ default: 3 }),
+  RETRIEVAL_MIN_SCORE: num({ default: 1.5 }),
+  RETRIEVAL_REFRESH_MIN: num({ default: 60 }),
+  TUTOR_TOOL_ROUNDS: num({ default: 3 }),
+  TUTOR_TURN_TIMEOUT_MS: num({ default: 40000 }),
+  TUTOR_TOOL_STORE: str({ choices: ['memory', 'postgres'], default: 'postgres' }),
+  LLM_PROVIDER: str({ choices: ['openai', 'local', 'mock'], default: 'openai' }),
+  LLM_BASE_URL: str({ default: 'http://localhost:11434/v1' }),
+  LLM_API_KEY: str({ default: '' }),
+  LLM_MODEL: str({ default: '' }),
+  LLM_MOCK_SCRIPT: str({ default: '' }),
+  JOB_QUEUE_STORE: str({ choices: ['memory', 'postgres'], default: 'postgres' }),
+  JOB_BATCH_SIZE: num({ default: 20 }),
+  JOB_LEASE_SEC: num({ default: 300 }),
+  JOB_MAX_ATTEMPTS: num({ default: 5 }),
+  JOB_RETRY_BASE_SEC: num({ default: 30 }),
+  JOB_WORKER_POLL_MS: num({ default: 5000 }),
   DEFAULT_TOPIC: str({ default: 'algebra' }),
-  TOPIC_PROMPT_RETRY_LIMIT: num({ default: 2 })
+  TOPIC_PROMPT_RETRY_LIMIT: num({ default: 2 }),
+  PRACTICE_GENERATION_TIMEOUT_MS: num({ default: 8000 }),
+  CRON_SECRET: str({ default: '' }),
+  REMINDER_BATCH_SIZE: num({ default: 50 }),
+  REMINDER_CLAIM_LEASE_SEC: num({ default: 300 }),
+  REMINDER_MAX_ATTEMPTS: num({ default: 5 }),
+  REMINDER_RETRY_BASE_MIN: num({ default: 5 }),
+  QUIET_HOURS_START: str({ default: '21:00' }),
+  QUIET_HOURS_END: str({ default: '07:00' }),
+  DEFAULT_TIMEZONE: str({ default: 'Africa/Johannesburg' }),
+  HEALTH_CHECK_TIMEOUT_MS: num({ default: 5000 }),
+  HEALTH_OPENAI_CACHE_SEC: num({ default: 300 })
 });
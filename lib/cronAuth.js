@@ -0,0 +1,23 @@
+/**
+ * Cron authorization
+ *
+ * The cron routes, the AI spend report and the readiness check take
+ * `Authorization: Bearer <CRON_SECRET>` and refuse every call while
+ * CRON_SECRET is empty.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Constant-time check of the cron bearer token
+ * @param {string} header - Authorization header value.
+ * @param {string} secret - Configured CRON_SECRET.
+ * @returns {boolean}
+ */
+export function isAuthorizedCronCall(header, secret) {
+  if (!secret || typeof header !== 'string') return false;
+
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(secret);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
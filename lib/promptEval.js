@@ -0,0 +1,221 @@
+/**
+ * Prompt evaluation
+ *
+ * Replays a golden set of learner inputs against an LLM provider and scores
+ * each output. Used by `npm run eval:prompts`.
+ *
+ * A golden case:
+ *   {
+ *     "id": "tutor-linear-no-answer",
+ *     "prompt": "tutor",                       // registry name (config/prompts.js)
+ *     "vars": { "gradeLevel": 10, ... },       // template variables
+ *     "input": "Just tell me x in 2x + 3 = 11", // learner message
+ *     "checks": [{ "type": "max_words", "value": 200 }],
+ *     "banned": ["x = 4"]                      // answers the output must not reveal
+ *   }
+ *
+ * Checks: includes / excludes (value), matches (pattern), max_words (value),
+ * field (path plus any of oneOf, min, max, nonEmpty) for JSON replies.
+ * Prompts with a response schema also get a json_valid check; cases with
+ * `banned` get a no_leak check. A case scores passed / total checks.
+ */
+
+// Compare answers regardless of case and spacing: "X = 4" leaks "x=4"
+const squash = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, '');
+
+const valueAt = (data, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+/**
+ * Run one rubric check
+ *
+ * @param {Object} check - { type, ... } as described above
+ * @param {string} content - Raw model output
+ * @param {Object|null} data - Validated JSON reply, if any
+ * @returns {Object} { name, pass, detail? }
+ */
+export function runCheck(check, content, data) {
+  const text = String(content || '');
+
+  switch (check.type) {
+    case 'includes':
+      return {
+        name: `includes "${check.value}"`,
+        pass: text.toLowerCase().includes(check.value.toLowerCase())
+      };
+    case 'excludes':
+      return {
+        name: `excludes "${check.value}"`,
+        pass: !text.toLowerCase().includes(check.value.toLowerCase())
+      };
+    case 'matches':
+      return {
+        name: `matches /${check.pattern}/`,
+        pass: new RegExp(check.pattern, 'i').test(text)
+      };
+    case 'max_words': {
+      const words = text.split(/\s+/).filter(Boolean).length;
+      return {
+        name: `at most ${check.value} words`,
+        pass: words <= check.value,
+        detail: `${words} words`
+      };
+    }
+    case 'field': {
+      const value = valueAt(data, check.path);
+      const problems = [];
+      if (check.oneOf && !check.oneOf.includes(value)) problems.push(`not one of ${check.oneOf}`);
+      if (check.min !== undefined && !(value >= check.min)) problems.push(`below ${check.min}`);
+      if (check.max !== undefined && !(value <= check.max)) problems.push(`above ${check.max}`);
+      if (check.nonEmpty && (value == null || value.length === 0)) problems.push('empty');
+      return {
+        name: `field ${check.path}`,
+        pass: data != null && problems.length === 0,
+        detail: problems.length > 0 ? `${JSON.stringify(value)} ${problems.join(', ')}` : undefined
+      };
+    }
+    default:
+      return { name: `unknown check "${check.type}"`, pass: false };
+  }
+}
+
+/**
+ * Banned answers that appear in the output
+ *
+ * @param {string} content - Model output
+ * @param {string[]} banned - Answers the learner must work out themselves
+ * @returns {string[]} The ones that leaked
+ */
+export function findLeaks(content, banned = []) {
+  const output = squash(content);
+  return banned.filter((answer) => output.includes(squash(answer)));
+}
+
+/**
+ * Score one case
+ *
+ * @param {Object} testCase - Golden case
+ * @param {Object} options
+ * @param {Object} options.provider - LLM provider (chat / chatJSON)
+ * @param {Function} options.render - (name, vars, { version }) => { id, text }
+ * @param {Object} options.schemas - Prompt name -> zod schema for JSON replies
+ * @param {Object} options.versions - Prompt name -> version to evaluate
+ * @param {string} options.model - Model requested from the provider
+ * @returns {Promise<Object>} { id, prompt, score, checks, leaks, output, error? }
+ */
+export async function evaluateCase(testCase, { provider, render, schemas, versions = {}, model }) {
+  const prompt = render(testCase.prompt, testCase.vars || {}, {
+    ...(versions[testCase.prompt] ? { version: Number(versions[testCase.prompt]) } : {})
+  });
+  const schema = schemas[testCase.prompt];
+  const params = {
+    model,
+    messages: [
+      { role: 'system', content: prompt.text },
+      { role: 'user', content: testCase.input }
+    ],
+    temperature: 0
+  };
+  const meta = { feature: testCase.prompt };
+
+  let content = '';
+  let data = null;
+  const checks = [];
+
+  try {
+    if (schema) {
+      let parsed = null;
+      try {
+        const reply = await provider.chatJSON(params, meta);
+        content = reply.content;
+        parsed = schema.safeParse(reply.data);
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        content = error.reply?.content ?? '';
+      }
+
+      data = parsed?.success ? parsed.data : null;
+      checks.push({
+        name: 'json_valid',
+        pass: data !== null,
+        detail: parsed && !parsed.success ? parsed.error.issues[0]?.message : undefined
+      });
+    } else {
+      content = (await provider.chat(params, meta)).content;
+    }
+  } catch (error) {
+    return {
+      id: testCase.id,
+      prompt: prompt.id,
+      score: 0,
+      checks: [],
+      leaks: [],
+      output: '',
+      error: error.message
+    };
+  }
+
+  checks.push(...(testCase.checks || []).map((check) => runCheck(check, content, data)));
+
+  const leaks = findLeaks(content, testCase.banned);
+  if (testCase.banned?.length > 0) {
+    checks.push({
+      name: 'no_leak',
+      pass: leaks.length === 0,
+      detail: leaks.length > 0 ? leaks.join(', ') : undefined
+    });
+  }
+
+  const passed = checks.filter((check) => check.pass).length;
+  return {
+    id: testCase.id,
+    prompt: prompt.id,
+    score: checks.length > 0 ? passed / checks.length : 1,
+    checks,
+    leaks,
+    output: content
+  };
+}
+
+/**
+ * Score a golden set, case by case (one provider call at a time)
+ *
+ * @param {Object[]} cases - Golden cases
+ * @param {Object} options - As for evaluateCase
+ * @returns {Promise<Object>} { results, summary: { cases, mean_score, json_valid_rate, leaks, by_prompt } }
+ */
+export async function runEval(cases, options) {
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await evaluateCase(testCase, options));
+  }
+
+  const mean = (list) =>
+    list.length > 0 ? Math.round((list.reduce((a, b) => a + b, 0) / list.length) * 1000) / 1000 : 0;
+
+  const jsonChecks = results.flatMap((r) => r.checks.filter((c) => c.name === 'json_valid'));
+  const byPrompt = {};
+  for (const result of results) {
+    (byPrompt[result.prompt] ||= []).push(result.score);
+  }
+
+  return {
+    results,
+    summary: {
+      cases: results.length,
+      mean_score: mean(results.map((r) => r.score)),
+      json_valid_rate: jsonChecks.length > 0 ? mean(jsonChecks.map((c) => (c.pass ? 1 : 0))) : null,
+      leaks: results.filter((r) => r.leaks.length > 0).map((r) => r.id),
+      errors: results.filter((r) => r.error).map((r) => r.id),
+      by_prompt: Object.fromEntries(
+        Object.entries(byPrompt).map(([id, scores]) => [
+          id,
+          { cases: scores.length, mean_score: mean(scores) }
+        ])
+      )
+    }
+  };
+}
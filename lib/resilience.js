@@ -0,0 +1,354 @@
+/**
+ * Resilience helpers for calls to Supabase and OpenAI
+ * Date: 2026-10-19 19:40:00 UTC
+ *
+ * Timeouts per attempt, retry with full-jitter exponential backoff for
+ * transient failures (network errors, timeouts, 408/429/5xx), and a circuit
+ * breaker per dependency. After `failureThreshold` consecutive transient
+ * failures the breaker opens and calls fail immediately with CircuitOpenError,
+ * so services fall back to their offline content instead of waiting on a dead
+ * dependency. After `resetAfterMs` one trial call is let through; success
+ * closes the breaker, failure opens it again.
+ *
+ * createResilientFetch() plugs all three into the Supabase and OpenAI clients
+ * through their `fetch` option.
+ */
+
+export class TimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryInMs) {
+    super(`${name} circuit is open; retry in ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.circuit = name;
+    this.retryInMs = retryInMs;
+  }
+}
+
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_SOCKET',
+  // Postgres: serialization failure, deadlock, too many connections, shutdown, statement timeout
+  '40001',
+  '40P01',
+  '53300',
+  '57P01',
+  '57014'
+]);
+
+/**
+ * Whether an error is worth retrying (the same call may succeed shortly)
+ *
+ * @param {Error|Object} error - Thrown error or a Supabase/HTTP error object
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  if (error instanceof CircuitOpenError) return false;
+  if (error instanceof TimeoutError || error.name === 'AbortError') return true;
+  if (TRANSIENT_STATUSES.has(error.status)) return true;
+
+  const code = error.code || error.cause?.code;
+  if (code && TRANSIENT_CODES.has(String(code))) return true;
+
+  // undici reports connection failures as TypeError('fetch failed')
+  return /fetch failed|network|socket hang up/i.test(error.message || '');
+}
+
+/**
+ * Full-jitter backoff: random delay up to base * 2^(attempt-1), capped
+ *
+ * @param {number} attempt - Failed attempts so far (1 for the first retry)
+ * @param {Object} options
+ * @param {number} options.baseMs - Ceiling for the first retry
+ * @param {number} options.maxMs - Ceiling for any retry
+ * @param {Function} options.random - Random source in [0, 1)
+ * @returns {number} Milliseconds to wait
+ */
+export function backoffDelay(attempt, { baseMs, maxMs, random = Math.random }) {
+  return Math.round(random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run fn(signal) with a deadline. The signal aborts when the deadline passes.
+ *
+ * @param {Function} fn - async (signal) => result
+ * @param {number} timeoutMs - Deadline
+ * @param {string} label - Used in the TimeoutError message
+ * @returns {Promise<*>} fn's result
+ */
+export async function withTimeout(fn, timeoutMs, label = 'Operation') {
+  const controller = new AbortController();
+  let timer;
+
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(label, timeoutMs));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Retry an async call on transient failures
+ *
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseMs - Backoff base
+ * @param {number} options.maxMs - Backoff cap
+ * @param {Function} options.shouldRetry - (error) => boolean; defaults to isTransientError
+ * @param {Function} options.sleep - Injectable for tests
+ * @returns {Promise<*>} fn's result; rethrows the last error
+ */
+export async function retry(
+  fn,
+  { retries, baseMs, maxMs, shouldRetry = isTransientError, sleep = defaultSleep }
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) throw error;
+      await sleep(backoffDelay(attempt, { baseMs, maxMs }));
+    }
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Dependency name, used in logs and errors
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetAfterMs - How long it stays open before a trial call
+   * @param {Function} options.now - Clock (injectable for tests)
+   */
+  constructor({ name, failureThreshold, resetAfterMs, now = Date.now }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetAfterMs = resetAfterMs;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * True while calls should fail fast. Doesn't claim the half-open trial.
+   */
+  isOpen() {
+    if (this.state === 'closed') return false;
+    const since = this.state === 'open' ? this.openedAt : this.trialStartedAt;
+    return this.now() - since < this.resetAfterMs;
+  }
+
+  /**
+   * Ask to make a call. When the open period is over, the first caller gets
+   * the trial; a trial that never reports back frees up after resetAfterMs.
+   */
+  tryAcquire() {
+    if (this.isOpen()) return false;
+
+    if (this.state !== 'closed') {
+      this.state = 'half_open';
+      this.trialStartedAt = this.now();
+    }
+    return true;
+  }
+
+  retryInMs() {
+    const since = this.state === 'open' ? this.openedAt : this.trialStartedAt;
+    return Math.max(0, this.resetAfterMs - (this.now() - since));
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`✅ ${this.name} circuit closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`⚠️ ${this.name} circuit opened after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = this.now();
+      this.trialStartedAt = null;
+    }
+  }
+
+  /**
+   * Run a call through the breaker. Only transient failures count against it.
+   *
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} fn's result; CircuitOpenError when open
+   */
+  async exec(fn) {
+    if (!this.tryAcquire()) throw new CircuitOpenError(this.name, this.retryInMs());
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isTransientError(error)) this.recordFailure();
+      else this.recordSuccess();
+      throw error;
+    }
+  }
+
+  status() {
+    // An open circuit whose wait is over is ready for its trial call
+    const state = this.state === 'closed' || this.isOpen() ? this.state : 'half_open';
+    return {
+      state,
+      failures: this.failures,
+      retry_in_ms: this.isOpen() ? this.retryInMs() : 0
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Shared breaker per dependency name; options apply on first use
+ */
+export function getBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker({ name, ...options }));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * State of every shared breaker, for /api/health
+ */
+export function circuitStatus() {
+  return Object.fromEntries([...breakers].map(([name, breaker]) => [name, breaker.status()]));
+}
+
+/**
+ * Pass the caller's abort through to our per-attempt controller
+ */
+function followAbort(callerSignal, signal) {
+  if (!callerSignal) return signal;
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (callerSignal.aborted) abort();
+  callerSignal.addEventListener('abort', abort, { once: true });
+  signal.addEventListener('abort', abort, { once: true });
+  return controller.signal;
+}
+
+/**
+ * fetch() with a per-attempt timeout, jittered retries and a circuit breaker
+ *
+ * @param {Object} options
+ * @param {string} options.name - Dependency name (logs, errors)
+ * @param {CircuitBreaker} options.breaker - Breaker shared by every call to the dependency
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseMs - Backoff base
+ * @param {number} options.maxMs - Backoff cap
+ * @param {string[]} options.retryMethods - Only these HTTP methods are retried (writes may have landed)
+ * @param {Function} options.onOutcome - (ok) => void, once per call after retries
+ * @param {Function} options.fetchImpl - Underlying fetch
+ * @param {Function} options.sleep - Injectable for tests
+ * @returns {Function} fetch-compatible function
+ */
+export function createResilientFetch({
+  name,
+  breaker,
+  timeoutMs,
+  retries,
+  baseMs,
+  maxMs,
+  retryMethods = ['GET', 'HEAD'],
+  onOutcome = () => {},
+  fetchImpl = (...args) => globalThis.fetch(...args),
+  sleep = defaultSleep
+}) {
+  return async function resilientFetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const maxAttempts = retryMethods.includes(method) ? retries + 1 : 1;
+
+    if (!breaker.tryAcquire()) {
+      onOutcome(false);
+      throw new CircuitOpenError(name, breaker.retryInMs());
+    }
+
+    let response;
+    try {
+      response = await retry(
+        async (attempt) => {
+          const result = await withTimeout(
+            (signal) => fetchImpl(url, { ...init, signal: followAbort(init.signal, signal) }),
+            timeoutMs,
+            `${name} ${method}`
+          );
+
+          // The last failed response goes back to the client so it can report it
+          if (!TRANSIENT_STATUSES.has(result.status) || attempt >= maxAttempts) return result;
+
+          await result.body?.cancel?.();
+          const error = new Error(`${name} ${method} returned ${result.status}`);
+          error.status = result.status;
+          throw error;
+        },
+        {
+          retries: maxAttempts - 1,
+          baseMs,
+          maxMs,
+          sleep,
+          shouldRetry: (error) => !init.signal?.aborted && isTransientError(error)
+        }
+      );
+    } catch (error) {
+      // A caller that gave up says nothing about the dependency
+      if (init.signal?.aborted) throw error;
+
+      const transient = isTransientError(error);
+      if (transient) breaker.recordFailure();
+      else breaker.recordSuccess();
+      onOutcome(!transient);
+      throw error;
+    }
+
+    const failed = TRANSIENT_STATUSES.has(response.status);
+    if (failed) breaker.recordFailure();
+    else breaker.recordSuccess();
+    onOutcome(!failed);
+    return response;
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Local text retrieval
+ *
+ * A small in-process BM25 index. No external service and no embeddings: the
+ * corpus (our lessons and worked solutions) is a few hundred passages, so
+ * keyword ranking is fast and good enough to find the lesson a learner is
+ * asking about. Used by services/retrievalService.js.
+ */
+
+const STOPWORDS = new Set(
+  `a an and are as at be but by can do does for from how i if in into is it its me my of on or
+  so that the their them then there these this to was what when where which who why will with
+  you your just get got help please know dont don't im i'm`.split(/\s+/)
+);
+
+// Plurals and -ing forms share a term: "equations" finds "equation"
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Index terms of a text
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .map((word) => word.replace(/^'+|'+$/g, ''))
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Split a markdown lesson into passages at its headings, merging short
+ * sections so each passage has enough text to rank
+ *
+ * @param {string} content - Lesson body
+ * @param {number} minWords - Sections shorter than this join the next one
+ * @returns {string[]}
+ */
+export function splitPassages(content, minWords = 40) {
+  const sections = String(content || '')
+    .split(/\n(?=#{1,6}\s)/)
+    .map((section) => section.trim())
+    .filter(Boolean);
+
+  const passages = [];
+  let current = '';
+  for (const section of sections) {
+    current = current ? `${current}\n\n${section}` : section;
+    if (current.split(/\s+/).length >= minWords) {
+      passages.push(current);
+      current = '';
+    }
+  }
+  if (current) {
+    if (passages.length > 0) passages[passages.length - 1] += `\n\n${current}`;
+    else passages.push(current);
+  }
+  return passages;
+}
+
+export class BM25Index {
+  /**
+   * @param {Object} options
+   * @param {number} options.k1 - Term frequency saturation
+   * @param {number} options.b - Length normalisation
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = [];
+    this.docFreq = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  /**
+   * Add a passage. `text` is ranked; everything else comes back with results.
+   *
+   * @param {Object} passage - { id, text, ... }
+   */
+  add(passage) {
+    const terms = tokenize(passage.text);
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    for (const term of tf.keys()) this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+
+    this.docs.push({ passage, tf, length: terms.length });
+    this.totalLength += terms.length;
+    return this;
+  }
+
+  /**
+   * Best passages for a query
+   *
+   * @param {string} query
+   * @param {Object} options
+   * @param {number} options.limit - Passages to return
+   * @param {number} options.minScore - Drop weaker matches
+   * @param {Function} options.boost - passage => score multiplier (e.g. same topic); 0 drops it
+   * @returns {Object[]} Passages with `score`, best first
+   */
+  search(query, { limit = 3, minScore = 0, boost = () => 1 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.docs.length === 0) return [];
+
+    const n = this.docs.length;
+    const avgLength = this.totalLength / n;
+
+    return this.docs
+      .map(({ passage, tf, length }) => {
+        let score = 0;
+        for (const term of terms) {
+          const freq = tf.get(term);
+          if (!freq) continue;
+          const df = this.docFreq.get(term);
+          const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+          score +=
+            (idf * freq * (this.k1 + 1)) /
+            (freq + this.k1 * (1 - this.b + (this.b * length) / avgLength));
+        }
+        return { ...passage, score: score * (score > 0 ? boost(passage) : 1) };
+      })
+      .filter((result) => result.score > 0 && result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * Schema drift detection
+ *
+ * Compares the tables/columns the code touches through supabase-js
+ * (`.from('<table>')` chains and `.rpc('<fn>')` calls) with what the SQL
+ * migrations create. Used by `npm run schema:check`.
+ */
+
+import { parse } from 'espree';
+
+const FILTER_METHODS = [
+  'eq',
+  'neq',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'like',
+  'ilike',
+  'is',
+  'in',
+  'contains',
+  'containedBy',
+  'overlaps',
+  'textSearch',
+  'not',
+  'filter',
+  'order'
+];
+const WRITE_METHODS = ['insert', 'update', 'upsert'];
+const TABLE_CONSTRAINTS = /^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|FOREIGN\s+KEY|CHECK|EXCLUDE)\b/i;
+
+/**
+ * Split on commas that are not nested in parentheses
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function unquote(identifier) {
+  return identifier.replace(/^"|"$/g, '');
+}
+
+function tableName(qualified) {
+  return unquote(qualified.split('.').pop());
+}
+
+/**
+ * Highest migration number among the migration files
+ * @param {string[]} files - File names (NNN_name.sql); anything else is ignored.
+ * @returns {number|null}
+ */
+export function latestMigrationVersion(files) {
+  const versions = files
+    .map((file) => /^(\d+)_.*\.sql$/.exec(file))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+
+  return versions.length > 0 ? Math.max(...versions) : null;
+}
+
+/**
+ * Build the schema the migrations produce, applied in file order
+ * @param {Array<{name: string, sql: string}>} migrations - Sorted by file name.
+ * @returns {{tables: Map<string, Set<string>>, functions: Set<string>}}
+ */
+export function parseMigrations(migrations) {
+  const tables = new Map();
+  const functions = new Set();
+
+  for (const { sql } of migrations) {
+    // Function bodies and comments never define tables
+    const cleaned = sql.replace(/\$\$[\s\S]*?\$\$/g, '').replace(/--[^\n]*/g, '');
+
+    for (const match of cleaned.matchAll(
+      /CREATE\s+(?:OR\s+REPLACE\s+)?FUNCTION\s+([\w."]+)\s*\(/gi
+    )) {
+      functions.add(tableName(match[1]));
+    }
+
+    for (const statement of cleaned.split(';')) {
+      const create = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w."]+)\s*\(([\s\S]*)\)/i.exec(
+        statement
+      );
+      if (create) {
+        const name = tableName(create[1]);
+        const columns = tables.get(name) || new Set();
+        for (const definition of splitTopLevel(create[2])) {
+          if (!TABLE_CONSTRAINTS.test(definition)) {
+            columns.add(unquote(definition.split(/\s+/)[0]));
+          }
+        }
+        tables.set(name, columns);
+        continue;
+      }
+
+      const alter = /ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(?:ONLY\s+)?([\w."]+)([\s\S]*)/i.exec(
+        statement
+      );
+      if (alter) {
+        const columns = tables.get(tableName(alter[1]));
+        if (!columns) continue;
+
+        for (const m of alter[2].matchAll(/ADD\s+COLUMN\s+(?:IF\s+NOT\s+EXISTS\s+)?("?\w+"?)/gi)) {
+          columns.add(unquote(m[1]));
+        }
+        for (const m of alter[2].matchAll(/DROP\s+COLUMN\s+(?:IF\s+EXISTS\s+)?("?\w+"?)/gi)) {
+          columns.delete(unquote(m[1]));
+        }
+        for (const m of alter[2].matchAll(/RENAME\s+COLUMN\s+("?\w+"?)\s+TO\s+("?\w+"?)/gi)) {
+          columns.delete(unquote(m[1]));
+          columns.add(unquote(m[2]));
+        }
+        continue;
+      }
+
+      const drop = /DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?([\w."]+)/i.exec(statement);
+      if (drop) tables.delete(tableName(drop[1]));
+    }
+  }
+
+  return { tables, functions };
+}
+
+/**
+ * Columns named in a PostgREST select string. Embedded resources
+ * (`topics(name)`) are returned separately and their columns are not checked.
+ * @param {string} select
+ * @returns {{columns: string[], embeds: string[]}}
+ */
+export function parseSelect(select) {
+  const columns = [];
+  const embeds = [];
+
+  for (const part of splitTopLevel(select)) {
+    const withoutAlias = part.includes(':') && !part.includes('::') ? part.split(':').pop() : part;
+    const field = withoutAlias.split('::')[0].trim();
+
+    if (field.includes('(')) {
+      embeds.push(field.split('(')[0].split('!')[0].trim());
+    } else if (field !== '*' && field !== 'count') {
+      columns.push(field.split('->')[0].trim());
+    }
+  }
+
+  return { columns, embeds };
+}
+
+function stringValue(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+function objectKeys(node) {
+  if (!node) return [];
+  if (node.type === 'ArrayExpression') return node.elements.flatMap(objectKeys);
+  if (node.type !== 'ObjectExpression') return [];
+
+  return node.properties
+    .filter((property) => property.type === 'Property' && !property.computed)
+    .map((property) => property.key.name || property.key.value);
+}
+
+function walk(node, parent, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, parent);
+
+  for (const key of Object.keys(node)) {
+    if (key === 'parent') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((item) => walk(item, node, visit));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, node, visit);
+    }
+  }
+}
+
+/**
+ * Collect table, column and RPC references from one source file
+ * @param {string} source - File contents.
+ * @param {string} file - Path, used in locations.
+ * @returns {Array<{kind: string, table?: string, column?: string, name?: string, location: string}>}
+ */
+export function scanSource(source, file) {
+  const references = [];
+  const ast = parse(source, {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true },
+    loc: true
+  });
+  const parents = new Map();
+
+  walk(ast, null, (node, parent) => parents.set(node, parent));
+
+  walk(ast, null, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+
+    const method = node.callee.property.name;
+    const location = `${file}:${node.loc.start.line}`;
+
+    if (method === 'rpc') {
+      const name = stringValue(node.arguments[0]);
+      if (name) references.push({ kind: 'rpc', name, location });
+      return;
+    }
+
+    if (method !== 'from') return;
+    const table = stringValue(node.arguments[0]);
+    if (!table) return;
+
+    references.push({ kind: 'table', table, location });
+    const column = (name, line) => {
+      // Filters on embedded resources ('topics.name') belong to another table
+      if (name && !name.includes('.')) {
+        references.push({ kind: 'column', table, column: name, location: `${file}:${line}` });
+      }
+    };
+
+    // Climb the chain: from(...).select(...).eq(...)...
+    let call = node;
+    for (;;) {
+      const member = parents.get(call);
+      if (!member || member.type !== 'MemberExpression' || member.object !== call) break;
+      const next = parents.get(member);
+      if (!next || next.type !== 'CallExpression' || next.callee !== member) break;
+
+      const name = member.property.name;
+      const [first, second] = next.arguments;
+      const line = next.loc.start.line;
+
+      if (name === 'select') {
+        const select = stringValue(first);
+        if (select) {
+          const { columns, embeds } = parseSelect(select);
+          columns.forEach((col) => column(col, line));
+          embeds.forEach((embed) =>
+            references.push({ kind: 'table', table: embed, location: `${file}:${line}` })
+          );
+        }
+      } else if (WRITE_METHODS.includes(name)) {
+        objectKeys(first).forEach((key) => column(key, line));
+        if (name === 'upsert' && second?.type === 'ObjectExpression') {
+          const onConflict = second.properties.find((p) => p.key?.name === 'onConflict');
+          stringValue(onConflict?.value)
+            ?.split(',')
+            .forEach((key) => column(key.trim(), line));
+        }
+      } else if (FILTER_METHODS.includes(name)) {
+        const filtered = stringValue(first);
+        if (filtered) column(filtered.split('->')[0], line);
+      } else if (name === 'match') {
+        objectKeys(first).forEach((key) => column(key, line));
+      }
+
+      call = next;
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Compare code references against the migrated schema
+ * @param {{tables: Map<string, Set<string>>, functions: Set<string>}} schema
+ * @param {Array} references - From scanSource.
+ * @returns {string[]} Problems, one per missing table/column/function (with locations).
+ */
+export function findDrift(schema, references) {
+  const problems = new Map();
+  const report = (key, message, location) => {
+    if (!problems.has(key)) problems.set(key, { message, locations: [] });
+    problems.get(key).locations.push(location);
+  };
+
+  for (const ref of references) {
+    if (ref.kind === 'rpc' && !schema.functions.has(ref.name)) {
+      report(`rpc:${ref.name}`, `Function "${ref.name}" is not defined`, ref.location);
+    } else if (ref.kind === 'table' && !schema.tables.has(ref.table)) {
+      report(`table:${ref.table}`, `Table "${ref.table}" is not created`, ref.location);
+    } else if (
+      ref.kind === 'column' &&
+      schema.tables.has(ref.table) &&
+      !schema.tables.get(ref.table).has(ref.column)
+    ) {
+      report(
+        `column:${ref.table}.${ref.column}`,
+        `Column "${ref.table}.${ref.column}" does not exist`,
+        ref.location
+      );
+    }
+  }
+
+  return [...problems.values()].map(
+    ({ message, locations }) => `${message} (${[...new Set(locations)].join(', ')})`
+  );
+}
@@ -0,0 +1,42 @@
+/**
+ * Job Worker Endpoint
+ * Date: 2026-10-19 19:15:00 UTC
+ *
+ * Cron-callable: GET or POST with `Authorization: Bearer <CRON_SECRET>`.
+ * Each call runs one batch of due background jobs; overlapping calls are safe
+ * because jobs are claimed with FOR UPDATE SKIP LOCKED. For a long-running
+ * worker use `npm run jobs:worker` instead.
+ */
+
+import { env } from '../../../lib/config.js';
+import { isAuthorizedCronCall } from '../../../lib/cronAuth.js';
+import { jobQueue } from '../manychat/services/jobHandlers.js';
+
+export default async function handler(req, res) {
+  const start = Date.now();
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res
+      .status(405)
+      .json({ status: 'error', error: 'Method not allowed', allowed: ['GET', 'POST'] });
+  }
+
+  if (!isAuthorizedCronCall(req.headers.authorization, env.CRON_SECRET)) {
+    console.warn('⚠️ Rejected unauthorized job worker call');
+    return res.status(401).json({ status: 'error', error: 'Unauthorized' });
+  }
+
+  try {
+    const summary = await jobQueue.processBatch();
+    console.log(`✅ Job run: ${JSON.stringify(summary)}`);
+
+    return res.status(200).json({
+      status: 'success',
+      ...summary,
+      elapsed_ms: Date.now() - start
+    });
+  } catch (error) {
+    console.error('❌ Job run failed:', error);
+    return res.status(500).json({ status: 'error', error: 'Job run failed' });
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Reminder Worker Endpoint
+ * Date: 2026-10-19 14:40:00 UTC
+ *
+ * Cron-callable: GET or POST with `Authorization: Bearer <CRON_SECRET>`.
+ * Each call processes one batch of due study reminders; overlapping calls are
+ * safe because reminders are claimed atomically.
+ */
+
+import { env } from '../../../lib/config.js';
+import { isAuthorizedCronCall } from '../../../lib/cronAuth.js';
+import { reminderService } from '../manychat/services/reminderService.js';
+
+export default async function handler(req, res) {
+  const start = Date.now();
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res
+      .status(405)
+      .json({ status: 'error', error: 'Method not allowed', allowed: ['GET', 'POST'] });
+  }
+
+  if (!isAuthorizedCronCall(req.headers.authorization, env.CRON_SECRET)) {
+    console.warn('⚠️ Rejected unauthorized reminder worker call');
+    return res.status(401).json({ status: 'error', error: 'Unauthorized' });
+  }
+
+  try {
+    const summary = await reminderService.processDueReminders();
+    console.log(`✅ Reminder run: ${JSON.stringify(summary)}`);
+
+    return res.status(200).json({
+      status: 'success',
+      ...summary,
+      elapsed_ms: Date.now() - start
+    });
+  } catch (error) {
+    console.error('❌ Reminder run failed:', error);
+    return res.status(500).json({ status: 'error', error: 'Reminder run failed' });
+  }
+}
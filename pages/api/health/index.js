@@ -0,0 +1,33 @@
+/**
+ * Readiness Endpoint
+ * Date: 2026-10-19 16:30:00 UTC
+ *
+ * GET /api/health - dependency status and latency, app version, reminder
+ * backlog and migration version. 503 when Supabase is unreachable.
+ * Needs `Authorization: Bearer <CRON_SECRET>`, since the OpenAI check is a
+ * paid call. GET /api/health/live is the public liveness variant.
+ */
+
+import { env } from '../../../lib/config.js';
+import { isAuthorizedCronCall } from '../../../lib/cronAuth.js';
+import { healthService } from '../manychat/services/healthService.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ status: 'error', error: 'Method not allowed', allowed: ['GET'] });
+  }
+
+  if (!isAuthorizedCronCall(req.headers.authorization, env.CRON_SECRET)) {
+    console.warn('⚠️ Rejected unauthorized health check');
+    return res.status(401).json({ status: 'error', error: 'Unauthorized' });
+  }
+
+  const report = await healthService.readiness();
+
+  if (report.status !== 'ok') {
+    console.warn(`⚠️ Health check ${report.status}: ${JSON.stringify(report.checks)}`);
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(report.status === 'down' ? 503 : 200).json(report);
+}
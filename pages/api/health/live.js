@@ -0,0 +1,13 @@
+/**
+ * Liveness Endpoint
+ * Date: 2026-10-19 16:30:00 UTC
+ *
+ * GET /api/health/live - answers as long as the process does; no external calls.
+ */
+
+import { healthService } from '../manychat/services/healthService.js';
+
+export default function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(healthService.liveness());
+}
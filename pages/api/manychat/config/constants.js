@@ -17,7 +17,26 @@ export const MESSAGES = {
     INVALID_ANSWER: 'Send A, B, C, or D for multiple choice questions.\n\nTry again! ✅',
     INVALID_MENU_OPTION: 'Pick a valid number from the options above. 🎯',
     NO_QUESTION_ACTIVE: 'Type "practice" to start practicing! 🧮',
-    QUESTION_EXPIRED: 'Let\'s get a fresh question. Type "practice"! 🔄'
+    QUESTION_EXPIRED: 'Let\'s get a fresh question. Type "practice"! 🔄',
+    STILL_PROCESSING: 'Still working on your last message. Give me a moment. ⏳',
+    LEARNER_BUSY: "I'm still answering your last message. Send this one again in a moment. ⏳",
+    RATE_LIMITED: "Whoa, that's a lot of messages! Slow down a little and try again in a few seconds. 🐢",
+    AI_RATE_LIMITED:
+      'Your tutor needs a short breather. Try again in a minute, or type "menu" to do something else. 🌱',
+    MEDIA_UNSUPPORTED:
+      "I can only read text for now. Type your question or answer and I'll help. ✍️"
+  },
+
+  // Quick acknowledgement for slow AI turns; the real reply is pushed when ready
+  ASYNC: {
+    THINKING: "Thinking… ⏳ I'll send your answer in a moment."
+  },
+
+  // Degraded mode (services/fallbackService.js)
+  AI_LIMITED: {
+    BANNER: '⚠️ AI features are temporarily limited, so you may get simpler answers for now.\n\n',
+    TUTOR:
+      "My AI tutor is taking a short break, but here's the method to work through it step by step:"
   },
 
   WELCOME: {
@@ -30,6 +49,9 @@ export const MESSAGES = {
       `3️⃣ 🧮 I need more practice\n\n` +
       `Just pick a number! ✨`,
 
+    // Button titles for MAIN_MENU, in menu order
+    MAIN_MENU_OPTIONS: ['Exam/Test coming', 'I got Homework', 'More practice'],
+
     // Contextual prompts when needed
     GRADE_PROMPT:
       `Which grade are you in?\n\n` +
@@ -154,7 +176,15 @@ export const CONSTANTS = {
     ANSWER: 'answer',
     EXAM_PREP: 'exam_prep',
     HOMEWORK: 'homework',
-    PRACTICE: 'practice'
+    PRACTICE: 'practice',
+    TUTOR: 'tutor',
+    PROGRESS: 'progress',
+    OFFLINE: 'offline',
+    OFFLINE_SYNC: 'offline_sync',
+    NOTIFICATIONS_STOP: 'notifications_stop',
+    NOTIFICATIONS_START: 'notifications_start',
+    NOTIFICATIONS_PAUSE: 'notifications_pause',
+    NOTIFICATION_SETTINGS: 'notification_settings'
   },
 
   // Valid grades for the system
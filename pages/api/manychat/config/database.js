@@ -1,4 +1,17 @@
 import { createClient } from '@supabase/supabase-js';
+import { env } from '../../../../lib/config.js';
+import {
+  CircuitOpenError,
+  createResilientFetch,
+  getBreaker,
+  isTransientError
+} from '../../../../lib/resilience.js';
+
+// Shared by every Supabase call: opens after repeated timeouts/5xx so queries fail fast
+export const supabaseBreaker = getBreaker('supabase', {
+  failureThreshold: env.BREAKER_FAILURE_THRESHOLD,
+  resetAfterMs: env.BREAKER_RESET_SEC * 1000
+});
 
 let supabaseClient = null;
 
@@ -24,7 +37,16 @@ export function getSupabaseClient() {
       global: {
         headers: {
           'User-Agent': 'TheGoatBot/1.0'
-        }
+        },
+        // Reads are retried; writes and RPCs are not, since they may have been applied
+        fetch: createResilientFetch({
+          name: 'supabase',
+          breaker: supabaseBreaker,
+          timeoutMs: env.SUPABASE_TIMEOUT_MS,
+          retries: env.SUPABASE_MAX_RETRIES,
+          baseMs: env.RETRY_BASE_DELAY_MS,
+          maxMs: env.RETRY_MAX_DELAY_MS
+        })
       }
     });
 
@@ -36,14 +58,26 @@ export function getSupabaseClient() {
   }
 }
 
+/**
+ * Run queries against Supabase. Fails fast with CircuitOpenError while the
+ * database circuit is open. Other errors are rethrown with the original as
+ * `cause`, plus its `code` and whether it was `transient`.
+ */
 export async function executeQuery(queryFn) {
+  if (supabaseBreaker.isOpen()) {
+    throw new CircuitOpenError('supabase', supabaseBreaker.retryInMs());
+  }
+
   try {
     const supabase = getSupabaseClient();
     const result = await queryFn(supabase);
     return result;
   } catch (error) {
     console.error('❌ Database query error:', error);
-    throw new Error(`Database operation failed: ${error.message}`);
+    const wrapped = new Error(`Database operation failed: ${error.message}`, { cause: error });
+    wrapped.code = error.code;
+    wrapped.transient = isTransientError(error);
+    throw wrapped;
   }
 }
 
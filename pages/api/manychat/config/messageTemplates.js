@@ -0,0 +1,98 @@
+/**
+ * WhatsApp Message Templates
+ * Date: 2026-10-19 15:20:00 UTC
+ *
+ * Outside the 24-hour customer-service window WhatsApp only delivers
+ * pre-approved templates. Each template here mirrors one approved in WhatsApp
+ * Manager and is sent through a ManyChat flow that contains it: the sender
+ * writes each parameter to the `tpl_<param>` custom field, then triggers the
+ * flow. Flow ids come from WHATSAPP_TEMPLATE_FLOWS ({ "<template name>": "<flow ns>" }).
+ *
+ * `body` is the approved text, kept here for logs and review; {{n}} is the
+ * n-th entry of `params`.
+ */
+
+import { env } from '../../../../lib/config.js';
+
+export const TEMPLATE_FIELD_PREFIX = 'tpl_';
+
+// WhatsApp caps parameters at 1024 characters and rejects newlines, tabs and runs of spaces
+const MAX_PARAM_LENGTH = 1024;
+
+export const MESSAGE_TEMPLATES = [
+  {
+    key: 'study_reminder',
+    name: 'goat_study_reminder_v1',
+    language: 'en',
+    params: ['name', 'message'],
+    body: "Hi {{1}} 📚 It's study time! {{2}}"
+  },
+  {
+    key: 'morning_hook',
+    name: 'goat_morning_hook_v1',
+    language: 'en',
+    params: ['name', 'streak_count'],
+    body: 'Good morning {{1}} ☀️ Your streak is at {{2}} days. One question keeps it going!'
+  },
+  {
+    key: 'evening_hook',
+    name: 'goat_streak_protect_v1',
+    language: 'en',
+    params: ['name', 'streak_count'],
+    body: '{{1}}, your {{2}}-day streak ends at midnight 🔥 Reply to keep it alive.'
+  },
+  {
+    key: 'comeback_hook',
+    name: 'goat_comeback_v1',
+    language: 'en',
+    params: ['name'],
+    body: 'We miss you {{1}} 🌱 Ready for a quick question?'
+  },
+  {
+    key: 'fomo_hook',
+    name: 'goat_fomo_v1',
+    language: 'en',
+    params: ['name'],
+    body: '{{1}}, your classmates are practising right now 👀 Jump in?'
+  }
+];
+
+/**
+ * Find the template for a message kind, preferring the requested language
+ * @param {string} key - Message kind, e.g. 'study_reminder' or a hook type.
+ * @param {string} language - Preferred language code.
+ * @returns {object|null} Template with its ManyChat `flowNs` (null if not configured).
+ */
+export function findTemplate(key, language = env.WHATSAPP_TEMPLATE_LANGUAGE) {
+  const candidates = MESSAGE_TEMPLATES.filter((template) => template.key === key);
+  const template = candidates.find((candidate) => candidate.language === language) || candidates[0];
+
+  if (!template) return null;
+  return { ...template, flowNs: env.WHATSAPP_TEMPLATE_FLOWS[template.name] || null };
+}
+
+/**
+ * Template parameter values in template order, cleaned for WhatsApp
+ * @param {object} template - Registry entry.
+ * @param {object} values - Values keyed by parameter name.
+ * @returns {Array<[string, string]>} [param, value] pairs.
+ */
+export function buildTemplateParams(template, values) {
+  return template.params.map((param) => {
+    const value = String(values[param] ?? '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, MAX_PARAM_LENGTH);
+    return [param, value];
+  });
+}
+
+/**
+ * Approved text with parameters filled in, for logs
+ * @param {object} template - Registry entry.
+ * @param {Array<[string, string]>} params - Output of buildTemplateParams.
+ * @returns {string}
+ */
+export function renderTemplate(template, params) {
+  return template.body.replace(/\{\{(\d+)\}\}/g, (match, index) => params[index - 1]?.[1] ?? '');
+}
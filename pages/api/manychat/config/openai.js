@@ -1,4 +1,7 @@
 import OpenAI from 'openai';
+import { env } from '../../../../lib/config.js';
+import { createResilientFetch, getBreaker } from '../../../../lib/resilience.js';
+import { fallbackService } from '../services/fallbackService.js';
 
 let openaiClient = null;
 
@@ -10,14 +13,41 @@ export function getOpenAIClient() {
     throw new Error('Invalid or missing OPENAI_API_KEY environment variable');
   }
 
+  openaiClient = createOpenAIClient({ apiKey });
+  console.log('✅ OpenAI client initialized successfully');
+  return openaiClient;
+}
+
+/**
+ * OpenAI SDK client for api.openai.com or any OpenAI-compatible endpoint
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - API key (local servers usually accept any value)
+ * @param {string} options.baseURL - Endpoint, e.g. http://localhost:11434/v1; defaults to OpenAI
+ * @returns {OpenAI}
+ */
+export function createOpenAIClient({ apiKey, baseURL }) {
   try {
-    openaiClient = new OpenAI({
+    // Retries happen in resilientFetch (jittered, behind the breaker), so the
+    // SDK's own retries are off and its timeout is the deadline for the whole
+    // call, retry included
+    return new OpenAI({
       apiKey,
-      timeout: OPENAI_CONFIG.TIMEOUT_MS,
-      maxRetries: OPENAI_CONFIG.MAX_RETRIES
+      ...(baseURL ? { baseURL } : {}),
+      maxRetries: 0,
+      timeout: OPENAI_CONFIG.TOTAL_TIMEOUT_MS,
+      fetch: createResilientFetch({
+        name: 'openai',
+        breaker: openaiBreaker,
+        timeoutMs: OPENAI_CONFIG.TIMEOUT_MS,
+        retries: OPENAI_CONFIG.MAX_RETRIES,
+        baseMs: env.RETRY_BASE_DELAY_MS,
+        maxMs: env.RETRY_MAX_DELAY_MS,
+        retryMethods: ['GET', 'POST'],
+        // Failure rates drive degraded mode (services/fallbackService.js)
+        onOutcome: (ok) => fallbackService.recordAIResult(ok)
+      })
     });
-    console.log('✅ OpenAI client initialized successfully');
-    return openaiClient;
   } catch (error) {
     console.error('❌ Failed to initialize OpenAI client:', error);
     throw new Error(`OpenAI initialization failed: ${error.message}`);
@@ -29,166 +59,20 @@ export const OPENAI_CONFIG = {
   MAX_TOKENS: parseInt(process.env.OPENAI_MAX_TOKENS) || 500,
   TEMPERATURE: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
 
-  MAX_RETRIES: 3,
-  TIMEOUT_MS: 15000,
+  // One retry, and both attempts with the backoff between them fit the total deadline
+  MAX_RETRIES: 1,
+  TIMEOUT_MS: 9000,
+  TOTAL_TIMEOUT_MS: 20000,
 
   ENABLE_FALLBACK: true,
   FALLBACK_ON_ERROR: true,
 
-  RATE_LIMIT_PER_MINUTE: 50,
-  COST_LIMIT_PER_DAY: 10.0
+  RATE_LIMIT_PER_MINUTE: env.AI_RATE_LIMIT_PER_MINUTE,
+  COST_LIMIT_PER_DAY: env.AI_DAILY_BUDGET_USD
 };
 
-export const GPT_PROMPTS = {
-  EXPLANATION_SYSTEM: `You are The GOAT, a friendly South African math and science tutor. You help students learn with:
-
-PERSONALITY:
-- Encouraging and supportive tone
-- Use South African youth slang naturally (eish, sharp, lekker, howzit)
-- Keep explanations clear and educational
-- Build confidence while teaching
-
-EXPLANATION STYLE:
-- Start with empathy ("Eish, not quite right" or "Close one!")
-- Explain the correct answer step-by-step
-- Show why their answer was wrong (if relevant)
-- Include a memory trick or quick tip
-- End with encouragement
-- Use local examples when possible (Rands, local distances, etc.)
-
-FORMAT:
-🧠 Here's why:
-[Step-by-step explanation]
-
-💡 Quick tip: [Memory trick or method]
-
-[Encouraging closing line]
-
-Keep explanations under 200 words and appropriate for the student's grade level.`,
-
-  CHALLENGE_SYSTEM: `Generate a playful, encouraging challenge message for South African students.
-
-Use South African slang naturally but keep it friendly and motivational. Include fire emoji 🔥.
-Keep it under 50 words.
-Make it exciting but not mean-spirited.
-
-Format: Direct message about the challenge.`,
-
-  MOTIVATION_SYSTEM: `Generate encouraging study motivation for South African students.
-
-Use local slang and references. Keep it brief and energetic.
-Focus on building confidence and celebrating progress.
-Include relevant emojis.`,
-
-  THERAPY_SYSTEM: `You are The GOAT, a kind, South African study buddy.
-Write a micro-support message (max 30 words) that:
-- validates the student's feelings (reason given)
-- gives 1 small actionable step
-- uses SA youth slang naturally (sharp, eish, lekker)
-- stays respectful and encouraging
-- NO hashtags, NO lectures, NO emojis overload (max 2 emojis)
-Tone: brief, warm, practical.`,
-
-  // Problem analysis system prompt (unchanged)
-  PROBLEM_ANALYSIS_SYSTEM: `You are an expert mathematics educator analyzing student problem descriptions.
-
-Your job is to identify:
-1. SPECIFIC mathematical concepts the student mentioned
-2. TYPE of confusion (conceptual vs procedural vs computational vs applied vs emotional)
-3. CLARITY of their problem description
-4. EMOTIONAL state affecting their learning
-
-ANALYSIS GUIDELINES:
-- Be precise about mathematical concepts (e.g., "quadratic formula" not just "algebra")
-- Distinguish between conceptual confusion (WHY) vs procedural confusion (HOW)
-- Assess if description is specific enough for targeted intervention
-- Note emotional barriers that might affect learning
-
-CLARITY LEVELS:
-- "clear": Student described specific concept and type of difficulty
-- "needs_followup": General description that needs 1-2 questions to clarify
-- "too_vague": Very general statements that need significant guidance
-
-Always respond in valid JSON format with all required fields.`,
-
-  // Follow-up question generation system (unchanged)
-  FOLLOWUP_SYSTEM: `You are a Socratic tutor generating diagnostic questions to clarify student learning gaps.
-
-QUESTION QUALITIES:
-- Specific and targeted to their mentioned struggle
-- Offers 2-3 concrete options when possible
-- Uses encouraging, calm tone appropriate for stressed students
-- Helps narrow down from general to specific learning gaps
-- Avoids overwhelming technical language
-
-EXAMPLES:
-- Vague: "I don't understand derivatives"
-  → Good: "Derivatives can be tricky! Is it understanding what they represent (like rate of change), or is it more about the calculation steps?"
-
-- Vague: "Algebra is hard"  
-  → Good: "Algebra has many pieces. Is it solving equations that trips you up, or working with variables in general?"
-
-Generate ONE targeted diagnostic question that helps clarify their specific learning gap.`,
-
-  // Analysis refinement system (unchanged)
-  REFINEMENT_SYSTEM: `You are refining a student's math problem analysis based on their follow-up response.
-
-REFINEMENT PROCESS:
-1. Combine initial analysis with new information from follow-up
-2. Make concepts more specific based on their clarification
-3. Adjust confusion type if new information changes understanding
-4. Determine if problem is now clear enough for targeted intervention
-5. Identify the most important gap to address first
-
-OUTPUT REQUIREMENTS:
-- More specific concept identification
-- Clear intervention focus
-- High confidence assessment if problem is well-defined
-- Practical "specific_gap" description for lesson planning
-
-Always respond in valid JSON format with refined analysis.`,
-
-  // NEW: Homework analysis system prompt
-  HOMEWORK_ANALYSIS_SYSTEM: `You are an expert math educator analyzing student homework confusion for METHOD TEACHING.
-
-CRITICAL: This is for homework HELP, not homework SOLVING.
-Your goal is to identify what METHOD or APPROACH to teach, not to solve their specific problems.
-
-ANALYSIS FOCUS:
-1. MATHEMATICAL CONCEPTS involved in their confusion
-2. TYPE OF CONFUSION:
-   - conceptual: doesn't understand the underlying idea
-   - procedural: knows concept but struggles with method/steps  
-   - applied: can't translate word problems to math equations
-   - computational: makes arithmetic/algebraic errors
-
-3. METHOD NEEDED: What teaching approach would help most
-4. PREREQUISITE KNOWLEDGE: What foundational concepts they might need first
-
-ACADEMIC INTEGRITY PRINCIPLES:
-- We teach approaches and methods, never give direct answers
-- We help them understand HOW to think about problems
-- We provide similar examples, not solutions to their actual homework
-- Goal is learning the method, not completing the assignment
-
-Always respond in valid JSON format focused on METHOD TEACHING.`
-};
-
-export async function testOpenAIConnection() {
-  try {
-    const client = getOpenAIClient();
-    const response = await client.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [{ role: 'user', content: 'Test connection' }],
-      max_tokens: 5
-    });
-    if (response.choices && response.choices.length > 0) {
-      console.log('✅ OpenAI connection test successful');
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error('❌ OpenAI connection test failed:', error);
-    return false;
-  }
-}
+// Opens after repeated timeouts/429/5xx; AI calls then fail at once and services use fallbacks
+export const openaiBreaker = getBreaker('openai', {
+  failureThreshold: env.BREAKER_FAILURE_THRESHOLD,
+  resetAfterMs: env.BREAKER_RESET_SEC * 1000
+});
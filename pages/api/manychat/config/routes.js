@@ -0,0 +1,48 @@
+/**
+ * Bot State Machine
+ * Date: 2026-10-19 12:10:00 UTC
+ *
+ * Assembles every handler's route table into the router used by index.js.
+ * Validation runs at import so a bad table fails the deploy, not a learner.
+ * Print the diagram with `npm run routes:diagram` (add `-- dot` for Graphviz).
+ */
+
+import { updateUser } from '../services/userService.js';
+import { StateRouter } from '../utils/stateRouter.js';
+
+import { coreRoutes } from '../handlers/coreHandler.js';
+import { examPrepRoutes } from '../handlers/examPrepHandler.js';
+import { conversationalExamPrepRoutes } from '../handlers/conversationalExamPrepHandler.js';
+import { studyPlanRoutes } from '../handlers/studyPlanHandler.js';
+import { homeworkRoutes } from '../handlers/homeworkHandler.js';
+import { practiceRoutes } from '../handlers/practiceHandler.js';
+import { lessonDeliveryRoutes } from '../handlers/lessonDeliveryHandler.js';
+import { aiTutorRoutes } from '../handlers/aiTutorHandler.js';
+import { analyticsRoutes } from '../handlers/analyticsHandler.js';
+import { offlineRoutes } from '../handlers/offlineHandler.js';
+import { notificationRoutes } from '../handlers/notificationHandler.js';
+
+export const ROUTE_TABLES = [
+  coreRoutes,
+  examPrepRoutes,
+  conversationalExamPrepRoutes,
+  studyPlanRoutes,
+  homeworkRoutes,
+  practiceRoutes,
+  lessonDeliveryRoutes,
+  aiTutorRoutes,
+  analyticsRoutes,
+  offlineRoutes,
+  notificationRoutes
+];
+
+export const botRouter = new StateRouter({
+  onTransition: (user, nextState) =>
+    updateUser(user.id, {
+      current_menu: nextState,
+      last_active_at: new Date().toISOString()
+    })
+});
+
+ROUTE_TABLES.forEach((table) => botRouter.register(table));
+botRouter.assertValid();
@@ -0,0 +1,7 @@
+/**
+ * Newest migration in supabase/migrations, baked into the build: serverless
+ * bundles don't ship the SQL files, so /api/health can't list them at runtime.
+ * Bump it with every new migration; `npm run schema:check` and the unit tests
+ * fail while it lags behind the files.
+ */
+export const SHIPPED_MIGRATION = 20;
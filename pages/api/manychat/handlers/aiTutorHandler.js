@@ -9,15 +9,31 @@
 import { executeQuery } from '../config/database.js';
 import { updateUser } from '../services/userService.js';
 import { aiTutorService } from '../services/aiTutorService.js';
-import { MESSAGES } from '../config/constants.js';
+import { CONSTANTS } from '../config/constants.js';
+import MenuRenderer from '../utils/menuRenderer.js';
+import { prependText } from '../utils/richReply.js';
+import { practiceHandler } from './practiceHandler.js';
+
+// Phrases that hand the current question or lesson over to the tutor
+const HANDOFF_PHRASES = ['ask tutor', 'help', 'tutor help'];
 
 export const aiTutorHandler = {
+  /**
+   * Whether a learner message asks to bring in the tutor
+   *
+   * @param {string} text - Learner message
+   * @returns {boolean}
+   */
+  isHandoffRequest(text) {
+    return HANDOFF_PHRASES.includes((text || '').trim().toLowerCase());
+  },
+
   /**
    * Start a tutoring session
    *
    * @param {Object} user - User object
    * @param {Object} parameters - Tutoring parameters
-   * @returns {string} Initial tutor message
+   * @returns {Object} Response object; nextState is null if the session didn't start
    */
   async startTutoring(user, parameters = {}) {
     try {
@@ -27,6 +43,7 @@ export const aiTutorHandler = {
       const tutorContext = {
         subject: parameters.subject || 'math',
         topic: parameters.topic || null,
+        questionId: parameters.questionId || null,
         questionContext: parameters.questionContext || null,
         lessonContext: parameters.lessonContext || null,
         grade: user.grade || parameters.grade || 10,
@@ -48,16 +65,16 @@ export const aiTutorHandler = {
         welcomeMessage = `Hi there! I'm your math tutor. What would you like help with today?`;
       }
 
-      // Get tutor response for welcome message
+      // Get tutor response for welcome message (no practice handover before the session starts)
       const tutorResponse = await aiTutorService.getTutorResponse(
         user,
         welcomeMessage,
-        tutorContext
+        tutorContext,
+        { allowPractice: false }
       );
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'tutor_active',
         tutor_context: JSON.stringify(tutorResponse.context),
         last_active_at: new Date().toISOString()
       });
@@ -69,10 +86,16 @@ export const aiTutorHandler = {
           ? `\n\n*You can ask me things like:*\n• ${suggestions.join('\n• ')}`
           : '';
 
-      return tutorResponse.message + suggestionText;
+      return {
+        message: tutorResponse.message + suggestionText,
+        nextState: 'tutor_active'
+      };
     } catch (error) {
       console.error('❌ Tutoring start error:', error);
-      return `I'm having trouble connecting to the AI tutor. Please try again or type "menu" to return to the main menu.`;
+      return {
+        message: `I'm having trouble connecting to the AI tutor. Please try again or type "menu" to return to the main menu.`,
+        nextState: null
+      };
     }
   },
 
@@ -125,6 +148,20 @@ export const aiTutorHandler = {
         last_active_at: new Date().toISOString()
       });
 
+      // The tutor's start_practice tool hands the learner over to a question,
+      // and they stay with the tutor if none could be started
+      if (tutorResponse.handoff?.type === 'practice') {
+        const practice = await practiceHandler.startPractice(user, {
+          topic: tutorResponse.handoff.topic,
+          difficulty: tutorResponse.handoff.difficulty
+        });
+
+        return {
+          message: prependText(`${tutorResponse.message}\n\n`, practice.message),
+          nextState: practice.nextState || 'tutor_active'
+        };
+      }
+
       return {
         message: tutorResponse.message,
         nextState: 'tutor_active'
@@ -163,19 +200,20 @@ export const aiTutorHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'welcome',
         tutor_context: null,
         last_active_at: new Date().toISOString()
       });
 
       return {
-        message: `Thanks for using the AI Tutor! I hope you found our session helpful.\n\n${MESSAGES.WELCOME.MAIN_MENU}`,
+        message: MenuRenderer.mainMenuReply(
+          `Thanks for using the AI Tutor! I hope you found our session helpful.`
+        ),
         nextState: 'welcome'
       };
     } catch (error) {
       console.error('❌ Tutoring end error:', error);
       return {
-        message: `Your tutoring session has ended. ${MESSAGES.WELCOME.MAIN_MENU}`,
+        message: MenuRenderer.mainMenuReply(`Your tutoring session has ended.`),
         nextState: 'welcome'
       };
     }
@@ -260,25 +298,54 @@ export const aiTutorHandler = {
   async handleTopicSelection(user, topic) {
     try {
       // Start tutoring with selected topic
-      const tutorStart = await this.startTutoring(user, {
+      return await this.startTutoring(user, {
         topic: topic,
         startMode: 'topic_specific'
       });
-
-      return {
-        message: tutorStart,
-        nextState: 'tutor_active'
-      };
     } catch (error) {
       console.error('❌ Topic selection error:', error);
+      const tutorStart = await this.startTutoring(user);
       return {
-        message:
-          `I'm having trouble with that topic. Let's start with general math help instead.\n\n` +
-          (await this.startTutoring(user)),
-        nextState: 'tutor_active'
+        message: `I'm having trouble with that topic. Let's start with general math help instead.\n\n${tutorStart.message}`,
+        nextState: tutorStart.nextState
       };
     }
   }
 };
 
-
+export const aiTutorRoutes = {
+  owner: 'aiTutorHandler',
+  states: {
+    tutor_topic_selection: {
+      slow: true,
+      transitions: ['tutor_active'],
+      handle: ({ user, text }) => aiTutorHandler.handleTopicSelection(user, text)
+    },
+    tutor_active: {
+      slow: true,
+      transitions: ['welcome', 'practice_active'],
+      handle: ({ user, text }) => aiTutorHandler.handleTutoringMessage(user, text)
+    }
+  },
+  commands: {
+    [CONSTANTS.COMMAND_TYPES.TUTOR]: {
+      slow: true,
+      transitions: ['tutor_active', 'tutor_topic_selection'],
+      async handle({ user, command }) {
+        if (command.topic) {
+          return aiTutorHandler.startTutoring(user, { topic: command.topic });
+        }
+
+        if (command.action === 'topics') {
+          const topics = await aiTutorHandler.getTutoringTopics(user);
+          return {
+            message: `What topic would you like help with?\n\n• ${topics.join('\n• ')}\n\nOr type any other topic you need help with.`,
+            nextState: 'tutor_topic_selection'
+          };
+        }
+
+        return aiTutorHandler.startTutoring(user);
+      }
+    }
+  }
+};
@@ -9,7 +9,8 @@
 import { executeQuery } from '../config/database.js';
 import { updateUser } from '../services/userService.js';
 import { analyticsService } from '../services/analyticsService.js';
-import { MESSAGES } from '../config/constants.js';
+import { CONSTANTS } from '../config/constants.js';
+import MenuRenderer from '../utils/menuRenderer.js';
 import { practiceHandler } from './practiceHandler.js';
 
 export const analyticsHandler = {
@@ -17,7 +18,7 @@ export const analyticsHandler = {
    * Show progress summary
    *
    * @param {Object} user - User object
-   * @returns {string} Formatted progress summary
+   * @returns {Object} Response object with the formatted progress summary
    */
   async showProgressSummary(user) {
     try {
@@ -35,7 +36,6 @@ export const analyticsHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'progress_summary',
         analytics_context: JSON.stringify({
           summaryDate: new Date().toISOString(),
           summaryType: 'progress',
@@ -44,10 +44,13 @@ export const analyticsHandler = {
         last_active_at: new Date().toISOString()
       });
 
-      return formattedSummary;
+      return { message: formattedSummary, nextState: 'progress_summary' };
     } catch (error) {
       console.error('❌ Progress summary error:', error);
-      return `I'm having trouble generating your progress summary right now. Please try again later.`;
+      return {
+        message: `I'm having trouble generating your progress summary right now. Please try again later.`,
+        nextState: null
+      };
     }
   },
 
@@ -84,16 +87,12 @@ export const analyticsHandler = {
 
         case 'refresh':
           // Generate fresh summary
-          const newSummary = await this.showProgressSummary(user);
-          return {
-            message: newSummary,
-            nextState: 'progress_summary'
-          };
+          return await this.showProgressSummary(user);
 
         case 'menu':
           // Return to main menu
           return {
-            message: MESSAGES.WELCOME.MAIN_MENU,
+            message: MenuRenderer.mainMenuReply(),
             nextState: 'welcome'
           };
 
@@ -266,10 +265,7 @@ export const analyticsHandler = {
       switch (command.toLowerCase()) {
         case 'back':
           // Go back to progress summary
-          return {
-            message: await this.showProgressSummary(user),
-            nextState: 'progress_summary'
-          };
+          return await this.showProgressSummary(user);
 
         case 'practice':
           // Start practice on this topic
@@ -282,7 +278,7 @@ export const analyticsHandler = {
         case 'menu':
           // Return to main menu
           return {
-            message: MESSAGES.WELCOME.MAIN_MENU,
+            message: MenuRenderer.mainMenuReply(),
             nextState: 'welcome'
           };
 
@@ -349,29 +345,19 @@ export const analyticsHandler = {
           });
 
           return {
-            message: `Based on your progress, I recommend practicing ${recommendedTopic}.\n\n${practiceStart}`,
-            nextState: 'practice_active'
+            message: `Based on your progress, I recommend practicing ${recommendedTopic}.\n\n${practiceStart.message}`,
+            nextState: practiceStart.nextState
           };
         }
 
         // Otherwise just use the first topic from context
-        const practiceStart = await practiceHandler.startPractice(user, {
+        return await practiceHandler.startPractice(user, {
           topic: topics[0]
         });
-
-        return {
-          message: practiceStart,
-          nextState: 'practice_active'
-        };
       }
 
       // If no topics available, start general practice
-      const practiceStart = await practiceHandler.startPractice(user);
-
-      return {
-        message: practiceStart,
-        nextState: 'practice_active'
-      };
+      return await practiceHandler.startPractice(user);
     } catch (error) {
       console.error('❌ Practice start error:', error);
       return {
@@ -393,14 +379,9 @@ export const analyticsHandler = {
       console.log(`🧮 Starting topic practice for user ${user.id}, topic ${topic}`);
 
       // Start practice with this topic
-      const practiceStart = await practiceHandler.startPractice(user, {
+      return await practiceHandler.startPractice(user, {
         topic: topic
       });
-
-      return {
-        message: practiceStart,
-        nextState: 'practice_active'
-      };
     } catch (error) {
       console.error('❌ Topic practice error:', error);
       return {
@@ -443,3 +424,25 @@ export const analyticsHandler = {
     }
   }
 };
+
+const ANALYTICS_TRANSITIONS = ['progress_summary', 'topic_report', 'practice_active', 'welcome'];
+
+export const analyticsRoutes = {
+  owner: 'analyticsHandler',
+  states: {
+    progress_summary: {
+      transitions: ANALYTICS_TRANSITIONS,
+      handle: ({ user, text }) => analyticsHandler.handleProgressInteraction(user, text)
+    },
+    topic_report: {
+      transitions: ANALYTICS_TRANSITIONS,
+      handle: ({ user, text }) => analyticsHandler.handleTopicReportInteraction(user, text)
+    }
+  },
+  commands: {
+    [CONSTANTS.COMMAND_TYPES.PROGRESS]: {
+      transitions: ['progress_summary'],
+      handle: ({ user }) => analyticsHandler.showProgressSummary(user)
+    }
+  }
+};
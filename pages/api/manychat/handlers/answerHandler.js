@@ -6,6 +6,15 @@
 import { updateUser } from '../services/userService.js';
 import { executeQuery } from '../config/database.js';
 import { formatStreak, formatTopicName } from '../utils/responseFormatter.js';
+import MenuRenderer from '../utils/menuRenderer.js';
+
+const POST_ANSWER_OPTIONS = [
+  'Next Question',
+  'Switch Topic',
+  'Challenge Friend',
+  'Progress Report',
+  'Main Menu'
+];
 
 export async function handleAnswerSubmission(user, command) {
   try {
@@ -39,17 +48,9 @@ export async function handleAnswerSubmission(user, command) {
       weaknessTag
     );
 
-    const postAnswerMenu =
-      `\n\n**What's next?**\n\n` +
-      `1️⃣ Next Question\n` +
-      `2️⃣ Switch Topic\n` +
-      `3️⃣ Challenge Friend\n` +
-      `4️⃣ Progress Report\n` +
-      `5️⃣ Main Menu`;
-
     console.log(`✅ Answer processed for user ${user.id}: ${isCorrect ? 'CORRECT' : 'INCORRECT'}`);
 
-    return feedback + postAnswerMenu;
+    return MenuRenderer.withMenu(`${feedback}\n\n**What's next?**`, POST_ANSWER_OPTIONS);
   } catch (error) {
     console.error(`❌ Answer submission error:`, error);
     try {
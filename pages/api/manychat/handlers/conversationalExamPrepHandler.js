@@ -9,6 +9,7 @@
 import { executeQuery } from '../config/database.js';
 import { updateUser } from '../services/userService.js';
 import { MESSAGES } from '../config/constants.js';
+import { studyPlanHandler } from './studyPlanHandler.js';
 
 export const conversationalExamPrepHandler = {
   /**
@@ -77,7 +78,6 @@ export const conversationalExamPrepHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'exam_prep_conversation',
         exam_prep_session_id: sessionId,
         conversation_context: JSON.stringify({
           session_id: sessionId,
@@ -87,7 +87,7 @@ export const conversationalExamPrepHandler = {
       });
 
       // Return greeting message
-      return this.getGreetingMessage();
+      return { message: this.getGreetingMessage(), nextState: 'exam_prep_conversation' };
     } catch (error) {
       console.error('❌ Conversational exam prep start error:', error);
 
@@ -284,3 +284,37 @@ export const conversationalExamPrepHandler = {
     };
   }
 };
+
+export const conversationalExamPrepRoutes = {
+  owner: 'conversationalExamPrepHandler',
+  states: {
+    exam_prep_conversation: {
+      transitions: ['study_plan', 'welcome', 'exam_prep_grade'],
+      async handle({ user, text }) {
+        const result = await conversationalExamPrepHandler.handleConversationMessage(user, text);
+        let message = result.message;
+        let nextState = null;
+
+        // If conversation is complete, generate study plan
+        if (result.conversation_complete) {
+          const session = await conversationalExamPrepHandler.getExamPrepSession(user.id);
+
+          if (session) {
+            const planVisualization = await studyPlanHandler.generateStudyPlan(user, session);
+            message += '\n\n' + planVisualization;
+            nextState = 'study_plan';
+          } else {
+            nextState = 'welcome';
+          }
+        }
+
+        // If we should restart, reset to traditional flow
+        if (result.shouldRestart) {
+          nextState = 'exam_prep_grade';
+        }
+
+        return { message, nextState };
+      }
+    }
+  }
+};
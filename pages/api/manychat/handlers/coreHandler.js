@@ -0,0 +1,111 @@
+/**
+ * Core Flow Handler
+ * Date: 2026-10-19 12:10:00 UTC
+ *
+ * Welcome menu, answer submission and fallbacks that used to live inline in
+ * the index.js switch. Owns the 'welcome' start state of the router.
+ */
+
+import { updateUser } from '../services/userService.js';
+import { CONSTANTS, MESSAGES } from '../config/constants.js';
+import MenuRenderer from '../utils/menuRenderer.js';
+import { examPrepHandler } from './examPrepHandler.js';
+import { homeworkHandler } from './homeworkHandler.js';
+import { practiceHandler } from './practiceHandler.js';
+
+export const coreHandler = {
+  async showWelcomeMenu(user) {
+    console.log(`🏠 Showing welcome menu to user ${user.id}`);
+
+    await updateUser(user.id, {
+      current_question_id: null,
+      homework_session_id: null
+    });
+
+    return { message: MenuRenderer.mainMenuReply(), nextState: 'welcome' };
+  },
+
+  async handleAnswerSubmission(user, answer) {
+    console.log(`📝 Answer submission from user ${user.id}: ${answer}`);
+
+    if (!user.current_question_id) {
+      return MESSAGES.ERRORS.NO_QUESTION_ACTIVE;
+    }
+
+    // Determine context based on current menu
+    const context = user.current_menu;
+
+    if (context === 'practice_active') {
+      return await practiceHandler.handlePracticeAnswer(user, answer);
+    } else if (context === 'exam_practice_active' || user.exam_practice_context) {
+      return await examPrepHandler.handleExamPracticeAnswer(user, answer);
+    } else if (context === 'homework_practice_active') {
+      return await homeworkHandler.handleHomeworkPracticeAnswer(user, answer);
+    } else {
+      // Default to practice handler
+      return await practiceHandler.handlePracticeAnswer(user, answer);
+    }
+  },
+
+  // Text input in a state that has no text route of its own
+  async handleTextInput(user, text) {
+    console.log(`📝 Text input from user ${user.id}: "${text.substring(0, 50)}"`);
+    console.warn(`⚠️ Unhandled text input menu: ${user.current_menu}`);
+    return `I didn't understand that input. Type "menu" to go back to the main menu. ✨`;
+  },
+
+  async handleGradeInput(user, text) {
+    const grade = text.trim().toLowerCase();
+
+    if (!CONSTANTS.VALID_GRADES.includes(grade)) {
+      return `Please enter a valid grade: 10, 11, or varsity. 🎓`;
+    }
+
+    await updateUser(user.id, { grade });
+
+    return {
+      message: MenuRenderer.mainMenuReply(`Grade ${grade} saved! 📚`),
+      nextState: 'welcome'
+    };
+  }
+};
+
+export const coreRoutes = {
+  owner: 'coreHandler',
+  states: {
+    welcome: { transitions: [] },
+    // No flow sets this any more; kept for learners whose saved current_menu still holds it
+    ask_grade: {
+      entry: true,
+      transitions: ['welcome'],
+      handle: ({ user, text }) => coreHandler.handleGradeInput(user, text)
+    }
+  },
+  commands: {
+    welcome_menu: {
+      transitions: ['welcome'],
+      handle: ({ user }) => coreHandler.showWelcomeMenu(user)
+    },
+    unrecognized: {
+      transitions: ['welcome'],
+      handle: ({ user }) => coreHandler.showWelcomeMenu(user)
+    },
+    [CONSTANTS.COMMAND_TYPES.ANSWER]: {
+      transitions: ['homework_complete', 'welcome'],
+      handle: ({ user, command }) => coreHandler.handleAnswerSubmission(user, command.answer)
+    },
+    text_input: {
+      transitions: [],
+      handle: ({ user, text }) => coreHandler.handleTextInput(user, text)
+    },
+    invalid_answer: {
+      transitions: [],
+      handle: () => MESSAGES.ERRORS.INVALID_ANSWER
+    },
+    invalid_option: {
+      transitions: [],
+      handle: ({ command }) =>
+        `${MESSAGES.ERRORS.INVALID_MENU_OPTION}\n\nValid range: ${command.validRange}`
+    }
+  }
+};
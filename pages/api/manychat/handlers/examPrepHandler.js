@@ -14,6 +14,8 @@ import { formatQuestion } from '../utils/questionFormatter.js';
 import { CONSTANTS, MESSAGES } from '../config/constants.js';
 import { dateParser } from '../utils/dateParser.js';
 import MenuRenderer from '../utils/menuRenderer.js';
+import { prependText } from '../utils/richReply.js';
+import { conversationalExamPrepHandler } from './conversationalExamPrepHandler.js';
 
 export const examPrepHandler = {
   // Entry point - simplified flow
@@ -27,17 +29,20 @@ export const examPrepHandler = {
       if (!user.grade) {
         session.session_state = { step: 'ask_grade' };
         await saveSession(session);
-        await markUserInExamPrepFlow(user.id, session.id, 'exam_prep_grade');
+        await markUserInExamPrepFlow(user.id, session.id);
 
-        return MESSAGES.WELCOME.GRADE_PROMPT;
+        return { message: MESSAGES.WELCOME.GRADE_PROMPT, nextState: 'exam_prep_grade' };
       }
 
       // Go straight to subject selection
       session.session_state = { step: 'ask_subject' };
       await saveSession(session);
-      await markUserInExamPrepFlow(user.id, session.id, 'exam_prep_subject');
+      await markUserInExamPrepFlow(user.id, session.id);
 
-      return `${MESSAGES.EXAM_PREP.VALIDATION_RESPONSE}\n\n${MESSAGES.EXAM_PREP.SUBJECT_PROMPT}`;
+      return {
+        message: `${MESSAGES.EXAM_PREP.VALIDATION_RESPONSE}\n\n${MESSAGES.EXAM_PREP.SUBJECT_PROMPT}`,
+        nextState: 'exam_prep_subject'
+      };
     } catch (error) {
       console.error('❌ Exam prep setup failed:', error);
       return 'Eish, something went wrong setting up exam prep. Try again in a moment! 🫶';
@@ -68,14 +73,16 @@ export const examPrepHandler = {
       // Move to exam date step
       session.session_state = { step: 'ask_exam_date' };
       await saveSession(session);
-      await updateUser(user.id, { current_menu: 'exam_prep_exam_date' });
 
       const response =
         choice !== 1
           ? `I hear you about ${chosenName}. Let's start with Maths foundations—they help with all subjects.\n\n`
           : `Great choice. Let's focus on Maths for your exam.\n\n`;
 
-      return response + MESSAGES.EXAM_PREP.EXAM_DATE_PROMPT;
+      return {
+        message: response + MESSAGES.EXAM_PREP.EXAM_DATE_PROMPT,
+        nextState: 'exam_prep_exam_date'
+      };
     }
 
     if (step === 'plan_decision') {
@@ -84,20 +91,19 @@ export const examPrepHandler = {
         if (session.exam_hours_away > 3) {
           session.session_state = { step: 'ask_preferred_time' };
           await saveSession(session);
-          await updateUser(user.id, { current_menu: 'exam_prep_time' });
-          return MESSAGES.EXAM_PREP.TIME_PROMPT;
+          return { message: MESSAGES.EXAM_PREP.TIME_PROMPT, nextState: 'exam_prep_time' };
         } else {
           session.plan_opt_in = true;
           session.session_state = { step: 'show_plan' };
           await saveSession(session);
-          return await this.showExamPlan(user, session);
+          return { message: await this.showExamPlan(user, session), nextState: 'exam_prep_plan' };
         }
       } else {
         // No to plan - go straight to review
         session.plan_opt_in = false;
         session.session_state = { step: 'show_plan' };
         await saveSession(session);
-        return await this.showExamPlan(user, session);
+        return { message: await this.showExamPlan(user, session), nextState: 'exam_prep_plan' };
       }
     }
 
@@ -122,9 +128,11 @@ export const examPrepHandler = {
       await updateUser(user.id, { grade });
       session.session_state = { step: 'ask_subject' };
       await saveSession(session);
-      await updateUser(user.id, { current_menu: 'exam_prep_subject' });
 
-      return `Grade ${grade} noted! 📚\n\n${MESSAGES.EXAM_PREP.SUBJECT_PROMPT}`;
+      return {
+        message: `Grade ${grade} noted! 📚\n\n${MESSAGES.EXAM_PREP.SUBJECT_PROMPT}`,
+        nextState: 'exam_prep_subject'
+      };
     }
 
     if (step === 'ask_exam_date' || user.current_menu === 'exam_prep_exam_date') {
@@ -143,10 +151,15 @@ export const examPrepHandler = {
         session.exam_hours_away = null;
         session.session_state = { step: 'show_plan' };
         await saveSession(session);
-        await updateUser(user.id, { current_menu: 'exam_prep_plan' });
 
         console.log(`⏭️ User ${user.id} skipped exam date`);
-        return `${parseResult.message}\n\n${await this.showExamPlan(user, session)}`;
+        return {
+          message: prependText(
+            `${parseResult.message}\n\n`,
+            await this.showExamPlan(user, session)
+          ),
+          nextState: 'exam_prep_plan'
+        };
       }
 
       // Successfully parsed date
@@ -154,7 +167,6 @@ export const examPrepHandler = {
       session.exam_hours_away = parseResult.hoursAway;
       session.session_state = { step: 'show_plan' };
       await saveSession(session);
-      await updateUser(user.id, { current_menu: 'exam_prep_plan' });
 
       console.log(
         `✅ Exam date set for user ${user.id}: ${parseResult.confirmation}, ${parseResult.hoursAway}h away`
@@ -162,7 +174,10 @@ export const examPrepHandler = {
 
       // Show confirmation and plan
       const confirmationMessage = `I understood: ${parseResult.confirmation}\n\n`;
-      return `${confirmationMessage}${await this.showExamPlan(user, session)}`;
+      return {
+        message: prependText(confirmationMessage, await this.showExamPlan(user, session)),
+        nextState: 'exam_prep_plan'
+      };
     }
 
     if (step === 'ask_preferred_time') {
@@ -171,9 +186,14 @@ export const examPrepHandler = {
       session.plan_opt_in = true;
       session.session_state = { step: 'show_plan' };
       await saveSession(session);
-      await updateUser(user.id, { current_menu: 'exam_prep_plan' });
 
-      return `Perfect! I'll remind you at ${session.preferred_time} each day. 📅\n\n${await this.showExamPlan(user, session)}`;
+      return {
+        message: prependText(
+          `Perfect! I'll remind you at ${session.preferred_time} each day. 📅\n\n`,
+          await this.showExamPlan(user, session)
+        ),
+        nextState: 'exam_prep_plan'
+      };
     }
 
     // Handle other text input steps...
@@ -197,10 +217,9 @@ export const examPrepHandler = {
 
       case 'main_menu':
         await updateUser(user.id, {
-          current_menu: 'welcome',
           exam_prep_session_id: null // FIXED: Updated field name
         });
-        return MESSAGES.WELCOME.MAIN_MENU;
+        return { message: MenuRenderer.mainMenuReply(), nextState: 'welcome' };
 
       default:
         console.warn(`Unknown plan action: ${action}`);
@@ -230,20 +249,18 @@ export const examPrepHandler = {
 
     await saveSession(session);
 
-    // Update user menu state to plan (not lesson)
-    await updateUser(user.id, {
-      current_menu: 'exam_prep_plan'
-    });
-
     // Log the switch for observability
     console.log(`✅ Topic switched: ${currentTopic} → ${newTopic} for user ${user.id}`);
 
-    // Show updated plan with new topic
-    return await this.showExamPlan(user, session, {
-      topicSwitched: true,
-      previousTopic: currentTopic,
-      newTopic: newTopic
-    });
+    // Show updated plan with new topic (the learner stays on the plan, not a lesson)
+    return {
+      message: await this.showExamPlan(user, session, {
+        topicSwitched: true,
+        previousTopic: currentTopic,
+        newTopic: newTopic
+      }),
+      nextState: 'exam_prep_plan'
+    };
   },
 
   // Enhanced plan display with topic context
@@ -276,10 +293,9 @@ export const examPrepHandler = {
       planHeader += `📲 Daily reminder: ${session.preferred_time}\n`;
     }
 
-    planHeader += `\nWhat would you like to do?\n\n`;
-    planHeader += MenuRenderer.renderExamPrepPlanMenu();
+    planHeader += `\nWhat would you like to do?`;
 
-    return planHeader;
+    return MenuRenderer.withMenu(planHeader, MenuRenderer.getExamPrepPlanOptions());
   },
 
   // Start lesson with proper context
@@ -295,17 +311,16 @@ export const examPrepHandler = {
 
     // Update user to lesson state with exam context
     await updateUser(user.id, {
-      current_menu: 'exam_lesson',
       current_lesson_topic: topic
     });
 
-    // Render lesson with exam context menu
-    const menuOptions = MenuRenderer.renderLessonMenu('exam');
-    const fullLesson = `${lessonContent.content}\n\n${menuOptions}`;
-
     console.log(`🎓 Started ${topic} lesson for user ${user.id} in exam context`);
 
-    return fullLesson;
+    // Render lesson with exam context menu
+    return {
+      message: MenuRenderer.lessonReply(lessonContent.content, 'exam'),
+      nextState: 'exam_lesson'
+    };
   },
 
   // Handle lesson menu with context
@@ -320,15 +335,14 @@ export const examPrepHandler = {
       case 2: // See another example
         const exampleKey = topicConfig ? topicConfig.example_key : 'CALCULUS_EXTRA';
         const example = CONSTANTS.EXAMPLES[exampleKey];
-        return MenuRenderer.renderExampleWithMenu(example, 'exam');
+        return MenuRenderer.lessonReply(example, 'exam');
 
       case 3: // Back to plan
         await updateUser(user.id, {
-          current_menu: 'exam_prep_plan',
           current_lesson_topic: null
         });
         const session = await getOrCreateExamPrepSession(user.id);
-        return await this.showExamPlan(user, session);
+        return { message: await this.showExamPlan(user, session), nextState: 'exam_prep_plan' };
 
       default:
         return `Please choose 1, 2, or 3 from the menu above. 🎯`;
@@ -356,7 +370,6 @@ export const examPrepHandler = {
 
     await questionService.serveQuestionToUser(user.id, question.id);
     await updateUser(user.id, {
-      current_menu: 'practice_active',
       exam_practice_context: true,
       last_active_at: new Date().toISOString()
     });
@@ -364,11 +377,13 @@ export const examPrepHandler = {
     const topicName = question.topics?.display_name || topic;
     const difficultyEmoji = getDifficultyEmoji(question.difficulty);
 
-    return (
-      `📅 ${topicName} Exam Practice ${difficultyEmoji}\n\n` +
-      `${formatQuestion(question)}\n\n` +
-      `Send A, B, C, or D! 🎯`
-    );
+    return {
+      message:
+        `📅 ${topicName} Exam Practice ${difficultyEmoji}\n\n` +
+        `${formatQuestion(question)}\n\n` +
+        `Send A, B, C, or D! 🎯`,
+      nextState: 'practice_active'
+    };
   }
 };
 
@@ -430,9 +445,8 @@ async function saveSession(session) {
   });
 }
 
-async function markUserInExamPrepFlow(userId, sessionId, currentMenu) {
+async function markUserInExamPrepFlow(userId, sessionId) {
   await updateUser(userId, {
-    current_menu: currentMenu,
     exam_prep_session_id: sessionId, // FIXED: Changed from panic_session_id
     last_active_at: new Date().toISOString()
   });
@@ -481,3 +495,53 @@ function formatExamDate(date) {
 
   return `${days[date.getDay()]} ${date.getDate()} ${months[date.getMonth()]}`;
 }
+
+const examPrepText = ({ user, text }) => examPrepHandler.handleExamPrepText(user, text);
+
+// Free text is routed by the session's step, so any text state can move on to any of these
+const EXAM_PREP_TEXT_TRANSITIONS = ['exam_prep_subject', 'exam_prep_plan'];
+
+export const examPrepRoutes = {
+  owner: 'examPrepHandler',
+  states: {
+    exam_prep_grade: { transitions: EXAM_PREP_TEXT_TRANSITIONS, handle: examPrepText },
+    exam_prep_subject: { transitions: [] },
+    exam_prep_exam_date: { transitions: EXAM_PREP_TEXT_TRANSITIONS, handle: examPrepText },
+    // No flow sets this any more; kept for learners whose saved current_menu still holds it
+    exam_prep_problems: {
+      entry: true,
+      transitions: EXAM_PREP_TEXT_TRANSITIONS,
+      handle: examPrepText
+    },
+    exam_prep_time: { transitions: EXAM_PREP_TEXT_TRANSITIONS, handle: examPrepText },
+    exam_prep_plan: { transitions: [] },
+    exam_lesson: { transitions: [] }
+  },
+  commands: {
+    [CONSTANTS.COMMAND_TYPES.EXAM_PREP]: {
+      transitions: ['exam_prep_conversation', 'exam_prep_grade', 'exam_prep_subject'],
+      handle({ user }) {
+        // Check if user prefers conversation mode
+        if (user.prefers_conversation !== false) {
+          return conversationalExamPrepHandler.startConversation(user);
+        }
+        return examPrepHandler.startExamPrep(user);
+      }
+    },
+    exam_prep_subject: {
+      from: ['exam_prep_subject'],
+      transitions: ['exam_prep_exam_date', 'exam_prep_time', 'exam_prep_plan'],
+      handle: ({ user, command }) => examPrepHandler.handleExamPrepMenu(user, command.menuChoice)
+    },
+    exam_prep_plan_action: {
+      from: ['exam_prep_plan'],
+      transitions: ['exam_lesson', 'exam_prep_plan', 'welcome'],
+      handle: ({ user, command }) => examPrepHandler.handleExamPrepPlanAction(user, command.action)
+    },
+    exam_lesson_menu: {
+      from: ['exam_lesson'],
+      transitions: ['practice_active', 'exam_prep_plan'],
+      handle: ({ user, command }) => examPrepHandler.handleExamLessonMenu(user, command.menuChoice)
+    }
+  }
+};
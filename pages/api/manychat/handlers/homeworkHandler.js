@@ -7,7 +7,9 @@
 import { executeQuery } from '../config/database.js';
 import { updateUser } from '../services/userService.js';
 import { aiService } from '../services/aiService.js';
+import { FallbackService } from '../services/fallbackService.js';
 import { questionService } from '../services/questionService.js';
+import { formatCitations } from '../services/retrievalService.js';
 import { formatQuestion } from '../utils/questionFormatter.js';
 import { CONSTANTS, MESSAGES } from '../config/constants.js';
 
@@ -20,17 +22,17 @@ export const homeworkHandler = {
     if (!user.grade) {
       session.session_state = { step: 'ask_grade' };
       await saveHomeworkSession(session);
-      await markUserInHomeworkFlow(user.id, session.id, 'homework_grade');
+      await markUserInHomeworkFlow(user.id, session.id);
 
-      return MESSAGES.WELCOME.GRADE_PROMPT;
+      return { message: MESSAGES.WELCOME.GRADE_PROMPT, nextState: 'homework_grade' };
     }
 
     // Go directly to simplified subject confirmation
     session.session_state = { step: 'confirm_subject' };
     await saveHomeworkSession(session);
-    await markUserInHomeworkFlow(user.id, session.id, 'homework_subject');
+    await markUserInHomeworkFlow(user.id, session.id);
 
-    return MESSAGES.HOMEWORK.WELCOME_MESSAGE;
+    return { message: MESSAGES.HOMEWORK.WELCOME_MESSAGE, nextState: 'homework_subject' };
   },
 
   // Handle menu choices in homework flow (simplified)
@@ -48,9 +50,11 @@ export const homeworkHandler = {
         session.chosen_subject_name = 'Mathematics';
         session.session_state = { step: 'ask_problem_type' };
         await saveHomeworkSession(session);
-        await updateUser(user.id, { current_menu: 'homework_type' });
 
-        return `Perfect! Let's help with your Maths homework.\n\n${MESSAGES.HOMEWORK.PROBLEM_TYPE_PROMPT}`;
+        return {
+          message: `Perfect! Let's help with your Maths homework.\n\n${MESSAGES.HOMEWORK.PROBLEM_TYPE_PROMPT}`,
+          nextState: 'homework_type'
+        };
       }
       return `Type "yes" to continue with Maths homework help! 💪`;
     }
@@ -79,9 +83,11 @@ export const homeworkHandler = {
         session.problem_type_display = problemTypeNames[choice];
         session.session_state = { step: 'ask_confusion_details' };
         await saveHomeworkSession(session);
-        await updateUser(user.id, { current_menu: 'homework_confusion' });
 
-        return `Great! You're working on ${problemTypeNames[choice]}.\n\n${MESSAGES.HOMEWORK.CONFUSION_PROMPT}`;
+        return {
+          message: `Great! You're working on ${problemTypeNames[choice]}.\n\n${MESSAGES.HOMEWORK.CONFUSION_PROMPT}`,
+          nextState: 'homework_confusion'
+        };
       }
       return `Please pick a number 1-6 for your problem type. 📚`;
     }
@@ -123,9 +129,9 @@ export const homeworkHandler = {
 
         session.session_state = { step: 'confirm_subject' };
         await saveHomeworkSession(session);
-        await markUserInHomeworkFlow(user.id, session.id, 'homework_subject');
+        await markUserInHomeworkFlow(user.id, session.id);
 
-        return MESSAGES.HOMEWORK.WELCOME_MESSAGE;
+        return { message: MESSAGES.HOMEWORK.WELCOME_MESSAGE, nextState: 'homework_subject' };
       } else {
         return `Please choose 10, 11, or varsity for your grade. 🎓`;
       }
@@ -139,9 +145,11 @@ export const homeworkHandler = {
         session.chosen_subject_name = 'Mathematics';
         session.session_state = { step: 'ask_problem_type' };
         await saveHomeworkSession(session);
-        await updateUser(user.id, { current_menu: 'homework_type' });
 
-        return `Perfect! Let's help with your Maths homework.\n\n${MESSAGES.HOMEWORK.PROBLEM_TYPE_PROMPT}`;
+        return {
+          message: `Perfect! Let's help with your Maths homework.\n\n${MESSAGES.HOMEWORK.PROBLEM_TYPE_PROMPT}`,
+          nextState: 'homework_type'
+        };
       } else {
         return `I specialize in Mathematics for now. Type "yes" to continue! 📚`;
       }
@@ -184,9 +192,8 @@ export const homeworkHandler = {
 
       session.session_state = { step: 'method_practice' };
       await saveHomeworkSession(session);
-      await updateUser(user.id, { current_menu: 'homework_method' });
 
-      return methodTeaching;
+      return { message: methodTeaching, nextState: 'homework_method' };
     } catch (error) {
       console.error('❌ Homework confusion processing failed:', error);
 
@@ -213,6 +220,12 @@ export const homeworkHandler = {
       const methodContent = await this.getMethodForProblemType(session.problem_type, analysis);
       response += methodContent;
 
+      // Lessons the analysis was grounded in
+      const citations = formatCitations(analysis.sources);
+      if (citations.length > 0) {
+        response += `\n\n${citations.join('\n')}`;
+      }
+
       response += `\n\n1️⃣ Try practice questions\n`;
       response += `2️⃣ See another example\n`;
       response += `3️⃣ Back to homework`;
@@ -224,101 +237,9 @@ export const homeworkHandler = {
     }
   },
 
-  // Method templates (unchanged)
+  // Curated method templates live in FallbackService so degraded mode can reuse them
   async getMethodForProblemType(problemType, analysis) {
-    const methodContent = {
-      equations: this.getEquationsMethod(analysis),
-      word_problems: this.getWordProblemsMethod(analysis),
-      graphs_functions: this.getGraphsMethod(analysis),
-      calculus: this.getCalculusMethod(analysis),
-      trigonometry: this.getTrigonometryMethod(analysis),
-      other: this.getGeneralMethod(analysis)
-    };
-
-    return methodContent[problemType] || methodContent.other;
-  },
-
-  getEquationsMethod(analysis) {
-    return (
-      `📘 **EQUATION SOLVING METHOD:**\n\n` +
-      `**Step-by-step approach:**\n` +
-      `1️⃣ Identify equation type (linear, quadratic, etc.)\n` +
-      `2️⃣ Isolate variable terms on one side\n` +
-      `3️⃣ Combine like terms\n` +
-      `4️⃣ Solve for the variable\n` +
-      `5️⃣ Check your answer\n\n` +
-      `**Example (Similar to your homework):**\n` +
-      `Solve: 2x + 5 = 13\n` +
-      `• Subtract 5: 2x = 8\n` +
-      `• Divide by 2: x = 4\n` +
-      `• Check: 2(4) + 5 = 13 ✓\n\n` +
-      `**For quadratics:** Try factoring first, then quadratic formula if needed.`
-    );
-  },
-
-  getWordProblemsMethod(analysis) {
-    return (
-      `📘 **WORD PROBLEM METHOD:**\n\n` +
-      `**PROVEN STRATEGY:**\n` +
-      `1️⃣ Read twice (understand the story)\n` +
-      `2️⃣ Identify what you're looking for\n` +
-      `3️⃣ Define your variable (let x = ...)\n` +
-      `4️⃣ Write equation from the story\n` +
-      `5️⃣ Solve the equation\n` +
-      `6️⃣ Answer in context (with units!)\n\n` +
-      `**Example approach:**\n` +
-      `"A rectangle's length is 3 more than width. Perimeter = 26."\n` +
-      `• Let w = width\n` +
-      `• Then length = w + 3\n` +
-      `• Perimeter: 2w + 2(w + 3) = 26\n` +
-      `• Solve: w = 5, length = 8`
-    );
-  },
-
-  getCalculusMethod(analysis) {
-    return MESSAGES.LESSONS.CALCULUS_INTRO.replace('3️⃣ Back to homework', '3️⃣ Back to homework');
-  },
-
-  getTrigonometryMethod(analysis) {
-    return MESSAGES.LESSONS.TRIGONOMETRY_INTRO.replace(
-      '3️⃣ Back to homework',
-      '3️⃣ Back to homework'
-    );
-  },
-
-  getGraphsMethod(analysis) {
-    return (
-      `📘 **GRAPHS & FUNCTIONS METHOD:**\n\n` +
-      `**KEY STEPS:**\n` +
-      `1️⃣ Identify function type (linear, quadratic, etc.)\n` +
-      `2️⃣ Find key points (intercepts, vertex)\n` +
-      `3️⃣ Determine domain and range\n` +
-      `4️⃣ Sketch or analyze behavior\n\n` +
-      `**For linear functions (y = mx + b):**\n` +
-      `• m = slope (rise/run)\n` +
-      `• b = y-intercept\n` +
-      `• x-intercept: set y = 0, solve for x\n\n` +
-      `**For quadratics (y = ax² + bx + c):**\n` +
-      `• Vertex at x = -b/(2a)\n` +
-      `• Opens up if a > 0, down if a < 0`
-    );
-  },
-
-  getGeneralMethod(analysis) {
-    return (
-      `📘 **GENERAL PROBLEM-SOLVING METHOD:**\n\n` +
-      `**UNIVERSAL APPROACH:**\n` +
-      `1️⃣ Understand what's given\n` +
-      `2️⃣ Identify what you need to find\n` +
-      `3️⃣ Choose the right formula/method\n` +
-      `4️⃣ Show all work step-by-step\n` +
-      `5️⃣ Check if answer makes sense\n\n` +
-      `**When stuck:**\n` +
-      `• Break into smaller steps\n` +
-      `• Look for similar examples\n` +
-      `• Check your algebra carefully\n` +
-      `• Verify units and reasonableness`
-    );
+    return FallbackService.getMethodTemplate(problemType);
   },
 
   // Continue with practice and other methods (unchanged)
@@ -340,7 +261,6 @@ export const homeworkHandler = {
     }
 
     await questionService.serveQuestionToUser(user.id, question.id);
-    await updateUser(user.id, { current_menu: 'practice_active' });
 
     session.session_state = {
       ...session.session_state,
@@ -351,11 +271,13 @@ export const homeworkHandler = {
     };
     await saveHomeworkSession(session);
 
-    return (
-      `🧮 Let's practice the method with a similar question:\n\n` +
-      `${formatQuestion(question)}\n\n` +
-      `This uses the same approach as your homework! 📚`
-    );
+    return {
+      message:
+        `🧮 Let's practice the method with a similar question:\n\n` +
+        `${formatQuestion(question)}\n\n` +
+        `This uses the same approach as your homework! 📚`,
+      nextState: 'practice_active'
+    };
   },
 
   async showAnotherExample(user, session) {
@@ -407,16 +329,18 @@ export const homeworkHandler = {
     await endHomeworkSession(session.id);
     await clearHomeworkState(user.id);
 
-    return (
-      `🎯 **You're all set!**\n\n` +
-      `Use the method I showed you on your homework. Remember:\n` +
-      `• Work step-by-step\n` +
-      `• Show all your work\n` +
-      `• Check your answers\n\n` +
-      `Come back if you get stuck on the **approach** (not specific answers)!\n\n` +
-      `Good luck with your homework! 💪\n\n` +
-      `Type "menu" for other options or "practice" for more questions.`
-    );
+    return {
+      message:
+        `🎯 **You're all set!**\n\n` +
+        `Use the method I showed you on your homework. Remember:\n` +
+        `• Work step-by-step\n` +
+        `• Show all your work\n` +
+        `• Check your answers\n\n` +
+        `Come back if you get stuck on the **approach** (not specific answers)!\n\n` +
+        `Good luck with your homework! 💪\n\n` +
+        `Type "menu" for other options or "practice" for more questions.`,
+      nextState: 'welcome'
+    };
   },
 
   async handleHomeworkPracticeAnswer(user, answerLetter) {
@@ -444,13 +368,15 @@ export const homeworkHandler = {
     if (questionsCompleted >= maxQuestions) {
       session.session_state.practice_active = false;
       await saveHomeworkSession(session);
-      await updateUser(user.id, { current_menu: 'homework_complete', current_question_id: null });
-
-      return (
-        `${feedback}\n\n✅ Great practice session! You've got the method down.\n\n` +
-        `🎯 Now apply this same approach to your homework!\n\n` +
-        `${MESSAGES.HOMEWORK.PRACTICE_ENCOURAGEMENT}`
-      );
+      await updateUser(user.id, { current_question_id: null });
+
+      return {
+        message:
+          `${feedback}\n\n✅ Great practice session! You've got the method down.\n\n` +
+          `🎯 Now apply this same approach to your homework!\n\n` +
+          `${MESSAGES.HOMEWORK.PRACTICE_ENCOURAGEMENT}`,
+        nextState: 'homework_complete'
+      };
     } else {
       const nextQuestion = await getNextHomeworkPracticeQuestion(user, session);
       if (!nextQuestion) {
@@ -470,12 +396,8 @@ export const homeworkHandler = {
 
     return (
       `${MESSAGES.HOMEWORK.ACADEMIC_INTEGRITY_REMINDER}\n\n` +
-      `📘 **GENERAL APPROACH FOR ${problemTypeDisplay.toUpperCase()}:**\n\n` +
-      `1️⃣ Read the problem carefully\n` +
-      `2️⃣ Identify what you know and what you need\n` +
-      `3️⃣ Choose the right method/formula\n` +
-      `4️⃣ Work step-by-step\n` +
-      `5️⃣ Check your answer\n\n` +
+      `🎯 Here's the method for **${problemTypeDisplay}**:\n\n` +
+      `${FallbackService.getMethodTemplate(session.problem_type)}\n\n` +
       `🎯 Apply this systematic approach to your homework!\n\n` +
       `1️⃣ Try practice questions\n` +
       `2️⃣ See an example\n` +
@@ -528,9 +450,8 @@ async function saveHomeworkSession(session) {
   });
 }
 
-async function markUserInHomeworkFlow(userId, sessionId, menuState) {
+async function markUserInHomeworkFlow(userId, sessionId) {
   await updateUser(userId, {
-    current_menu: menuState,
     homework_session_id: sessionId,
     last_active_at: new Date().toISOString()
   });
@@ -538,7 +459,6 @@ async function markUserInHomeworkFlow(userId, sessionId, menuState) {
 
 async function clearHomeworkState(userId) {
   await updateUser(userId, {
-    current_menu: 'welcome',
     homework_session_id: null,
     current_question_id: null,
     last_active_at: new Date().toISOString()
@@ -596,3 +516,43 @@ function calculateDifficulty(user) {
   if (rate >= 0.6) return 'medium';
   return 'easy';
 }
+
+// Free text is routed by the session's step, so any text state can move on to any of these
+const HOMEWORK_TEXT_TRANSITIONS = ['homework_subject', 'homework_type', 'homework_method'];
+
+export const homeworkRoutes = {
+  owner: 'homeworkHandler',
+  states: {
+    homework_grade: {
+      transitions: HOMEWORK_TEXT_TRANSITIONS,
+      handle: ({ user, text }) => homeworkHandler.handleHomeworkText(user, text)
+    },
+    homework_subject: {
+      transitions: HOMEWORK_TEXT_TRANSITIONS,
+      handle: ({ user, text }) => homeworkHandler.handleHomeworkText(user, text)
+    },
+    homework_type: { transitions: [] },
+    homework_confusion: {
+      slow: true,
+      transitions: HOMEWORK_TEXT_TRANSITIONS,
+      handle: ({ user, text }) => homeworkHandler.handleHomeworkText(user, text)
+    },
+    // Method options 1-3 arrive as free text since the parser has no homework_method menu
+    homework_method: {
+      transitions: ['practice_active', 'welcome'],
+      handle: ({ user, text }) => homeworkHandler.handleHomeworkMenu(user, parseInt(text.trim()))
+    },
+    homework_complete: { transitions: [] }
+  },
+  commands: {
+    [CONSTANTS.COMMAND_TYPES.HOMEWORK]: {
+      transitions: ['homework_grade', 'homework_subject'],
+      handle: ({ user }) => homeworkHandler.startHomeworkHelp(user)
+    },
+    homework_type: {
+      from: ['homework_type'],
+      transitions: ['homework_type', 'homework_confusion'],
+      handle: ({ user, command }) => homeworkHandler.handleHomeworkMenu(user, command.menuChoice)
+    }
+  }
+};
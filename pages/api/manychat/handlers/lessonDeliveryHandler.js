@@ -11,6 +11,7 @@ import { updateUser } from '../services/userService.js';
 import { lessonService } from '../services/lessonService.js';
 import { MESSAGES } from '../config/constants.js';
 import { studyPlanHandler } from './studyPlanHandler.js';
+import { aiTutorHandler } from './aiTutorHandler.js';
 
 export const lessonDeliveryHandler = {
   /**
@@ -19,15 +20,14 @@ export const lessonDeliveryHandler = {
    * @param {Object} user - User object
    * @param {Object} lesson - Lesson object
    * @param {Object} context - Delivery context
-   * @returns {string} Formatted lesson
+   * @returns {Object} Formatted lesson and the lesson_active state
    */
   async startLesson(user, lesson, context = {}) {
     try {
       console.log(`📚 Starting lesson delivery for user ${user.id}, lesson ${lesson.id}`);
 
-      // Set user state
+      // Remember the lesson; the router moves the learner to lesson_active
       await updateUser(user.id, {
-        current_menu: 'lesson_active',
         current_lesson_id: lesson.id,
         lesson_context: JSON.stringify(context),
         last_active_at: new Date().toISOString()
@@ -46,7 +46,7 @@ export const lessonDeliveryHandler = {
         totalLessons: context.totalLessons
       });
 
-      return formattedLesson;
+      return { message: formattedLesson, nextState: 'lesson_active' };
     } catch (error) {
       console.error('❌ Lesson start error:', error);
       return `I'm having trouble starting the lesson. Please try again or type "menu" to return to the main menu.`;
@@ -177,7 +177,6 @@ export const lessonDeliveryHandler = {
       if (practiceQuestion) {
         // Update user state
         await updateUser(user.id, {
-          current_menu: 'practice_active',
           current_lesson_id: null,
           current_question_id: practiceQuestion.id,
           last_active_at: new Date().toISOString()
@@ -259,7 +258,6 @@ export const lessonDeliveryHandler = {
         };
 
         await updateUser(user.id, {
-          current_menu: 'lesson_active',
           current_lesson_id: nextLesson.id,
           lesson_context: JSON.stringify(newContext),
           last_active_at: new Date().toISOString()
@@ -361,12 +359,6 @@ export const lessonDeliveryHandler = {
 
       // Ask follow-up for low ratings (optional)
       if (rating <= 3) {
-        // Update user state to expect follow-up
-        await updateUser(user.id, {
-          current_menu: 'lesson_feedback',
-          last_active_at: new Date().toISOString()
-        });
-
         return {
           message:
             responseMessage +
@@ -528,3 +520,41 @@ export const lessonDeliveryHandler = {
   }
 };
 
+export const lessonDeliveryRoutes = {
+  owner: 'lessonDeliveryHandler',
+  states: {
+    // No route calls startLesson yet; kept for learners whose saved current_menu still holds it
+    lesson_active: {
+      entry: true,
+      transitions: [
+        'lesson_active',
+        'lesson_feedback',
+        'practice_active',
+        'practice_session',
+        'study_completed',
+        'welcome',
+        'tutor_active'
+      ],
+      async handle({ user, text }) {
+        // Learners can ask the AI tutor about the lesson they are reading
+        if (aiTutorHandler.isHandoffRequest(text)) {
+          const { currentLesson } = await lessonDeliveryHandler.getCurrentLessonData(user);
+
+          if (currentLesson) {
+            return aiTutorHandler.startTutoring(user, {
+              topic: currentLesson.topic,
+              lessonContext: currentLesson.title,
+              startMode: 'lesson_followup'
+            });
+          }
+        }
+
+        return lessonDeliveryHandler.handleLessonNavigation(user, text);
+      }
+    },
+    lesson_feedback: {
+      transitions: ['lesson_active', 'welcome'],
+      handle: ({ user, text }) => lessonDeliveryHandler.handleLessonFeedbackText(user, text)
+    }
+  }
+};
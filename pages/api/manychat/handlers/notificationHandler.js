@@ -0,0 +1,137 @@
+/**
+ * Notification Preferences Handler
+ * Date: 2026-10-19 15:55:00 UTC
+ *
+ * STOP / START / "pause reminders for N days" and the notification settings
+ * menu, where each category can be switched on or off by number.
+ */
+
+import { CONSTANTS } from '../config/constants.js';
+import {
+  CATEGORY_LABELS,
+  NOTIFICATION_CATEGORIES,
+  notificationPreferenceService
+} from '../services/notificationPreferenceService.js';
+import MenuRenderer from '../utils/menuRenderer.js';
+import { prependText } from '../utils/richReply.js';
+import { coreHandler } from './coreHandler.js';
+
+const SETTINGS_ORDER = [
+  NOTIFICATION_CATEGORIES.STUDY_REMINDERS,
+  NOTIFICATION_CATEGORIES.STREAK_HOOKS,
+  NOTIFICATION_CATEGORIES.FRIEND_CHALLENGES,
+  NOTIFICATION_CATEGORIES.WEEKLY_REPORTS
+];
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-ZA', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    timeZone: 'Africa/Johannesburg'
+  });
+}
+
+export const notificationHandler = {
+  async stopNotifications(user) {
+    console.log(`🔕 User ${user.id} opted out of notifications`);
+    await notificationPreferenceService.stopAll(user.id);
+
+    return (
+      `Done. I won't send you reminders or nudges anymore. 🔕\n\n` +
+      `You can still message me any time to study. Send START to turn notifications back on.`
+    );
+  },
+
+  async startNotifications(user) {
+    const preferences = await notificationPreferenceService.get(user.id);
+    const wasHeld =
+      !!preferences.opted_out_at ||
+      (!!preferences.paused_until && new Date(preferences.paused_until) > new Date());
+
+    if (wasHeld) {
+      console.log(`🔔 User ${user.id} turned notifications back on`);
+      await notificationPreferenceService.resumeAll(user.id);
+    }
+
+    const { message, nextState } = await coreHandler.showWelcomeMenu(user);
+    return {
+      message: wasHeld ? prependText(`Notifications are back on. 🔔\n\n`, message) : message,
+      nextState
+    };
+  },
+
+  async pauseNotifications(user, days) {
+    const preferences = await notificationPreferenceService.pause(user.id, days);
+    console.log(`⏸️ User ${user.id} paused notifications until ${preferences.paused_until}`);
+
+    return (
+      `Paused. No reminders or nudges until ${formatDate(preferences.paused_until)}. 🌙\n\n` +
+      `Send START to turn them back on sooner.`
+    );
+  },
+
+  async showSettings(user, intro = '') {
+    const preferences = await notificationPreferenceService.get(user.id);
+    const options = SETTINGS_ORDER.map(
+      (category) => `${CATEGORY_LABELS[category]}: ${preferences[category] ? 'On ✅' : 'Off 🔕'}`
+    );
+
+    let status = '';
+    if (preferences.opted_out_at) {
+      status = `\n\nAll notifications are stopped. Send START to turn them back on.`;
+    } else if (preferences.paused_until && new Date(preferences.paused_until) > new Date()) {
+      status = `\n\nPaused until ${formatDate(preferences.paused_until)}. Send START to resume.`;
+    }
+
+    const text =
+      `${intro ? `${intro}\n\n` : ''}🔔 **Notification settings**${status}\n\n` +
+      `Pick a number to switch it on or off, or type "menu" to go back.`;
+
+    return {
+      message: MenuRenderer.withMenu(text, options),
+      nextState: 'notification_settings'
+    };
+  },
+
+  async handleSettingsInput(user, text) {
+    const choice = parseInt(text.trim());
+    const category = SETTINGS_ORDER[choice - 1];
+
+    if (!category) {
+      return `Pick a number from 1 to ${SETTINGS_ORDER.length}, or type "menu" to go back. 🎯`;
+    }
+
+    const preferences = await notificationPreferenceService.toggle(user.id, category);
+    const state = preferences[category] ? 'on' : 'off';
+    return this.showSettings(user, `${CATEGORY_LABELS[category]} turned ${state}.`);
+  }
+};
+
+export const notificationRoutes = {
+  owner: 'notificationHandler',
+  states: {
+    notification_settings: {
+      transitions: ['notification_settings'],
+      handle: ({ user, text }) => notificationHandler.handleSettingsInput(user, text)
+    }
+  },
+  commands: {
+    [CONSTANTS.COMMAND_TYPES.NOTIFICATIONS_STOP]: {
+      transitions: [],
+      handle: ({ user }) => notificationHandler.stopNotifications(user)
+    },
+    [CONSTANTS.COMMAND_TYPES.NOTIFICATIONS_START]: {
+      transitions: ['welcome'],
+      handle: ({ user }) => notificationHandler.startNotifications(user)
+    },
+    [CONSTANTS.COMMAND_TYPES.NOTIFICATIONS_PAUSE]: {
+      transitions: [],
+      handle: ({ user, command }) => notificationHandler.pauseNotifications(user, command.days)
+    },
+    [CONSTANTS.COMMAND_TYPES.NOTIFICATION_SETTINGS]: {
+      transitions: ['notification_settings'],
+      handle: ({ user }) => notificationHandler.showSettings(user)
+    }
+  }
+};
@@ -9,7 +9,10 @@
 import { executeQuery } from '../config/database.js';
 import { updateUser } from '../services/userService.js';
 import { offlineService } from '../services/offlineService.js';
-import { MESSAGES } from '../config/constants.js';
+import { JOB_TYPES, jobQueue } from '../services/jobQueueService.js';
+import { CONSTANTS } from '../config/constants.js';
+import MenuRenderer from '../utils/menuRenderer.js';
+import { offlineSyncDataSchema } from '../utils/webhookPayload.js';
 
 export const offlineHandler = {
   /**
@@ -31,7 +34,24 @@ export const offlineHandler = {
         return offlineService.formatOfflinePackageInfo(existingPackage);
       }
 
-      // Generate new package
+      // Build the package in the background; the job messages the learner when it's ready
+      const job = await jobQueue.enqueue(
+        JOB_TYPES.GENERATE_OFFLINE_PACKAGE,
+        { userId: user.id, options },
+        { dedupKey: `offline_package:${user.id}` }
+      );
+
+      if (job.queued || job.duplicate) {
+        return {
+          message:
+            `📦 **PREPARING YOUR OFFLINE PACKAGE**\n\n` +
+            `I'm putting your lessons and practice questions together. ` +
+            `I'll send it here as soon as it's ready.`,
+          nextState: 'offline_ready'
+        };
+      }
+
+      // Queue unavailable: build it now
       const offlinePackage = await offlineService.generateOfflinePackage(user.id, options);
 
       if (!offlinePackage || offlinePackage.error) {
@@ -40,13 +60,15 @@ export const offlineHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'offline_ready',
         offline_package_id: offlinePackage.package_id,
         last_active_at: new Date().toISOString()
       });
 
       // Return package info
-      return offlineService.formatOfflinePackageInfo(offlinePackage);
+      return {
+        message: offlineService.formatOfflinePackageInfo(offlinePackage),
+        nextState: 'offline_ready'
+      };
     } catch (error) {
       console.error('❌ Offline package request error:', error);
       return `I'm having trouble preparing your offline content. Please try again or contact support if the problem persists.`;
@@ -84,7 +106,7 @@ export const offlineHandler = {
         case 'menu':
           // Return to main menu
           return {
-            message: MESSAGES.WELCOME.MAIN_MENU,
+            message: MenuRenderer.mainMenuReply(),
             nextState: 'welcome'
           };
 
@@ -93,7 +115,14 @@ export const offlineHandler = {
           if (command.startsWith('{') && command.includes('"type":"offline_sync"')) {
             try {
               const syncData = JSON.parse(command);
-              return await this.syncOfflineProgress(user, syncData.data);
+              const progress = offlineSyncDataSchema.safeParse(syncData.data);
+              if (!progress.success) {
+                return {
+                  message: `That sync data is incomplete: ${progress.error.issues[0].message}. Please use the app's sync feature.`,
+                  nextState: 'offline_ready'
+                };
+              }
+              return await this.syncOfflineProgress(user, progress.data);
             } catch (e) {
               return {
                 message: `I couldn't process your sync data. Please try again or use the app's sync feature.`,
@@ -464,4 +493,35 @@ export const offlineHandler = {
   }
 };
 
-
+const OFFLINE_TRANSITIONS = ['offline_ready', 'offline_active', 'welcome'];
+
+export const offlineRoutes = {
+  owner: 'offlineHandler',
+  states: {
+    // Also entered from any state by the connectivity check in index.js
+    offline_ready: {
+      entry: true,
+      transitions: OFFLINE_TRANSITIONS,
+      handle: ({ user, text }) => offlineHandler.handleOfflineInteraction(user, text)
+    },
+    offline_active: {
+      transitions: OFFLINE_TRANSITIONS,
+      handle: ({ user, text }) => offlineHandler.handleOfflineActiveState(user, text)
+    }
+  },
+  commands: {
+    [CONSTANTS.COMMAND_TYPES.OFFLINE]: {
+      transitions: ['offline_ready'],
+      handle: ({ user, command }) =>
+        offlineHandler.requestOfflinePackage(user, {
+          includeTopics: command.topics ? command.topics.split(',') : [],
+          daysToInclude: command.days ? parseInt(command.days) : 3
+        })
+    },
+    // Validated upload from the offline app (see utils/webhookPayload.js)
+    [CONSTANTS.COMMAND_TYPES.OFFLINE_SYNC]: {
+      transitions: ['welcome'],
+      handle: ({ user, command }) => offlineHandler.syncOfflineProgress(user, command.data)
+    }
+  }
+};
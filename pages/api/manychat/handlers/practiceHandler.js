@@ -8,8 +8,12 @@
 
 import { executeQuery } from '../config/database.js';
 import { updateUser } from '../services/userService.js';
-import { practiceService } from '../services/practiceService.js';
-import { MESSAGES } from '../config/constants.js';
+import { isFallbackQuestion, practiceService } from '../services/practiceService.js';
+import { env } from '../../../../lib/config.js';
+import { CONSTANTS } from '../config/constants.js';
+import { aiTutorHandler } from './aiTutorHandler.js';
+import MenuRenderer from '../utils/menuRenderer.js';
+import { createReply, prependText } from '../utils/richReply.js';
 
 export const practiceHandler = {
   /**
@@ -17,7 +21,7 @@ export const practiceHandler = {
    *
    * @param {Object} user - User object
    * @param {Object} parameters - Practice parameters
-   * @returns {string} Formatted question
+   * @returns {Object} { message, nextState }; nextState is null if no question was started
    */
   async startPractice(user, parameters = {}) {
     try {
@@ -31,9 +35,10 @@ export const practiceHandler = {
       if (parameters.questionId) {
         // Use specified question
         question = await practiceService.getQuestionById(parameters.questionId);
-      } else if (parameters.topic) {
-        // Get question for topic
-        const questions = await practiceService.getQuestionsByTopic(parameters.topic, {
+      } else {
+        // Get question for topic, DEFAULT_TOPIC if none was asked for
+        const topic = parameters.topic || env.DEFAULT_TOPIC;
+        const questions = await practiceService.getQuestionsByTopic(topic, {
           grade: user.grade || parameters.grade,
           difficulty: parameters.difficulty
         });
@@ -41,20 +46,21 @@ export const practiceHandler = {
         if (questions.length > 0) {
           question = questions[0];
         } else {
-          // Generate a question if none available
-          question = await practiceService.generateQuestion({
-            topic: parameters.topic,
+          // None stored yet: generate one now, the queue tops up the pool
+          question = await practiceService.requestGeneratedQuestion({
+            topic,
             grade: user.grade || parameters.grade,
             difficulty: parameters.difficulty || 'medium'
           });
         }
-      } else {
-        // Default: get a general question based on user grade
-        question = await practiceService.getFallbackQuestion('general', user.grade || 10);
       }
 
-      if (!question) {
-        return `I'm having trouble finding a practice question. Please try again or specify a topic.`;
+      // The generic fallback isn't a stored question, so it can't be recorded as an attempt
+      if (!question || isFallbackQuestion(question)) {
+        return {
+          message: `I'm having trouble finding a practice question. Please try again or specify a topic.`,
+          nextState: null
+        };
       }
 
       // Record attempt
@@ -67,7 +73,6 @@ export const practiceHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'practice_active',
         current_question_id: question.id,
         current_attempt_id: attemptId,
         practice_context: JSON.stringify({
@@ -80,17 +85,23 @@ export const practiceHandler = {
       });
 
       // Format and return question
-      return practiceService.formatQuestion(question, {
-        showHeader: true,
-        showHints: true,
-        hintNumber: 0,
-        dayNumber: parameters.dayNumber,
-        questionNumber: parameters.questionNumber,
-        totalQuestions: parameters.totalQuestions
-      });
+      return {
+        message: practiceService.formatQuestion(question, {
+          showHeader: true,
+          showHints: true,
+          hintNumber: 0,
+          dayNumber: parameters.dayNumber,
+          questionNumber: parameters.questionNumber,
+          totalQuestions: parameters.totalQuestions
+        }),
+        nextState: 'practice_active'
+      };
     } catch (error) {
       console.error('❌ Practice start error:', error);
-      return `I'm having trouble starting practice questions. Please try again or type "menu" to return to the main menu.`;
+      return {
+        message: `I'm having trouble starting practice questions. Please try again or type "menu" to return to the main menu.`,
+        nextState: null
+      };
     }
   },
 
@@ -395,7 +406,7 @@ export const practiceHandler = {
           rating
         );
         return {
-          message: `${encouragement}\n\n${nextQuestionOffer.message}`,
+          message: prependText(`${encouragement}\n\n`, nextQuestionOffer.message),
           nextState: nextQuestionOffer.nextState
         };
       }
@@ -519,7 +530,7 @@ export const practiceHandler = {
         const nextQuestion = dayPlan.practice_questions[nextQuestionNumber - 1];
 
         // Start practice with next question
-        const nextPractice = await this.startPractice(user, {
+        return await this.startPractice(user, {
           questionId: nextQuestion.id,
           topic: nextQuestion.topic,
           sessionId: context.sessionId,
@@ -528,11 +539,6 @@ export const practiceHandler = {
           questionNumber: nextQuestionNumber,
           totalQuestions: dayPlan.practice_questions.length
         });
-
-        return {
-          message: nextPractice,
-          nextState: 'practice_active'
-        };
       }
 
       // No more questions in plan - offer to complete
@@ -585,7 +591,13 @@ export const practiceHandler = {
       });
 
       return {
-        message,
+        message: createReply(message, {
+          quickReplies: [
+            { title: 'Another question', value: 'yes' },
+            { title: 'Change topic', value: 'change topic' },
+            { title: 'Main menu', value: 'menu' }
+          ]
+        }),
         nextState: 'practice_offer'
       };
     } catch (error) {
@@ -641,16 +653,11 @@ export const practiceHandler = {
         );
 
         // Start practice with this question
-        const practiceStart = await this.startPractice(user, {
+        return await this.startPractice(user, {
           questionId: nextQuestion.id,
           topic: nextQuestion.topic,
           difficulty: nextQuestion.difficulty
         });
-
-        return {
-          message: practiceStart,
-          nextState: 'practice_active'
-        };
       } else if (normalizedResponse === 'change topic' || normalizedResponse === 'topic') {
         // User wants to change topic
         return {
@@ -668,14 +675,14 @@ export const practiceHandler = {
       } else {
         // Default to main menu
         return {
-          message: MESSAGES.WELCOME.MAIN_MENU,
+          message: MenuRenderer.mainMenuReply(),
           nextState: 'welcome'
         };
       }
     } catch (error) {
       console.error('❌ Next question response error:', error);
       return {
-        message: MESSAGES.WELCOME.MAIN_MENU,
+        message: MenuRenderer.mainMenuReply(),
         nextState: 'welcome'
       };
     }
@@ -725,23 +732,80 @@ export const practiceHandler = {
       normalizedTopic = topicMap[normalizedTopic] || normalizedTopic;
 
       // Start practice with selected topic
-      const practiceStart = await this.startPractice(user, {
+      return await this.startPractice(user, {
         topic: normalizedTopic,
         difficulty: 'medium'
       });
-
-      return {
-        message: practiceStart,
-        nextState: 'practice_active'
-      };
     } catch (error) {
       console.error('❌ Topic selection error:', error);
+      const practiceStart = await this.startPractice(user, { topic: 'algebra' });
       return {
-        message:
-          `I'm having trouble with that topic. Let's try algebra practice instead.\n\n` +
-          (await this.startPractice(user, { topic: 'algebra' })),
-        nextState: 'practice_active'
+        message: `I'm having trouble with that topic. Let's try algebra practice instead.\n\n${practiceStart.message}`,
+        nextState: practiceStart.nextState
       };
     }
   }
 };
+
+const PRACTICE_TRANSITIONS = [
+  'practice_active',
+  'practice_solution',
+  'practice_offer',
+  'topic_selection',
+  'study_completed',
+  'welcome'
+];
+
+export const practiceRoutes = {
+  owner: 'practiceHandler',
+  states: {
+    practice_active: {
+      slow: true,
+      transitions: [...PRACTICE_TRANSITIONS, 'tutor_active'],
+      async handle({ user, text }) {
+        // Learners can hand the current question over to the AI tutor
+        if (aiTutorHandler.isHandoffRequest(text)) {
+          const { currentQuestion } = await practiceHandler.getCurrentQuestionData(user);
+
+          if (currentQuestion) {
+            return aiTutorHandler.startTutoring(user, {
+              topic: currentQuestion.topic,
+              questionId: currentQuestion.id,
+              questionContext: currentQuestion.question_text,
+              startMode: 'question_help'
+            });
+          }
+        }
+
+        return practiceHandler.handlePracticeInteraction(user, text);
+      }
+    },
+    practice_solution: {
+      transitions: PRACTICE_TRANSITIONS,
+      handle({ user, text }) {
+        // Handle understanding rating (1-5)
+        if (/^[1-5]$/.test(text.trim())) {
+          return practiceHandler.handlePracticeInteraction(user, text.trim());
+        }
+        return `Please rate your understanding from 1-5, with 5 being complete understanding.`;
+      }
+    },
+    practice_offer: {
+      slow: true,
+      transitions: ['practice_active', 'topic_selection', 'welcome'],
+      handle: ({ user, text }) => practiceHandler.handleNextQuestionResponse(user, text)
+    },
+    topic_selection: {
+      slow: true,
+      transitions: ['practice_active'],
+      handle: ({ user, text }) => practiceHandler.handleTopicSelection(user, text)
+    }
+  },
+  commands: {
+    [CONSTANTS.COMMAND_TYPES.PRACTICE]: {
+      slow: true,
+      transitions: ['practice_active'],
+      handle: ({ user }) => practiceHandler.startPractice(user)
+    }
+  }
+};
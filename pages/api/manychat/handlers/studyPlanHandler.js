@@ -11,7 +11,7 @@ import { updateUser } from '../services/userService.js';
 import { studyPlanService } from '../services/studyPlanService.js';
 import { reminderService } from '../services/reminderService.js';
 import { conversationalExamPrepHandler } from './conversationalExamPrepHandler.js';
-import { MESSAGES } from '../config/constants.js';
+import MenuRenderer from '../utils/menuRenderer.js';
 
 export const studyPlanHandler = {
   /**
@@ -78,7 +78,9 @@ export const studyPlanHandler = {
       const { session, plan } = await this.getUserActivePlan(user.id);
 
       if (!session || !plan) {
-        return `I can't find your active study plan. Let's create a new one!\n\n${MESSAGES.WELCOME.MAIN_MENU}`;
+        return MenuRenderer.mainMenuReply(
+          `I can't find your active study plan. Let's create a new one!`
+        );
       }
 
       switch (action) {
@@ -151,7 +153,6 @@ export const studyPlanHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'study_session',
         current_day: currentDay,
         last_active_at: new Date().toISOString()
       });
@@ -162,7 +163,10 @@ export const studyPlanHandler = {
         await this.markDaySessionStarted(plan.id, currentDay);
 
         // Return first lesson
-        return this.formatLesson(todayPlan.lessons[0], currentDay, 1, todayPlan.lessons.length);
+        return {
+          message: this.formatLesson(todayPlan.lessons[0], currentDay, 1, todayPlan.lessons.length),
+          nextState: 'study_session'
+        };
       } else {
         // No lessons, go straight to practice
         return this.startPracticeQuestions(user, session, plan, currentDay);
@@ -204,18 +208,20 @@ export const studyPlanHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'practice_session',
         current_question_index: 0,
         last_active_at: new Date().toISOString()
       });
 
       // Return first question
-      return this.formatPracticeQuestion(
-        todayPlan.practice_questions[0],
-        day,
-        1,
-        todayPlan.practice_questions.length
-      );
+      return {
+        message: this.formatPracticeQuestion(
+          todayPlan.practice_questions[0],
+          day,
+          1,
+          todayPlan.practice_questions.length
+        ),
+        nextState: 'practice_session'
+      };
     } catch (error) {
       console.error('❌ Practice start error:', error);
       return `I'm having trouble starting your practice questions. Please try again or type "menu" to return to the main menu.`;
@@ -258,12 +264,6 @@ export const studyPlanHandler = {
       // Mark day as completed
       await this.markDayCompleted(plan.id, day);
 
-      // Update user state
-      await updateUser(user.id, {
-        current_menu: 'study_completed',
-        last_active_at: new Date().toISOString()
-      });
-
       // Get completion message
       const planData = plan.plan_data;
       const todayPlan = planData.days.find((d) => d.day === day);
@@ -276,26 +276,30 @@ export const studyPlanHandler = {
 
       if (isLastDay) {
         // Entire plan completed
-        return (
-          `${completionMessage}\n\n` +
-          `🎉 **CONGRATULATIONS!** 🎉\n\n` +
-          `You've completed your entire study plan! You should feel confident and prepared for your upcoming test.\n\n` +
-          `Want some last-minute practice? Type "practice" to continue with targeted questions.\n\n` +
-          `Good luck on your test! 🍀`
-        );
+        return {
+          message:
+            `${completionMessage}\n\n` +
+            `🎉 **CONGRATULATIONS!** 🎉\n\n` +
+            `You've completed your entire study plan! You should feel confident and prepared for your upcoming test.\n\n` +
+            `Want some last-minute practice? Type "practice" to continue with targeted questions.\n\n` +
+            `Good luck on your test! 🍀`,
+          nextState: 'study_completed'
+        };
       } else {
         // More days left
         const nextDay = day + 1;
         const nextPlan = planData.days.find((d) => d.day === nextDay);
         const nextFocus = nextPlan?.focus || 'general concepts';
 
-        return (
-          `${completionMessage}\n\n` +
-          `✅ **DAY ${day} COMPLETE!**\n\n` +
-          `Tomorrow (Day ${nextDay}), we'll focus on: ${nextFocus}\n\n` +
-          `Your next scheduled session will be sent at your preferred time.\n\n` +
-          `Want to get ahead? Type "next_day" to start tomorrow's session early!`
-        );
+        return {
+          message:
+            `${completionMessage}\n\n` +
+            `✅ **DAY ${day} COMPLETE!**\n\n` +
+            `Tomorrow (Day ${nextDay}), we'll focus on: ${nextFocus}\n\n` +
+            `Your next scheduled session will be sent at your preferred time.\n\n` +
+            `Want to get ahead? Type "next_day" to start tomorrow's session early!`,
+          nextState: 'study_completed'
+        };
       }
     } catch (error) {
       console.error('❌ Day completion error:', error);
@@ -369,13 +373,17 @@ export const studyPlanHandler = {
 
       // Update user state
       await updateUser(user.id, {
-        current_menu: 'welcome',
         has_active_reminders: false,
         exam_prep_session_id: null,
         last_active_at: new Date().toISOString()
       });
 
-      return `Your study plan has been cancelled and reminders have been turned off.\n\n${MESSAGES.WELCOME.MAIN_MENU}`;
+      return {
+        message: MenuRenderer.mainMenuReply(
+          `Your study plan has been cancelled and reminders have been turned off.`
+        ),
+        nextState: 'welcome'
+      };
     } catch (error) {
       console.error('❌ Plan cancellation error:', error);
       return `I'm having trouble cancelling your plan. Please try again or type "menu" to return to the main menu.`;
@@ -509,3 +517,27 @@ export const studyPlanHandler = {
     );
   }
 };
+
+const STUDY_PLAN_TRANSITIONS = ['study_session', 'practice_session', 'study_completed', 'welcome'];
+
+export const studyPlanRoutes = {
+  owner: 'studyPlanHandler',
+  states: {
+    study_plan: {
+      transitions: STUDY_PLAN_TRANSITIONS,
+      // "view plan" -> view_plan, "skip day" -> skip_day
+      handle: ({ user, text }) =>
+        studyPlanHandler.handleStudyPlanAction(user, text.trim().toLowerCase().replace(/\s+/g, '_'))
+    },
+    study_session: { transitions: [] },
+    practice_session: { transitions: [] },
+    study_completed: { transitions: [] }
+  },
+  commands: {
+    study_plan_action: {
+      from: ['study_plan'],
+      transitions: STUDY_PLAN_TRANSITIONS,
+      handle: ({ user, command }) => studyPlanHandler.handleStudyPlanAction(user, command.action)
+    }
+  }
+};
@@ -9,20 +9,39 @@
  * - Comprehensive error handling and logging
  */
 
+import { waitUntil } from '@vercel/functions';
 import { findOrCreateUser, updateUserActivity, updateUser } from './services/userService.js';
 import { parseCommand, isExpectingTextInput } from './utils/commandParser.js';
 import { formatResponse, formatErrorResponse } from './utils/responseFormatter.js';
 import { CONSTANTS, MESSAGES } from './config/constants.js';
-
-import { examPrepHandler } from './handlers/examPrepHandler.js';
-import { homeworkHandler } from './handlers/homeworkHandler.js';
-import { practiceHandler } from './handlers/practiceHandler.js';
-import { conversationalExamPrepHandler } from './handlers/conversationalExamPrepHandler.js';
-import { studyPlanHandler } from './handlers/studyPlanHandler.js';
-import { aiTutorHandler } from './handlers/aiTutorHandler.js';
-import { analyticsHandler } from './handlers/analyticsHandler.js';
+import { env } from '../../../lib/config.js';
+import {
+  SIGNATURE_HEADER,
+  parseSecrets,
+  readRawBody,
+  verifyCallbackToken,
+  verifyWebhookSignature
+} from './utils/webhookSignature.js';
+import { prependText, replyText } from './utils/richReply.js';
+import { PAYLOAD_KINDS, parseWebhookPayload } from './utils/webhookPayload.js';
+import { dedupService } from './services/dedupService.js';
+import { rateLimitService } from './services/rateLimitService.js';
+import { learnerLockService } from './services/learnerLockService.js';
+import { asyncReplyService } from './services/asyncReplyService.js';
+import { fallbackService } from './services/fallbackService.js';
+
+import { botRouter } from './config/routes.js';
+
+import { coreHandler } from './handlers/coreHandler.js';
 import { offlineHandler } from './handlers/offlineHandler.js';
+import { offlineService } from './services/offlineService.js';
 
+// Signature verification needs the exact bytes ManyChat sent, so we parse JSON ourselves
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
 
 export default async function handler(req, res) {
   const start = Date.now();
@@ -38,21 +57,154 @@ export default async function handler(req, res) {
     );
   }
 
-  const subscriberId = req.body.subscriber_id || req.body.psid;
-  const message = req.body.message;
+  let rawBody;
+  try {
+    rawBody = await readRawBody(req);
+  } catch (readError) {
+    // Aborted uploads and oversized bodies never reach verification
+    console.warn(`⚠️ Could not read webhook body: ${readError.message}`);
+    return res.status(400).json(
+      formatErrorResponse('Could not read request body', {
+        elapsed_ms: Date.now() - start
+      })
+    );
+  }
+
+  const secrets = parseSecrets(env.MANYCHAT_WEBHOOK_SECRETS);
+
+  let body;
+  try {
+    body = rawBody ? JSON.parse(rawBody) : {};
+  } catch (parseError) {
+    body = null;
+  }
+
+  let verification = verifyWebhookSignature({
+    rawBody,
+    header: req.headers[SIGNATURE_HEADER],
+    secrets,
+    toleranceSec: env.WEBHOOK_SIGNATURE_TOLERANCE_SEC
+  });
+
+  // Quick-reply taps come back from ManyChat without our header, carrying a token we minted
+  if (!verification.valid && verification.reason === 'missing_signature' && body?.callback_token) {
+    verification = verifyCallbackToken({
+      token: body.callback_token,
+      subscriberId: body.subscriber_id,
+      message: body.message,
+      secrets
+    });
+  }
+
+  if (!verification.valid) {
+    console.warn(`🔒 Rejected unsigned webhook: ${verification.reason}`);
+    return res.status(401).json(
+      formatErrorResponse('Invalid webhook signature', {
+        reason: verification.reason,
+        elapsed_ms: Date.now() - start
+      })
+    );
+  }
 
-  if (!subscriberId || !message) {
+  if (!body) {
     return res.status(400).json(
-      formatErrorResponse('Missing subscriber_id or message', {
-        subscriber_id: subscriberId,
+      formatErrorResponse('Request body must be valid JSON', {
+        elapsed_ms: Date.now() - start
+      })
+    );
+  }
+  req.body = body;
+
+  const parsed = parseWebhookPayload(body);
+  if (!parsed.ok) {
+    console.warn(`⚠️ Rejected webhook payload: ${parsed.error}`);
+    return res.status(400).json(
+      formatErrorResponse(parsed.error, {
+        payload_kind: parsed.kind,
+        issues: parsed.issues,
+        elapsed_ms: Date.now() - start
+      })
+    );
+  }
+
+  const inbound = parsed.data;
+  const { subscriberId } = inbound;
+
+  console.log(`📥 ${inbound.kind} from ${subscriberId}: "${inbound.message.substring(0, 100)}"`);
+
+  // ManyChat retries deliveries it thinks timed out; replay the stored reply instead of re-grading
+  const dedupKey = dedupService.buildKey({
+    subscriberId,
+    messageId: inbound.messageId,
+    signature: req.headers[SIGNATURE_HEADER],
+    callbackToken: body.callback_token
+  });
+
+  const delivery = await dedupService.begin(dedupKey, subscriberId);
+  if (delivery.duplicate) {
+    console.log(`♻️ Duplicate delivery for ${subscriberId} (${delivery.status})`);
+    return res.status(200).json(
+      delivery.response
+        ? { ...delivery.response, deduplicated: true }
+        : formatResponse(MESSAGES.ERRORS.STILL_PROCESSING, {
+            deduplicated: true,
+            elapsed_ms: Date.now() - start
+          })
+    );
+  }
+
+  const respond = async ({ status, payload }) => {
+    if (status === 200) {
+      await dedupService.complete(dedupKey, payload);
+    } else {
+      // Let the retry run the handlers again rather than replaying a failure
+      await dedupService.abandon(dedupKey);
+    }
+
+    return res.status(status).json(payload);
+  };
+
+  // One message per learner at a time; a second one waits and then sees the updated state
+  const turn = await learnerLockService.runExclusive(subscriberId, () =>
+    processMessage(inbound, start)
+  );
+
+  if (!turn.acquired) {
+    // Nothing ran, so a retry or resend must be processed normally
+    await dedupService.abandon(dedupKey);
+    return res.status(200).json(
+      formatResponse(MESSAGES.ERRORS.LEARNER_BUSY, {
+        busy: true,
         elapsed_ms: Date.now() - start
       })
     );
   }
 
-  console.log(`📥 Message from ${subscriberId}: "${message.substring(0, 100)}"`);
+  if (turn.result.background) {
+    // The lock stays held until the turn and its push finish; the host keeps the invocation alive
+    waitUntil(turn.result.background());
+  }
+
+  return respond(turn.result);
+}
+
+/**
+ * Run a single inbound message through the bot and build the webhook reply.
+ * @param {object} inbound - Normalized payload from parseWebhookPayload.
+ * @param {number} start - Request start time (ms).
+ * @returns {Promise<{status: number, payload: object, background?: Function}>} `background`
+ *   is set when a slow turn was acknowledged early and must still be finished.
+ */
+async function processMessage(inbound, start) {
+  const { subscriberId, message } = inbound;
 
   try {
+    const limit = await rateLimitService.consume('default', subscriberId);
+    if (!limit.allowed) {
+      console.warn(`🐢 Rate limited ${subscriberId} (${limit.hits} msgs, retry ${limit.retryAfterSec}s)`);
+      return rateLimitedResponse(MESSAGES.ERRORS.RATE_LIMITED, limit, start);
+    }
+
     const user = await findOrCreateUser(subscriberId);
     if (!user) {
       throw new Error('Failed to find or create user');
@@ -64,12 +216,26 @@ export default async function handler(req, res) {
 
     await updateUserActivity(user.id);
 
-    const command = parseCommand(message, {
-      current_menu: user.current_menu,
-      has_current_question: !!user.current_question_id,
-      expecting_answer: !!user.current_question_id,
-      expecting_text_input: isExpectingTextInput(user.current_menu)
-    });
+    if (inbound.kind === PAYLOAD_KINDS.MEDIA && !message) {
+      console.log(`🖼️ ${inbound.attachment.type} without caption from ${subscriberId}`);
+      return {
+        status: 200,
+        payload: formatResponse(MESSAGES.ERRORS.MEDIA_UNSUPPORTED, {
+          user_id: user.id,
+          elapsed_ms: Date.now() - start
+        })
+      };
+    }
+
+    const command =
+      inbound.kind === PAYLOAD_KINDS.OFFLINE_SYNC
+        ? { type: CONSTANTS.COMMAND_TYPES.OFFLINE_SYNC, data: inbound.sync }
+        : parseCommand(message, {
+            current_menu: user.current_menu,
+            has_current_question: !!user.current_question_id,
+            expecting_answer: !!user.current_question_id,
+            expecting_text_input: isExpectingTextInput(user.current_menu)
+          });
 
     // Defensive programming - ensure command has required properties
     const safeCommand = {
@@ -90,35 +256,29 @@ export default async function handler(req, res) {
       originalInput: safeCommand.originalInput?.substring(0, 50)
     });
 
+    // AI-backed states get a stricter budget to cap OpenAI spend per learner
+    if (rateLimitService.isAiBackedTurn(user.current_menu, safeCommand)) {
+      const aiLimit = await rateLimitService.consume('ai', subscriberId);
+      if (!aiLimit.allowed) {
+        console.warn(`🐢 AI budget exhausted for ${subscriberId} in ${user.current_menu}`);
+        return rateLimitedResponse(MESSAGES.ERRORS.AI_RATE_LIMITED, aiLimit, start);
+      }
+    }
+
     let reply = '';
 
     try {
-      // Extract connection metrics if available
-      const connectionData = {
-        response_time_ms: req.body.response_time_ms,
-        connection_type: req.body.connection_type,
-        signal_strength: req.body.signal_strength
-      };
+      // Validated connection metrics; sync uploads are already the offline path
+      const connectionData =
+        inbound.kind === PAYLOAD_KINDS.OFFLINE_SYNC ? null : inbound.connection;
 
       // Check connectivity and suggest offline mode if needed
-      const connectivitySuggestion = await offlineHandler.checkConnectivityAndSuggestOffline(
-        user,
-        connectionData
-      );
+      const connectivitySuggestion = connectionData
+        ? await offlineHandler.checkConnectivityAndSuggestOffline(user, connectionData)
+        : null;
 
       if (connectivitySuggestion) {
-        // Log connection metrics
-        await executeQuery(async (supabase) => {
-          await supabase.from('connection_metrics').insert({
-            user_id: user.id,
-            session_id: req.body.session_id,
-            response_time_ms: connectionData.response_time_ms,
-            connection_type: connectionData.connection_type,
-            signal_strength: connectionData.signal_strength,
-            metric_date: new Date().toISOString(),
-            created_at: new Date().toISOString()
-          });
-        });
+        await offlineService.recordConnectionMetrics(user.id, inbound.sessionId, connectionData);
 
         // If user sent "continue", proceed normally
         if (safeCommand.text && safeCommand.text.toLowerCase() === 'continue') {
@@ -135,7 +295,7 @@ export default async function handler(req, res) {
             });
           }
 
-          return res.status(200).json({ message: reply });
+          return { status: 200, payload: { message: reply } };
         }
       }
     } catch (connectionError) {
@@ -143,591 +303,91 @@ export default async function handler(req, res) {
       // Continue with normal flow if connection check fails
     }
     
-    // Route to appropriate handlers
-    switch (safeCommand.type) {
-      // ===== CORE FLOWS =====
-
-      case 'welcome_menu':
-      case 'unrecognized':
-        reply = await showWelcomeMenu(user);
-        break;
-
-      case CONSTANTS.COMMAND_TYPES.EXAM_PREP:
-        if (safeCommand.action === 'start') {
-          // Check if user prefers conversation mode
-          if (user.prefers_conversation !== false) {
-            reply = await conversationalExamPrepHandler.startConversation(user);
-          } else {
-            reply = await examPrepHandler.startExamPrep(user);
-          }
-        }
-        break;
-
-      case CONSTANTS.COMMAND_TYPES.HOMEWORK:
-        if (safeCommand.action === 'start') {
-          // CRITICAL FIX: Changed from startHomework to startHomeworkHelp
-          reply = await homeworkHandler.startHomeworkHelp(user);
-        }
-        break;
-
-      case CONSTANTS.COMMAND_TYPES.PRACTICE:
-        if (safeCommand.action === 'start') {
-          reply = await practiceHandler.startPractice(user);
-        }
-        break;
-
-      case CONSTANTS.COMMAND_TYPES.ANSWER:
-        reply = await handleAnswerSubmission(user, safeCommand.answer);
-        break;
-
-      case 'offline_ready':
-        const offlineResult = await offlineHandler.handleOfflineInteraction(user, safeCommand.text);
-        reply = offlineResult.message;
-
-        // Update user state if needed
-        if (offlineResult.nextState && offlineResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: offlineResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      case 'offline_active':
-        const offlineActiveResult = await offlineHandler.handleOfflineActiveState(
-          user,
-          safeCommand.text
-        );
-        reply = offlineActiveResult.message;
-
-        // Update user state if needed
-        if (offlineActiveResult.nextState && offlineActiveResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: offlineActiveResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      case CONSTANTS.COMMAND_TYPES.OFFLINE:
-        reply = await offlineHandler.requestOfflinePackage(user, {
-          includeTopics: safeCommand.topics ? safeCommand.topics.split(',') : [],
-          daysToInclude: safeCommand.days ? parseInt(safeCommand.days) : 3
-        });
-        break;
-      // ===== STUDY PLAN ACTIONS =====
-      case 'study_plan_action':
-        reply = await studyPlanHandler.handleStudyPlanAction(user, safeCommand.action);
-        break;
-
-      case CONSTANTS.COMMAND_TYPES.TUTOR:
-        if (safeCommand.topic) {
-          // Start tutoring with specified topic
-          reply = await aiTutorHandler.startTutoring(user, { topic: safeCommand.topic });
-        } else {
-          // Check if we should show topic selection or start general tutoring
-          const showTopicSelection = safeCommand.action === 'topics';
-
-          if (showTopicSelection) {
-            const topics = await aiTutorHandler.getTutoringTopics(user);
-            reply = `What topic would you like help with?\n\n• ${topics.join('\n• ')}\n\nOr type any other topic you need help with.`;
-            await updateUser(user.id, { current_menu: 'tutor_topic_selection' });
-          } else {
-            // Start general tutoring
-            reply = await aiTutorHandler.startTutoring(user);
-          }
-        }
-        break;
-
-      case 'progress_summary':
-        const progressResult = await analyticsHandler.handleProgressInteraction(
-          user,
-          safeCommand.text
-        );
-        reply = progressResult.message;
-
-        // Update user state if needed
-        if (progressResult.nextState && progressResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: progressResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      case 'topic_report':
-        const topicReportResult = await analyticsHandler.handleTopicReportInteraction(
-          user,
-          safeCommand.text
-        );
-        reply = topicReportResult.message;
-
-        // Update user state if needed
-        if (topicReportResult.nextState && topicReportResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: topicReportResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      // Add command handler for progress
-      case CONSTANTS.COMMAND_TYPES.PROGRESS:
-        reply = await analyticsHandler.showProgressSummary(user);
-        break;
-
-      // Update welcome message to include progress option
-      case 'welcome':
-        // Check if user has active study plan or recent activity
-        const hasActivity = await executeQuery(async (supabase) => {
-          const { count, error } = await supabase
-            .from('practice_attempts')
-            .select('id', { count: 'exact', head: true })
-            .eq('user_id', user.id);
-
-          return !error && count > 0;
-        });
-
-        if (hasActivity) {
-          // Add progress option to welcome menu
-          MESSAGES.WELCOME.MAIN_MENU += '\n• Type *progress* to check your study progress';
-        }
-
-        reply = MESSAGES.WELCOME.MAIN_MENU;
-        break;
-
-      // Also update the conversational exam prep handling to generate plans:
-      case 'text_input':
-        if (user.current_menu === 'exam_prep_conversation') {
-          const conversationResult = await conversationalExamPrepHandler.handleConversationMessage(
-            user,
-            safeCommand.text
-          );
-
-          reply = conversationResult.message;
-
-          // If conversation is complete, generate study plan
-          if (conversationResult.conversation_complete) {
-            // Get session
-            const session = await conversationalExamPrepHandler.getExamPrepSession(user.id);
-
-            if (session) {
-              // Generate and show study plan
-              const planVisualization = await studyPlanHandler.generateStudyPlan(user, session);
-              reply += '\n\n' + planVisualization;
-
-              // Update user state
-              await updateUser(user.id, { current_menu: 'study_plan' });
-            } else {
-              await updateUser(user.id, { current_menu: 'welcome' });
-            }
-          }
-
-          // If we should restart, reset to traditional flow
-          if (conversationResult.shouldRestart) {
-            await updateUser(user.id, { current_menu: 'exam_prep_grade' });
-          }
-        } else {
-          // Handle other text inputs as before
-          reply = await handleTextInput(user, safeCommand.text);
-        }
-        break;
-
-      case 'practice_active':
-        const practiceResult = await practiceHandler.handlePracticeInteraction(
-          user,
-          safeCommand.text
-        );
-        reply = practiceResult.message;
-
-        // Update user state if needed
-        if (practiceResult.nextState && practiceResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: practiceResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      case 'practice_solution':
-        // Handle understanding rating (1-5)
-        if (/^[1-5]$/.test(safeCommand.text)) {
-          const ratingResult = await practiceHandler.handlePracticeInteraction(
-            user,
-            safeCommand.text
-          );
-          reply = ratingResult.message;
-
-          // Update user state if needed
-          if (ratingResult.nextState && ratingResult.nextState !== user.current_menu) {
-            await updateUser(user.id, {
-              current_menu: ratingResult.nextState,
-              last_active_at: new Date().toISOString()
-            });
-          }
-        } else {
-          reply = `Please rate your understanding from 1-5, with 5 being complete understanding.`;
-        }
-        break;
-
-      case 'practice_offer':
-        const offerResult = await practiceHandler.handleNextQuestionResponse(
-          user,
-          safeCommand.text
-        );
-        reply = offerResult.message;
-
-        // Update user state if needed
-        if (offerResult.nextState && offerResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: offerResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      case 'tutor_topic_selection':
-        const topicResult = await aiTutorHandler.handleTopicSelection(user, safeCommand.text);
-        reply = topicResult.message;
-
-        // Update user state if needed
-        if (topicResult.nextState && topicResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: topicResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-      case 'tutor_active':
-        const tutorResult = await aiTutorHandler.handleTutoringMessage(user, safeCommand.text);
-        reply = tutorResult.message;
-
-        // Update user state if needed
-        if (tutorResult.nextState && tutorResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: tutorResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      case 'practice_active':
-        // Add option to ask tutor for help with current question
-        if (
-          safeCommand.text.toLowerCase() === 'ask tutor' ||
-          safeCommand.text.toLowerCase() === 'help' ||
-          safeCommand.text.toLowerCase() === 'tutor help'
-        ) {
-          // Get current question
-          const { currentQuestion, context } = await practiceHandler.getCurrentQuestionData(user);
-
-          if (currentQuestion) {
-            // Start tutoring with question context
-            reply = await aiTutorHandler.startTutoring(user, {
-              topic: currentQuestion.topic,
-              questionContext: currentQuestion.question_text,
-              startMode: 'question_help'
-            });
-
-            await updateUser(user.id, { current_menu: 'tutor_active' });
-          } else {
-            reply = await practiceHandler.handlePracticeInteraction(user, safeCommand.text);
-          }
-        } else {
-          // Handle normal practice interaction
-          const practiceResult = await practiceHandler.handlePracticeInteraction(
-            user,
-            safeCommand.text
-          );
-          reply = practiceResult.message;
-
-          // Update user state if needed
-          if (practiceResult.nextState && practiceResult.nextState !== user.current_menu) {
-            await updateUser(user.id, {
-              current_menu: practiceResult.nextState,
-              last_active_at: new Date().toISOString()
-            });
-          }
-        }
-        break;
-
-      // Add integration with lessons
-      case 'lesson_active':
-        // Add option to ask tutor about current lesson
-        if (
-          safeCommand.text.toLowerCase() === 'ask tutor' ||
-          safeCommand.text.toLowerCase() === 'help' ||
-          safeCommand.text.toLowerCase() === 'tutor help'
-        ) {
-          // Get current lesson
-          const { currentLesson, context } = await lessonDeliveryHandler.getCurrentLessonData(user);
-
-          if (currentLesson) {
-            // Start tutoring with lesson context
-            reply = await aiTutorHandler.startTutoring(user, {
-              topic: currentLesson.topic,
-              lessonContext: currentLesson.title,
-              startMode: 'lesson_followup'
-            });
-
-            await updateUser(user.id, { current_menu: 'tutor_active' });
-          } else {
-            reply = await lessonDeliveryHandler.handleLessonNavigation(user, safeCommand.text);
-          }
-        } else {
-          // Handle normal lesson navigation
-          const lessonNavResult = await lessonDeliveryHandler.handleLessonNavigation(
-            user,
-            safeCommand.text
-          );
-          reply = lessonNavResult.message;
-
-          // Update user state if needed
-          if (lessonNavResult.nextState && lessonNavResult.nextState !== user.current_menu) {
-            await updateUser(user.id, {
-              current_menu: lessonNavResult.nextState,
-              last_active_at: new Date().toISOString()
-            });
-          }
-        }
-        break;
-
-      // Add command handler for standalone practice
-      case CONSTANTS.COMMAND_TYPES.PRACTICE:
-        // Start practice with specified topic if provided
-        const practiceTopic = safeCommand.topic || 'algebra';
-        const practiceStart = await practiceHandler.startPractice(user, {
-          topic: practiceTopic,
-          difficulty: safeCommand.difficulty || 'medium'
-        });
-
-        reply = practiceStart;
-        break;
-
-      case 'lesson_active':
-        const lessonNavResult = await lessonDeliveryHandler.handleLessonNavigation(
-          user,
-          safeCommand.text
-        );
-        reply = lessonNavResult.message;
-
-        // Update user state if needed
-        if (lessonNavResult.nextState && lessonNavResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: lessonNavResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      case 'lesson_feedback':
-        const feedbackResult = await lessonDeliveryHandler.handleLessonFeedbackText(
-          user,
-          safeCommand.text
-        );
-        reply = feedbackResult.message;
-
-        // Update user state if needed
-        if (feedbackResult.nextState && feedbackResult.nextState !== user.current_menu) {
-          await updateUser(user.id, {
-            current_menu: feedbackResult.nextState,
-            last_active_at: new Date().toISOString()
-          });
-        }
-        break;
-
-      // ===== HANDLE CONVERSATION MESSAGES =====
-      case 'text_input':
-        if (user.current_menu === 'exam_prep_conversation') {
-          const conversationResult = await conversationalExamPrepHandler.handleConversationMessage(
-            user,
-            safeCommand.text
-          );
-
-          reply = conversationResult.message;
-
-          // If conversation is complete, update user state
-          if (conversationResult.conversation_complete) {
-            await updateUser(user.id, { current_menu: 'exam_prep_plan' });
-          }
-
-          // If we should restart, reset to traditional flow
-          if (conversationResult.shouldRestart) {
-            await updateUser(user.id, { current_menu: 'exam_prep_grade' });
-          }
-        } else {
-          // Handle other text inputs as before
-          reply = await handleTextInput(user, safeCommand.text);
-        }
-        break;
-
-      // ===== EXAM PREP SPECIFIC =====
-
-      case 'exam_prep_subject':
-        reply = await examPrepHandler.handleExamPrepMenu(user, safeCommand.menuChoice);
-        break;
-
-      // CRITICAL FIX: Added missing exam prep plan action handling
-      case 'exam_prep_plan_action':
-        reply = await examPrepHandler.handleExamPrepPlanAction(user, safeCommand.action);
-        break;
-
-      // CRITICAL FIX: Added exam lesson menu handling
-      case 'exam_lesson_menu':
-        reply = await examPrepHandler.handleExamLessonMenu(user, safeCommand.menuChoice);
-        break;
-
-      // ===== HOMEWORK SPECIFIC =====
-
-      case 'homework_subject':
-        reply = await homeworkHandler.handleHomeworkMenu(user, safeCommand.menuChoice);
-        break;
-
-      case 'homework_lesson_menu':
-        reply = await homeworkHandler.handleHomeworkLessonMenu(user, safeCommand.menuChoice);
-        break;
-
-      // ===== PRACTICE SPECIFIC =====
-
-      case 'practice_continue':
-        reply = await practiceHandler.handlePracticeContinue(user, safeCommand.action);
-        break;
-
-      // ===== TEXT INPUT HANDLING =====
+    // Route through the declarative state machine (see config/routes.js)
+    const slow = botRouter.isSlow(user.current_menu, safeCommand);
+    const work = botRouter.dispatch(user, safeCommand).then(async (routed) => {
+      console.log(
+        `✅ Reply generated (${replyText(routed.message).length} chars) by ${routed.route.owner}`
+      );
 
-      case 'text_input':
-        reply = await handleTextInput(user, safeCommand.text);
-        break;
+      // AI turns answered from fallback content say so
+      if (slow && fallbackService.isDegraded()) {
+        routed.message = prependText(MESSAGES.AI_LIMITED.BANNER, routed.message);
+      }
 
-      // ===== ERROR HANDLING =====
+      // Update user's last interaction
+      await updateUser(user.id, {
+        last_active_at: new Date().toISOString()
+      });
 
-      case 'invalid_answer':
-        reply = MESSAGES.ERRORS.INVALID_ANSWER;
-        break;
+      return routed;
+    });
 
-      case 'invalid_option':
-        reply = `${MESSAGES.ERRORS.INVALID_MENU_OPTION}\n\nValid range: ${safeCommand.validRange}`;
-        break;
+    // Slow (OpenAI) turns that overrun get a quick ack; the reply is pushed when ready
+    if (slow) {
+      const early = await asyncReplyService.race(work);
 
-      default:
-        console.warn(`⚠️ Unhandled command type: ${safeCommand.type}`);
-        reply = await showWelcomeMenu(user);
-        break;
+      if (!early.settled) {
+        console.log(`⏳ Slow turn for user ${user.id}, replying asynchronously`);
+        return {
+          status: 200,
+          payload: formatResponse(MESSAGES.ASYNC.THINKING, {
+            user_id: user.id,
+            subscriber_id: subscriberId,
+            command_type: safeCommand.type,
+            async_reply: true,
+            elapsed_ms: Date.now() - start
+          }),
+          background: () => asyncReplyService.deliver(user.id, work.then((r) => r.message))
+        };
+      }
     }
 
-    console.log(`✅ Reply generated (${reply.length} chars)`);
+    reply = (await work).message;
 
-    // Update user's last interaction
-    await updateUser(user.id, {
-      last_active_at: new Date().toISOString()
-    });
-
-    return res.status(200).json(
-      formatResponse(reply, {
+    return {
+      status: 200,
+      payload: formatResponse(reply, {
         user_id: user.id,
+        subscriber_id: subscriberId,
         command_type: safeCommand.type,
         elapsed_ms: Date.now() - start
       })
-    );
+    };
   } catch (error) {
     console.error('❌ Handler error:', error);
 
     const errorReply =
       process.env.NODE_ENV === 'development' ? `Error: ${error.message}` : MESSAGES.ERRORS.GENERIC;
 
-    return res.status(500).json(
-      formatErrorResponse(errorReply, {
+    return {
+      status: 500,
+      payload: formatErrorResponse(errorReply, {
         error: error.message,
         elapsed_ms: Date.now() - start
       })
-    );
+    };
   }
 }
 
 // ===== HELPER FUNCTIONS =====
 
-async function showWelcomeMenu(user) {
-  console.log(`🏠 Showing welcome menu to user ${user.id}`);
-
-  await updateUser(user.id, {
-    current_menu: 'welcome',
-    current_question_id: null,
-    homework_session_id: null
-  });
-
-  return MESSAGES.WELCOME.MAIN_MENU;
-}
-
-async function handleAnswerSubmission(user, answer) {
-  console.log(`📝 Answer submission from user ${user.id}: ${answer}`);
-
-  if (!user.current_question_id) {
-    return MESSAGES.ERRORS.NO_QUESTION_ACTIVE;
-  }
-
-  // Determine context based on current menu
-  const context = user.current_menu;
-
-  if (context === 'practice_active') {
-    return await practiceHandler.handlePracticeAnswer(user, answer);
-  } else if (context === 'exam_practice_active' || user.exam_practice_context) {
-    return await examPrepHandler.handleExamPracticeAnswer(user, answer);
-  } else if (context === 'homework_practice_active') {
-    return await homeworkHandler.handleHomeworkPracticeAnswer(user, answer);
-  } else {
-    // Default to practice handler
-    return await practiceHandler.handlePracticeAnswer(user, answer);
-  }
-}
-
-async function handleTextInput(user, text) {
-  console.log(`📝 Text input from user ${user.id}: "${text.substring(0, 50)}"`);
-
-  const currentMenu = user.current_menu;
-
-  switch (currentMenu) {
-    // ===== EXAM PREP TEXT INPUTS =====
-
-    case 'exam_prep_grade':
-    case 'exam_prep_exam_date':
-    case 'exam_prep_problems':
-    case 'exam_prep_time':
-      return await examPrepHandler.handleExamPrepText(user, text);
-
-    // ===== HOMEWORK TEXT INPUTS =====
-
-    case 'homework_grade':
-    case 'homework_subject':
-    case 'homework_confusion':
-      return await homeworkHandler.handleHomeworkText(user, text);
-
-    // ===== GENERAL GRADE INPUT =====
-
-    case 'ask_grade':
-      return await handleGradeInput(user, text);
-
-    default:
-      console.warn(`⚠️ Unhandled text input menu: ${currentMenu}`);
-      return `I didn't understand that input. Type "menu" to go back to the main menu. ✨`;
-  }
-}
-
-async function handleGradeInput(user, text) {
-  const grade = text.trim().toLowerCase();
-
-  if (!CONSTANTS.VALID_GRADES.includes(grade)) {
-    return `Please enter a valid grade: 10, 11, or varsity. 🎓`;
-  }
-
-  await updateUser(user.id, {
-    grade,
-    current_menu: 'welcome'
-  });
-
-  return `Grade ${grade} saved! 📚\n\n${MESSAGES.WELCOME.MAIN_MENU}`;
+function rateLimitedResponse(reply, limit, start) {
+  return {
+    status: 200,
+    payload: formatResponse(reply, {
+      rate_limited: true,
+      retry_after_sec: limit.retryAfterSec,
+      elapsed_ms: Date.now() - start
+    })
+  };
 }
 
 // Export utility functions for testing
+const showWelcomeMenu = (user) => coreHandler.showWelcomeMenu(user);
+const handleAnswerSubmission = (user, answer) => coreHandler.handleAnswerSubmission(user, answer);
+const handleTextInput = (user, text) => coreHandler.handleTextInput(user, text);
+
 export {
   showWelcomeMenu,
   handleAnswerSubmission,
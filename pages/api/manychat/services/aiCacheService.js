@@ -0,0 +1,311 @@
+/**
+ * AI Response Cache
+ * Date: 2026-10-19 23:10:00 UTC
+ *
+ * Content-addressed cache for model replies that many learners trigger with
+ * the same input: the explanation for a wrong choice on a question, the
+ * homework/problem analyses and follow-ups, and the tutor's opening answer
+ * after a lesson. The key is a hash of everything that shapes the reply
+ * (question id and content, chosen answer, grade, prompt version, ...), so a
+ * new prompt version or an edited question simply misses. Entries expire
+ * after AI_CACHE_TTL_HOURS; editing or deleting a question also drops its
+ * entries (trigger in 015_ai_response_cache.sql, or invalidateQuestion()).
+ *
+ * Every lookup counts as a hit or miss per feature and UTC day; the AI spend
+ * report shows the hit rate. The cache fails open: a store outage is a miss.
+ */
+
+import crypto from 'crypto';
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+
+// Key order must not change the hash: { a, b } and { b, a } are the same input
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Cache key for a feature and the inputs that shape its reply
+ *
+ * @param {string} feature - One of AI_FEATURES
+ * @param {Object} parts - Reply inputs; key order doesn't matter
+ * @returns {string} e.g. "explanation:3f2a..."
+ */
+export function cacheKey(feature, parts) {
+  return `${feature}:${sha256(stableStringify(parts))}`;
+}
+
+/**
+ * Hash of the question fields a reply depends on. Part of every question key,
+ * so an edited question never serves the old explanation.
+ *
+ * @param {Object} question - mcqs or practice_questions row
+ * @returns {string} Short content hash
+ */
+export function questionFingerprint(question) {
+  return sha256(
+    stableStringify({
+      question_text: question?.question_text,
+      choices: question?.choices,
+      correct_choice: question?.correct_choice,
+      solution_steps: question?.solution_steps,
+      hints: question?.hints
+    })
+  ).slice(0, 16);
+}
+
+/**
+ * Free text as a cache input: "  Derivatives??" and "derivatives??" are the same question
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * In-memory store. Used by tests and local development.
+ */
+export class MemoryAICacheStore {
+  constructor() {
+    this.entries = new Map();
+    this.counts = new Map();
+  }
+
+  async lookup(key, feature, now = new Date()) {
+    const entry = this.entries.get(key);
+    const live = entry && entry.expires_at > now.getTime();
+    if (entry && !live) this.entries.delete(key);
+
+    const id = `${utcDay(now)}|${feature}`;
+    const row = this.counts.get(id) || { day: utcDay(now), feature, hits: 0, misses: 0 };
+    if (live) row.hits++;
+    else row.misses++;
+    this.counts.set(id, row);
+
+    return live ? entry.value : null;
+  }
+
+  async save(entry) {
+    this.entries.set(entry.key, { ...entry, expires_at: new Date(entry.expires_at).getTime() });
+  }
+
+  async invalidateQuestion(questionId) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.question_id === questionId) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async counters(fromDay, toDay) {
+    return [...this.counts.values()].filter((row) => row.day >= fromDay && row.day <= toDay);
+  }
+}
+
+/**
+ * Postgres store (tables: ai_response_cache, ai_cache_stats; function: ai_cache_lookup)
+ */
+export class SupabaseAICacheStore {
+  async lookup(key, feature) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.rpc('ai_cache_lookup', {
+        p_key: key,
+        p_feature: feature
+      });
+
+      if (error) throw error;
+      return data ?? null;
+    });
+  }
+
+  async save(entry) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase.from('ai_response_cache').upsert(
+        {
+          key: entry.key,
+          feature: entry.feature,
+          question_id: entry.question_id,
+          prompt_version: entry.prompt_version,
+          value: entry.value,
+          expires_at: entry.expires_at,
+          created_at: new Date().toISOString()
+        },
+        { onConflict: 'key' }
+      );
+
+      if (error) throw error;
+    });
+  }
+
+  async invalidateQuestion(questionId) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from('ai_response_cache')
+        .delete()
+        .eq('question_id', questionId)
+        .select('key');
+
+      if (error) throw error;
+      return data?.length || 0;
+    });
+  }
+
+  async counters(fromDay, toDay) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from('ai_cache_stats')
+        .select('day, feature, hits, misses')
+        .gte('day', fromDay)
+        .lte('day', toDay);
+
+      if (error) throw error;
+      return data || [];
+    });
+  }
+}
+
+export class AICacheService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryAICacheStore or SupabaseAICacheStore
+   * @param {number} options.ttlSeconds - How long an entry is served; 0 turns the cache off
+   */
+  constructor({ store, ttlSeconds }) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  get enabled() {
+    return this.ttlSeconds > 0;
+  }
+
+  /**
+   * Cached reply for these inputs, or null. Never throws.
+   *
+   * @param {string} feature - One of AI_FEATURES
+   * @param {Object} parts - Reply inputs, as passed to set()
+   * @returns {Promise<*>} The cached value or null
+   */
+  async get(feature, parts) {
+    if (!this.enabled) return null;
+
+    try {
+      const value = await this.store.lookup(cacheKey(feature, parts), feature);
+      if (value !== null) console.log(`✅ AI cache hit (${feature})`);
+      return value;
+    } catch (error) {
+      console.error(`❌ AI cache lookup failed (${feature}), calling the model:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a reply. Never throws.
+   *
+   * @param {string} feature - One of AI_FEATURES
+   * @param {Object} parts - Reply inputs
+   * @param {*} value - JSON-serialisable reply
+   * @param {Object} options
+   * @param {string|null} options.questionId - Question the reply is about, for invalidation
+   * @param {string|null} options.promptVersion - Prompt id, e.g. explanation@v1
+   * @param {number} options.ttlSeconds - Overrides AI_CACHE_TTL_HOURS for this entry
+   */
+  async set(
+    feature,
+    parts,
+    value,
+    { questionId = null, promptVersion = null, ttlSeconds = this.ttlSeconds } = {}
+  ) {
+    if (!this.enabled || value === null || value === undefined) return;
+
+    try {
+      await this.store.save({
+        key: cacheKey(feature, parts),
+        feature,
+        question_id: questionId,
+        prompt_version: promptVersion,
+        value,
+        expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ Could not cache AI ${feature} reply:`, error);
+    }
+  }
+
+  /**
+   * Drop every cached reply about a question. The database trigger does this
+   * on edits made in SQL; call it after editing a question from code.
+   *
+   * @param {string} questionId - mcqs or practice_questions id
+   * @returns {Promise<number>} Entries removed
+   */
+  async invalidateQuestion(questionId) {
+    const removed = await this.store.invalidateQuestion(questionId);
+    console.log(`🧹 Dropped ${removed} cached AI replies for question ${questionId}`);
+    return removed;
+  }
+
+  /**
+   * Hits, misses and hit rate per feature over the last `days` UTC days
+   *
+   * @param {Object} options
+   * @param {number} options.days - Window length
+   * @param {Date} options.now - End of the window
+   * @returns {Promise<Object>} { ttl_seconds, total, features }
+   */
+  async stats({ days = 1, now = new Date() } = {}) {
+    const from = new Date(now.getTime() - (Math.ceil(days) - 1) * 24 * 60 * 60 * 1000);
+    const rows = await this.store.counters(utcDay(from), utcDay(now));
+
+    const byFeature = new Map();
+    for (const row of rows) {
+      const sum = byFeature.get(row.feature) || { feature: row.feature, hits: 0, misses: 0 };
+      sum.hits += Number(row.hits);
+      sum.misses += Number(row.misses);
+      byFeature.set(row.feature, sum);
+    }
+
+    const withRate = (sum) => ({
+      ...sum,
+      hit_rate:
+        sum.hits + sum.misses > 0
+          ? Math.round((sum.hits / (sum.hits + sum.misses)) * 1000) / 1000
+          : 0
+    });
+
+    const features = [...byFeature.values()].map(withRate).sort((a, b) => b.hits - a.hits);
+    const total = withRate(
+      features.reduce(
+        (sum, row) => ({ hits: sum.hits + row.hits, misses: sum.misses + row.misses }),
+        {
+          hits: 0,
+          misses: 0
+        }
+      )
+    );
+
+    return { ttl_seconds: this.ttlSeconds, total, features };
+  }
+}
+
+export const aiCacheService = new AICacheService({
+  store: env.AI_CACHE_STORE === 'memory' ? new MemoryAICacheStore() : new SupabaseAICacheStore(),
+  ttlSeconds: env.AI_CACHE_TTL_HOURS * 60 * 60
+});
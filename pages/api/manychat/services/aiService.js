@@ -1,66 +1,84 @@
-import { getOpenAIClient, OPENAI_CONFIG, GPT_PROMPTS } from '../config/openai.js';
+import { OPENAI_CONFIG } from '../config/openai.js';
+import { renderPrompt } from '../config/prompts.js';
+import { FallbackService } from './fallbackService.js';
+import { AI_FEATURES, aiUsageService } from './aiUsageService.js';
+import { requireLLMProvider } from './llmProvider.js';
+import { aiCacheService, normalizeText, questionFingerprint } from './aiCacheService.js';
+import { retrievalService, withPassages } from './retrievalService.js';
 
 export class AIService {
   constructor() {
-    this.client = null;
+    this.provider = null;
     this.requestCount = 0;
-  }
-
-  async getClient() {
-    if (!this.client) {
-      this.client = getOpenAIClient();
-    }
-    return this.client;
+    this.cacheHits = 0;
   }
 
   // NEW: Analyze homework problem for method teaching
   async analyzeHomeworkProblem(userProfile, confusionText, context = {}) {
+    // Our lessons and worked solutions on this problem; cited back to the
+    // learner even when the model is unavailable
+    const passages = await retrievalService.search(
+      `${confusionText} ${context.problem_type_display || ''}`
+    );
+    const sources = passages.map(({ source, title }) => ({ source, title }));
+
     try {
       console.log(
         `🔍 Analyzing homework problem for user ${userProfile.id}: "${confusionText.substring(0, 100)}"`
       );
 
       // Try cache first
-      const cached = await gptCacheService.getCachedAnalysis(
-        `homework_${context.problem_type}_${confusionText}`,
-        userProfile.grade || '10',
-        3 // Default priority for homework
-      );
+      const systemPrompt = renderPrompt(AI_FEATURES.HOMEWORK_ANALYSIS);
+      const cacheParts = {
+        problemType: context.problem_type,
+        subject: context.subject,
+        text: normalizeText(confusionText),
+        grade: userProfile.grade || '10',
+        passages: passages.map((passage) => passage.id),
+        promptVersion: systemPrompt.id
+      };
+      const cached = await aiCacheService.get(AI_FEATURES.HOMEWORK_ANALYSIS, cacheParts);
 
       if (cached) {
         this.cacheHits++;
         console.log(`✅ Homework analysis cache hit! (${this.cacheHits} hits today)`);
-        return this.validateAnalysis(cached);
+        return { ...this.validateAnalysis(cached), sources };
       }
 
       // Cache miss - generate new analysis
-      const client = await this.getClient();
-      const analysisPrompt = this.buildHomeworkAnalysisPrompt(userProfile, confusionText, context);
-
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.HOMEWORK_ANALYSIS_SYSTEM },
-          { role: 'user', content: analysisPrompt }
-        ],
-        max_tokens: 400,
-        temperature: 0.3,
-        response_format: { type: 'json_object' }
-      });
+      const provider = requireLLMProvider(this.provider);
+      const analysisPrompt = withPassages(
+        this.buildHomeworkAnalysisPrompt(userProfile, confusionText, context),
+        passages
+      );
+
+      const completion = await aiUsageService.completeJSON(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: analysisPrompt }
+          ],
+          max_tokens: 400,
+          temperature: 0.3
+        },
+        {
+          feature: AI_FEATURES.HOMEWORK_ANALYSIS,
+          userId: userProfile.id,
+          promptVersion: systemPrompt.id
+        }
+      );
 
       this.requestCount++;
 
-      const rawResponse = completion.choices[0].message.content.trim();
-      const analysis = JSON.parse(rawResponse);
+      const analysis = completion.data;
       const validatedAnalysis = this.validateAnalysis(analysis);
 
       // Cache the result
-      await gptCacheService.cacheAnalysis(
-        `homework_${context.problem_type}_${confusionText}`,
-        userProfile.grade || '10',
-        3,
-        validatedAnalysis
-      );
+      await aiCacheService.set(AI_FEATURES.HOMEWORK_ANALYSIS, cacheParts, validatedAnalysis, {
+        promptVersion: systemPrompt.id
+      });
 
       console.log(`✅ New homework analysis generated and cached:`, {
         concepts: validatedAnalysis.concepts,
@@ -68,10 +86,10 @@ export class AIService {
         method_needed: validatedAnalysis.method_needed
       });
 
-      return validatedAnalysis;
+      return { ...validatedAnalysis, sources };
     } catch (error) {
       console.error('❌ Homework analysis failed:', error);
-      return this.getFallbackHomeworkAnalysis(confusionText, context);
+      return { ...this.getFallbackHomeworkAnalysis(confusionText, context), sources };
     }
   }
 
@@ -133,11 +151,15 @@ Respond in valid JSON format only:
       );
 
       // Try cache first
-      const cached = await gptCacheService.getCachedAnalysis(
-        problemText,
-        userProfile.grade || '10',
-        context.stress_level || 3
-      );
+      const systemPrompt = renderPrompt(AI_FEATURES.PROBLEM_ANALYSIS);
+      const cacheParts = {
+        text: normalizeText(problemText),
+        grade: userProfile.grade || '10',
+        stressLevel: context.stress_level || 3,
+        subjectChoice: context.subject_choice,
+        promptVersion: systemPrompt.id
+      };
+      const cached = await aiCacheService.get(AI_FEATURES.PROBLEM_ANALYSIS, cacheParts);
 
       if (cached) {
         this.cacheHits++;
@@ -146,33 +168,36 @@ Respond in valid JSON format only:
       }
 
       // Cache miss - generate new analysis
-      const client = await this.getClient();
+      const provider = requireLLMProvider(this.provider);
       const analysisPrompt = this.buildProblemAnalysisPrompt(userProfile, problemText, context);
 
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.PROBLEM_ANALYSIS_SYSTEM },
-          { role: 'user', content: analysisPrompt }
-        ],
-        max_tokens: 400,
-        temperature: 0.3,
-        response_format: { type: 'json_object' }
-      });
+      const completion = await aiUsageService.completeJSON(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: analysisPrompt }
+          ],
+          max_tokens: 400,
+          temperature: 0.3
+        },
+        {
+          feature: AI_FEATURES.PROBLEM_ANALYSIS,
+          userId: userProfile.id,
+          promptVersion: systemPrompt.id
+        }
+      );
 
       this.requestCount++;
 
-      const rawResponse = completion.choices[0].message.content.trim();
-      const analysis = JSON.parse(rawResponse);
+      const analysis = completion.data;
       const validatedAnalysis = this.validateAnalysis(analysis);
 
       // Cache the result
-      await gptCacheService.cacheAnalysis(
-        problemText,
-        userProfile.grade || '10',
-        context.stress_level || 3,
-        validatedAnalysis
-      );
+      await aiCacheService.set(AI_FEATURES.PROBLEM_ANALYSIS, cacheParts, validatedAnalysis, {
+        promptVersion: systemPrompt.id
+      });
 
       console.log(`✅ New analysis generated and cached:`, {
         concepts: validatedAnalysis.concepts,
@@ -193,11 +218,16 @@ Respond in valid JSON format only:
       console.log(`🎯 Generating follow-up for concepts: ${analysis.concepts.join(', ')}`);
 
       // Try cache first
-      const cached = await gptCacheService.getCachedFollowUp(
-        analysis,
-        userProfile.grade || '10',
-        previousFollowUps
-      );
+      const systemPrompt = renderPrompt(AI_FEATURES.FOLLOW_UP);
+      const cacheParts = {
+        concepts: analysis.concepts,
+        confusionType: analysis.confusion_type,
+        emotionalState: analysis.emotional_state,
+        previousFollowUps,
+        grade: userProfile.grade || '10',
+        promptVersion: systemPrompt.id
+      };
+      const cached = await aiCacheService.get(AI_FEATURES.FOLLOW_UP, cacheParts);
 
       if (cached) {
         this.cacheHits++;
@@ -206,25 +236,35 @@ Respond in valid JSON format only:
       }
 
       // Cache miss - generate new follow-up
-      const client = await this.getClient();
+      const provider = requireLLMProvider(this.provider);
       const followUpPrompt = this.buildFollowUpPrompt(userProfile, analysis, previousFollowUps);
 
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.FOLLOWUP_SYSTEM },
-          { role: 'user', content: followUpPrompt }
-        ],
-        max_tokens: 150,
-        temperature: 0.7
-      });
+      const completion = await aiUsageService.complete(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: followUpPrompt }
+          ],
+          max_tokens: 150,
+          temperature: 0.7
+        },
+        {
+          feature: AI_FEATURES.FOLLOW_UP,
+          userId: userProfile.id,
+          promptVersion: systemPrompt.id
+        }
+      );
 
       this.requestCount++;
-      const followUpQuestion = completion.choices[0].message.content.trim();
+      const followUpQuestion = completion.content.trim();
 
       // Validate and cache
       if (this.validateFollowUpQuestion(followUpQuestion)) {
-        await gptCacheService.cacheFollowUp(analysis, userProfile.grade || '10', followUpQuestion);
+        await aiCacheService.set(AI_FEATURES.FOLLOW_UP, cacheParts, followUpQuestion, {
+          promptVersion: systemPrompt.id
+        });
 
         console.log(
           `✅ New follow-up generated and cached: "${followUpQuestion.substring(0, 50)}..."`
@@ -245,7 +285,15 @@ Respond in valid JSON format only:
       console.log(`🔄 Refining analysis with follow-up: "${followUpResponse.substring(0, 50)}"`);
 
       // Try cache first
-      const cached = await gptCacheService.getCachedRefinement(initialAnalysis, followUpResponse);
+      const systemPrompt = renderPrompt(AI_FEATURES.ANALYSIS_REFINEMENT);
+      const cacheParts = {
+        concepts: initialAnalysis.concepts,
+        confusionType: initialAnalysis.confusion_type,
+        clarityLevel: initialAnalysis.clarity_level,
+        response: normalizeText(followUpResponse),
+        promptVersion: systemPrompt.id
+      };
+      const cached = await aiCacheService.get(AI_FEATURES.ANALYSIS_REFINEMENT, cacheParts);
 
       if (cached) {
         this.cacheHits++;
@@ -254,30 +302,39 @@ Respond in valid JSON format only:
       }
 
       // Cache miss - generate new refinement
-      const client = await this.getClient();
+      const provider = requireLLMProvider(this.provider);
       const refinementPrompt = this.buildRefinementPrompt(
         initialAnalysis,
         followUpResponse,
         userProfile
       );
 
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.REFINEMENT_SYSTEM },
-          { role: 'user', content: refinementPrompt }
-        ],
-        max_tokens: 300,
-        temperature: 0.3,
-        response_format: { type: 'json_object' }
-      });
+      const completion = await aiUsageService.completeJSON(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: refinementPrompt }
+          ],
+          max_tokens: 300,
+          temperature: 0.3
+        },
+        {
+          feature: AI_FEATURES.ANALYSIS_REFINEMENT,
+          userId: userProfile?.id,
+          promptVersion: systemPrompt.id
+        }
+      );
 
       this.requestCount++;
-      const refinedAnalysis = JSON.parse(completion.choices[0].message.content.trim());
+      const refinedAnalysis = completion.data;
       const validatedRefinement = this.validateAnalysis(refinedAnalysis);
 
       // Cache the result
-      await gptCacheService.cacheRefinement(initialAnalysis, followUpResponse, validatedRefinement);
+      await aiCacheService.set(AI_FEATURES.ANALYSIS_REFINEMENT, cacheParts, validatedRefinement, {
+        promptVersion: systemPrompt.id
+      });
 
       console.log(`✅ New refinement generated and cached:`, {
         concepts: validatedRefinement.concepts,
@@ -498,7 +555,25 @@ Respond in valid JSON format only:
     try {
       console.log(`🤖 Generating GPT explanation for user ${userProfile.id}`);
 
-      const client = await this.getClient();
+      // Learners who pick the same wrong choice share an explanation. Accuracy
+      // only shifts the tone, so it stays out of the key.
+      const systemPrompt = renderPrompt(AI_FEATURES.EXPLANATION);
+      const cacheParts = {
+        questionId: questionData.id,
+        question: questionFingerprint(questionData),
+        userAnswer,
+        correctAnswer,
+        grade: userProfile.grade || '10',
+        promptVersion: systemPrompt.id
+      };
+      const cached = await aiCacheService.get(AI_FEATURES.EXPLANATION, cacheParts);
+
+      if (cached) {
+        this.cacheHits++;
+        return cached;
+      }
+
+      const provider = requireLLMProvider(this.provider);
       const userPrompt = this.buildExplanationPrompt(
         questionData,
         userAnswer,
@@ -506,20 +581,34 @@ Respond in valid JSON format only:
         userProfile
       );
 
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.EXPLANATION_SYSTEM },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: OPENAI_CONFIG.MAX_TOKENS,
-        temperature: OPENAI_CONFIG.TEMPERATURE
-      });
+      const completion = await aiUsageService.complete(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: userPrompt }
+          ],
+          max_tokens: OPENAI_CONFIG.MAX_TOKENS,
+          temperature: OPENAI_CONFIG.TEMPERATURE
+        },
+        {
+          feature: AI_FEATURES.EXPLANATION,
+          userId: userProfile.id,
+          promptVersion: systemPrompt.id
+        }
+      );
 
       this.requestCount++;
       console.log(`✅ GPT explanation generated (${this.requestCount} requests today)`);
 
-      return completion.choices[0].message.content.trim();
+      const explanation = completion.content.trim();
+      await aiCacheService.set(AI_FEATURES.EXPLANATION, cacheParts, explanation, {
+        questionId: questionData.id || null,
+        promptVersion: systemPrompt.id
+      });
+
+      return explanation;
     } catch (error) {
       console.error('❌ OpenAI API Error:', error);
 
@@ -554,7 +643,7 @@ Task: Explain why the student's answer was wrong and teach the correct approach.
 
   async generateChallengeMessage(challengerName, challengedName, subject, questionTopic) {
     try {
-      const client = await this.getClient();
+      const provider = requireLLMProvider(this.provider);
 
       const userPrompt = `Generate a playful challenge message:
 
@@ -569,17 +658,25 @@ Requirements:
 
 Example: "Eish @sarah, @mike thinks he's sharper than you at algebra! 🔥 Show him what your brain can do!"`;
 
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.CHALLENGE_SYSTEM },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 100,
-        temperature: 0.8
-      });
+      const systemPrompt = renderPrompt(AI_FEATURES.CHALLENGE_MESSAGE);
+      const completion = await aiUsageService.complete(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: userPrompt }
+          ],
+          max_tokens: 100,
+          temperature: 0.8
+        },
+        {
+          feature: AI_FEATURES.CHALLENGE_MESSAGE,
+          promptVersion: systemPrompt.id
+        }
+      );
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('❌ Challenge message generation failed:', error);
       return `🔥 @${challengedName}, @${challengerName} has challenged you in ${subject}! Show them your skills! 💪`;
@@ -588,7 +685,7 @@ Example: "Eish @sarah, @mike thinks he's sharper than you at algebra! 🔥 Show
 
   async generateMotivationalMessage(userProfile, context = 'general') {
     try {
-      const client = await this.getClient();
+      const provider = requireLLMProvider(this.provider);
 
       const contextPrompts = {
         streak: `Generate encouragement for a ${userProfile.streak_count}-question streak`,
@@ -607,17 +704,26 @@ User Info:
 
 Generate a brief, encouraging message using South African youth slang. Keep it under 30 words.`;
 
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.MOTIVATION_SYSTEM },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 80,
-        temperature: 0.8
-      });
+      const systemPrompt = renderPrompt(AI_FEATURES.MOTIVATION);
+      const completion = await aiUsageService.complete(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: userPrompt }
+          ],
+          max_tokens: 80,
+          temperature: 0.8
+        },
+        {
+          feature: AI_FEATURES.MOTIVATION,
+          userId: userProfile.id,
+          promptVersion: systemPrompt.id
+        }
+      );
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('❌ Motivational message generation failed:', error);
 
@@ -634,7 +740,7 @@ Generate a brief, encouraging message using South African youth slang. Keep it u
 
   async generateTherapySupport(userProfile, reason, preConfidence) {
     try {
-      const client = await this.getClient();
+      const provider = requireLLMProvider(this.provider);
       const userPrompt = `Student context:
 - Username: ${userProfile.username || 'student'}
 - Grade: ${userProfile.grade || '10'}
@@ -643,18 +749,27 @@ Generate a brief, encouraging message using South African youth slang. Keep it u
 
 Write one micro-support line (≤30 words) that validates and gives one tiny step. Keep SA slang natural. Max 2 emojis.`;
 
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: GPT_PROMPTS.THERAPY_SYSTEM },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 64,
-        temperature: 0.7
-      });
+      const systemPrompt = renderPrompt(AI_FEATURES.THERAPY_SUPPORT);
+      const completion = await aiUsageService.complete(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: systemPrompt.text },
+            { role: 'user', content: userPrompt }
+          ],
+          max_tokens: 64,
+          temperature: 0.7
+        },
+        {
+          feature: AI_FEATURES.THERAPY_SUPPORT,
+          userId: userProfile.id,
+          promptVersion: systemPrompt.id
+        }
+      );
 
       this.requestCount++;
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('❌ Therapy micro-support failed:', error);
       return `Eish, it happens. Breathe, then try one small step: 1 easy maths question. Sharp, you've got this. 💪`;
@@ -662,6 +777,10 @@ Write one micro-support line (≤30 words) that validates and gives one tiny ste
   }
 
   generateFallbackExplanation(questionData, userAnswer, correctAnswer) {
+    if (questionData.solution_steps) {
+      return FallbackService.explainFromSolution(questionData, correctAnswer);
+    }
+
     const topic = questionData.topic || 'this concept';
 
     return `🧠 The correct answer was ${correctAnswer}.
@@ -6,19 +6,35 @@
  * Provides AI-powered tutoring for personalized student support
  */
 
-import { getOpenAIClient, OPENAI_CONFIG } from '../config/openai.js';
+import { OPENAI_CONFIG } from '../config/openai.js';
 import { executeQuery } from '../config/database.js';
+import { JOB_TYPES, jobQueue } from './jobQueueService.js';
+import { FallbackService } from './fallbackService.js';
+import { AI_FEATURES, aiUsageService } from './aiUsageService.js';
+import { requireLLMProvider } from './llmProvider.js';
+import { renderPrompt } from '../config/prompts.js';
+import { aiCacheService, normalizeText } from './aiCacheService.js';
+import {
+  CONVERSATION_KINDS,
+  conversationMemory,
+  emptyMemory,
+  withMemory
+} from './conversationMemoryService.js';
+import {
+  retrievalService,
+  solutionPassageId,
+  withCitations,
+  withPassages
+} from './retrievalService.js';
+import { tutorToolsService } from './tutorToolsService.js';
+import { env } from '../../../../lib/config.js';
+import { TimeoutError, withTimeout } from '../../../../lib/resilience.js';
 
 export class AITutorService {
   constructor() {
-    this.client = null;
-  }
-
-  async getClient() {
-    if (!this.client) {
-      this.client = getOpenAIClient();
-    }
-    return this.client;
+    this.provider = null;
+    this.toolRounds = env.TUTOR_TOOL_ROUNDS;
+    this.turnTimeoutMs = env.TUTOR_TURN_TIMEOUT_MS;
   }
 
   /**
@@ -27,9 +43,11 @@ export class AITutorService {
    * @param {Object} user - User object
    * @param {string} userMessage - User's question or message
    * @param {Object} context - Tutoring context
-   * @returns {Object} Tutor response
+   * @param {Object} options
+   * @param {boolean} options.allowPractice - Let the tutor hand over to a practice question
+   * @returns {Object} Tutor response { message, sources, handoff, context }
    */
-  async getTutorResponse(user, userMessage, context = {}) {
+  async getTutorResponse(user, userMessage, context = {}, { allowPractice = true } = {}) {
     try {
       console.log(`🤖 Processing tutor request from user ${user.id}`);
 
@@ -38,11 +56,44 @@ export class AITutorService {
         context = await this.initializeConversation(user, context);
       }
 
-      // Retrieve conversation history
-      const conversationHistory = await this.getConversationHistory(context.conversationId);
+      // Retrieve conversation history and the summary of older turns
+      const memory = await this.getConversationHistory(context.conversationId);
+      const conversationHistory = memory.messages;
 
       // Determine context type and build system prompt
-      const systemPrompt = await this.buildTutorSystemPrompt(user, context);
+      const tools = this.toolRounds > 0 ? tutorToolsService.definitions({ allowPractice }) : [];
+      const systemPrompt = await this.buildTutorSystemPrompt(user, context, {
+        tools: tools.length > 0
+      });
+
+      // Our own lesson passages that match the question, cited in the reply. The
+      // current question's worked solution is left out: it is only released,
+      // gated, through the get_solution_steps tool
+      const passages = await retrievalService.search(userMessage, {
+        topic: context.topic,
+        lessonTitle: context.lessonContext,
+        exclude: [context.questionId, user.current_question_id]
+          .filter(Boolean)
+          .map(solutionPassageId)
+      });
+
+      // The opening answer after a lesson is the same for every learner who
+      // asks the same thing about it, so it is cached per lesson
+      const lessonCacheParts =
+        context.lessonContext && conversationHistory.length === 0 && !memory.summary
+          ? {
+              lesson: context.lessonContext,
+              subject: context.subject,
+              topic: context.topic,
+              grade: user.grade || context.grade,
+              message: normalizeText(userMessage),
+              passages: passages.map((passage) => passage.id),
+              promptVersion: systemPrompt.id
+            }
+          : null;
+      let tutorResponse = lessonCacheParts
+        ? await aiCacheService.get(AI_FEATURES.TUTOR, lessonCacheParts)
+        : null;
 
       // Add user message to history
       conversationHistory.push({
@@ -50,19 +101,32 @@ export class AITutorService {
         content: userMessage
       });
 
-      // Call GPT for response
-      const client = await this.getClient();
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          ...conversationHistory.slice(-10) // Keep conversation context manageable
-        ],
-        max_tokens: 800,
-        temperature: 0.7
-      });
-
-      const tutorResponse = completion.choices[0].message.content;
+      let handoff = null;
+      if (!tutorResponse) {
+        // Call GPT for response, letting it look up the learner's live context
+        const provider = requireLLMProvider(this.provider);
+        const reply = await this.completeWithTools(
+          provider,
+          [
+            {
+              role: 'system',
+              content: withPassages(withMemory(systemPrompt.text, memory.summary), passages)
+            },
+            ...conversationMemory.recentMessages(memory)
+          ],
+          { user, context, tools, allowPractice, promptVersion: systemPrompt.id }
+        );
+
+        tutorResponse = reply.content;
+        handoff = reply.handoff;
+
+        // Replies built from the learner's own data are not shared
+        if (lessonCacheParts && reply.toolCalls === 0) {
+          await aiCacheService.set(AI_FEATURES.TUTOR, lessonCacheParts, tutorResponse, {
+            promptVersion: systemPrompt.id
+          });
+        }
+      }
 
       // Add assistant response to history
       conversationHistory.push({
@@ -70,34 +134,112 @@ export class AITutorService {
         content: tutorResponse
       });
 
-      // Save conversation history
-      await this.saveConversationHistory(context.conversationId, conversationHistory);
+      // Save conversation history (older turns get summarised in the background)
+      await this.saveConversationHistory(context.conversationId, memory, user.id);
 
-      // Extract insights if appropriate
-      const insights = await this.extractInsightsFromConversation(
-        user.id,
-        context.conversationId,
-        conversationHistory.slice(-5)
-      );
+      // Insight extraction is a second OpenAI call; run it off the reply path
+      if (conversationHistory.length >= 4) {
+        await jobQueue.enqueue(
+          JOB_TYPES.EXTRACT_TUTOR_INSIGHTS,
+          {
+            userId: user.id,
+            conversationId: context.conversationId,
+            recentMessages: conversationHistory.slice(-5)
+          },
+          { dedupKey: `insights:${context.conversationId}` }
+        );
+      }
 
       return {
-        message: tutorResponse,
+        message: withCitations(tutorResponse, passages),
+        sources: passages.map(({ source, title }) => ({ source, title })),
+        handoff,
         context: {
           ...context,
-          lastResponseTimestamp: new Date().toISOString(),
-          insights
+          lastResponseTimestamp: new Date().toISOString()
         }
       };
     } catch (error) {
       console.error('❌ AI Tutor error:', error);
       return {
-        message:
-          "I'm having trouble connecting to the tutor right now. Could you rephrase your question or try again in a moment?",
+        message: FallbackService.getTutorReply(context.topic),
         context: context
       };
     }
   }
 
+  /**
+   * Tutor completion with tool calling: each round the model may call tools
+   * (services/tutorToolsService.js), whose results go back to it, until it
+   * answers or TUTOR_TOOL_ROUNDS is used up. Every round is metered. The whole
+   * exchange must finish within TUTOR_TURN_TIMEOUT_MS, or a TimeoutError is thrown.
+   *
+   * @param {Object} provider - LLM provider
+   * @param {Array} messages - System prompt and conversation
+   * @param {Object} options
+   * @param {Object} options.user - Learner the tools act for
+   * @param {Object} options.context - Tutoring context
+   * @param {Array} options.tools - Tool definitions; empty for a plain completion
+   * @param {boolean} options.allowPractice - Whether start_practice may hand over
+   * @param {string} options.promptVersion - System prompt id
+   * @returns {Promise<Object>} { content, handoff, toolCalls }
+   */
+  async completeWithTools(
+    provider,
+    messages,
+    { user, context, tools, allowPractice, promptVersion }
+  ) {
+    const session = { user, context, allowPractice, handoff: null };
+    const conversation = [...messages];
+    const deadline = Date.now() + this.turnTimeoutMs;
+    let toolCalls = 0;
+
+    for (let round = 0; ; round++) {
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) throw new TimeoutError('Tutor turn', this.turnTimeoutMs);
+
+      const completion = await withTimeout(
+        () =>
+          aiUsageService.complete(
+            provider,
+            {
+              model: OPENAI_CONFIG.MODEL,
+              messages: conversation,
+              max_tokens: 800,
+              temperature: 0.7,
+              // Last round: the model has to answer with what it has
+              ...(tools.length > 0 && {
+                tools,
+                tool_choice: round < this.toolRounds ? 'auto' : 'none'
+              })
+            },
+            { feature: AI_FEATURES.TUTOR, userId: user.id, promptVersion }
+          ),
+        remainingMs,
+        'Tutor turn'
+      );
+
+      const calls = completion.tool_calls || [];
+      if (calls.length === 0 || round >= this.toolRounds) {
+        return { content: completion.content, handoff: session.handoff, toolCalls };
+      }
+
+      conversation.push({
+        role: 'assistant',
+        content: completion.content || null,
+        tool_calls: calls
+      });
+      for (const call of calls) {
+        toolCalls++;
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: await tutorToolsService.run(call, session)
+        });
+      }
+    }
+  }
+
   /**
    * Initialize a new tutoring conversation
    *
@@ -133,7 +275,7 @@ export class AITutorService {
     });
 
     // Create empty conversation history
-    await this.saveConversationHistory(conversationId, []);
+    await this.saveConversationHistory(conversationId, emptyMemory(), user.id);
 
     // Return updated context
     return {
@@ -147,58 +289,24 @@ export class AITutorService {
    * Get conversation history for a tutor conversation
    *
    * @param {string} conversationId - Conversation ID
-   * @returns {Array} Conversation messages
+   * @returns {Object} { messages, summary, ... } from conversationMemory.load()
    */
   async getConversationHistory(conversationId) {
-    return executeQuery(async (supabase) => {
-      const { data, error } = await supabase
-        .from('tutor_conversation_history')
-        .select('messages')
-        .eq('conversation_id', conversationId)
-        .single();
-
-      if (error || !data) {
-        console.log(`Creating new conversation history for conversation ${conversationId}`);
-        return [];
-      }
-
-      return data.messages || [];
-    });
+    return conversationMemory.load(CONVERSATION_KINDS.TUTOR, conversationId);
   }
 
   /**
    * Save conversation history
    *
    * @param {string} conversationId - Conversation ID
-   * @param {Array} messages - Conversation messages
-   * @returns {boolean} Success status
+   * @param {Object} memory - From getConversationHistory(), with this turn's messages pushed
+   * @param {string} userId - Learner, for metering the summary call
    */
-  async saveConversationHistory(conversationId, messages) {
-    return executeQuery(async (supabase) => {
-      const { data: existing } = await supabase
-        .from('tutor_conversation_history')
-        .select('id')
-        .eq('conversation_id', conversationId)
-        .maybeSingle();
-
-      if (existing) {
-        await supabase
-          .from('tutor_conversation_history')
-          .update({
-            messages,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existing.id);
-      } else {
-        await supabase.from('tutor_conversation_history').insert({
-          conversation_id: conversationId,
-          messages,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        });
-      }
+  async saveConversationHistory(conversationId, memory, userId) {
+    await conversationMemory.save(CONVERSATION_KINDS.TUTOR, conversationId, memory, { userId });
 
-      // Update conversation last activity timestamp
+    // Update conversation last activity timestamp
+    await executeQuery(async (supabase) => {
       await supabase
         .from('tutor_conversations')
         .update({
@@ -213,9 +321,11 @@ export class AITutorService {
    *
    * @param {Object} user - User object
    * @param {Object} context - Tutoring context
-   * @returns {string} System prompt
+   * @param {Object} options
+   * @param {boolean} options.tools - Whether the lookup tools are offered
+   * @returns {Object} Rendered prompt { id, text }
    */
-  async buildTutorSystemPrompt(user, context) {
+  async buildTutorSystemPrompt(user, context, { tools = false } = {}) {
     // Get user grade level
     const gradeLevel = user.grade || context.grade || 10;
 
@@ -226,70 +336,15 @@ export class AITutorService {
     // Get user performance data if available
     const performanceData = await this.getUserPerformanceData(user.id, topic);
 
-    // Base prompt
-    let prompt = `You are a supportive and encouraging math tutor for a grade ${gradeLevel} student.
-
-YOUR GOAL: Help the student understand mathematical concepts deeply and solve problems on their own.
-
-TUTORING APPROACH:
-- Use Socratic questioning to guide students towards answers
-- Provide clear, step-by-step explanations using simple language
-- Break down complex problems into manageable parts
-- Relate concepts to everyday examples where possible
-- Be encouraging and patient
-- Avoid simply giving answers; help students discover them
-
-MATHEMATICAL LANGUAGE:
-- Explain mathematical terms clearly
-- Use proper notation but explain what the symbols mean
-- When using formulas, explain why they work, not just how
-
-RESPONSE STYLE:
-- Keep explanations concise (2-4 paragraphs at most)
-- Use numbered steps for procedures
-- For difficult concepts, use analogies
-- Tailor explanations to grade ${gradeLevel} level
-- Be conversational and friendly
-- Ask check-in questions to ensure understanding`;
-
-    // Add subject/topic specific instructions
-    if (topic) {
-      prompt += `\n\nYou are currently helping with ${subject} - ${topic}.`;
-    } else {
-      prompt += `\n\nYou are currently helping with ${subject}.`;
-    }
-
-    // Add student background based on performance data
-    if (performanceData) {
-      if (performanceData.strengths && performanceData.strengths.length > 0) {
-        prompt += `\n\nThe student shows strengths in: ${performanceData.strengths.join(', ')}.`;
-      }
-
-      if (performanceData.weaknesses && performanceData.weaknesses.length > 0) {
-        prompt += `\n\nAreas where the student needs more support: ${performanceData.weaknesses.join(', ')}.`;
-      }
-
-      if (
-        performanceData.recent_misconceptions &&
-        performanceData.recent_misconceptions.length > 0
-      ) {
-        prompt += `\n\nRecent misconceptions to address: ${performanceData.recent_misconceptions.join(', ')}.`;
-      }
-    }
-
-    // Add context-specific instructions
-    if (context.questionContext) {
-      prompt += `\n\nThe student is currently working on this specific question: "${context.questionContext}"`;
-    }
-
-    if (context.lessonContext) {
-      prompt += `\n\nThe student has just completed a lesson on: "${context.lessonContext}"`;
-    }
-
-    // Add reminder about maintaining style
-    prompt += `\n\nIMPORTANT: Remember that you're communicating via WhatsApp. Keep responses concise and well-structured. Use simple formatting like numbering, bullet points, and occasional emphasis.`;
-
-    return prompt;
+    return renderPrompt(AI_FEATURES.TUTOR, {
+      gradeLevel,
+      subject,
+      topic,
+      performance: performanceData,
+      questionContext: context.questionContext,
+      lessonContext: context.lessonContext,
+      tools
+    });
   }
 
   /**
@@ -384,6 +439,7 @@ RESPONSE STYLE:
    * @param {string} conversationId - Conversation ID
    * @param {Array} recentMessages - Recent conversation messages
    * @returns {Object} Extracted insights
+   * @throws When analysis or saving fails, so the job queue retries it
    */
   async extractInsightsFromConversation(userId, conversationId, recentMessages) {
     try {
@@ -425,40 +481,31 @@ RESPONSE STYLE:
         .join('\n\n');
 
       // Call GPT for insight extraction
-      const client = await this.getClient();
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: `You are an educational analyst who extracts insights from tutoring conversations.
-            
-Your task is to analyze a math tutoring conversation and extract:
-1. Topics discussed
-2. Concepts the student understands well
-3. Concepts the student struggles with
-4. Specific misconceptions demonstrated
-5. Learning style preferences shown
-
-Respond with a JSON object containing these insights. Be specific and concise.`
-          },
-          { role: 'user', content: conversationText }
-        ],
-        max_tokens: 500,
-        temperature: 0.3,
-        response_format: { type: 'json_object' }
-      });
+      const provider = requireLLMProvider(this.provider);
+      const insightsPrompt = renderPrompt(AI_FEATURES.TUTOR_INSIGHTS);
+      const completion = await aiUsageService.completeJSON(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: insightsPrompt.text },
+            { role: 'user', content: conversationText }
+          ],
+          max_tokens: 500,
+          temperature: 0.3
+        },
+        { feature: AI_FEATURES.TUTOR_INSIGHTS, userId: userId, promptVersion: insightsPrompt.id }
+      );
 
-      // Parse insights
-      const insights = JSON.parse(completion.choices[0].message.content);
+      const insights = completion.data;
 
       // Save insights to database
-      await this.saveConversationInsights(userId, conversationId, insights);
+      await this.saveConversationInsights(userId, conversationId, insights, insightsPrompt.id);
 
       return insights;
     } catch (error) {
       console.error('❌ Insight extraction error:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -468,9 +515,10 @@ Respond with a JSON object containing these insights. Be specific and concise.`
    * @param {string} userId - User ID
    * @param {string} conversationId - Conversation ID
    * @param {Object} insights - Extracted insights
+   * @param {string} promptVersion - Prompt id that produced them
    * @returns {boolean} Success status
    */
-  async saveConversationInsights(userId, conversationId, insights) {
+  async saveConversationInsights(userId, conversationId, insights, promptVersion = null) {
     return executeQuery(async (supabase) => {
       // Save to tutor_insights table
       const { error } = await supabase.from('tutor_insights').insert({
@@ -481,6 +529,7 @@ Respond with a JSON object containing these insights. Be specific and concise.`
         weaknesses_identified: insights.concepts_struggled_with || [],
         misconceptions: insights.misconceptions || [],
         learning_preferences: insights.learning_style_preferences || [],
+        prompt_version: promptVersion,
         created_at: new Date().toISOString()
       });
 
@@ -0,0 +1,437 @@
+/**
+ * AI Usage Metering and Budget Service
+ * Date: 2026-10-19 20:40:00 UTC
+ *
+ * Every model call goes through aiUsageService.complete()/completeJSON(), which:
+ * - checks today's (UTC) spend against AI_DAILY_BUDGET_USD overall and
+ *   AI_LEARNER_DAILY_BUDGET_USD per learner
+ * - throttles to OPENAI_CONFIG.RATE_LIMIT_PER_MINUTE across all learners
+ * - records model, prompt/completion tokens, estimated cost, learner, feature
+ *   and the prompt version (config/prompts.js)
+ * A call that would break a limit throws AIBudgetError before reaching OpenAI;
+ * callers already catch AI errors and serve their fallback content.
+ * Metering and the guard fail open: a store outage never blocks tutoring.
+ *
+ * completeJSON() also validates the reply against the feature's schema
+ * (utils/aiResponseSchemas.js). An invalid reply is sent back to the model with
+ * the problems listed, up to AI_REPAIR_ATTEMPTS times, then AIResponseError.
+ */
+
+import { executeQuery } from '../config/database.js';
+import { OPENAI_CONFIG } from '../config/openai.js';
+import { env } from '../../../../lib/config.js';
+import { rateLimitService } from './rateLimitService.js';
+import {
+  analysisSchema,
+  describeIssues,
+  examPrepReplySchema,
+  generatedQuestionSchema,
+  tutorInsightsSchema,
+  understandingAssessmentSchema
+} from '../utils/aiResponseSchemas.js';
+
+// Feature labels for metering and the spend report
+export const AI_FEATURES = {
+  HOMEWORK_ANALYSIS: 'homework_analysis',
+  PROBLEM_ANALYSIS: 'problem_analysis',
+  FOLLOW_UP: 'follow_up_question',
+  ANALYSIS_REFINEMENT: 'analysis_refinement',
+  EXPLANATION: 'explanation',
+  CHALLENGE_MESSAGE: 'challenge_message',
+  MOTIVATION: 'motivation',
+  THERAPY_SUPPORT: 'therapy_support',
+  TUTOR: 'tutor',
+  TUTOR_INSIGHTS: 'tutor_insights',
+  QUESTION_GENERATION: 'question_generation',
+  UNDERSTANDING_ASSESSMENT: 'understanding_assessment',
+  EXAM_PREP: 'exam_prep',
+  CONVERSATION_SUMMARY: 'conversation_summary'
+};
+
+// Shape of each JSON reply by feature (and prompt name); text features have none
+export const RESPONSE_SCHEMAS = {
+  [AI_FEATURES.HOMEWORK_ANALYSIS]: analysisSchema,
+  [AI_FEATURES.PROBLEM_ANALYSIS]: analysisSchema,
+  [AI_FEATURES.ANALYSIS_REFINEMENT]: analysisSchema,
+  [AI_FEATURES.TUTOR_INSIGHTS]: tutorInsightsSchema,
+  [AI_FEATURES.QUESTION_GENERATION]: generatedQuestionSchema,
+  [AI_FEATURES.UNDERSTANDING_ASSESSMENT]: understandingAssessmentSchema,
+  [AI_FEATURES.EXAM_PREP]: examPrepReplySchema
+};
+
+// USD per 1K tokens; AI_PRICING overrides or adds models
+const DEFAULT_PRICING = {
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4': { input: 0.03, output: 0.06 },
+  mock: { input: 0, output: 0 }
+};
+
+/**
+ * Thrown instead of calling OpenAI when a budget or the throttle says no
+ */
+export class AIBudgetError extends Error {
+  /**
+   * @param {string} reason - 'global_daily', 'learner_daily' or 'throttled'
+   */
+  constructor(reason) {
+    super(`AI call blocked by budget guard (${reason})`);
+    this.name = 'AIBudgetError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when a JSON reply is still invalid after the repair attempts
+ */
+export class AIResponseError extends Error {
+  /**
+   * @param {string} feature - One of AI_FEATURES
+   * @param {string} problems - What was wrong with the last reply
+   */
+  constructor(feature, problems) {
+    super(`AI ${feature} reply failed validation: ${problems}`);
+    this.name = 'AIResponseError';
+    this.feature = feature;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Estimated cost of one completion
+ *
+ * @param {string} model - Model reported by OpenAI (dated variants match their base model)
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @param {Object} pricing - Model -> { input, output } per 1K tokens
+ * @returns {number} USD
+ */
+export function estimateCost(model, usage, pricing = DEFAULT_PRICING) {
+  // Longest matching prefix: 'gpt-4o-mini-2024-07-18' prices as gpt-4o-mini, not gpt-4
+  const key = Object.keys(pricing)
+    .filter((name) => String(model || '').startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  const price = pricing[key] || pricing[OPENAI_CONFIG.MODEL] || DEFAULT_PRICING['gpt-3.5-turbo'];
+
+  const cost =
+    ((usage?.prompt_tokens || 0) * price.input + (usage?.completion_tokens || 0) * price.output) /
+    1000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * In-memory store. Used by tests and local development.
+ */
+export class MemoryAIUsageStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  async record(entry) {
+    this.entries.push({ ...entry, created_at: new Date().toISOString() });
+  }
+
+  async dailySpend(userId, now = new Date()) {
+    const today = this.entries.filter((entry) => entry.created_at.startsWith(utcDay(now)));
+    const sum = (entries) => entries.reduce((total, entry) => total + entry.cost_usd, 0);
+
+    return {
+      global: sum(today),
+      learner: userId ? sum(today.filter((entry) => entry.user_id === userId)) : 0
+    };
+  }
+
+  async spendByFeature(from, to) {
+    const byFeature = new Map();
+
+    for (const entry of this.entries) {
+      const at = new Date(entry.created_at);
+      if (at < from || at >= to) continue;
+
+      const row = byFeature.get(entry.feature) || {
+        feature: entry.feature,
+        calls: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        cost_usd: 0
+      };
+      row.calls++;
+      row.prompt_tokens += entry.prompt_tokens;
+      row.completion_tokens += entry.completion_tokens;
+      row.cost_usd += entry.cost_usd;
+      byFeature.set(entry.feature, row);
+    }
+
+    return [...byFeature.values()].sort((a, b) => b.cost_usd - a.cost_usd);
+  }
+}
+
+/**
+ * Postgres store (tables: ai_usage, ai_usage_daily; functions: record_ai_usage,
+ * ai_spend_by_feature)
+ */
+export class SupabaseAIUsageStore {
+  async record(entry) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase.rpc('record_ai_usage', {
+        p_user_id: entry.user_id,
+        p_feature: entry.feature,
+        p_model: entry.model,
+        p_prompt_tokens: entry.prompt_tokens,
+        p_completion_tokens: entry.completion_tokens,
+        p_cost_usd: entry.cost_usd,
+        p_prompt_version: entry.prompt_version
+      });
+
+      if (error) throw error;
+    });
+  }
+
+  async dailySpend(userId, now = new Date()) {
+    return executeQuery(async (supabase) => {
+      const scopes = userId ? ['global', `user:${userId}`] : ['global'];
+      const { data, error } = await supabase
+        .from('ai_usage_daily')
+        .select('scope, cost_usd')
+        .eq('day', utcDay(now))
+        .in('scope', scopes);
+
+      if (error) throw error;
+
+      const spend = (scope) => Number(data?.find((row) => row.scope === scope)?.cost_usd || 0);
+      return { global: spend('global'), learner: userId ? spend(`user:${userId}`) : 0 };
+    });
+  }
+
+  async spendByFeature(from, to) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.rpc('ai_spend_by_feature', {
+        p_from: from.toISOString(),
+        p_to: to.toISOString()
+      });
+
+      if (error) throw error;
+      return (data || []).map((row) => ({ ...row, cost_usd: Number(row.cost_usd) }));
+    });
+  }
+}
+
+export class AIUsageService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryAIUsageStore or SupabaseAIUsageStore
+   * @param {number} options.globalDailyUsd - Spend cap across all learners per UTC day
+   * @param {number} options.learnerDailyUsd - Spend cap per learner per UTC day
+   * @param {Function} options.throttle - async () => { allowed }; global per-minute limit
+   * @param {Object} options.pricing - Model -> { input, output } USD per 1K tokens
+   * @param {number} options.repairAttempts - Extra calls allowed to fix an invalid JSON reply
+   */
+  constructor({
+    store,
+    globalDailyUsd,
+    learnerDailyUsd,
+    throttle,
+    pricing = DEFAULT_PRICING,
+    repairAttempts = 1
+  }) {
+    this.store = store;
+    this.globalDailyUsd = globalDailyUsd;
+    this.learnerDailyUsd = learnerDailyUsd;
+    this.throttle = throttle;
+    this.pricing = pricing;
+    this.repairAttempts = repairAttempts;
+  }
+
+  /**
+   * Whether a call may go ahead. Fails open if the store is unavailable.
+   *
+   * @param {string|null} userId - Learner the call is for, if any
+   * @returns {Object} { allowed, reason? }
+   */
+  async checkBudget(userId) {
+    try {
+      const spend = await this.store.dailySpend(userId);
+
+      if (spend.global >= this.globalDailyUsd) {
+        return { allowed: false, reason: 'global_daily' };
+      }
+      if (userId && spend.learner >= this.learnerDailyUsd) {
+        return { allowed: false, reason: 'learner_daily' };
+      }
+    } catch (error) {
+      console.error('❌ AI budget check failed, allowing call:', error);
+    }
+
+    try {
+      const slot = await this.throttle();
+      if (!slot.allowed) return { allowed: false, reason: 'throttled' };
+    } catch (error) {
+      console.error('❌ AI throttle check failed, allowing call:', error);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Run a chat call behind the budget guard and meter it
+   *
+   * @param {Object} provider - LLM provider (services/llmProvider.js)
+   * @param {Object} params - chat.completions parameters
+   * @param {Object} meta
+   * @param {string} meta.feature - One of AI_FEATURES
+   * @param {string|null} meta.userId - Learner the call is for
+   * @param {string} meta.promptVersion - Id of the system prompt used, e.g. tutor@v1
+   * @returns {Object} { content, model, usage }
+   * @throws {AIBudgetError} When a budget or the throttle blocks the call
+   */
+  async complete(provider, params, meta) {
+    return this.run(meta, () => provider.chat(params, meta), params.model);
+  }
+
+  /**
+   * Same as complete() in JSON mode. `data` is the reply parsed and validated
+   * against the feature's schema; an invalid reply is sent back for repair.
+   *
+   * @returns {Object} { content, data, model, usage, repairs }
+   * @throws {AIResponseError} When the reply is still invalid after the repair attempts
+   */
+  async completeJSON(provider, params, meta) {
+    const schema = RESPONSE_SCHEMAS[meta.feature];
+    let messages = params.messages;
+
+    for (let repairs = 0; ; repairs++) {
+      let content;
+      let problems;
+
+      try {
+        const reply = await this.run(
+          meta,
+          () => provider.chatJSON({ ...params, messages }, meta),
+          params.model
+        );
+        if (!schema) return { ...reply, repairs };
+
+        const result = schema.safeParse(reply.data);
+        if (result.success) return { ...reply, data: result.data, repairs };
+
+        content = reply.content;
+        problems = describeIssues(result.error);
+      } catch (error) {
+        // Budget blocks and outages go straight to the caller's fallback
+        if (!(error instanceof SyntaxError)) throw error;
+
+        content = error.reply?.content ?? '';
+        problems = 'not a valid JSON object';
+      }
+
+      if (repairs >= this.repairAttempts) {
+        throw new AIResponseError(meta.feature, problems);
+      }
+
+      console.warn(`⚠️ AI ${meta.feature} reply invalid (${problems}); asking for a repair`);
+      messages = [
+        ...params.messages,
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your reply did not match the required JSON format: ${problems}. Reply again with only the corrected JSON object.`
+        }
+      ];
+    }
+  }
+
+  async run({ feature, userId = null, promptVersion = null }, call, requestedModel) {
+    const verdict = await this.checkBudget(userId);
+    if (!verdict.allowed) {
+      console.warn(`⚠️ AI ${feature} call blocked (${verdict.reason}) for user ${userId || '-'}`);
+      throw new AIBudgetError(verdict.reason);
+    }
+
+    const meter = (reply) =>
+      this.record({
+        userId,
+        feature,
+        promptVersion,
+        model: reply.model || requestedModel,
+        usage: reply.usage
+      });
+
+    let reply;
+    try {
+      reply = await call();
+    } catch (error) {
+      // A reply that failed to parse was still paid for
+      if (error.reply) await meter(error.reply);
+      throw error;
+    }
+
+    await meter(reply);
+    return reply;
+  }
+
+  /**
+   * Meter one completion. Never throws.
+   */
+  async record({ userId, feature, model, usage, promptVersion = null }) {
+    const entry = {
+      user_id: userId,
+      feature,
+      model,
+      prompt_version: promptVersion,
+      prompt_tokens: usage?.prompt_tokens || 0,
+      completion_tokens: usage?.completion_tokens || 0,
+      cost_usd: estimateCost(model, usage, this.pricing)
+    };
+
+    try {
+      await this.store.record(entry);
+    } catch (error) {
+      console.error(`❌ Could not meter AI ${feature} call:`, error);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Spend by feature over the last `days` days, most expensive first
+   *
+   * @param {Object} options
+   * @param {number} options.days - Window length
+   * @param {Date} options.now - End of the window
+   * @returns {Object} { from, to, budgets, total, features }
+   */
+  async spendByFeature({ days = 1, now = new Date() } = {}) {
+    const from = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const features = await this.store.spendByFeature(from, now);
+
+    const total = features.reduce(
+      (sum, row) => ({
+        calls: sum.calls + Number(row.calls),
+        prompt_tokens: sum.prompt_tokens + Number(row.prompt_tokens),
+        completion_tokens: sum.completion_tokens + Number(row.completion_tokens),
+        cost_usd: Math.round((sum.cost_usd + row.cost_usd) * 1e6) / 1e6
+      }),
+      { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+    );
+
+    return {
+      from: from.toISOString(),
+      to: now.toISOString(),
+      budgets: { global_daily_usd: this.globalDailyUsd, learner_daily_usd: this.learnerDailyUsd },
+      total,
+      features
+    };
+  }
+}
+
+export const aiUsageService = new AIUsageService({
+  store: env.AI_USAGE_STORE === 'memory' ? new MemoryAIUsageStore() : new SupabaseAIUsageStore(),
+  globalDailyUsd: OPENAI_CONFIG.COST_LIMIT_PER_DAY,
+  learnerDailyUsd: env.AI_LEARNER_DAILY_BUDGET_USD,
+  throttle: () => rateLimitService.consume('openai', 'global'),
+  pricing: { ...DEFAULT_PRICING, ...env.AI_PRICING },
+  repairAttempts: env.AI_REPAIR_ATTEMPTS
+});
@@ -0,0 +1,89 @@
+/**
+ * Async Reply Service
+ * Date: 2026-10-19 18:20:00 UTC
+ *
+ * OpenAI-backed turns (tutor replies, homework analysis, question generation)
+ * can outlast ManyChat's webhook timeout, and then the learner gets nothing.
+ * For routes marked `slow`, index.js gives the turn ASYNC_REPLY_AFTER_MS to
+ * finish. If it doesn't, the webhook answers with a short "thinking…" ack; the
+ * turn keeps running under the host's waitUntil (a plain in-process promise on
+ * a long-running server) and its reply is pushed through the outbound
+ * messaging API when it's done. The learner lock is held until that push
+ * settles, so the learner's next message waits for the turn's state changes.
+ */
+
+import { env } from '../../../../lib/config.js';
+import { MESSAGES } from '../config/constants.js';
+import { messagingService } from './messagingService.js';
+import { CONVERSATION_CATEGORY } from './notificationPreferenceService.js';
+
+export class AsyncReplyService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.messaging - MessagingService-compatible sender
+   * @param {number} options.thresholdMs - How long a slow turn may run before the ack goes out
+   */
+  constructor({ messaging, thresholdMs }) {
+    this.messaging = messaging;
+    this.thresholdMs = thresholdMs;
+  }
+
+  /**
+   * Wait for a turn, but no longer than the threshold
+   *
+   * @param {Promise} work - The running turn
+   * @returns {Object} { settled: true, value } or { settled: false } (work is still running)
+   */
+  async race(work) {
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ settled: false }), this.thresholdMs);
+    });
+
+    try {
+      return await Promise.race([work.then((value) => ({ settled: true, value })), deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Finish a turn that was acknowledged early and push its reply to the learner
+   *
+   * @param {string} userId - User ID
+   * @param {Promise} work - Resolves to the reply (text or rich reply)
+   * @returns {Object} Delivery result ({ ok, ... } from messagingService)
+   */
+  async deliver(userId, work) {
+    const started = Date.now();
+    let reply;
+
+    try {
+      reply = await work;
+    } catch (error) {
+      console.error(`❌ Background turn failed for user ${userId}:`, error);
+      reply = MESSAGES.ERRORS.GENERIC;
+    }
+
+    let result;
+    try {
+      result = await this.messaging.sendToUser(userId, reply, { category: CONVERSATION_CATEGORY });
+    } catch (error) {
+      // The webhook already answered; nobody is left to catch this
+      result = { ok: false, error: { message: error.message } };
+    }
+
+    if (result.ok) {
+      console.log(`📨 Pushed async reply to user ${userId} after ${Date.now() - started}ms`);
+    } else {
+      console.error(`❌ Async reply to user ${userId} not delivered:`, result.error);
+    }
+
+    return result;
+  }
+}
+
+export const asyncReplyService = new AsyncReplyService({
+  messaging: messagingService,
+  thresholdMs: env.ASYNC_REPLY_AFTER_MS
+});
@@ -0,0 +1,313 @@
+/**
+ * Conversation Memory Service
+ * Date: 2026-10-20 00:05:00 UTC
+ *
+ * Long tutor and exam-prep conversations keep a rolling summary instead of
+ * forgetting everything before the last few turns:
+ * - the model sees the summary (in the system prompt) plus the messages that
+ *   came after it, normally the last CONVERSATION_WINDOW messages
+ * - once CONVERSATION_SUMMARY_BATCH messages have fallen out of that window,
+ *   a background job folds them into the summary
+ * - stored raw history is capped at CONVERSATION_HISTORY_MAX messages
+ *
+ * Counts are absolute, so the reply path and the summary job can write the
+ * same row without losing track of where the summary ends:
+ *   trimmed_count    - messages dropped from the front of `messages`
+ *   summarized_count - messages folded into `summary`
+ */
+
+import { executeQuery } from '../config/database.js';
+import { OPENAI_CONFIG } from '../config/openai.js';
+import { renderPrompt } from '../config/prompts.js';
+import { env } from '../../../../lib/config.js';
+import { AI_FEATURES, aiUsageService } from './aiUsageService.js';
+import { JOB_TYPES, jobQueue } from './jobQueueService.js';
+import { requireLLMProvider } from './llmProvider.js';
+
+// Conversation kind -> history table and the column that identifies the conversation
+export const CONVERSATION_KINDS = {
+  TUTOR: 'tutor',
+  EXAM_PREP: 'exam_prep'
+};
+
+const HISTORY_TABLES = {
+  [CONVERSATION_KINDS.TUTOR]: { table: 'tutor_conversation_history', key: 'conversation_id' },
+  [CONVERSATION_KINDS.EXAM_PREP]: { table: 'conversation_history', key: 'session_id' }
+};
+
+/**
+ * Memory of a conversation with no messages yet
+ */
+export const emptyMemory = () => ({
+  messages: [],
+  summary: null,
+  summarized_count: 0,
+  trimmed_count: 0
+});
+
+// Stored messages the summary doesn't cover yet
+function unsummarized(memory) {
+  return memory.messages.slice(Math.max(0, memory.summarized_count - memory.trimmed_count));
+}
+
+/**
+ * System prompt with the conversation memory appended
+ *
+ * @param {string} text - Rendered system prompt
+ * @param {string|null} summary - Rolling summary
+ * @returns {string}
+ */
+export function withMemory(text, summary) {
+  if (!summary) return text;
+  return `${text}\n\nEARLIER IN THIS CONVERSATION (summary of older messages, most recent ones follow):\n${summary}`;
+}
+
+/**
+ * In-memory store. Used by tests and local development.
+ */
+export class MemoryConversationStore {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async load(kind, id) {
+    const row = this.rows.get(`${kind}:${id}`);
+    return row ? { ...row, messages: [...row.messages] } : null;
+  }
+
+  async saveMessages(kind, id, { messages, trimmed_count }) {
+    const row = this.rows.get(`${kind}:${id}`) || emptyMemory();
+    this.rows.set(`${kind}:${id}`, { ...row, messages: [...messages], trimmed_count });
+  }
+
+  async saveSummary(kind, id, { summary, summarized_count }, expectedCount) {
+    const row = this.rows.get(`${kind}:${id}`);
+    if (!row || row.summarized_count !== expectedCount) return false;
+
+    this.rows.set(`${kind}:${id}`, { ...row, summary, summarized_count });
+    return true;
+  }
+}
+
+/**
+ * Postgres store (tables: tutor_conversation_history, conversation_history)
+ */
+export class SupabaseConversationStore {
+  async load(kind, id) {
+    const { table, key } = HISTORY_TABLES[kind];
+
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from(table)
+        .select('messages, summary, summarized_count, trimmed_count')
+        .eq(key, id)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  async saveMessages(kind, id, { messages, trimmed_count }) {
+    const { table, key } = HISTORY_TABLES[kind];
+
+    return executeQuery(async (supabase) => {
+      const { data: existing } = await supabase.from(table).select('id').eq(key, id).maybeSingle();
+
+      const { error } = existing
+        ? await supabase
+            .from(table)
+            .update({ messages, trimmed_count, updated_at: new Date().toISOString() })
+            .eq('id', existing.id)
+        : await supabase.from(table).insert({
+            [key]: id,
+            messages,
+            trimmed_count,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          });
+
+      if (error) throw error;
+    });
+  }
+
+  // Only if no other job moved the summary on since it was read
+  async saveSummary(kind, id, { summary, summarized_count }, expectedCount) {
+    const { table, key } = HISTORY_TABLES[kind];
+
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from(table)
+        .update({ summary, summarized_count, summary_updated_at: new Date().toISOString() })
+        .eq(key, id)
+        .eq('summarized_count', expectedCount)
+        .select('id');
+
+      if (error) throw error;
+      return (data?.length || 0) > 0;
+    });
+  }
+}
+
+export class ConversationMemoryService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryConversationStore or SupabaseConversationStore
+   * @param {number} options.window - Recent messages always sent verbatim
+   * @param {number} options.batch - Messages past the window that trigger a summary
+   * @param {number} options.maxStored - Cap on stored raw messages
+   * @param {Object} options.queue - Job queue for the summary job
+   */
+  constructor({ store, window, batch, maxStored, queue = jobQueue }) {
+    this.store = store;
+    this.window = window;
+    this.batch = batch;
+    this.maxStored = maxStored;
+    this.queue = queue;
+    this.provider = null;
+  }
+
+  /**
+   * A conversation's stored history and summary
+   *
+   * @param {string} kind - One of CONVERSATION_KINDS
+   * @param {string} id - Tutor conversation id or exam prep session id
+   * @returns {Promise<Object>} { messages, summary, summarized_count, trimmed_count }
+   */
+  async load(kind, id) {
+    const row = await this.store.load(kind, id);
+    if (!row) return emptyMemory();
+
+    return {
+      messages: row.messages || [],
+      summary: row.summary || null,
+      summarized_count: row.summarized_count || 0,
+      trimmed_count: row.trimmed_count || 0
+    };
+  }
+
+  /**
+   * Messages to send after the system prompt: everything the summary doesn't
+   * cover. Bounded even when the summary job is behind.
+   *
+   * @param {Object} memory - From load(), with the new user message pushed
+   * @returns {Array} Chat messages
+   */
+  recentMessages(memory) {
+    return unsummarized(memory)
+      .slice(-(this.window + this.batch))
+      .map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Store the history (capped) and queue a summary when enough messages have
+   * left the window
+   *
+   * @param {string} kind - One of CONVERSATION_KINDS
+   * @param {string} id - Conversation id
+   * @param {Object} memory - From load(), with this turn's messages pushed
+   * @param {Object} options
+   * @param {string|null} options.userId - Learner, for metering the summary call
+   * @returns {Promise<Object>} { trimmed, summaryQueued }
+   */
+  async save(kind, id, memory, { userId = null } = {}) {
+    let { messages, trimmed_count: trimmedCount } = memory;
+
+    const excess = messages.length - this.maxStored;
+    if (excess > 0) {
+      messages = messages.slice(excess);
+      trimmedCount += excess;
+      if (trimmedCount > memory.summarized_count) {
+        console.warn(
+          `⚠️ ${kind} conversation ${id} dropped ${trimmedCount - memory.summarized_count} messages before they were summarised`
+        );
+      }
+    }
+
+    await this.store.saveMessages(kind, id, { messages, trimmed_count: trimmedCount });
+
+    const pending = unsummarized({ ...memory, messages, trimmed_count: trimmedCount }).length;
+    let summaryQueued = false;
+    if (pending - this.window >= this.batch) {
+      const job = await this.queue.enqueue(
+        JOB_TYPES.SUMMARIZE_CONVERSATION,
+        { kind, id, userId },
+        { dedupKey: `summary:${kind}:${id}` }
+      );
+      summaryQueued = job.queued;
+    }
+
+    return { trimmed: Math.max(0, excess), summaryQueued };
+  }
+
+  /**
+   * Fold the messages that left the window into the summary (summary job).
+   * Throws on model errors so the job retries.
+   *
+   * @param {string} kind - One of CONVERSATION_KINDS
+   * @param {string} id - Conversation id
+   * @param {Object} options
+   * @param {string|null} options.userId - Learner, for metering
+   * @returns {Promise<Object>} { summarized } messages folded in (0 when nothing was due)
+   */
+  async summarize(kind, id, { userId = null } = {}) {
+    const memory = await this.load(kind, id);
+    const pending = unsummarized(memory);
+    const fold = pending.slice(0, Math.max(0, pending.length - this.window));
+
+    if (fold.length === 0) return { summarized: 0 };
+
+    const transcript = fold
+      .map((m) => `${m.role === 'assistant' ? 'Tutor' : 'Student'}: ${m.content}`)
+      .join('\n');
+    const prompt = renderPrompt(AI_FEATURES.CONVERSATION_SUMMARY);
+
+    // Degraded mode throws here: the job fails and retries later
+    const provider = requireLLMProvider(this.provider);
+    const completion = await aiUsageService.complete(
+      provider,
+      {
+        model: OPENAI_CONFIG.MODEL,
+        messages: [
+          { role: 'system', content: prompt.text },
+          {
+            role: 'user',
+            content: `MEMORY SO FAR:\n${memory.summary || '(none)'}\n\nNEW MESSAGES:\n${transcript}`
+          }
+        ],
+        max_tokens: 250,
+        temperature: 0.2
+      },
+      { feature: AI_FEATURES.CONVERSATION_SUMMARY, userId, promptVersion: prompt.id }
+    );
+
+    const summary = completion.content.trim();
+    if (!summary) throw new Error(`Empty summary for ${kind} conversation ${id}`);
+
+    const covered = Math.max(memory.summarized_count, memory.trimmed_count) + fold.length;
+    const saved = await this.store.saveSummary(
+      kind,
+      id,
+      { summary, summarized_count: covered },
+      memory.summarized_count
+    );
+
+    if (!saved) {
+      console.log(`ℹ️ ${kind} conversation ${id} summary already moved on; skipped`);
+      return { summarized: 0 };
+    }
+
+    console.log(`🧠 Summarised ${fold.length} messages of ${kind} conversation ${id}`);
+    return { summarized: fold.length };
+  }
+}
+
+export const conversationMemory = new ConversationMemoryService({
+  store:
+    env.CONVERSATION_STORE === 'memory'
+      ? new MemoryConversationStore()
+      : new SupabaseConversationStore(),
+  window: env.CONVERSATION_WINDOW,
+  batch: env.CONVERSATION_SUMMARY_BATCH,
+  maxStored: env.CONVERSATION_HISTORY_MAX
+});
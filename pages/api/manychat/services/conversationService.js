@@ -4,19 +4,16 @@
  * Author: sophoniagoat
  */
 
-import { getOpenAIClient, OPENAI_CONFIG } from '../config/openai.js';
+import { OPENAI_CONFIG } from '../config/openai.js';
 import { executeQuery } from '../config/database.js';
+import { AI_FEATURES, aiUsageService } from './aiUsageService.js';
+import { requireLLMProvider } from './llmProvider.js';
+import { renderPrompt } from '../config/prompts.js';
+import { CONVERSATION_KINDS, conversationMemory, withMemory } from './conversationMemoryService.js';
 
 export class ConversationService {
   constructor() {
-    this.client = null;
-  }
-
-  async getClient() {
-    if (!this.client) {
-      this.client = getOpenAIClient();
-    }
-    return this.client;
+    this.provider = null;
   }
 
   /**
@@ -30,11 +27,12 @@ export class ConversationService {
     try {
       console.log(`🗣️ Processing exam prep conversation for user ${user.id}`);
 
-      // Retrieve or initialize conversation history
-      const conversationHistory = await this.getConversationHistory(session.id);
+      // Retrieve or initialize conversation history and the summary of older turns
+      const memory = await this.getConversationHistory(session.id);
+      const conversationHistory = memory.messages;
 
       // Build system prompt
-      const systemPrompt = this.buildExamPrepSystemPrompt(user);
+      const systemPrompt = this.buildExamPrepSystemPrompt();
 
       // Add user message to history
       conversationHistory.push({
@@ -43,20 +41,23 @@ export class ConversationService {
       });
 
       // Call GPT for response
-      const client = await this.getClient();
-      const completion = await client.chat.completions.create({
-        model: OPENAI_CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          ...conversationHistory.slice(-10) // Keep conversation context manageable
-        ],
-        max_tokens: 500,
-        temperature: 0.7,
-        response_format: { type: 'json_object' }
-      });
-
-      // Parse response
-      const response = JSON.parse(completion.choices[0].message.content);
+      const provider = requireLLMProvider(this.provider);
+      const completion = await aiUsageService.completeJSON(
+        provider,
+        {
+          model: OPENAI_CONFIG.MODEL,
+          messages: [
+            { role: 'system', content: withMemory(systemPrompt.text, memory.summary) },
+            ...conversationMemory.recentMessages(memory)
+          ],
+          max_tokens: 500,
+          temperature: 0.7
+        },
+        { feature: AI_FEATURES.EXAM_PREP, userId: user.id, promptVersion: systemPrompt.id }
+      );
+
+      // Validated against examPrepReplySchema, so every field is present
+      const response = completion.data;
 
       // Add assistant response to history
       conversationHistory.push({
@@ -64,20 +65,13 @@ export class ConversationService {
         content: response.message
       });
 
-      // Save conversation history
-      await this.saveConversationHistory(session.id, conversationHistory);
+      // Save conversation history (older turns get summarised in the background)
+      await this.saveConversationHistory(session.id, memory, user.id);
 
       // Extract and save any structured data
-      if (response.extracted_data) {
-        await this.saveExtractedData(session.id, response.extracted_data);
-      }
+      await this.saveExtractedData(session.id, response.extracted_data);
 
-      return {
-        message: response.message,
-        extracted_data: response.extracted_data || {},
-        conversation_state: response.conversation_state || 'collecting_info',
-        is_data_complete: response.is_data_complete || false
-      };
+      return response;
     } catch (error) {
       console.error('❌ Conversation service error:', error);
       return {
@@ -93,91 +87,22 @@ export class ConversationService {
   /**
    * Build system prompt for exam prep conversation
    */
-  buildExamPrepSystemPrompt(user) {
-    return `You are a supportive educational assistant helping a student prepare for an upcoming exam or test.
-
-YOUR GOAL: Have a natural conversation to gather essential information while being supportive of any anxiety.
-
-REQUIRED INFORMATION TO EXTRACT:
-1. Grade level (10, 11, or university/varsity)
-2. Subject (mathematics, physics, chemistry, etc.)
-3. Specific topics they're struggling with
-4. Date of the upcoming exam
-5. Preferred time for daily study reminders
-
-CONVERSATION APPROACH:
-- Be warm, encouraging and use a supportive tone
-- Extract information conversationally, not as an interrogation
-- Acknowledge any stress or anxiety expressed
-- If information is missing, ask for it naturally
-- South African context: Use "maths" not "math", and be familiar with matric system
-
-RESPONSE FORMAT:
-Always respond with valid JSON containing:
-{
-  "message": "Your natural conversational response to the student",
-  "extracted_data": {
-    "grade": "detected grade or null",
-    "subject": "detected subject or null",
-    "topics": ["array of specific topics mentioned or empty array"],
-    "exam_date": "detected date in YYYY-MM-DD format or null",
-    "preferred_time": "detected time or null"
-  },
-  "conversation_state": "collecting_info|offering_plan|confirming_details",
-  "is_data_complete": boolean indicating if all required data is collected
-}
-
-After collecting all required information, transition to offering a study plan with daily lessons and practice.`;
+  buildExamPrepSystemPrompt() {
+    return renderPrompt(AI_FEATURES.EXAM_PREP);
   }
 
   /**
-   * Get conversation history for a session
+   * Get conversation history and summary for a session
    */
   async getConversationHistory(sessionId) {
-    return executeQuery(async (supabase) => {
-      const { data, error } = await supabase
-        .from('conversation_history')
-        .select('messages')
-        .eq('session_id', sessionId)
-        .single();
-
-      if (error || !data) {
-        console.log(`Creating new conversation history for session ${sessionId}`);
-        return [];
-      }
-
-      return data.messages || [];
-    });
+    return conversationMemory.load(CONVERSATION_KINDS.EXAM_PREP, sessionId);
   }
 
   /**
    * Save conversation history for a session
    */
-  async saveConversationHistory(sessionId, messages) {
-    return executeQuery(async (supabase) => {
-      const { data: existing } = await supabase
-        .from('conversation_history')
-        .select('id')
-        .eq('session_id', sessionId)
-        .maybeSingle();
-
-      if (existing) {
-        await supabase
-          .from('conversation_history')
-          .update({
-            messages,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existing.id);
-      } else {
-        await supabase.from('conversation_history').insert({
-          session_id: sessionId,
-          messages,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        });
-      }
-    });
+  async saveConversationHistory(sessionId, memory, userId) {
+    return conversationMemory.save(CONVERSATION_KINDS.EXAM_PREP, sessionId, memory, { userId });
   }
 
   /**
@@ -0,0 +1,221 @@
+/**
+ * Webhook De-duplication Service
+ * Date: 2026-10-19 10:05:00 UTC
+ *
+ * ManyChat retries deliveries it believes timed out, which used to re-run
+ * handlers like answer grading and double-count stats and streaks. Each
+ * delivery is claimed under a key (subscriber + message id, or a hash of the
+ * signature header or quick-reply callback token) and the computed reply is
+ * stored so retries within DEDUP_WINDOW_SEC get the same reply back without
+ * touching learner state.
+ *
+ * The body alone is never a key: a learner sending "1" or "next" twice is two
+ * messages. A retry re-sends the signed delivery as is, so its signature
+ * header (timestamp + HMAC) identifies it; a new message gets a new timestamp.
+ * Quick-reply taps carry no header but a token minted for that one button.
+ *
+ * A signed retry is accepted for WEBHOOK_SIGNATURE_TOLERANCE_SEC, so the window
+ * is never shorter than that; a retry that outlives its key would run again.
+ */
+
+import crypto from 'crypto';
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+
+/**
+ * In-memory store. Used by tests and as a single-instance fallback.
+ */
+export class MemoryDedupStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async claim(key, subscriberId, windowSec, now = Date.now()) {
+    const existing = this.records.get(key);
+    if (existing && existing.expiresAt > now) {
+      return { claimed: false, status: existing.status, response: existing.response };
+    }
+
+    this.records.set(key, {
+      subscriberId,
+      status: 'processing',
+      response: null,
+      expiresAt: now + windowSec * 1000
+    });
+    return { claimed: true };
+  }
+
+  async complete(key, response) {
+    const existing = this.records.get(key);
+    if (existing) {
+      existing.status = 'completed';
+      existing.response = response;
+    }
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Postgres-backed store (table: webhook_deliveries). Shared across serverless
+ * instances so a retry landing on a different instance is still caught.
+ */
+export class SupabaseDedupStore {
+  async claim(key, subscriberId, windowSec, now = Date.now()) {
+    return executeQuery(async (supabase) => {
+      const record = {
+        dedup_key: key,
+        subscriber_id: subscriberId,
+        status: 'processing',
+        response: null,
+        expires_at: new Date(now + windowSec * 1000).toISOString(),
+        created_at: new Date(now).toISOString()
+      };
+
+      const { error } = await supabase.from('webhook_deliveries').insert(record);
+      if (!error) return { claimed: true };
+
+      // 23505 = unique violation: someone already claimed this key
+      if (error.code !== '23505') throw error;
+
+      // Take over the key only if the previous claim has expired
+      const { data: reclaimed, error: reclaimError } = await supabase
+        .from('webhook_deliveries')
+        .update(record)
+        .eq('dedup_key', key)
+        .lt('expires_at', new Date(now).toISOString())
+        .select('dedup_key');
+
+      if (reclaimError) throw reclaimError;
+      if (reclaimed && reclaimed.length > 0) return { claimed: true };
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('webhook_deliveries')
+        .select('status, response')
+        .eq('dedup_key', key)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      return {
+        claimed: false,
+        status: existing?.status || 'processing',
+        response: existing?.response || null
+      };
+    });
+  }
+
+  async complete(key, response) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase
+        .from('webhook_deliveries')
+        .update({ status: 'completed', response, completed_at: new Date().toISOString() })
+        .eq('dedup_key', key);
+
+      if (error) throw error;
+    });
+  }
+
+  async release(key) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase.from('webhook_deliveries').delete().eq('dedup_key', key);
+      if (error) throw error;
+    });
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+export class DedupService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryDedupStore or SupabaseDedupStore
+   * @param {number} options.windowSec - How long a delivery key is remembered
+   */
+  constructor({ store, windowSec }) {
+    this.store = store;
+    this.windowSec = windowSec;
+  }
+
+  /**
+   * Build the de-dup key for a delivery
+   *
+   * @param {Object} delivery
+   * @param {string} delivery.subscriberId - ManyChat subscriber id
+   * @param {string} delivery.messageId - Platform message id, when ManyChat sends one
+   * @param {string} delivery.signature - Signature header (hashed when there is no message id)
+   * @param {string} delivery.callbackToken - Quick-reply token, for taps that come back unsigned
+   * @returns {string|null} De-dup key, or null when the delivery can't be told apart from a resend
+   */
+  buildKey({ subscriberId, messageId, signature, callbackToken }) {
+    if (messageId) {
+      return `${subscriberId}:msg:${messageId}`;
+    }
+
+    if (signature) return `${subscriberId}:sig:${sha256(signature)}`;
+    if (callbackToken) return `${subscriberId}:cb:${sha256(callbackToken)}`;
+
+    return null;
+  }
+
+  /**
+   * Claim a delivery. Fails open: if the store is unavailable the message is processed.
+   *
+   * @param {string|null} key - De-dup key; null processes the delivery without a claim
+   * @param {string} subscriberId - ManyChat subscriber id
+   * @returns {Object} { duplicate: false } or { duplicate: true, status, response }
+   */
+  async begin(key, subscriberId) {
+    if (!key) return { duplicate: false };
+
+    try {
+      const result = await this.store.claim(key, subscriberId, this.windowSec);
+      if (result.claimed) {
+        return { duplicate: false };
+      }
+
+      return { duplicate: true, status: result.status, response: result.response };
+    } catch (error) {
+      console.error('❌ De-dup claim error:', error);
+      return { duplicate: false };
+    }
+  }
+
+  /**
+   * Store the reply so retries can be answered without re-running handlers
+   */
+  async complete(key, response) {
+    if (!key) return;
+
+    try {
+      await this.store.complete(key, response);
+    } catch (error) {
+      console.error('❌ De-dup completion error:', error);
+    }
+  }
+
+  /**
+   * Forget a delivery that failed so a retry gets a fresh attempt
+   */
+  async abandon(key) {
+    if (!key) return;
+
+    try {
+      await this.store.release(key);
+    } catch (error) {
+      console.error('❌ De-dup release error:', error);
+    }
+  }
+}
+
+if (env.DEDUP_WINDOW_SEC < env.WEBHOOK_SIGNATURE_TOLERANCE_SEC) {
+  console.warn(
+    `⚠️ DEDUP_WINDOW_SEC (${env.DEDUP_WINDOW_SEC}s) is shorter than WEBHOOK_SIGNATURE_TOLERANCE_SEC; using ${env.WEBHOOK_SIGNATURE_TOLERANCE_SEC}s`
+  );
+}
+
+export const dedupService = new DedupService({
+  store: new SupabaseDedupStore(),
+  windowSec: Math.max(env.DEDUP_WINDOW_SEC, env.WEBHOOK_SIGNATURE_TOLERANCE_SEC)
+});
@@ -1,4 +1,284 @@
+/**
+ * Fallback Service
+ * Date: 2026-10-19 20:05:00 UTC
+ *
+ * Offline-AI content plus the switch for degraded mode. Every OpenAI call
+ * reports its outcome here (config/openai.js). When the failure rate over
+ * the last AI_DEGRADED_WINDOW_SEC reaches AI_DEGRADED_FAILURE_RATE, AI
+ * features go into degraded mode:
+ * - explanations come from the question's stored solution_steps
+ * - homework and tutoring use the curated method templates
+ * - practice serves stored questions only
+ * - slow (AI) turns carry MESSAGES.AI_LIMITED.BANNER
+ * While degraded, one probe call every AI_DEGRADED_PROBE_SEC still goes to
+ * OpenAI. Once the failure rate falls below half the threshold, normal mode
+ * resumes. AI_FALLBACK_MODE=on|off overrides the automatic switch.
+ * State is per process.
+ */
+
+import { env } from '../../../../lib/config.js';
+import { CONSTANTS, MESSAGES } from '../config/constants.js';
+
+// Curated homework method templates by problem type (homeworkHandler's menu)
+const METHOD_TEMPLATES = {
+  equations:
+    `📘 **EQUATION SOLVING METHOD:**\n\n` +
+    `**Step-by-step approach:**\n` +
+    `1️⃣ Identify equation type (linear, quadratic, etc.)\n` +
+    `2️⃣ Isolate variable terms on one side\n` +
+    `3️⃣ Combine like terms\n` +
+    `4️⃣ Solve for the variable\n` +
+    `5️⃣ Check your answer\n\n` +
+    `**Example (Similar to your homework):**\n` +
+    `Solve: 2x + 5 = 13\n` +
+    `• Subtract 5: 2x = 8\n` +
+    `• Divide by 2: x = 4\n` +
+    `• Check: 2(4) + 5 = 13 ✓\n\n` +
+    `**For quadratics:** Try factoring first, then quadratic formula if needed.`,
+
+  word_problems:
+    `📘 **WORD PROBLEM METHOD:**\n\n` +
+    `**PROVEN STRATEGY:**\n` +
+    `1️⃣ Read twice (understand the story)\n` +
+    `2️⃣ Identify what you're looking for\n` +
+    `3️⃣ Define your variable (let x = ...)\n` +
+    `4️⃣ Write equation from the story\n` +
+    `5️⃣ Solve the equation\n` +
+    `6️⃣ Answer in context (with units!)\n\n` +
+    `**Example approach:**\n` +
+    `"A rectangle's length is 3 more than width. Perimeter = 26."\n` +
+    `• Let w = width\n` +
+    `• Then length = w + 3\n` +
+    `• Perimeter: 2w + 2(w + 3) = 26\n` +
+    `• Solve: w = 5, length = 8`,
+
+  graphs_functions:
+    `📘 **GRAPHS & FUNCTIONS METHOD:**\n\n` +
+    `**KEY STEPS:**\n` +
+    `1️⃣ Identify function type (linear, quadratic, etc.)\n` +
+    `2️⃣ Find key points (intercepts, vertex)\n` +
+    `3️⃣ Determine domain and range\n` +
+    `4️⃣ Sketch or analyze behavior\n\n` +
+    `**For linear functions (y = mx + b):**\n` +
+    `• m = slope (rise/run)\n` +
+    `• b = y-intercept\n` +
+    `• x-intercept: set y = 0, solve for x\n\n` +
+    `**For quadratics (y = ax² + bx + c):**\n` +
+    `• Vertex at x = -b/(2a)\n` +
+    `• Opens up if a > 0, down if a < 0`,
+
+  calculus: `📘 **${CONSTANTS.LESSONS.CALCULUS_INTRO.title.toUpperCase()}:**\n\n${CONSTANTS.LESSONS.CALCULUS_INTRO.content}`,
+
+  trigonometry: `📘 **${CONSTANTS.LESSONS.TRIGONOMETRY_INTRO.title.toUpperCase()}:**\n\n${CONSTANTS.LESSONS.TRIGONOMETRY_INTRO.content}`,
+
+  other:
+    `📘 **GENERAL PROBLEM-SOLVING METHOD:**\n\n` +
+    `**UNIVERSAL APPROACH:**\n` +
+    `1️⃣ Understand what's given\n` +
+    `2️⃣ Identify what you need to find\n` +
+    `3️⃣ Choose the right formula/method\n` +
+    `4️⃣ Show all work step-by-step\n` +
+    `5️⃣ Check if answer makes sense\n\n` +
+    `**When stuck:**\n` +
+    `• Break into smaller steps\n` +
+    `• Look for similar examples\n` +
+    `• Check your algebra carefully\n` +
+    `• Verify units and reasonableness`
+};
+
+// Tutor/practice topics that map onto a method template
+const TOPIC_PROBLEM_TYPES = {
+  algebra: 'equations',
+  equations: 'equations',
+  functions: 'graphs_functions',
+  graphs: 'graphs_functions',
+  calculus: 'calculus',
+  trigonometry: 'trigonometry'
+};
+
+/**
+ * solution_steps is jsonb: a string, a list of strings, or a list of
+ * { step, explanation } objects. Normalise to a list of lines.
+ */
+function solutionStepList(solutionSteps) {
+  if (!solutionSteps) return [];
+
+  if (typeof solutionSteps === 'string') {
+    return solutionSteps
+      .split(/\n+/)
+      .map((line) => line.replace(/^\s*(step\s*\d+[:.)]?|\d+[.)])\s*/i, '').trim())
+      .filter(Boolean);
+  }
+
+  if (Array.isArray(solutionSteps)) {
+    return solutionSteps
+      .map((step) =>
+        typeof step === 'string'
+          ? step
+          : [step?.step || step?.description, step?.explanation].filter(Boolean).join(' - ')
+      )
+      .filter(Boolean);
+  }
+
+  return [];
+}
+
+/**
+ * Thrown instead of calling OpenAI while degraded mode is on
+ */
+export class AIUnavailableError extends Error {
+  constructor() {
+    super('AI features are temporarily limited (degraded mode)');
+    this.name = 'AIUnavailableError';
+  }
+}
+
 export class FallbackService {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'auto' (follow failure rates), 'on' or 'off'
+   * @param {number} options.windowSec - Failure-rate window
+   * @param {number} options.minCalls - Calls needed in the window before degrading
+   * @param {number} options.failureRate - Failure rate (0-1) that switches to degraded mode
+   * @param {number} options.probeSec - Gap between probe calls while degraded
+   * @param {Function} options.now - Clock (injectable for tests)
+   */
+  constructor({ mode, windowSec, minCalls, failureRate, probeSec, now = Date.now }) {
+    this.mode = mode;
+    this.windowMs = windowSec * 1000;
+    this.minCalls = minCalls;
+    this.failureRate = failureRate;
+    this.probeMs = probeSec * 1000;
+    this.now = now;
+    this.outcomes = [];
+    this.degraded = false;
+    this.degradedSince = null;
+    this.lastProbeAt = 0;
+  }
+
+  /**
+   * Record the outcome of one OpenAI call and flip degraded mode if needed
+   *
+   * @param {boolean} ok - Whether the call succeeded
+   */
+  recordAIResult(ok) {
+    const now = this.now();
+    this.outcomes.push({ at: now, ok });
+    this.outcomes = this.outcomes.filter((outcome) => now - outcome.at < this.windowMs);
+
+    const rate = this.currentFailureRate();
+
+    if (!this.degraded && this.outcomes.length >= this.minCalls && rate >= this.failureRate) {
+      this.degraded = true;
+      this.degradedSince = now;
+      this.lastProbeAt = now;
+      console.warn(`⚠️ AI degraded mode on (failure rate ${Math.round(rate * 100)}%)`);
+    } else if (this.degraded && rate < this.failureRate / 2) {
+      this.degraded = false;
+      this.degradedSince = null;
+      console.log(`✅ AI degraded mode off (failure rate ${Math.round(rate * 100)}%)`);
+    }
+  }
+
+  currentFailureRate() {
+    if (this.outcomes.length === 0) return 0;
+    return this.outcomes.filter((outcome) => !outcome.ok).length / this.outcomes.length;
+  }
+
+  /**
+   * Whether learners should see the offline-AI experience
+   */
+  isDegraded() {
+    if (this.mode === 'on') return true;
+    if (this.mode === 'off') return false;
+    return this.degraded;
+  }
+
+  /**
+   * Whether to call OpenAI now. While degraded this is false except for
+   * one probe call every probeSec, whose result can end degraded mode.
+   */
+  shouldUseAI() {
+    if (this.mode === 'on') return false;
+    if (!this.isDegraded()) return true;
+
+    const now = this.now();
+    if (now - this.lastProbeAt < this.probeMs) return false;
+
+    this.lastProbeAt = now;
+    return true;
+  }
+
+  status() {
+    return {
+      degraded: this.isDegraded(),
+      mode: this.mode,
+      failure_rate: Math.round(this.currentFailureRate() * 100) / 100,
+      calls_in_window: this.outcomes.length,
+      degraded_since: this.degradedSince ? new Date(this.degradedSince).toISOString() : null
+    };
+  }
+
+  /**
+   * Rule-based explanation built from a question's stored solution steps
+   *
+   * @param {Object} question - Question with solution_steps, key_concepts, hints, topic
+   * @param {string} correctAnswer - Correct choice or answer, if known
+   * @returns {string} Explanation text
+   */
+  static explainFromSolution(question, correctAnswer = null) {
+    const steps = solutionStepList(question?.solution_steps);
+
+    if (steps.length === 0) {
+      return FallbackService.getBasicExplanation(question?.topic, correctAnswer);
+    }
+
+    let explanation = correctAnswer
+      ? `🧠 The correct answer is **${correctAnswer}**. Here's how to get there:\n\n`
+      : `🧠 Here's how to work it out:\n\n`;
+
+    explanation += steps.map((step, index) => `${index + 1}. ${step}`).join('\n');
+
+    const concepts = question.key_concepts || [];
+    if (concepts.length > 0) {
+      explanation += `\n\n🔑 Key idea${concepts.length > 1 ? 's' : ''}: ${concepts.join(', ')}`;
+    }
+
+    const hint = Array.isArray(question.hints) ? question.hints[0] : null;
+    explanation += hint
+      ? `\n\n💡 Quick tip: ${hint}`
+      : `\n\n💡 Quick tip: Redo it yourself without looking, one step at a time!`;
+
+    return explanation;
+  }
+
+  /**
+   * Curated method template for a homework problem type or tutoring topic
+   *
+   * @param {string} problemTypeOrTopic - e.g. 'equations', 'word_problems', 'algebra'
+   * @returns {string} Method text
+   */
+  static getMethodTemplate(problemTypeOrTopic) {
+    const key = String(problemTypeOrTopic || '').toLowerCase();
+    return (
+      METHOD_TEMPLATES[key] || METHOD_TEMPLATES[TOPIC_PROBLEM_TYPES[key]] || METHOD_TEMPLATES.other
+    );
+  }
+
+  /**
+   * Tutor reply without OpenAI: the method for the topic and a way forward
+   *
+   * @param {string} topic - Tutoring topic, if known
+   * @returns {string} Reply text
+   */
+  static getTutorReply(topic) {
+    return (
+      `${MESSAGES.AI_LIMITED.TUTOR}\n\n` +
+      `${FallbackService.getMethodTemplate(topic)}\n\n` +
+      `Type "practice" to try stored questions on this, or "menu" for other options.`
+    );
+  }
+
   static getBasicExplanation(topic, correctAnswer) {
     const explanations = {
       algebra: `🧠 For algebra problems, isolate the variable step by step.\n\n💡 Quick tip: Whatever you do to one side, do to the other!`,
@@ -40,3 +320,10 @@ export class FallbackService {
   }
 }
 
+export const fallbackService = new FallbackService({
+  mode: env.AI_FALLBACK_MODE,
+  windowSec: env.AI_DEGRADED_WINDOW_SEC,
+  minCalls: env.AI_DEGRADED_MIN_CALLS,
+  failureRate: env.AI_DEGRADED_FAILURE_RATE,
+  probeSec: env.AI_DEGRADED_PROBE_SEC
+});
@@ -0,0 +1,215 @@
+/**
+ * Health Service
+ * Date: 2026-10-19 16:30:00 UTC
+ *
+ * Readiness: checks Supabase and OpenAI (with latency), the reminder backlog
+ * and whether the database has every migration in supabase/migrations.
+ * Liveness: process-only, never touches external services.
+ *
+ * Supabase down means the bot can't answer anyone ('down', 503); any other
+ * failed check leaves it usable ('degraded', 200).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { executeQuery, testConnection } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+import { circuitStatus } from '../../../../lib/resilience.js';
+import { fallbackService } from './fallbackService.js';
+import { testLLMConnection } from './llmProvider.js';
+import { SHIPPED_MIGRATION } from '../config/schemaVersion.js';
+
+const STARTED_AT = new Date();
+
+/**
+ * App version from package.json (npm sets npm_package_version when it starts the app)
+ */
+function readAppVersion() {
+  if (process.env.npm_package_version) return process.env.npm_package_version;
+
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8'));
+    return pkg.version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a check with a deadline and time it
+ *
+ * @returns {Object} { ok, latency_ms, error? }
+ */
+async function timed(check, timeoutMs) {
+  const start = Date.now();
+  let timer;
+
+  try {
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    const ok = await Promise.race([check(), deadline]);
+    return { ok: ok !== false, latency_ms: Date.now() - start };
+  } catch (error) {
+    return { ok: false, latency_ms: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class HealthService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.checkDatabase - async () => boolean
+   * @param {Function} options.checkOpenAI - async () => boolean
+   * @param {Function} options.countReminderBacklog - async () => { pending, oldest_due_at }
+   * @param {Function} options.getAppliedMigration - async () => highest applied version
+   * @param {number|null} options.shippedMigration - Highest version shipped with this build (null fails)
+   * @param {string|null} options.version - App version
+   * @param {number} options.timeoutMs - Per-check deadline
+   * @param {number} options.openAICacheSec - Reuse an OpenAI result this long (each check is a paid call)
+   * @param {Function} options.getCircuits - () => circuit breaker states by dependency
+   * @param {Function} options.getAIMode - () => degraded-mode status from FallbackService
+   */
+  constructor({
+    checkDatabase,
+    checkOpenAI,
+    countReminderBacklog,
+    getAppliedMigration,
+    shippedMigration,
+    version,
+    timeoutMs,
+    openAICacheSec,
+    getCircuits = () => ({}),
+    getAIMode = () => ({ degraded: false })
+  }) {
+    this.checkDatabase = checkDatabase;
+    this.checkOpenAI = checkOpenAI;
+    this.countReminderBacklog = countReminderBacklog;
+    this.getAppliedMigration = getAppliedMigration;
+    this.shippedMigration = shippedMigration;
+    this.version = version;
+    this.timeoutMs = timeoutMs;
+    this.openAICacheSec = openAICacheSec;
+    this.openAICache = null;
+    this.getCircuits = getCircuits;
+    this.getAIMode = getAIMode;
+  }
+
+  /**
+   * Cheap process check for liveness probes
+   */
+  liveness(now = new Date()) {
+    return {
+      status: 'ok',
+      version: this.version,
+      uptime_sec: Math.round((now - STARTED_AT) / 1000),
+      checked_at: now.toISOString()
+    };
+  }
+
+  /**
+   * Full dependency check for readiness probes and dashboards
+   *
+   * @returns {Object} Report with `status` of 'ok', 'degraded' or 'down'
+   */
+  async readiness(now = new Date()) {
+    const [database, openai, reminders, migrations] = await Promise.all([
+      timed(this.checkDatabase, this.timeoutMs),
+      this.cachedOpenAICheck(now),
+      this.reminderBacklog(),
+      this.migrationStatus()
+    ]);
+
+    const aiMode = this.getAIMode();
+
+    let status = 'ok';
+    if (!openai.ok || !reminders.ok || !migrations.ok || aiMode.degraded) status = 'degraded';
+    if (!database.ok) status = 'down';
+
+    return {
+      status,
+      version: this.version,
+      checked_at: now.toISOString(),
+      checks: { database, openai, reminders, migrations },
+      circuits: this.getCircuits(),
+      ai_mode: aiMode
+    };
+  }
+
+  async cachedOpenAICheck(now) {
+    if (this.openAICache && now - this.openAICache.at < this.openAICacheSec * 1000) {
+      return { ...this.openAICache.result, cached: true };
+    }
+
+    const result = await timed(this.checkOpenAI, this.timeoutMs);
+    this.openAICache = { at: now, result };
+    return result;
+  }
+
+  async reminderBacklog() {
+    try {
+      const backlog = await this.countReminderBacklog();
+      return { ok: true, ...backlog };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  async migrationStatus() {
+    try {
+      const applied = await this.getAppliedMigration();
+      const expected = this.shippedMigration;
+      // Not knowing what this build expects is a failed check, not a pass
+      return {
+        ok: expected !== null && applied === expected,
+        applied,
+        expected
+      };
+    } catch (error) {
+      return { ok: false, applied: null, expected: this.shippedMigration, error: error.message };
+    }
+  }
+}
+
+async function countReminderBacklog() {
+  return executeQuery(async (supabase) => {
+    const { data, count, error } = await supabase
+      .from('study_reminders')
+      .select('scheduled_for', { count: 'exact' })
+      .eq('status', 'scheduled')
+      .lte('scheduled_for', new Date().toISOString())
+      .order('scheduled_for', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    return { pending: count || 0, oldest_due_at: data?.[0]?.scheduled_for || null };
+  });
+}
+
+async function getAppliedMigration() {
+  return executeQuery(async (supabase) => {
+    const { data, error } = await supabase
+      .from('schema_versions')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.version ?? null;
+  });
+}
+
+export const healthService = new HealthService({
+  checkDatabase: testConnection,
+  checkOpenAI: testLLMConnection,
+  countReminderBacklog,
+  getAppliedMigration,
+  shippedMigration: SHIPPED_MIGRATION,
+  version: readAppVersion(),
+  timeoutMs: env.HEALTH_CHECK_TIMEOUT_MS,
+  openAICacheSec: env.HEALTH_OPENAI_CACHE_SEC,
+  getCircuits: circuitStatus,
+  getAIMode: () => fallbackService.status()
+});
@@ -1,7 +1,16 @@
 import { executeQuery } from '../config/database.js';
+import { messagingService } from './messagingService.js';
+import { DELIVERY_ERRORS } from './manychatClient.js';
+import { NOTIFICATION_CATEGORIES } from './notificationPreferenceService.js';
+
+// Hook types that aren't streak nudges; everything else counts as one
+const HOOK_CATEGORIES = {
+  friend_challenge_hook: NOTIFICATION_CATEGORIES.FRIEND_CHALLENGES,
+  weekly_report_hook: NOTIFICATION_CATEGORIES.WEEKLY_REPORTS
+};
 
 export class HookService {
-  async getHookForUser(userId, hookType, context = {}) {
+  async getHookForUser(userId, hookType, context = {}, { logSent = true } = {}) {
     return executeQuery(async (supabase) => {
       // Get user info for personalization
       const { data: user } = await supabase
@@ -32,8 +41,10 @@ export class HookService {
       // Personalize the message
       const personalizedMessage = this.personalizeMessage(template.message_text, user, context);
 
-      // Log hook sent
-      await this.logHookSent(userId, template.id, hookType);
+      // Log hook sent (delivered hooks are logged once the send result is known)
+      if (logSent) {
+        await this.logHookSent(userId, template.id, hookType);
+      }
 
       return {
         template_id: template.id,
@@ -95,14 +106,14 @@ export class HookService {
     return personalized;
   }
 
-  async logHookSent(userId, templateId, hookType) {
+  async logHookSent(userId, templateId, hookType, wasSuccessful = true) {
     return executeQuery(async (supabase) => {
       await supabase.from('user_hook_history').insert({
         user_id: userId,
         hook_template_id: templateId,
         hook_type: hookType,
         sent_at: new Date().toISOString(),
-        was_successful: true
+        was_successful: wasSuccessful
       });
     });
   }
@@ -144,25 +155,55 @@ export class HookService {
     });
   }
 
-  // Manual hook triggers (for testing and immediate use)
+  /**
+   * Pick, personalize and deliver a hook through ManyChat
+   *
+   * @returns {Object|null} Hook plus `delivery` result, or null if no template applies
+   */
+  async deliverHook(userId, hookType, context) {
+    const category = HOOK_CATEGORIES[hookType] || NOTIFICATION_CATEGORIES.STREAK_HOOKS;
+    const hook = await this.getHookForUser(userId, hookType, context, { logSent: false });
+    if (!hook) return null;
+
+    // Hook types double as template keys for learners outside the messaging window.
+    // messagingService checks the learner's notification preferences.
+    const delivery = await messagingService.sendToUser(userId, hook.message, {
+      category,
+      template: hookType
+    });
+    if (delivery.error?.type === DELIVERY_ERRORS.OPTED_OUT) {
+      console.log(`🔕 Skipping ${hookType} for user ${userId}: ${delivery.error.message}`);
+      return null;
+    }
+
+    await this.logHookSent(userId, hook.template_id, hookType, delivery.ok);
+
+    if (!delivery.ok) {
+      console.error(`❌ ${hookType} not delivered to user ${userId}: ${delivery.error.type}`);
+    }
+
+    return { ...hook, delivery };
+  }
+
+  // Hook triggers (scheduler and manual use)
   async sendMorningHook(userId) {
     const context = { answered_today: false };
-    return await this.getHookForUser(userId, 'morning_hook', context);
+    return await this.deliverHook(userId, 'morning_hook', context);
   }
 
   async sendStreakProtectionHook(userId) {
     const context = { streak_at_risk: true };
-    return await this.getHookForUser(userId, 'evening_hook', context);
+    return await this.deliverHook(userId, 'evening_hook', context);
   }
 
   async sendComebackHook(userId) {
     const context = { days_inactive: 3 };
-    return await this.getHookForUser(userId, 'comeback_hook', context);
+    return await this.deliverHook(userId, 'comeback_hook', context);
   }
 
   async sendFOMOHook(userId) {
     const context = { peer_activity_high: true };
-    return await this.getHookForUser(userId, 'fomo_hook', context);
+    return await this.deliverHook(userId, 'fomo_hook', context);
   }
 }
 
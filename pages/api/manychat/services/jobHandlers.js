@@ -0,0 +1,58 @@
+/**
+ * Background Job Handlers
+ * Date: 2026-10-19 19:10:00 UTC
+ *
+ * Binds each JOB_TYPES entry to the service call that does the work. Import
+ * this module wherever jobs are processed (the cron route and the worker
+ * script); the webhook only enqueues and doesn't need it.
+ */
+
+import { JOB_TYPES, jobQueue } from './jobQueueService.js';
+import { aiTutorService } from './aiTutorService.js';
+import { conversationMemory } from './conversationMemoryService.js';
+import { lessonService } from './lessonService.js';
+import { offlineService } from './offlineService.js';
+import { practiceService } from './practiceService.js';
+import { messagingService } from './messagingService.js';
+import { CONVERSATION_CATEGORY } from './notificationPreferenceService.js';
+import { updateUser } from './userService.js';
+
+jobQueue
+  .register(
+    JOB_TYPES.EXTRACT_TUTOR_INSIGHTS,
+    async ({ userId, conversationId, recentMessages }) => {
+      await aiTutorService.extractInsightsFromConversation(userId, conversationId, recentMessages);
+    }
+  )
+  .register(JOB_TYPES.UPDATE_LESSON_EFFECTIVENESS, async ({ lessonId }) => {
+    const updated = await lessonService.updateLessonEffectivenessScore(lessonId);
+    if (!updated) throw new Error(`Effectiveness score for lesson ${lessonId} not updated`);
+  })
+  .register(JOB_TYPES.GENERATE_OFFLINE_PACKAGE, async ({ userId, options }) => {
+    const generated = await offlineService.generateOfflinePackage(userId, options);
+    if (!generated || generated.error) {
+      throw new Error(generated?.error || 'Offline package generation failed');
+    }
+
+    await updateUser(userId, { offline_package_id: generated.package_id });
+
+    // Once the package exists, don't throw: a retry would build it all again
+    const stored = await offlineService.getLatestOfflinePackage(userId);
+    const result = await messagingService.sendToUser(
+      userId,
+      offlineService.formatOfflinePackageInfo(stored || generated),
+      { category: CONVERSATION_CATEGORY }
+    );
+
+    if (!result.ok) {
+      console.error(`❌ Offline package ready but not delivered to user ${userId}:`, result.error);
+    }
+  })
+  .register(JOB_TYPES.GENERATE_PRACTICE_QUESTION, async (parameters) => {
+    await practiceService.createQuestion(parameters);
+  })
+  .register(JOB_TYPES.SUMMARIZE_CONVERSATION, async ({ kind, id, userId }) => {
+    await conversationMemory.summarize(kind, id, { userId });
+  });
+
+export { jobQueue };
@@ -0,0 +1,292 @@
+/**
+ * Background Job Queue
+ * Date: 2026-10-19 18:55:00 UTC
+ *
+ * Work that doesn't shape the learner's reply (insight extraction, lesson
+ * effectiveness scores, offline packages, topping up AI-generated questions,
+ * conversation summaries) is enqueued here instead of running inside the webhook. A worker
+ * (pages/api/cron/jobs.js or scripts/job-worker.js) claims due jobs with
+ * FOR UPDATE SKIP LOCKED, runs the handler registered for the job type and
+ * retries failures with exponential backoff. Jobs that run out of attempts
+ * move to dead_letter_jobs.
+ *
+ * Handlers are registered in services/jobHandlers.js so services can enqueue
+ * without importing each other.
+ */
+
+import crypto from 'crypto';
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+
+export const JOB_TYPES = {
+  EXTRACT_TUTOR_INSIGHTS: 'tutor.extract_insights',
+  UPDATE_LESSON_EFFECTIVENESS: 'lesson.update_effectiveness',
+  GENERATE_OFFLINE_PACKAGE: 'offline.generate_package',
+  GENERATE_PRACTICE_QUESTION: 'practice.generate_question',
+  SUMMARIZE_CONVERSATION: 'conversation.summarize'
+};
+
+// Longest wait between retries
+const MAX_RETRY_DELAY_SEC = 60 * 60;
+
+/**
+ * In-memory store. Used by tests and local development.
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.deadLetters = [];
+    this.nextId = 1;
+  }
+
+  async insert(job) {
+    const duplicate = [...this.jobs.values()].find(
+      (existing) =>
+        job.dedup_key && existing.dedup_key === job.dedup_key && existing.status === 'queued'
+    );
+    if (duplicate) return null;
+
+    const row = { ...job, id: this.nextId++, status: 'queued', attempts: 0 };
+    this.jobs.set(row.id, row);
+    return row.id;
+  }
+
+  async claim(batchSize, leaseSec, workerId, now = new Date()) {
+    const due = [...this.jobs.values()]
+      .filter(
+        (job) =>
+          (job.status === 'queued' && new Date(job.run_at) <= now) ||
+          (job.status === 'running' && new Date(job.locked_until) < now)
+      )
+      .sort((a, b) => new Date(a.run_at) - new Date(b.run_at))
+      .slice(0, batchSize);
+
+    return due.map((job) =>
+      Object.assign(job, {
+        status: 'running',
+        attempts: job.attempts + 1,
+        locked_by: workerId,
+        locked_until: new Date(now.getTime() + leaseSec * 1000).toISOString()
+      })
+    );
+  }
+
+  async complete(id) {
+    this.jobs.delete(id);
+  }
+
+  async retry(id, runAt, error) {
+    Object.assign(this.jobs.get(id), {
+      status: 'queued',
+      run_at: runAt.toISOString(),
+      last_error: error,
+      locked_by: null,
+      locked_until: null
+    });
+  }
+
+  async deadLetter(id, error) {
+    const job = this.jobs.get(id);
+    this.deadLetters.push({ ...job, last_error: error });
+    this.jobs.delete(id);
+  }
+}
+
+/**
+ * Postgres-backed store (tables: jobs, dead_letter_jobs; functions: claim_jobs,
+ * dead_letter_job)
+ */
+export class SupabaseJobStore {
+  async insert(job) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.from('jobs').insert(job).select('id').single();
+
+      // 23505 = unique violation: the same dedup_key is already waiting
+      if (error?.code === '23505') return null;
+      if (error) throw error;
+      return data.id;
+    });
+  }
+
+  async claim(batchSize, leaseSec, workerId) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.rpc('claim_jobs', {
+        p_batch_size: batchSize,
+        p_lease_sec: leaseSec,
+        p_worker: workerId
+      });
+
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  async complete(id) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase.from('jobs').delete().eq('id', id);
+      if (error) throw error;
+    });
+  }
+
+  async retry(id, runAt, lastError) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase
+        .from('jobs')
+        .update({
+          status: 'queued',
+          run_at: runAt.toISOString(),
+          last_error: lastError,
+          locked_by: null,
+          locked_until: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id);
+
+      if (error) throw error;
+    });
+  }
+
+  async deadLetter(id, lastError) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase.rpc('dead_letter_job', { p_id: id, p_error: lastError });
+      if (error) throw error;
+    });
+  }
+}
+
+export class JobQueueService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryJobStore or SupabaseJobStore
+   * @param {number} options.batchSize - Jobs claimed per worker run
+   * @param {number} options.leaseSec - How long a claim is held before another worker may take it
+   * @param {number} options.maxAttempts - Default attempts before a job is dead-lettered
+   * @param {number} options.retryBaseSec - First retry delay; doubles per attempt
+   */
+  constructor({
+    store,
+    batchSize = env.JOB_BATCH_SIZE,
+    leaseSec = env.JOB_LEASE_SEC,
+    maxAttempts = env.JOB_MAX_ATTEMPTS,
+    retryBaseSec = env.JOB_RETRY_BASE_SEC
+  }) {
+    this.store = store;
+    this.batchSize = batchSize;
+    this.leaseSec = leaseSec;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseSec = retryBaseSec;
+    this.handlers = new Map();
+    this.workerId = `worker-${crypto.randomUUID().slice(0, 8)}`;
+  }
+
+  /**
+   * Register the function that runs a job type
+   *
+   * @param {string} type - One of JOB_TYPES
+   * @param {Function} handler - async (payload, job) => void; throw to retry
+   * @returns {JobQueueService} this, for chaining
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Queue a job. Never throws; callers carry on without the background work.
+   *
+   * @param {string} type - One of JOB_TYPES
+   * @param {Object} payload - JSON payload handed to the handler
+   * @param {Object} options
+   * @param {string} options.dedupKey - Skip if a job with this key is already waiting
+   * @param {Date} options.runAt - Earliest start
+   * @param {number} options.maxAttempts - Override the default attempt budget
+   * @returns {Object} { queued, id, duplicate? }
+   */
+  async enqueue(type, payload, { dedupKey = null, runAt = new Date(), maxAttempts } = {}) {
+    try {
+      const id = await this.store.insert({
+        type,
+        payload,
+        dedup_key: dedupKey,
+        max_attempts: maxAttempts || this.maxAttempts,
+        run_at: runAt.toISOString()
+      });
+
+      if (id === null) {
+        return { queued: false, id: null, duplicate: true };
+      }
+
+      console.log(`📥 Queued job ${type} #${id}`);
+      return { queued: true, id };
+    } catch (error) {
+      console.error(`❌ Could not queue job ${type}:`, error);
+      return { queued: false, id: null };
+    }
+  }
+
+  /**
+   * Claim and run one batch of due jobs
+   *
+   * @returns {Object} { claimed, succeeded, retried, deadLettered }
+   */
+  async processBatch({ now = new Date() } = {}) {
+    const summary = { claimed: 0, succeeded: 0, retried: 0, deadLettered: 0 };
+    const jobs = await this.store.claim(this.batchSize, this.leaseSec, this.workerId, now);
+    summary.claimed = jobs.length;
+
+    for (const job of jobs) {
+      try {
+        summary[await this.runJob(job, now)]++;
+      } catch (error) {
+        // Bookkeeping failed; the lease runs out and another run picks the job up
+        console.error(`❌ Job ${job.type} #${job.id} could not be updated:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  async runJob(job, now) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+
+      await handler(job.payload, job);
+      await this.store.complete(job.id);
+      return 'succeeded';
+    } catch (error) {
+      const message = error?.message || String(error);
+      const retryAt = handler ? this.nextRunAt(job.attempts, job.max_attempts, now) : null;
+
+      if (retryAt) {
+        console.warn(`⚠️ Job ${job.type} #${job.id} failed (attempt ${job.attempts}): ${message}`);
+        await this.store.retry(job.id, retryAt, message);
+        return 'retried';
+      }
+
+      console.error(`❌ Job ${job.type} #${job.id} dead-lettered after ${job.attempts} attempts`);
+      await this.store.deadLetter(job.id, message);
+      return 'deadLettered';
+    }
+  }
+
+  /**
+   * When to retry after a failed attempt, or null once the budget is spent
+   *
+   * @param {number} attempts - Attempts made so far
+   * @param {number} maxAttempts - Attempt budget for the job
+   * @param {Date} now - Current time
+   * @returns {Date|null}
+   */
+  nextRunAt(attempts, maxAttempts = this.maxAttempts, now = new Date()) {
+    if (attempts >= maxAttempts) return null;
+
+    const delaySec = Math.min(this.retryBaseSec * 2 ** (attempts - 1), MAX_RETRY_DELAY_SEC);
+    return new Date(now.getTime() + delaySec * 1000);
+  }
+}
+
+export const jobQueue = new JobQueueService({
+  store: env.JOB_QUEUE_STORE === 'memory' ? new MemoryJobStore() : new SupabaseJobStore()
+});
@@ -0,0 +1,202 @@
+/**
+ * Per-Learner Lock Service
+ * Date: 2026-10-19 17:45:00 UTC
+ *
+ * Two quick messages from one learner used to run side by side: both read the
+ * same current_menu / current_question_id, so an answer could be graded twice
+ * and one request's updateUser could overwrite the other's. The webhook now
+ * holds a per-subscriber lock for the whole request. A message that arrives
+ * while the lock is held waits its turn (polling up to LEARNER_LOCK_WAIT_MS)
+ * and then runs against the state the first message left behind.
+ *
+ * A slow turn that is acknowledged early keeps the lock until its background
+ * work (the rest of the turn and the reply push) settles; otherwise the next
+ * message could run against state the turn hasn't written yet.
+ *
+ * Locks are leases (LEARNER_LOCK_LEASE_SEC) so a crashed instance can't block
+ * a learner for good. The lease is stretched to cover a whole tutor turn plus
+ * the push's retries, so it can't lapse under a turn that is still running.
+ */
+
+import crypto from 'crypto';
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+
+/**
+ * In-memory store. Used by tests and as a single-instance fallback.
+ */
+export class MemoryLearnerLockStore {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  async acquire(key, holder, leaseSec, now = Date.now()) {
+    const existing = this.locks.get(key);
+    if (existing && existing.expiresAt > now && existing.holder !== holder) {
+      return false;
+    }
+
+    this.locks.set(key, { holder, expiresAt: now + leaseSec * 1000 });
+    return true;
+  }
+
+  async release(key, holder) {
+    if (this.locks.get(key)?.holder !== holder) return false;
+    this.locks.delete(key);
+    return true;
+  }
+}
+
+/**
+ * Postgres-backed store (table: learner_locks, functions: acquire_learner_lock /
+ * release_learner_lock). Shared across serverless instances.
+ */
+export class SupabaseLearnerLockStore {
+  async acquire(key, holder, leaseSec) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.rpc('acquire_learner_lock', {
+        p_key: key,
+        p_holder: holder,
+        p_lease_sec: leaseSec
+      });
+
+      if (error) throw error;
+      return data === true;
+    });
+  }
+
+  async release(key, holder) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.rpc('release_learner_lock', {
+        p_key: key,
+        p_holder: holder
+      });
+
+      if (error) throw error;
+      return data === true;
+    });
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class LearnerLockService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryLearnerLockStore or SupabaseLearnerLockStore
+   * @param {number} options.leaseSec - Lock lifetime if the holder never releases it
+   * @param {number} options.waitMs - How long a queued message waits for its turn
+   * @param {number} options.pollMs - Delay between acquire attempts while waiting
+   * @param {Function} options.sleep - async (ms) => void
+   */
+  constructor({ store, leaseSec, waitMs, pollMs, sleep: wait = sleep }) {
+    this.store = store;
+    this.leaseSec = leaseSec;
+    this.waitMs = waitMs;
+    this.pollMs = pollMs;
+    this.sleep = wait;
+  }
+
+  /**
+   * Run fn while holding the learner's lock, waiting for an earlier message to finish.
+   * Fails open: if the store is unavailable fn runs unlocked.
+   *
+   * If fn's result carries a `background` function, the lock is handed over to it:
+   * it is released once the returned `background()` settles, not when fn returns.
+   * The caller must call it.
+   *
+   * @param {string} subscriberId - ManyChat subscriber id
+   * @param {Function} fn - async () => result
+   * @returns {Object} { acquired: true, result, waitedMs } or { acquired: false, waitedMs }
+   */
+  async runExclusive(subscriberId, fn) {
+    const key = `learner:${subscriberId}`;
+    const holder = crypto.randomUUID();
+    const started = Date.now();
+    let locked = false;
+    let queued = false;
+
+    try {
+      for (;;) {
+        locked = await this.store.acquire(key, holder, this.leaseSec);
+        if (locked) break;
+        queued = true;
+
+        const waitedMs = Date.now() - started;
+        if (waitedMs >= this.waitMs) {
+          console.warn(`⏳ Learner ${subscriberId} still busy after ${waitedMs}ms`);
+          return { acquired: false, waitedMs };
+        }
+        await this.sleep(Math.min(this.pollMs, this.waitMs - waitedMs));
+      }
+    } catch (error) {
+      console.error('❌ Learner lock error, continuing unlocked:', error);
+      locked = false;
+    }
+
+    const waitedMs = Date.now() - started;
+    if (locked && queued) {
+      console.log(`🔒 Learner ${subscriberId} queued message ran after ${waitedMs}ms`);
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      if (locked) await this.release(key, holder);
+      throw error;
+    }
+
+    if (!locked) return { acquired: true, result, waitedMs };
+
+    if (typeof result?.background !== 'function') {
+      await this.release(key, holder);
+      return { acquired: true, result, waitedMs };
+    }
+
+    const { background } = result;
+    return {
+      acquired: true,
+      result: {
+        ...result,
+        background: async () => {
+          try {
+            return await background();
+          } finally {
+            await this.release(key, holder);
+          }
+        }
+      },
+      waitedMs
+    };
+  }
+
+  async release(key, holder) {
+    try {
+      await this.store.release(key, holder);
+    } catch (error) {
+      // The lease expires on its own
+      console.error('❌ Learner lock release error:', error);
+    }
+  }
+}
+
+// An early-acked tutor turn holds the lock until its reply is pushed
+const turnHoldSec = Math.ceil(
+  (env.TUTOR_TURN_TIMEOUT_MS + env.MANYCHAT_TIMEOUT_MS * (env.MANYCHAT_MAX_RETRIES + 1)) / 1000
+);
+if (env.LEARNER_LOCK_LEASE_SEC < turnHoldSec) {
+  console.warn(
+    `⚠️ LEARNER_LOCK_LEASE_SEC (${env.LEARNER_LOCK_LEASE_SEC}s) is shorter than a tutor turn plus its push; using ${turnHoldSec}s`
+  );
+}
+
+export const learnerLockService = new LearnerLockService({
+  store:
+    env.LEARNER_LOCK_STORE === 'memory'
+      ? new MemoryLearnerLockStore()
+      : new SupabaseLearnerLockStore(),
+  leaseSec: Math.max(env.LEARNER_LOCK_LEASE_SEC, turnHoldSec),
+  waitMs: env.LEARNER_LOCK_WAIT_MS,
+  pollMs: env.LEARNER_LOCK_POLL_MS
+});
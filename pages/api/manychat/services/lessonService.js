@@ -7,6 +7,7 @@
  */
 
 import { executeQuery } from '../config/database.js';
+import { JOB_TYPES, jobQueue } from './jobQueueService.js';
 
 export class LessonService {
   /**
@@ -245,8 +246,12 @@ export class LessonService {
         }
       });
 
-      // Update lesson effectiveness score
-      await this.updateLessonEffectivenessScore(lessonId);
+      // Recompute the effectiveness score in the background; one pending run per lesson
+      await jobQueue.enqueue(
+        JOB_TYPES.UPDATE_LESSON_EFFECTIVENESS,
+        { lessonId },
+        { dedupKey: `lesson_effectiveness:${lessonId}` }
+      );
 
       return true;
     } catch (error) {
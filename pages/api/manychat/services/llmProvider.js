@@ -0,0 +1,326 @@
+/**
+ * LLM Providers
+ * Date: 2026-10-19 21:20:00 UTC
+ *
+ * One interface for every model call, so services don't depend on the OpenAI SDK:
+ *   chat(params, meta)     -> { content, tool_calls, model, usage }
+ *   chatJSON(params, meta) -> { content, data, model, usage }
+ * `params` are chat.completions parameters (model, messages, max_tokens,
+ * tools, ...); `meta` is { feature, userId } from AI_FEATURES. `tool_calls`
+ * are in the chat.completions shape ({ id, type, function: { name, arguments } })
+ * and empty unless `tools` were offered.
+ *
+ * LLM_PROVIDER picks the implementation:
+ * - openai: api.openai.com (OPENAI_API_KEY)
+ * - local:  any OpenAI-compatible server at LLM_BASE_URL (Ollama, vLLM, llama.cpp)
+ * - mock:   scripted, deterministic replies with no network (LLM_MOCK_SCRIPT)
+ */
+
+import fs from 'fs';
+import { createOpenAIClient, getOpenAIClient, OPENAI_CONFIG } from '../config/openai.js';
+import { env } from '../../../../lib/config.js';
+import { AI_FEATURES } from './aiUsageService.js';
+import { AIUnavailableError, fallbackService } from './fallbackService.js';
+
+/**
+ * Parse a JSON reply. Tolerates the ```json fences some local models add.
+ *
+ * @param {string} content - Model output
+ * @returns {Object}
+ * @throws {SyntaxError} When there is no JSON object in the reply
+ */
+export function parseJSONContent(content) {
+  const text = String(content || '').trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+// Attach the parsed reply; a parse error keeps the reply so its tokens still get metered
+function withData(reply) {
+  try {
+    return { ...reply, data: parseJSONContent(reply.content) };
+  } catch (error) {
+    error.reply = reply;
+    throw error;
+  }
+}
+
+/**
+ * OpenAI and OpenAI-compatible endpoints
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - 'openai' or 'local'
+   * @param {Function} options.client - () => OpenAI client; called on first use
+   * @param {string|null} options.model - Replaces the caller's model when set (local models)
+   */
+  constructor({ name = 'openai', client, model = null }) {
+    this.name = name;
+    this.createClient = client;
+    this.client = null;
+    this.model = model;
+  }
+
+  async chat(params) {
+    if (!this.client) this.client = this.createClient();
+
+    const completion = await this.client.chat.completions.create({
+      ...params,
+      model: this.model || params.model
+    });
+
+    const message = completion.choices[0]?.message;
+    return {
+      content: message?.content ?? '',
+      tool_calls: message?.tool_calls ?? [],
+      model: completion.model || this.model || params.model,
+      usage: completion.usage
+    };
+  }
+
+  async chatJSON(params) {
+    return withData(await this.chat({ ...params, response_format: { type: 'json_object' } }));
+  }
+}
+
+// Replies the mock gives when no script rule matches. JSON shapes follow each
+// feature's prompt so the bot runs end to end without a model.
+const MOCK_JSON_DEFAULTS = {
+  [AI_FEATURES.HOMEWORK_ANALYSIS]: {
+    concepts: ['general'],
+    confusion_type: 'procedural',
+    method_needed: 'Worked example, then a similar problem to try',
+    prerequisite_knowledge: [],
+    teaching_focus: 'Setting up the first step',
+    confidence_score: 0.5
+  },
+  [AI_FEATURES.PROBLEM_ANALYSIS]: {
+    concepts: ['general'],
+    confusion_type: 'conceptual',
+    emotional_state: 'neutral',
+    clarity_level: 'needs_followup',
+    follow_up_needed: true,
+    specific_gap: '',
+    reasoning: 'Mock analysis'
+  },
+  [AI_FEATURES.ANALYSIS_REFINEMENT]: {
+    concepts: ['general'],
+    confusion_type: 'procedural',
+    clarity_level: 'clear',
+    follow_up_needed: false,
+    specific_gap: 'Choosing the first step',
+    intervention_focus: 'Worked example'
+  },
+  [AI_FEATURES.TUTOR_INSIGHTS]: {
+    topics: [],
+    concepts_understood: [],
+    concepts_struggled_with: [],
+    misconceptions: [],
+    learning_style_preferences: []
+  },
+  [AI_FEATURES.QUESTION_GENERATION]: {
+    question_text: 'Solve for x: 2x + 3 = 11',
+    solution_steps: 'Subtract 3 from both sides: 2x = 8. Divide both sides by 2: x = 4.',
+    key_concepts: ['linear equations', 'inverse operations'],
+    hints: ['Get the x term on its own first', 'Undo the multiplication last'],
+    understanding_checkpoints: ['Explains why 3 is subtracted first'],
+    estimated_time_minutes: 3
+  },
+  [AI_FEATURES.UNDERSTANDING_ASSESSMENT]: {
+    understanding_level: 3,
+    key_concepts_demonstrated: [],
+    misconceptions: [],
+    feedback: 'Good start! Check each step against the worked solution.'
+  },
+  [AI_FEATURES.EXAM_PREP]: {
+    message: 'Sharp! Which grade are you in, and what subject is your test for?',
+    extracted_data: {
+      grade: null,
+      subject: null,
+      topics: [],
+      exam_date: null,
+      preferred_time: null
+    },
+    conversation_state: 'collecting_info',
+    is_data_complete: false
+  }
+};
+
+const MOCK_TEXT_DEFAULTS = {
+  [AI_FEATURES.FOLLOW_UP]:
+    'Is it understanding what the idea means, or more about the calculation steps?',
+  [AI_FEATURES.CONVERSATION_SUMMARY]:
+    '- The student is working through a maths topic with the tutor.'
+};
+
+const MOCK_TEXT_REPLY = "Sharp! Let's take it one step at a time. 💪";
+
+// Rough token count (about 4 characters per token) so metering has numbers to work with
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Deterministic, scripted provider for tests and offline runs. The same
+ * script and calls always give the same replies; every call is kept in
+ * `calls` for assertions.
+ *
+ * A script is a list of rules, tried in order:
+ *   { feature?, match?, reply, once? }
+ * - feature: only for this AI_FEATURES value
+ * - match: string (case-insensitive substring) or RegExp tested against the
+ *   last user message
+ * - reply: string, object (sent as JSON), { error: 'message' } to fail the
+ *   call, { tool_calls: [{ name, arguments }] } to call tools, or
+ *   (params, meta) => one of those
+ * - once: drop the rule after it is used
+ */
+export class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {Array} options.script - Rules as above
+   */
+  constructor({ script = [] } = {}) {
+    this.name = 'mock';
+    this.script = [...script];
+    this.calls = [];
+  }
+
+  async chat(params, meta = {}) {
+    return this.respond(params, meta, false);
+  }
+
+  async chatJSON(params, meta = {}) {
+    return withData(await this.respond(params, meta, true));
+  }
+
+  async respond(params, meta, json) {
+    const lastUser = [...(params.messages || [])].reverse().find((m) => m.role === 'user');
+    const prompt = lastUser?.content || '';
+    this.calls.push({ feature: meta.feature, userId: meta.userId, json, params });
+
+    const index = this.script.findIndex((rule) => this.matches(rule, prompt, meta));
+    let reply;
+    if (index === -1) {
+      reply = json
+        ? MOCK_JSON_DEFAULTS[meta.feature] || {}
+        : MOCK_TEXT_DEFAULTS[meta.feature] || MOCK_TEXT_REPLY;
+    } else {
+      const rule = this.script[index];
+      if (rule.once) this.script.splice(index, 1);
+      reply = typeof rule.reply === 'function' ? rule.reply(params, meta) : rule.reply;
+    }
+
+    if (reply && typeof reply === 'object' && reply.error) {
+      throw new Error(reply.error);
+    }
+
+    const toolCalls = Array.isArray(reply?.tool_calls)
+      ? reply.tool_calls.map((call, i) => ({
+          id: `call_${this.calls.length}_${i}`,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      : [];
+    const content =
+      typeof reply === 'string' ? reply : toolCalls.length > 0 ? '' : JSON.stringify(reply);
+    const promptText = (params.messages || []).map((m) => m.content).join('\n');
+
+    return {
+      content,
+      tool_calls: toolCalls,
+      model: 'mock',
+      usage: {
+        prompt_tokens: estimateTokens(promptText),
+        completion_tokens: estimateTokens(content)
+      }
+    };
+  }
+
+  matches(rule, prompt, meta) {
+    if (rule.feature && rule.feature !== meta.feature) return false;
+    if (rule.match instanceof RegExp) return rule.match.test(prompt);
+    if (rule.match) return prompt.toLowerCase().includes(String(rule.match).toLowerCase());
+    return true;
+  }
+}
+
+/**
+ * Read a mock script from a JSON file (an array of rules; `match` is a substring)
+ */
+export function loadMockScript(path) {
+  if (!path) return [];
+  const script = JSON.parse(fs.readFileSync(path, 'utf8'));
+  if (!Array.isArray(script)) {
+    throw new Error(`LLM_MOCK_SCRIPT ${path} must contain a JSON array of rules`);
+  }
+  return script;
+}
+
+/**
+ * Build the provider named by LLM_PROVIDER
+ *
+ * @param {string} name - 'openai', 'local' or 'mock'
+ * @returns {OpenAIProvider|MockProvider}
+ */
+export function createLLMProvider(name = env.LLM_PROVIDER) {
+  switch (name) {
+    case 'mock':
+      return new MockProvider({ script: loadMockScript(env.LLM_MOCK_SCRIPT) });
+    case 'local':
+      return new OpenAIProvider({
+        name: 'local',
+        client: () =>
+          createOpenAIClient({ apiKey: env.LLM_API_KEY || 'local', baseURL: env.LLM_BASE_URL }),
+        model: env.LLM_MODEL || null
+      });
+    default:
+      return new OpenAIProvider({ client: getOpenAIClient, model: env.LLM_MODEL || null });
+  }
+}
+
+let provider = null;
+
+/**
+ * The configured provider, shared by every AI service
+ */
+export function getLLMProvider() {
+  if (!provider) {
+    provider = createLLMProvider();
+    console.log(`✅ LLM provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+/**
+ * The provider for a service's model call. In degraded mode it throws
+ * AIUnavailableError before anything is sent, so the caller's fallback is used.
+ *
+ * @param {Object|null} override - A service's own `provider` (tests set one); wins over the shared one
+ * @returns {Object} LLM provider
+ */
+export function requireLLMProvider(override = null) {
+  if (!fallbackService.shouldUseAI()) throw new AIUnavailableError();
+
+  return override || getLLMProvider();
+}
+
+/**
+ * Readiness probe for /api/health: one tiny call to the configured provider
+ */
+export async function testLLMConnection() {
+  try {
+    const reply = await getLLMProvider().chat(
+      {
+        model: OPENAI_CONFIG.MODEL,
+        messages: [{ role: 'user', content: 'Test connection' }],
+        max_tokens: 5
+      },
+      { feature: 'health_check' }
+    );
+    console.log('✅ LLM connection test successful');
+    return typeof reply.content === 'string';
+  } catch (error) {
+    console.error('❌ LLM connection test failed:', error);
+    return false;
+  }
+}
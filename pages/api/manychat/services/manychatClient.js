@@ -0,0 +1,216 @@
+/**
+ * ManyChat Outbound API Client
+ * Date: 2026-10-19 14:02:00 UTC
+ *
+ * Sends messages to learners outside of a webhook reply (reminders, hooks).
+ * Calls never throw: every method resolves to { ok: true, data } or
+ * { ok: false, error: { type, retryable, status, message } } so callers can
+ * decide whether to retry later, give up, or stop messaging a learner.
+ */
+
+import { env } from '../../../../lib/config.js';
+import { buildDynamicBlockOptions } from '../utils/responseFormatter.js';
+import { toManyChatV2 } from '../utils/richReply.js';
+
+export const DELIVERY_ERRORS = {
+  BLOCKED_USER: 'blocked_user',
+  WINDOW_EXPIRED: 'window_expired',
+  UNKNOWN_SUBSCRIBER: 'unknown_subscriber',
+  RATE_LIMITED: 'rate_limited',
+  TRANSIENT: 'transient',
+  AUTH: 'auth',
+  INVALID_REQUEST: 'invalid_request',
+  // Never sent: the learner's notification preferences rule it out
+  OPTED_OUT: 'opted_out'
+};
+
+const RETRYABLE = [DELIVERY_ERRORS.RATE_LIMITED, DELIVERY_ERRORS.TRANSIENT];
+
+/**
+ * Classify a failed ManyChat call
+ * @param {object} failure
+ * @param {number} failure.status - HTTP status (0 for network errors and timeouts).
+ * @param {object} failure.body - Parsed response body, if any.
+ * @returns {{type: string, retryable: boolean, status: number, message: string}}
+ */
+export function classifyError({ status = 0, body = null }) {
+  const message = [body?.message, JSON.stringify(body?.details || '')].join(' ');
+  let type = DELIVERY_ERRORS.INVALID_REQUEST;
+
+  if (status === 0 || status >= 500) {
+    type = DELIVERY_ERRORS.TRANSIENT;
+  } else if (status === 429) {
+    type = DELIVERY_ERRORS.RATE_LIMITED;
+  } else if (status === 401 || status === 403) {
+    type = DELIVERY_ERRORS.AUTH;
+  } else if (/blocked|unsubscribed|opted.?out|not.?subscribed/i.test(message)) {
+    type = DELIVERY_ERRORS.BLOCKED_USER;
+  } else if (/24.?h|window|message.?tag|template/i.test(message)) {
+    type = DELIVERY_ERRORS.WINDOW_EXPIRED;
+  } else if (/subscriber.*(not found|does not exist|doesn't exist)/i.test(message)) {
+    type = DELIVERY_ERRORS.UNKNOWN_SUBSCRIBER;
+  }
+
+  return {
+    type,
+    retryable: RETRYABLE.includes(type),
+    status,
+    message: body?.message || (status ? `HTTP ${status}` : 'Network error')
+  };
+}
+
+export class ManyChatClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - ManyChat API token
+   * @param {string} options.baseUrl - API base, e.g. https://api.manychat.com/fb
+   * @param {number} options.maxRetries - Retries after the first attempt for retryable errors
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.baseDelayMs - First backoff delay; doubles per retry, with jitter
+   * @param {number} options.maxDelayMs - Longest wait between attempts, Retry-After included
+   * @param {Function} options.fetchImpl - fetch implementation (injectable for tests)
+   */
+  constructor({
+    token,
+    baseUrl,
+    maxRetries = 3,
+    timeoutMs = 10000,
+    baseDelayMs = 500,
+    maxDelayMs = 5000,
+    fetchImpl = globalThis.fetch
+  }) {
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.maxRetries = maxRetries;
+    this.timeoutMs = timeoutMs;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.fetchImpl = fetchImpl;
+  }
+
+  /**
+   * Send a message (string or rich reply) as a v2 dynamic block
+   *
+   * @param {string} subscriberId - ManyChat subscriber id
+   * @param {string|Object} reply - Text or rich reply
+   * @param {Object} options
+   * @param {string} options.messageTag - Optional message tag for out-of-window sends
+   * @returns {Object} Delivery result
+   */
+  async sendContent(subscriberId, reply, { messageTag } = {}) {
+    const payload = {
+      subscriber_id: subscriberId,
+      data: toManyChatV2(reply, buildDynamicBlockOptions(subscriberId))
+    };
+    if (messageTag) payload.message_tag = messageTag;
+
+    return this.request('/sending/sendContent', payload);
+  }
+
+  /**
+   * Set a subscriber custom field by name
+   */
+  async setCustomField(subscriberId, fieldName, value) {
+    return this.request('/subscriber/setCustomFieldByName', {
+      subscriber_id: subscriberId,
+      field_name: fieldName,
+      field_value: value
+    });
+  }
+
+  /**
+   * Start a ManyChat flow for a subscriber
+   */
+  async triggerFlow(subscriberId, flowNs) {
+    return this.request('/sending/sendFlow', {
+      subscriber_id: subscriberId,
+      flow_ns: flowNs
+    });
+  }
+
+  async request(path, payload) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        await sleep(this.backoffMs(attempt, lastError));
+      }
+
+      const { status, body, retryAfterSec } = await this.attempt(path, payload);
+
+      if (status >= 200 && status < 300 && body?.status !== 'error') {
+        return { ok: true, data: body?.data ?? null, attempts: attempt + 1 };
+      }
+
+      lastError = { ...classifyError({ status, body }), retryAfterSec };
+      if (!lastError.retryable) break;
+
+      console.warn(`⚠️ ManyChat ${path} ${lastError.type} (attempt ${attempt + 1})`);
+    }
+
+    const { retryAfterSec, ...error } = lastError;
+    console.error(`❌ ManyChat ${path} failed: ${error.type} - ${error.message}`);
+    return { ok: false, error };
+  }
+
+  async attempt(path, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await this.fetchImpl(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      let body = null;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch (parseError) {
+        body = { message: text.substring(0, 200) };
+      }
+
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      return {
+        status: response.status,
+        body,
+        retryAfterSec: Number.isNaN(retryAfter) ? null : retryAfter
+      };
+    } catch (error) {
+      // Network failure or timeout
+      return {
+        status: 0,
+        body: { message: error.name === 'AbortError' ? 'Timeout' : error.message }
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  backoffMs(attempt, lastError) {
+    // A long Retry-After would hold the reminder batch or background turn for its whole length
+    if (lastError?.retryAfterSec) {
+      return Math.min(lastError.retryAfterSec * 1000, this.maxDelayMs);
+    }
+
+    const exponential = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export const manychatClient = new ManyChatClient({
+  token: env.MANYCHAT_API_TOKEN,
+  baseUrl: env.MANYCHAT_API_BASE,
+  maxRetries: env.MANYCHAT_MAX_RETRIES,
+  timeoutMs: env.MANYCHAT_TIMEOUT_MS
+});
@@ -0,0 +1,207 @@
+/**
+ * Outbound Messaging Service
+ * Date: 2026-10-19 14:02:00 UTC
+ *
+ * Delivers messages to a learner by user id: resolves their ManyChat
+ * subscriber id (users.whatsapp_psid) and sends through the ManyChat client.
+ * Results use the client's { ok, error } shape; see manychatClient.js. Like
+ * the client, sends never throw: an unexpected error (a failed lookup, a bad
+ * template config) comes back as a retryable 'transient' failure.
+ *
+ * WhatsApp only allows free-form messages within 24 hours of the learner's
+ * last message (users.last_active_at). Outside that window, or when ManyChat
+ * reports it closed, the message is sent as its approved template instead
+ * (see config/messageTemplates.js).
+ *
+ * Every send names a notification category and is dropped, without calling
+ * ManyChat, if the learner's preferences rule it out.
+ */
+
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+import {
+  TEMPLATE_FIELD_PREFIX,
+  buildTemplateParams,
+  findTemplate,
+  renderTemplate
+} from '../config/messageTemplates.js';
+import { DELIVERY_ERRORS, manychatClient } from './manychatClient.js';
+import { notificationPreferenceService } from './notificationPreferenceService.js';
+
+// Switch to templates a little early so a send never races the window closing
+const WINDOW_MARGIN_MS = 10 * 60 * 1000;
+
+/**
+ * Whether a free-form message may still be sent
+ * @param {string|Date|null} lastActiveAt - Learner's last inbound message.
+ * @param {object} options
+ * @param {Date} options.now - Current time.
+ * @param {number} options.windowHours - Window length in hours.
+ * @returns {boolean}
+ */
+export function isWithinMessagingWindow(lastActiveAt, { now = new Date(), windowHours = 24 } = {}) {
+  if (!lastActiveAt) return false;
+
+  const elapsed = now.getTime() - new Date(lastActiveAt).getTime();
+  return elapsed < windowHours * 60 * 60 * 1000 - WINDOW_MARGIN_MS;
+}
+
+function deliveryError(type, message, retryable = false) {
+  return { ok: false, error: { type, retryable, status: 0, message } };
+}
+
+export class MessagingService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - ManyChatClient-compatible client
+   * @param {Function} options.lookupRecipient - async (userId) => { subscriberId, lastActiveAt, name, streakCount } or null
+   * @param {string} options.channel - ManyChat channel; only 'whatsapp' enforces the window
+   * @param {number} options.windowHours - Free-form messaging window
+   * @param {Function} options.findTemplate - (key) => template or null
+   * @param {Object} options.preferences - NotificationPreferenceService-compatible
+   */
+  constructor({
+    client,
+    lookupRecipient,
+    preferences,
+    channel = env.MANYCHAT_CHANNEL,
+    windowHours = env.WHATSAPP_WINDOW_HOURS,
+    findTemplate: templateLookup = findTemplate
+  }) {
+    this.client = client;
+    this.lookupRecipient = lookupRecipient;
+    this.preferences = preferences;
+    this.channel = channel;
+    this.windowHours = windowHours;
+    this.findTemplate = templateLookup;
+  }
+
+  /**
+   * Send a message to a learner
+   *
+   * @param {string} userId - User ID
+   * @param {string|Object} reply - Text or rich reply
+   * @param {Object} options
+   * @param {string} options.category - Notification category (see notificationPreferenceService.js)
+   * @param {string} options.template - Template key to use outside the messaging window
+   * @param {Object} options.params - Template parameters (name and streak_count are filled in)
+   * @param {Date} options.now - Current time
+   * @returns {Object} { ok, data } or { ok: false, error }; template sends also carry `template`
+   */
+  async sendToUser(userId, reply, options = {}) {
+    try {
+      return await this.deliver(userId, reply, options);
+    } catch (error) {
+      console.error(`❌ Message to user ${userId} failed:`, error);
+      return deliveryError(DELIVERY_ERRORS.TRANSIENT, error.message, true);
+    }
+  }
+
+  async deliver(userId, reply, { category, template, params = {}, now = new Date(), ...options }) {
+    const permission = await this.preferences.allows(userId, category, now);
+    if (!permission.allowed) {
+      console.log(
+        `🔕 Not sending ${category || 'uncategorized'} message to user ${userId}: ${permission.reason}`
+      );
+      return deliveryError(DELIVERY_ERRORS.OPTED_OUT, permission.reason);
+    }
+
+    const recipient = await this.lookupRecipient(userId);
+
+    if (!recipient?.subscriberId) {
+      console.error(`❌ No ManyChat subscriber for user ${userId}`);
+      return deliveryError(
+        DELIVERY_ERRORS.UNKNOWN_SUBSCRIBER,
+        'User has no ManyChat subscriber id'
+      );
+    }
+
+    if (
+      this.channel === 'whatsapp' &&
+      !isWithinMessagingWindow(recipient.lastActiveAt, { now, windowHours: this.windowHours })
+    ) {
+      console.log(`⏳ User ${userId} is outside the messaging window, using a template`);
+      return this.sendTemplate(recipient, template, params);
+    }
+
+    const result = await this.client.sendContent(recipient.subscriberId, reply, options);
+
+    // last_active_at can lag behind what WhatsApp saw; trust ManyChat's answer
+    if (!result.ok && result.error.type === DELIVERY_ERRORS.WINDOW_EXPIRED && template) {
+      console.log(`⏳ Messaging window closed for user ${userId}, retrying as a template`);
+      return this.sendTemplate(recipient, template, params);
+    }
+
+    return result;
+  }
+
+  /**
+   * Send an approved template: write its parameters to custom fields, then trigger its flow
+   *
+   * @param {Object} recipient - From lookupRecipient
+   * @param {string} key - Template key
+   * @param {Object} params - Parameter values
+   * @returns {Object} Delivery result
+   */
+  async sendTemplate(recipient, key, params) {
+    const template = key ? this.findTemplate(key) : null;
+
+    if (!template?.flowNs) {
+      console.error(`❌ No approved template configured for "${key || 'free-form message'}"`);
+      return deliveryError(
+        DELIVERY_ERRORS.WINDOW_EXPIRED,
+        `Outside the messaging window and no template is configured for "${key || 'message'}"`
+      );
+    }
+
+    const values = buildTemplateParams(template, {
+      name: recipient.name,
+      streak_count: recipient.streakCount,
+      ...params
+    });
+
+    for (const [param, value] of values) {
+      const result = await this.client.setCustomField(
+        recipient.subscriberId,
+        `${TEMPLATE_FIELD_PREFIX}${param}`,
+        value
+      );
+      if (!result.ok) return result;
+    }
+
+    const result = await this.client.triggerFlow(recipient.subscriberId, template.flowNs);
+    if (result.ok) {
+      console.log(`📨 Sent template ${template.name}: ${renderTemplate(template, values)}`);
+    }
+
+    return { ...result, template: template.name };
+  }
+}
+
+async function lookupRecipient(userId) {
+  return executeQuery(async (supabase) => {
+    const { data, error } = await supabase
+      .from('users')
+      .select('whatsapp_psid, last_active_at, display_name, username, streak_count')
+      .eq('id', userId)
+      .single();
+
+    if (error) {
+      console.error('❌ Subscriber lookup error:', error);
+      return null;
+    }
+
+    return {
+      subscriberId: data?.whatsapp_psid || null,
+      lastActiveAt: data?.last_active_at || null,
+      name: data?.display_name || data?.username || 'there',
+      streakCount: data?.streak_count || 0
+    };
+  });
+}
+
+export const messagingService = new MessagingService({
+  client: manychatClient,
+  lookupRecipient,
+  preferences: notificationPreferenceService
+});
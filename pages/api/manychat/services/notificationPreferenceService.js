@@ -0,0 +1,207 @@
+/**
+ * Notification Preference Service
+ * Date: 2026-10-19 15:55:00 UTC
+ *
+ * Per-learner switches for each kind of message we send unprompted, plus a
+ * global STOP (opted_out_at) and a temporary pause (paused_until). Every
+ * outbound send goes through MessagingService, which checks allows() first.
+ * Replies to a learner's own message are never restricted.
+ */
+
+import { executeQuery } from '../config/database.js';
+
+export const NOTIFICATION_CATEGORIES = {
+  STUDY_REMINDERS: 'study_reminders',
+  STREAK_HOOKS: 'streak_hooks',
+  FRIEND_CHALLENGES: 'friend_challenges',
+  WEEKLY_REPORTS: 'weekly_reports'
+};
+
+// Replies to a learner's message (e.g. async AI answers); not a notification
+export const CONVERSATION_CATEGORY = 'conversation';
+
+export const CATEGORY_LABELS = {
+  study_reminders: 'Study reminders',
+  streak_hooks: 'Streak nudges',
+  friend_challenges: 'Friend challenges',
+  weekly_reports: 'Weekly reports'
+};
+
+export const MAX_PAUSE_DAYS = 30;
+
+/**
+ * Preferences for a learner with no stored record
+ * @param {string} userId
+ * @returns {object}
+ */
+export function defaultPreferences(userId) {
+  return {
+    user_id: userId,
+    study_reminders: true,
+    streak_hooks: true,
+    friend_challenges: true,
+    weekly_reports: true,
+    paused_until: null,
+    opted_out_at: null
+  };
+}
+
+/**
+ * In-memory store. Used by tests.
+ */
+export class MemoryPreferenceStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(userId) {
+    return this.records.get(userId) || null;
+  }
+
+  async upsert(userId, fields) {
+    const record = { ...(this.records.get(userId) || defaultPreferences(userId)), ...fields };
+    this.records.set(userId, record);
+    return record;
+  }
+}
+
+/**
+ * Postgres-backed store (table: notification_preferences)
+ */
+export class SupabasePreferenceStore {
+  async get(userId) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from('notification_preferences')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data || null;
+    });
+  }
+
+  async upsert(userId, fields) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from('notification_preferences')
+        .upsert(
+          { user_id: userId, ...fields, updated_at: new Date().toISOString() },
+          { onConflict: 'user_id' }
+        )
+        .select('*')
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+  }
+}
+
+export class NotificationPreferenceService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryPreferenceStore or SupabasePreferenceStore
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  /**
+   * Current preferences, with defaults for anything not stored
+   */
+  async get(userId) {
+    const stored = await this.store.get(userId);
+    return { ...defaultPreferences(userId), ...(stored || {}) };
+  }
+
+  /**
+   * Whether a message of this category may be sent now
+   *
+   * @param {Object} preferences - From get()
+   * @param {string} category - NOTIFICATION_CATEGORIES value or CONVERSATION_CATEGORY
+   * @param {Date} now - Current time
+   * @returns {Object} { allowed: boolean, reason: string|null }
+   */
+  check(preferences, category, now = new Date()) {
+    if (category === CONVERSATION_CATEGORY) {
+      return { allowed: true, reason: null };
+    }
+
+    if (!Object.values(NOTIFICATION_CATEGORIES).includes(category)) {
+      // An outbound path that forgot to declare itself is a bug; don't message the learner
+      return { allowed: false, reason: 'unknown_category' };
+    }
+
+    if (preferences.opted_out_at) {
+      return { allowed: false, reason: 'opted_out' };
+    }
+
+    if (preferences.paused_until && new Date(preferences.paused_until) > now) {
+      return { allowed: false, reason: 'paused' };
+    }
+
+    if (preferences[category] === false) {
+      return { allowed: false, reason: 'category_disabled' };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Load preferences and check a category. Fails closed: if preferences can't
+   * be read, notifications are held back rather than risk messaging someone who said STOP.
+   */
+  async allows(userId, category, now = new Date()) {
+    if (category === CONVERSATION_CATEGORY) {
+      return { allowed: true, reason: null };
+    }
+
+    try {
+      return this.check(await this.get(userId), category, now);
+    } catch (error) {
+      console.error('❌ Notification preference lookup error:', error);
+      return { allowed: false, reason: 'preferences_unavailable' };
+    }
+  }
+
+  /**
+   * STOP: no notifications of any kind until START
+   */
+  async stopAll(userId) {
+    return this.store.upsert(userId, { opted_out_at: new Date().toISOString() });
+  }
+
+  /**
+   * START: lift a STOP or pause; category switches are kept
+   */
+  async resumeAll(userId) {
+    return this.store.upsert(userId, { opted_out_at: null, paused_until: null });
+  }
+
+  /**
+   * Pause all notifications for a number of days
+   *
+   * @returns {Object} Updated preferences
+   */
+  async pause(userId, days, now = new Date()) {
+    const clamped = Math.min(Math.max(1, days), MAX_PAUSE_DAYS);
+    const pausedUntil = new Date(now.getTime() + clamped * 24 * 60 * 60 * 1000);
+    return this.store.upsert(userId, { paused_until: pausedUntil.toISOString() });
+  }
+
+  /**
+   * Flip one category on or off
+   *
+   * @returns {Object} Updated preferences
+   */
+  async toggle(userId, category) {
+    const current = await this.get(userId);
+    return this.store.upsert(userId, { [category]: !current[category] });
+  }
+}
+
+export const notificationPreferenceService = new NotificationPreferenceService({
+  store: new SupabasePreferenceStore()
+});
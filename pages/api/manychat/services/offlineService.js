@@ -761,6 +761,30 @@ export class OfflineService {
     });
   }
 
+  /**
+   * Record the connection metrics sent with a webhook
+   *
+   * @param {string} userId - User ID
+   * @param {string|null} sessionId - Webhook session id
+   * @param {Object} connectionData - { response_time_ms, connection_type, signal_strength }
+   */
+  async recordConnectionMetrics(userId, sessionId, connectionData) {
+    return executeQuery(async (supabase) => {
+      const now = new Date().toISOString();
+      const { error } = await supabase.from('connection_metrics').insert({
+        user_id: userId,
+        session_id: sessionId,
+        response_time_ms: connectionData.response_time_ms,
+        connection_type: connectionData.connection_type,
+        signal_strength: connectionData.signal_strength,
+        metric_date: now.slice(0, 10),
+        created_at: now
+      });
+
+      if (error) throw error;
+    });
+  }
+
   /**
    * Check if user is in a low-connectivity area
    *
@@ -814,5 +838,3 @@ export class OfflineService {
 }
 
 export const offlineService = new OfflineService();
-
-
@@ -7,18 +7,40 @@
  */
 
 import { executeQuery } from '../config/database.js';
-import { getOpenAIClient, OPENAI_CONFIG } from '../config/openai.js';
+import { OPENAI_CONFIG } from '../config/openai.js';
+import { env } from '../../../../lib/config.js';
+import { withTimeout } from '../../../../lib/resilience.js';
+import { JOB_TYPES, jobQueue } from './jobQueueService.js';
+import { FallbackService, fallbackService } from './fallbackService.js';
+import { AI_FEATURES, aiUsageService } from './aiUsageService.js';
+import { requireLLMProvider } from './llmProvider.js';
+import { renderPrompt } from '../config/prompts.js';
+
+// Id of the generic question served when a topic has none stored and none could be generated.
+// It isn't a practice_questions row, so it must never be recorded as an attempt.
+export const FALLBACK_QUESTION_ID = 'fallback';
+
+/**
+ * Whether a question is the generic fallback rather than a stored one
+ *
+ * @param {Object|null} question
+ * @returns {boolean}
+ */
+export const isFallbackQuestion = (question) => question?.id === FALLBACK_QUESTION_ID;
+
+// Topics learners can practise, as stored in practice_questions.topic
+export const PRACTICE_TOPICS = [
+  'algebra',
+  'geometry',
+  'trigonometry',
+  'functions',
+  'calculus',
+  'statistics'
+];
 
 export class PracticeService {
   constructor() {
-    this.client = null;
-  }
-
-  async getClient() {
-    if (!this.client) {
-      this.client = getOpenAIClient();
-    }
-    return this.client;
+    this.provider = null;
   }
 
   /**
@@ -94,63 +116,109 @@ export class PracticeService {
    * Generate a practice question using AI
    *
    * @param {Object} parameters - Generation parameters
-   * @returns {Object} Generated question
+   * @returns {Object} Generated question, or a fallback if generation fails
    */
   async generateQuestion(parameters) {
     try {
-      console.log(`🧠 Generating practice question: ${parameters.topic}, ${parameters.difficulty}`);
-
-      const {
-        topic,
-        subtopic = null,
-        difficulty = 'medium',
-        grade = 11,
-        previousQuestions = [],
-        conceptsToReinforce = [],
-        userStrengths = [],
-        userWeaknesses = []
-      } = parameters;
-
-      // Build the prompt for question generation
-      const prompt = this.buildQuestionGenerationPrompt(
-        topic,
-        subtopic,
-        difficulty,
-        grade,
-        previousQuestions,
-        conceptsToReinforce,
-        userStrengths,
-        userWeaknesses
-      );
+      return await this.createQuestion(parameters);
+    } catch (error) {
+      console.error('❌ Question generation error:', error);
+
+      // Return a fallback question
+      return this.getFallbackQuestion(parameters.topic, parameters.grade);
+    }
+  }
+
+  /**
+   * Generate a practice question and save it to the pool. Throws if it can't.
+   *
+   * @param {Object} parameters - Generation parameters
+   * @returns {Object} Saved question
+   */
+  async createQuestion(parameters) {
+    console.log(`🧠 Generating practice question: ${parameters.topic}, ${parameters.difficulty}`);
 
-      // Call GPT for question generation
-      const client = await this.getClient();
-      const completion = await client.chat.completions.create({
+    const {
+      topic,
+      subtopic = null,
+      difficulty = 'medium',
+      grade = 11,
+      previousQuestions = [],
+      conceptsToReinforce = [],
+      userStrengths = [],
+      userWeaknesses = []
+    } = parameters;
+
+    // Build the prompt for question generation
+    const prompt = this.buildQuestionGenerationPrompt(
+      topic,
+      subtopic,
+      difficulty,
+      grade,
+      previousQuestions,
+      conceptsToReinforce,
+      userStrengths,
+      userWeaknesses
+    );
+
+    // Call GPT for question generation
+    const provider = requireLLMProvider(this.provider);
+    const completion = await aiUsageService.completeJSON(
+      provider,
+      {
         model: OPENAI_CONFIG.MODEL,
         messages: [
-          { role: 'system', content: prompt },
+          { role: 'system', content: prompt.text },
           {
             role: 'user',
             content: `Generate a ${difficulty} question about ${topic} ${subtopic ? `(${subtopic})` : ''} for grade ${grade}.`
           }
         ],
         max_tokens: 1000,
-        temperature: 0.7,
-        response_format: { type: 'json_object' }
-      });
+        temperature: 0.7
+      },
+      { feature: AI_FEATURES.QUESTION_GENERATION, promptVersion: prompt.id }
+    );
 
-      // Parse response
-      const response = JSON.parse(completion.choices[0].message.content);
+    const response = completion.data;
 
-      // Save the generated question to the database
-      const savedQuestion = await this.saveGeneratedQuestion(response, parameters);
+    // Save the generated question to the database
+    const savedQuestion = await this.saveGeneratedQuestion(response, parameters, prompt.id);
 
-      return savedQuestion;
-    } catch (error) {
-      console.error('❌ Question generation error:', error);
+    return savedQuestion;
+  }
 
-      // Return a fallback question
-      return this.getFallbackQuestion(parameters.topic, parameters.grade);
+  /**
+   * Question for a topic with none stored. One is generated for this turn within
+   * PRACTICE_GENERATION_TIMEOUT_MS, and a job is queued to top up the pool so the
+   * next learner on this topic finds one waiting. If generation fails or is too
+   * slow, a stored question on the topic for any grade is used, else the generic
+   * fallback (see isFallbackQuestion).
+   *
+   * @param {Object} parameters - generateQuestion parameters
+   * @returns {Object} Question to use for this turn
+   */
+  async requestGeneratedQuestion(parameters) {
+    const { topic, difficulty = 'medium', grade = 11 } = parameters;
+
+    // Degraded mode serves stored questions only; generation would just fail
+    if (fallbackService.isDegraded()) {
+      return this.getFallbackQuestion(topic, grade);
+    }
+
+    await jobQueue.enqueue(JOB_TYPES.GENERATE_PRACTICE_QUESTION, parameters, {
+      dedupKey: `practice_question:${topic}:${parameters.subtopic || ''}:${difficulty}:${grade}`
+    });
+
+    try {
+      return await withTimeout(
+        () => this.createQuestion(parameters),
+        env.PRACTICE_GENERATION_TIMEOUT_MS,
+        'Question generation'
+      );
+    } catch (error) {
+      console.error(`❌ Inline question generation for ${topic} failed:`, error.message);
+      return this.getFallbackQuestion(topic, grade);
     }
   }
 
@@ -167,50 +235,24 @@ export class PracticeService {
     userStrengths,
     userWeaknesses
   ) {
-    return `You are an expert mathematics teacher specializing in creating high-quality practice questions.
-
-YOUR TASK: Generate an open-ended, non-multiple-choice practice question that encourages critical thinking and demonstrates understanding.
-
-TOPIC: ${topic}${subtopic ? ` (${subtopic})` : ''}
-DIFFICULTY: ${difficulty}
-GRADE LEVEL: ${grade}
-
-${userWeaknesses.length > 0 ? `AREAS TO FOCUS ON: ${userWeaknesses.join(', ')}` : ''}
-${conceptsToReinforce.length > 0 ? `CONCEPTS TO REINFORCE: ${conceptsToReinforce.join(', ')}` : ''}
-
-QUESTION REQUIREMENTS:
-- Create a contextually rich, open-ended question that requires explanation
-- The question should test conceptual understanding, not just calculation
-- Include a step-by-step solution with explanations
-- Identify key conceptual checkpoints a student should demonstrate
-- Include hints that can be provided if the student struggles
-
-RESPONSE FORMAT:
-Provide your response in the following JSON format:
-{
-  "question_text": "The complete question text",
-  "solution_steps": "Step-by-step solution with explanations",
-  "key_concepts": ["concept1", "concept2", "..."],
-  "hints": ["hint1", "hint2", "..."],
-  "understanding_checkpoints": ["checkpoint1", "checkpoint2", "..."],
-  "difficulty": "${difficulty}",
-  "topic": "${topic}",
-  "subtopic": "${subtopic || ''}",
-  "estimated_time_minutes": number
-}
-
-IMPORTANT NOTES:
-- The question should be appropriate for WhatsApp delivery (text only, no images)
-- For grade ${grade} students
-- Questions involving calculations should have reasonable numbers
-- Focus on conceptual understanding over procedural knowledge
-- The solution should explain WHY each step works, not just WHAT to do`;
+    return renderPrompt(AI_FEATURES.QUESTION_GENERATION, {
+      topic,
+      subtopic,
+      difficulty,
+      grade,
+      conceptsToReinforce,
+      userWeaknesses
+    });
   }
 
   /**
    * Save generated question to database
+   *
+   * @param {Object} questionData - Validated model reply
+   * @param {Object} parameters - generateQuestion parameters
+   * @param {string} promptVersion - Prompt id that produced it, e.g. question_generation@v1
    */
-  async saveGeneratedQuestion(questionData, parameters) {
+  async saveGeneratedQuestion(questionData, parameters, promptVersion = null) {
     return executeQuery(async (supabase) => {
       const { data, error } = await supabase
         .from('practice_questions')
@@ -227,6 +269,7 @@ IMPORTANT NOTES:
           understanding_checkpoints: questionData.understanding_checkpoints || [],
           estimated_time_minutes: questionData.estimated_time_minutes || 5,
           is_ai_generated: true,
+          prompt_version: promptVersion,
           is_active: true,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
@@ -247,16 +290,21 @@ IMPORTANT NOTES:
    * Get a fallback question when generation fails
    */
   async getFallbackQuestion(topic, grade) {
-    // Try to get an existing question on the topic
+    // Try to get an existing question on the topic, for the grade first, then any grade
     const existingQuestions = await this.getQuestionsByTopic(topic, { grade, limit: 1 });
 
     if (existingQuestions.length > 0) {
       return existingQuestions[0];
     }
 
+    if (grade) {
+      const [anyGrade] = await this.getQuestionsByTopic(topic, { limit: 1 });
+      if (anyGrade) return anyGrade;
+    }
+
     // Create a generic fallback question
     return {
-      id: 'fallback',
+      id: FALLBACK_QUESTION_ID,
       question_text: `Think about the key concepts in ${topic}. Explain one important idea and how it applies to solving problems.`,
       solution_steps: `The key concepts in ${topic} include understanding the fundamental principles, applying the correct formulas, and checking your work. A thorough explanation should discuss the core ideas and how they connect to real-world applications.`,
       topic,
@@ -481,15 +529,17 @@ IMPORTANT NOTES:
    * @returns {Object} Assessment results
    */
   async assessUnderstanding(userId, questionId, response) {
+    let question = null;
+
     try {
       // Get the question and its key concepts
-      const question = await this.getQuestionById(questionId);
+      question = await this.getQuestionById(questionId);
       if (!question) {
         throw new Error(`Question not found: ${questionId}`);
       }
 
       // Use AI to assess understanding
-      const assessment = await this.getUnderstandingAssessment(question, response);
+      const assessment = await this.getUnderstandingAssessment(question, response, userId);
 
       // Record assessment results
       await this.recordUnderstandingAssessment(userId, questionId, assessment);
@@ -497,12 +547,17 @@ IMPORTANT NOTES:
       return assessment;
     } catch (error) {
       console.error('❌ Understanding assessment error:', error);
+
+      // Without AI, compare notes with the stored worked solution instead
+      const feedback = question?.solution_steps
+        ? `I can't analyse your answer in detail right now, so check it against the worked solution:\n\n${FallbackService.explainFromSolution(question)}`
+        : "I couldn't analyze your response in detail, but I appreciate your effort. Let's continue with more practice to build your skills.";
+
       return {
         understanding_level: 3, // Default to middle level
         key_concepts_demonstrated: [],
         misconceptions: [],
-        feedback:
-          "I couldn't analyze your response in detail, but I appreciate your effort. Let's continue with more practice to build your skills."
+        feedback
       };
     }
   }
@@ -510,62 +565,32 @@ IMPORTANT NOTES:
   /**
    * Use AI to assess understanding from response
    */
-  async getUnderstandingAssessment(question, response) {
-    const client = await this.getClient();
+  async getUnderstandingAssessment(question, response, userId = null) {
+    const provider = requireLLMProvider(this.provider);
     const prompt = this.buildUnderstandingAssessmentPrompt(question);
 
-    const completion = await client.chat.completions.create({
-      model: OPENAI_CONFIG.MODEL,
-      messages: [
-        { role: 'system', content: prompt },
-        { role: 'user', content: response }
-      ],
-      max_tokens: 500,
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
-    });
+    const completion = await aiUsageService.completeJSON(
+      provider,
+      {
+        model: OPENAI_CONFIG.MODEL,
+        messages: [
+          { role: 'system', content: prompt.text },
+          { role: 'user', content: response }
+        ],
+        max_tokens: 500,
+        temperature: 0.3
+      },
+      { feature: AI_FEATURES.UNDERSTANDING_ASSESSMENT, userId: userId, promptVersion: prompt.id }
+    );
 
-    // Parse response
-    return JSON.parse(completion.choices[0].message.content);
+    return { ...completion.data, prompt_version: prompt.id };
   }
 
   /**
    * Build prompt for understanding assessment
    */
   buildUnderstandingAssessmentPrompt(question) {
-    return `You are an expert mathematics tutor who assesses student understanding based on their responses to practice questions.
-
-QUESTION: ${question.question_text}
-
-CORRECT SOLUTION: ${question.solution_steps}
-
-KEY CONCEPTS: ${question.key_concepts ? question.key_concepts.join(', ') : 'Not provided'}
-
-UNDERSTANDING CHECKPOINTS: ${question.understanding_checkpoints ? question.understanding_checkpoints.join(', ') : 'Not provided'}
-
-YOUR TASK: Analyze the student's response to determine their level of understanding.
-
-ASSESSMENT CRITERIA:
-1. Does the response demonstrate understanding of the key concepts?
-2. Are there any misconceptions evident in the response?
-3. Does the approach make logical sense, even if the execution has errors?
-4. Is there evidence of problem-solving skills and critical thinking?
-
-RESPONSE FORMAT:
-Respond with a JSON object containing:
-{
-  "understanding_level": number from 1-5 (1=poor, 5=excellent),
-  "key_concepts_demonstrated": ["concept1", "concept2", ...],
-  "misconceptions": ["misconception1", "misconception2", ...],
-  "feedback": "Constructive, encouraging feedback for the student"
-}
-
-IMPORTANT NOTES:
-- Focus on conceptual understanding over computational accuracy
-- Look for evidence of logical reasoning rather than just correct answers
-- Be generous in your assessment - students may understand more than they articulate
-- Provide specific, actionable feedback
-- Keep feedback encouraging and growth-oriented`;
+    return renderPrompt(AI_FEATURES.UNDERSTANDING_ASSESSMENT, { question });
   }
 
   /**
@@ -591,6 +616,7 @@ IMPORTANT NOTES:
             concepts_demonstrated: assessment.key_concepts_demonstrated,
             misconceptions: assessment.misconceptions,
             tutor_feedback: assessment.feedback,
+            assessment_prompt_version: assessment.prompt_version || null,
             updated_at: new Date().toISOString()
           })
           .eq('id', attempts[0].id);
@@ -649,7 +675,7 @@ IMPORTANT NOTES:
       }
 
       // Generate a new question if none exists
-      return await this.generateQuestion({
+      return await this.requestGeneratedQuestion({
         topic: targetTopic,
         subtopic: targetSubtopic,
         difficulty: nextDifficulty,
@@ -0,0 +1,130 @@
+/**
+ * Per-Learner Rate Limiting Service
+ * Date: 2026-10-19 11:02:00 UTC
+ *
+ * Sliding-window limiter in front of the webhook router. Every learner gets a
+ * general message budget (RATE_LIMIT_MAX per RATE_LIMIT_WINDOW_SEC) and a
+ * stricter budget while they are in menus that call OpenAI on every turn.
+ */
+
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+import { OPENAI_CONFIG } from '../config/openai.js';
+
+// Menus where each learner message triggers at least one OpenAI call
+export const AI_BACKED_MENUS = [
+  'tutor_active',
+  'tutor_topic_selection',
+  'homework_confusion',
+  'exam_prep_conversation'
+];
+
+/**
+ * In-memory sliding log. Used by tests and local development.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+  }
+
+  async hit(key, windowSec, max, now = Date.now()) {
+    const windowStart = now - windowSec * 1000;
+    const recent = (this.hits.get(key) || []).filter((t) => t > windowStart);
+
+    if (recent.length >= max) {
+      this.hits.set(key, recent);
+      const retryAfterMs = recent[0] + windowSec * 1000 - now;
+      return {
+        allowed: false,
+        hits: recent.length,
+        retryAfterSec: Math.max(1, Math.ceil(retryAfterMs / 1000))
+      };
+    }
+
+    recent.push(now);
+    this.hits.set(key, recent);
+    return { allowed: true, hits: recent.length, retryAfterSec: 0 };
+  }
+}
+
+/**
+ * Postgres sliding log (table: rate_limit_events, function: rate_limit_hit).
+ * The function takes an advisory lock per key so concurrent instances agree.
+ */
+export class SupabaseRateLimitStore {
+  async hit(key, windowSec, max) {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.rpc('rate_limit_hit', {
+        p_key: key,
+        p_window_sec: windowSec,
+        p_max: max
+      });
+
+      if (error) throw error;
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return {
+        allowed: !!row?.allowed,
+        hits: row?.hits || 0,
+        retryAfterSec: row?.retry_after_sec || 0
+      };
+    });
+  }
+}
+
+export class RateLimitService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryRateLimitStore or SupabaseRateLimitStore
+   * @param {Object} options.budgets - { [bucket]: { windowSec, max } }
+   */
+  constructor({ store, budgets }) {
+    this.store = store;
+    this.budgets = budgets;
+  }
+
+  /**
+   * Whether a learner's turn will hit the AI budget
+   *
+   * @param {string} currentMenu - User's current_menu
+   * @param {Object} command - Parsed command
+   * @returns {boolean}
+   */
+  isAiBackedTurn(currentMenu, command) {
+    // Navigation out of an AI flow is always allowed
+    if (command && command.type === 'welcome_menu') return false;
+    return AI_BACKED_MENUS.includes(currentMenu);
+  }
+
+  /**
+   * Record a hit against a learner's budget. Fails open if the store is down.
+   *
+   * @param {string} bucket - Budget name ('default' or 'ai')
+   * @param {string} subscriberId - ManyChat subscriber id
+   * @returns {Object} { allowed, hits, retryAfterSec }
+   */
+  async consume(bucket, subscriberId) {
+    const budget = this.budgets[bucket];
+    if (!budget) {
+      throw new Error(`Unknown rate limit bucket: ${bucket}`);
+    }
+
+    try {
+      return await this.store.hit(`${bucket}:${subscriberId}`, budget.windowSec, budget.max);
+    } catch (error) {
+      console.error('❌ Rate limit store error:', error);
+      return { allowed: true, hits: 0, retryAfterSec: 0 };
+    }
+  }
+}
+
+export const rateLimitService = new RateLimitService({
+  store:
+    env.RATE_LIMIT_STORE === 'memory' ? new MemoryRateLimitStore() : new SupabaseRateLimitStore(),
+  budgets: {
+    default: { windowSec: env.RATE_LIMIT_WINDOW_SEC, max: env.RATE_LIMIT_MAX },
+    ai: { windowSec: env.AI_RATE_LIMIT_WINDOW_SEC, max: env.AI_RATE_LIMIT_MAX },
+    // All OpenAI calls together (consumed as 'openai:global' by aiUsageService)
+    openai: { windowSec: 60, max: OPENAI_CONFIG.RATE_LIMIT_PER_MINUTE }
+  }
+});
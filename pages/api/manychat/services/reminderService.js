@@ -7,9 +7,43 @@
  */
 
 import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
 import { updateUser } from './userService.js';
+import { messagingService } from './messagingService.js';
+import { DELIVERY_ERRORS } from './manychatClient.js';
+import { NOTIFICATION_CATEGORIES } from './notificationPreferenceService.js';
+import { isQuietTime, isValidTimeZone, quietHoursEnd } from '../utils/quietHours.js';
+
+// Longest gap between retries of a failed reminder
+const MAX_RETRY_DELAY_MIN = 6 * 60;
 
 export class ReminderService {
+  /**
+   * @param {Object} options
+   * @param {number} options.batchSize - Reminders claimed per worker run
+   * @param {number} options.leaseSec - How long a claim is held before another run may take it
+   * @param {number} options.maxAttempts - Delivery attempts before a reminder is marked failed
+   * @param {number} options.retryBaseMinutes - First retry delay; doubles per attempt
+   * @param {Object} options.quietHours - Default { start, end, timeZone } for learners without their own
+   */
+  constructor({
+    batchSize = env.REMINDER_BATCH_SIZE,
+    leaseSec = env.REMINDER_CLAIM_LEASE_SEC,
+    maxAttempts = env.REMINDER_MAX_ATTEMPTS,
+    retryBaseMinutes = env.REMINDER_RETRY_BASE_MIN,
+    quietHours = {
+      start: env.QUIET_HOURS_START,
+      end: env.QUIET_HOURS_END,
+      timeZone: env.DEFAULT_TIMEZONE
+    }
+  } = {}) {
+    this.batchSize = batchSize;
+    this.leaseSec = leaseSec;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMinutes = retryBaseMinutes;
+    this.quietHours = quietHours;
+  }
+
   /**
    * Schedule daily reminders for a study plan
    *
@@ -179,14 +213,37 @@ export class ReminderService {
   /**
    * Mark a reminder as sent
    */
-  async markReminderSent(reminderId) {
+  async markReminderSent(reminderId, fields = {}) {
+    return this.updateReminder(reminderId, {
+      status: 'sent',
+      sent_at: new Date().toISOString(),
+      ...fields
+    });
+  }
+
+  /**
+   * Mark a claimed reminder as being handed to ManyChat. Unlike updateReminder
+   * this throws, so a reminder whose attempt can't be recorded is never sent.
+   */
+  async markDeliveryStarted(reminderId, fields) {
     return executeQuery(async (supabase) => {
       const { error } = await supabase
         .from('study_reminders')
-        .update({
-          status: 'sent',
-          sent_at: new Date().toISOString()
-        })
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', reminderId);
+
+      if (error) throw error;
+    });
+  }
+
+  /**
+   * Update a reminder row; errors are logged, not thrown
+   */
+  async updateReminder(reminderId, fields) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase
+        .from('study_reminders')
+        .update({ ...fields, updated_at: new Date().toISOString() })
         .eq('id', reminderId);
 
       if (error) {
@@ -196,65 +253,260 @@ export class ReminderService {
   }
 
   /**
-   * Process due reminders (to be called by scheduler)
+   * Process due reminders (called by /api/cron/reminders)
+   *
+   * Claims a batch atomically, so overlapping runs never send the same
+   * reminder twice, then delivers each one subject to opt-outs and quiet hours.
+   * Each send is recorded (delivery_started_at) before it goes out, so a run
+   * that delivers and then fails to save the outcome doesn't lead to a resend
+   * once the claim lapses; such a reminder is settled as sent instead.
+   *
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @returns {Object} Counts: { claimed, sent, retried, failed, deferred, skipped }
    */
-  async processDueReminders() {
+  async processDueReminders({ now = new Date() } = {}) {
+    const summary = { claimed: 0, sent: 0, retried: 0, failed: 0, deferred: 0, skipped: 0 };
+
     try {
       console.log('⏰ Processing due reminders');
 
-      const now = new Date();
+      const reminders = await this.claimDueReminders();
+      summary.claimed = reminders.length;
+      console.log(`📊 Claimed ${reminders.length} due reminders`);
 
-      // Find reminders that are due
-      const dueReminders = await executeQuery(async (supabase) => {
-        const { data, error } = await supabase
-          .from('study_reminders')
-          .select('id, user_id, message, scheduled_for')
-          .eq('status', 'scheduled')
-          .lte('scheduled_for', now.toISOString())
-          .order('scheduled_for', { ascending: true });
+      const recipients = await this.getRecipients([...new Set(reminders.map((r) => r.user_id))]);
 
-        if (error) {
-          console.error('❌ Due reminders fetch error:', error);
-          return [];
+      for (const reminder of reminders) {
+        try {
+          const outcome = await this.deliverReminder(
+            reminder,
+            recipients.get(reminder.user_id),
+            now
+          );
+          summary[outcome]++;
+        } catch (error) {
+          // Claim lease expires and a later run picks it up again (or settles it, if it was sent)
+          console.error(`❌ Error processing reminder ${reminder.id}:`, error);
         }
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('❌ Reminder processing error:', error);
+      return summary;
+    }
+  }
 
-        return data || [];
+  /**
+   * Claim due reminders (and ones whose previous claim lapsed) for this run
+   */
+  async claimDueReminders() {
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase.rpc('claim_due_reminders', {
+        p_batch_size: this.batchSize,
+        p_lease_sec: this.leaseSec
       });
 
-      console.log(`📊 Found ${dueReminders.length} due reminders`);
+      if (error) {
+        console.error('❌ Due reminders claim error:', error);
+        return [];
+      }
 
-      // Process each reminder
-      for (const reminder of dueReminders) {
-        try {
-          // Send the reminder (implementation depends on messaging system)
-          await this.sendReminderMessage(reminder.user_id, reminder.message);
+      return data || [];
+    });
+  }
 
-          // Mark as sent
-          await this.markReminderSent(reminder.id);
+  /**
+   * Reminder settings for a set of users, keyed by user id
+   */
+  async getRecipients(userIds) {
+    if (userIds.length === 0) return new Map();
 
-          console.log(`✅ Sent reminder ${reminder.id} to user ${reminder.user_id}`);
-        } catch (error) {
-          console.error(`❌ Error processing reminder ${reminder.id}:`, error);
-        }
+    return executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from('users')
+        .select('id, has_active_reminders, timezone, quiet_hours_start, quiet_hours_end')
+        .in('id', userIds);
+
+      if (error) {
+        console.error('❌ Reminder recipients fetch error:', error);
+        throw error;
       }
 
-      return dueReminders.length;
-    } catch (error) {
-      console.error('❌ Reminder processing error:', error);
-      return 0;
+      return new Map((data || []).map((user) => [user.id, user]));
+    });
+  }
+
+  /**
+   * Deliver one claimed reminder and settle its row
+   *
+   * @returns {string} Summary key: 'sent', 'retried', 'failed', 'deferred' or 'skipped'
+   */
+  async deliverReminder(reminder, recipient, now) {
+    // An earlier run handed this one to ManyChat but never recorded how it went
+    if (reminder.delivery_started_at) {
+      await this.markReminderSent(reminder.id, {
+        sent_at: reminder.delivery_started_at,
+        delivery_started_at: null,
+        claimed_until: null
+      });
+      await this.recordAttempt(reminder, 'sent', {
+        type: 'unconfirmed',
+        message: 'Outcome of the previous run was never recorded'
+      });
+      console.warn(`⚠️ Reminder ${reminder.id} was already handed over; not sending it again`);
+      return 'sent';
+    }
+
+    if (!recipient || recipient.has_active_reminders === false) {
+      await this.updateReminder(reminder.id, { status: 'skipped', claimed_until: null });
+      await this.recordAttempt(reminder, 'skipped', { type: 'opted_out', message: null });
+      return 'skipped';
+    }
+
+    const quietHours = this.quietHoursFor(recipient);
+    if (isQuietTime(now, quietHours)) {
+      const resumeAt = quietHoursEnd(now, quietHours);
+      await this.updateReminder(reminder.id, {
+        status: 'scheduled',
+        scheduled_for: resumeAt.toISOString(),
+        claimed_until: null
+      });
+      await this.recordAttempt(reminder, 'deferred', { type: 'quiet_hours', message: null });
+      console.log(`🌙 Reminder ${reminder.id} deferred to ${resumeAt.toISOString()}`);
+      return 'deferred';
+    }
+
+    const attempts = (reminder.attempts || 0) + 1;
+    await this.markDeliveryStarted(reminder.id, {
+      attempts,
+      last_attempt_at: now.toISOString(),
+      delivery_started_at: now.toISOString()
+    });
+
+    const delivery = await this.sendReminderMessage(reminder.user_id, reminder.message);
+    const attemptFields = {
+      attempts,
+      last_attempt_at: now.toISOString(),
+      delivery_started_at: null,
+      claimed_until: null
+    };
+
+    if (delivery.ok) {
+      await this.markReminderSent(reminder.id, { ...attemptFields, last_error: null });
+      await this.recordAttempt(reminder, 'sent');
+      console.log(`✅ Sent reminder ${reminder.id} to user ${reminder.user_id}`);
+      return 'sent';
+    }
+
+    const { error } = delivery;
+
+    // Stopped, paused or reminders switched off: this day's reminder is dropped
+    if (error.type === DELIVERY_ERRORS.OPTED_OUT) {
+      await this.updateReminder(reminder.id, { ...attemptFields, status: 'skipped' });
+      await this.recordAttempt(reminder, 'skipped', error);
+      return 'skipped';
     }
+    const retryAt = this.nextRetryAt(attempts, error, now);
+    const lastError = `${error.type}: ${error.message}`;
+
+    if (retryAt) {
+      await this.updateReminder(reminder.id, {
+        ...attemptFields,
+        status: 'scheduled',
+        scheduled_for: retryAt.toISOString(),
+        last_error: lastError
+      });
+      await this.recordAttempt(reminder, 'retry', error);
+      console.warn(
+        `⚠️ Reminder ${reminder.id} failed (${error.type}), retrying at ${retryAt.toISOString()}`
+      );
+      return 'retried';
+    }
+
+    await this.updateReminder(reminder.id, {
+      ...attemptFields,
+      status: 'failed',
+      last_error: lastError
+    });
+    await this.recordAttempt(reminder, 'failed', error);
+    console.error(`❌ Reminder ${reminder.id} failed permanently: ${lastError}`);
+    return 'failed';
   }
 
   /**
-   * Send reminder message to user
-   * This is a placeholder - actual implementation will depend on messaging platform
+   * When to retry a failed delivery
+   *
+   * @param {number} attempts - Attempts made so far, including the failed one
+   * @param {Object} error - Delivery error ({ type, retryable })
+   * @param {Date} now - Current time
+   * @returns {Date|null} Retry time, or null to give up
    */
-  async sendReminderMessage(userId, message) {
-    // In a real implementation, this would call the messaging API
-    console.log(`📱 [MOCK] Sending reminder to user ${userId}: ${message}`);
+  nextRetryAt(attempts, error, now) {
+    if (!error.retryable || attempts >= this.maxAttempts) {
+      return null;
+    }
+
+    const delayMinutes = Math.min(this.retryBaseMinutes * 2 ** (attempts - 1), MAX_RETRY_DELAY_MIN);
+    return new Date(now.getTime() + delayMinutes * 60 * 1000);
+  }
+
+  /**
+   * Quiet hours for a learner, falling back to the defaults. A time zone Intl
+   * doesn't know would throw on every run, so it is ignored too.
+   */
+  quietHoursFor(recipient) {
+    let timeZone = recipient.timezone || this.quietHours.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      console.warn(
+        `⚠️ Unknown time zone "${timeZone}" for user ${recipient.id}, using the default`
+      );
+      timeZone = this.quietHours.timeZone;
+    }
 
-    // Return true to simulate successful sending
-    return true;
+    return {
+      start: recipient.quiet_hours_start || this.quietHours.start,
+      end: recipient.quiet_hours_end || this.quietHours.end,
+      timeZone
+    };
+  }
+
+  /**
+   * Record a delivery attempt for auditing; failures here never block delivery
+   */
+  async recordAttempt(reminder, outcome, error = null) {
+    return executeQuery(async (supabase) => {
+      const { error: insertError } = await supabase.from('study_reminder_attempts').insert({
+        reminder_id: reminder.id,
+        user_id: reminder.user_id,
+        outcome,
+        error_type: error?.type || null,
+        error_message: error?.message || null,
+        attempted_at: new Date().toISOString()
+      });
+
+      if (insertError) {
+        console.error('❌ Reminder attempt log error:', insertError);
+      }
+    });
+  }
+
+  /**
+   * Send reminder message to user through ManyChat (as a template outside
+   * the WhatsApp messaging window)
+   *
+   * @param {string} userId - User ID
+   * @param {string} message - Reminder text
+   * @returns {Object} Delivery result ({ ok } or { ok: false, error: { type, ... } })
+   */
+  async sendReminderMessage(userId, message) {
+    console.log(`📱 Sending reminder to user ${userId}`);
+    return messagingService.sendToUser(userId, message, {
+      category: NOTIFICATION_CATEGORIES.STUDY_REMINDERS,
+      template: 'study_reminder',
+      params: { message }
+    });
   }
 
   /**
@@ -0,0 +1,285 @@
+/**
+ * Lesson Retrieval Service
+ * Date: 2026-10-20 00:40:00 UTC
+ *
+ * Grounds the tutor and homework prompts in our own content. A local BM25
+ * index (lib/retrieval.js) over active lessons, split at their headings, and
+ * the worked solutions of practice questions is built on first use and
+ * rebuilt every RETRIEVAL_REFRESH_MIN minutes. If the lessons table can't be
+ * read, the built-in INITIAL_LESSONS are indexed instead.
+ *
+ * The best RETRIEVAL_TOP_K passages go into the prompt, and their titles are
+ * cited back to the learner ("📖 See lesson: Solving Quadratic Equations").
+ * Retrieval fails open: no index means no passages, never a failed reply.
+ */
+
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+import { BM25Index, splitPassages } from '../../../../lib/retrieval.js';
+import { INITIAL_LESSONS } from './initialLessonsData.js';
+
+// Worked solutions indexed alongside the lessons, newest first
+const MAX_SOLUTIONS = 500;
+
+// Characters of each passage sent to the model
+const MAX_PASSAGE_CHARS = 800;
+
+const slug = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+const solutionText = (steps) => {
+  if (Array.isArray(steps)) return steps.join('\n');
+  if (steps && typeof steps === 'object') return Object.values(steps).join('\n');
+  return String(steps || '');
+};
+
+/**
+ * Passages of one lesson. The title is part of every passage so a question
+ * naming the lesson finds it.
+ *
+ * @param {Object} lesson - lessons row or INITIAL_LESSONS entry
+ * @returns {Object[]} { id, source, lesson_id, title, topic, text }
+ */
+export function lessonPassages(lesson) {
+  const lessonId = lesson.id || slug(lesson.title);
+  return splitPassages(lesson.content).map((text, index) => ({
+    id: `lesson:${lessonId}#${index}`,
+    source: 'lesson',
+    lesson_id: lessonId,
+    title: lesson.title,
+    topic: lesson.topic,
+    text: `${lesson.title}\n${text}`
+  }));
+}
+
+/**
+ * Passage id of a practice question's worked solution
+ *
+ * @param {string} questionId - practice_questions id
+ * @returns {string}
+ */
+export const solutionPassageId = (questionId) => `solution:${questionId}`;
+
+/**
+ * A practice question's worked solution as one passage
+ *
+ * @param {Object} question - practice_questions row
+ * @returns {Object} { id, source, title, topic, text }
+ */
+export function solutionPassage(question) {
+  const title =
+    question.question_text.length > 60
+      ? `${question.question_text.slice(0, 57)}...`
+      : question.question_text;
+
+  return {
+    id: solutionPassageId(question.id),
+    source: 'solution',
+    title,
+    topic: question.topic,
+    text: `${question.question_text}\n${solutionText(question.solution_steps)}`
+  };
+}
+
+/**
+ * Passages as a prompt block
+ *
+ * @param {Object[]} passages - From search()
+ * @returns {string} Empty when there are none
+ */
+export function formatPassages(passages) {
+  if (!passages || passages.length === 0) return '';
+
+  const blocks = passages.map((passage) => {
+    const label = passage.source === 'lesson' ? 'Lesson' : 'Worked example';
+    const text =
+      passage.text.length > MAX_PASSAGE_CHARS
+        ? `${passage.text.slice(0, MAX_PASSAGE_CHARS)}...`
+        : passage.text;
+    return `[${label}: ${passage.title}]\n${text}`;
+  });
+
+  return `OUR LESSON CONTENT (the student may have read these; explain with the same methods, terms and notation, and never contradict them):\n\n${blocks.join('\n\n')}`;
+}
+
+/**
+ * Prompt with the retrieved passages appended
+ *
+ * @param {string} text - Rendered prompt
+ * @param {Object[]} passages - From search()
+ * @returns {string}
+ */
+export function withPassages(text, passages) {
+  const block = formatPassages(passages);
+  return block ? `${text}\n\n${block}` : text;
+}
+
+/**
+ * Citation lines for the learner, one per lesson or worked example
+ *
+ * @param {Object[]} passages - From search()
+ * @returns {string[]} e.g. ["📖 See lesson: Solving Quadratic Equations"]
+ */
+export function formatCitations(passages) {
+  const seen = new Set();
+  const lines = [];
+  for (const passage of passages || []) {
+    const line =
+      passage.source === 'lesson'
+        ? `📖 See lesson: ${passage.title}`
+        : `📝 See worked example: ${passage.title}`;
+    if (!seen.has(line)) {
+      seen.add(line);
+      lines.push(line);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Reply with the citations appended (once)
+ *
+ * @param {string} reply - Model reply
+ * @param {Object[]} passages - Passages the prompt was grounded in
+ * @returns {string}
+ */
+export function withCitations(reply, passages) {
+  const lines = formatCitations(passages).filter((line) => !reply.includes(line));
+  return lines.length > 0 ? `${reply}\n\n${lines.join('\n')}` : reply;
+}
+
+export class RetrievalService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.loadLessons - async () => lesson rows
+   * @param {Function} options.loadSolutions - async () => practice question rows
+   * @param {number} options.topK - Passages per query; 0 turns retrieval off
+   * @param {number} options.minScore - BM25 score below which a passage is ignored
+   * @param {number} options.refreshMinutes - Index age before it is rebuilt
+   */
+  constructor({ loadLessons, loadSolutions, topK, minScore, refreshMinutes }) {
+    this.loadLessons = loadLessons;
+    this.loadSolutions = loadSolutions;
+    this.topK = topK;
+    this.minScore = minScore;
+    this.refreshMs = refreshMinutes * 60 * 1000;
+    this.index = null;
+    this.builtAt = 0;
+    this.building = null;
+  }
+
+  /**
+   * Build the index from the current lessons and solutions
+   *
+   * @returns {Promise<BM25Index>}
+   */
+  async build() {
+    let lessons = [];
+    try {
+      lessons = await this.loadLessons();
+    } catch (error) {
+      console.error('❌ Could not load lessons for retrieval, using built-in lessons:', error);
+    }
+    if (!lessons || lessons.length === 0) lessons = INITIAL_LESSONS;
+
+    let solutions = [];
+    try {
+      solutions = (await this.loadSolutions()) || [];
+    } catch (error) {
+      console.error('❌ Could not load worked solutions for retrieval:', error);
+    }
+
+    const index = new BM25Index();
+    lessons.flatMap(lessonPassages).forEach((passage) => index.add(passage));
+    solutions
+      .filter((question) => question.question_text && question.solution_steps)
+      .map(solutionPassage)
+      .forEach((passage) => index.add(passage));
+
+    console.log(
+      `📚 Retrieval index built: ${index.size} passages from ${lessons.length} lessons and ${solutions.length} solutions`
+    );
+    return index;
+  }
+
+  async getIndex() {
+    if (this.index && Date.now() - this.builtAt < this.refreshMs) return this.index;
+
+    // One build at a time; concurrent callers share it
+    if (!this.building) {
+      this.building = this.build()
+        .then((index) => {
+          this.index = index;
+          this.builtAt = Date.now();
+          return index;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+    return this.building;
+  }
+
+  /**
+   * Passages that best match a learner's message. Never throws.
+   *
+   * @param {string} query - Learner message, optionally with topic words
+   * @param {Object} options
+   * @param {string|null} options.topic - Ranks passages on this topic higher
+   * @param {string|null} options.lessonTitle - Ranks this lesson higher (the one just read)
+   * @param {string[]} options.exclude - Passage ids never returned, e.g. the worked
+   *   solution of the question the learner is working on
+   * @param {number} options.limit - Defaults to RETRIEVAL_TOP_K
+   * @returns {Promise<Object[]>} { id, source, title, topic, text, score }
+   */
+  async search(query, { topic = null, lessonTitle = null, exclude = [], limit = this.topK } = {}) {
+    if (!this.topK || !query) return [];
+
+    try {
+      const index = await this.getIndex();
+      return index.search(query, {
+        limit,
+        minScore: this.minScore,
+        boost: (passage) =>
+          (exclude.includes(passage.id) ? 0 : 1) *
+          (topic && passage.topic === topic ? 1.5 : 1) *
+          (lessonTitle && passage.title === lessonTitle ? 2 : 1)
+      });
+    } catch (error) {
+      console.error('❌ Lesson retrieval failed, continuing without it:', error);
+      return [];
+    }
+  }
+}
+
+export const retrievalService = new RetrievalService({
+  loadLessons: () =>
+    executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from('lessons')
+        .select('id, title, content, topic, subject, grade_level')
+        .eq('is_active', true);
+
+      if (error) throw error;
+      return data;
+    }),
+  loadSolutions: () =>
+    executeQuery(async (supabase) => {
+      const { data, error } = await supabase
+        .from('practice_questions')
+        .select('id, question_text, solution_steps, topic, subject')
+        .eq('is_active', true)
+        .not('solution_steps', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(MAX_SOLUTIONS);
+
+      if (error) throw error;
+      return data;
+    }),
+  topK: env.RETRIEVAL_TOP_K,
+  minScore: env.RETRIEVAL_MIN_SCORE,
+  refreshMinutes: env.RETRIEVAL_REFRESH_MIN
+});
@@ -0,0 +1,428 @@
+/**
+ * Tutor Tools
+ * Date: 2026-10-20 01:30:00 UTC
+ *
+ * The internal toolset the AI tutor can call (chat completions tool calling)
+ * to look up the learner's live context instead of relying only on the
+ * snapshot it was handed:
+ * - get_current_question: the practice question being worked on
+ * - get_solution_steps:   its worked solution, released only once the learner has tried it
+ * - get_recent_mistakes:  weak, wrong or skipped recent practice attempts
+ * - get_topic_report:     analyticsService.getTopicReport for a topic
+ * - start_practice:       hand the learner over to a practice question after the reply
+ *
+ * Tools only ever act for the learner in the conversation; none takes a user
+ * id. Arguments are validated before a tool runs, and every call is logged
+ * (tutor_tool_calls) with its arguments, outcome and duration.
+ */
+
+import { z } from 'zod';
+import { executeQuery } from '../config/database.js';
+import { env } from '../../../../lib/config.js';
+import { analyticsService } from './analyticsService.js';
+import { PRACTICE_TOPICS, practiceService } from './practiceService.js';
+
+export const TUTOR_TOOLS = {
+  GET_CURRENT_QUESTION: 'get_current_question',
+  GET_SOLUTION_STEPS: 'get_solution_steps',
+  GET_RECENT_MISTAKES: 'get_recent_mistakes',
+  GET_TOPIC_REPORT: 'get_topic_report',
+  START_PRACTICE: 'start_practice'
+};
+
+// Outcome of a call, as logged
+export const TOOL_STATUS = {
+  OK: 'ok',
+  DENIED: 'denied',
+  INVALID: 'invalid',
+  ERROR: 'error'
+};
+
+const ARGUMENT_SCHEMAS = {
+  [TUTOR_TOOLS.GET_CURRENT_QUESTION]: z.object({}),
+  [TUTOR_TOOLS.GET_SOLUTION_STEPS]: z.object({
+    up_to_step: z.number().int().min(1).optional()
+  }),
+  [TUTOR_TOOLS.GET_RECENT_MISTAKES]: z.object({
+    topic: z.string().min(1).optional(),
+    limit: z.number().int().min(1).max(10).optional()
+  }),
+  [TUTOR_TOOLS.GET_TOPIC_REPORT]: z.object({
+    topic: z.string().min(1)
+  }),
+  [TUTOR_TOOLS.START_PRACTICE]: z.object({
+    topic: z.enum(PRACTICE_TOPICS),
+    difficulty: z.enum(['easy', 'medium', 'hard']).optional()
+  })
+};
+
+const TOOL_DEFINITIONS = [
+  {
+    name: TUTOR_TOOLS.GET_CURRENT_QUESTION,
+    description:
+      'The practice question the student is working on (without its solution), with how many hints they have used.',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: TUTOR_TOOLS.GET_SOLUTION_STEPS,
+    description:
+      'Worked solution of the current question. Only released after the student has attempted it; otherwise returns available=false. Ask for one step more than you have shown so far so you can reveal it gradually.',
+    parameters: {
+      type: 'object',
+      properties: {
+        up_to_step: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Return steps 1..up_to_step only; omit for all steps'
+        }
+      }
+    }
+  },
+  {
+    name: TUTOR_TOOLS.GET_RECENT_MISTAKES,
+    description:
+      "The student's recent practice attempts that went wrong: low understanding, misconceptions or skipped questions.",
+    parameters: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string', description: 'Only this topic, e.g. algebra' },
+        limit: { type: 'integer', minimum: 1, maximum: 10 }
+      }
+    }
+  },
+  {
+    name: TUTOR_TOOLS.GET_TOPIC_REPORT,
+    description:
+      'How the student is doing on a topic: attempts, mastery, strengths, weaknesses and common misconceptions.',
+    parameters: {
+      type: 'object',
+      properties: { topic: { type: 'string', description: 'e.g. algebra, trigonometry' } },
+      required: ['topic']
+    }
+  },
+  {
+    name: TUTOR_TOOLS.START_PRACTICE,
+    description:
+      'Send the student a practice question on a topic straight after your reply. Use when they ask to practise or are ready to try one on their own.',
+    parameters: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string', enum: PRACTICE_TOPICS },
+        difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] }
+      },
+      required: ['topic']
+    }
+  }
+];
+
+const RECENT_ATTEMPTS_SCANNED = 30;
+
+/**
+ * Solution steps as a list, however they were stored
+ *
+ * @param {string|Array|Object} steps - practice_questions.solution_steps
+ * @returns {string[]}
+ */
+export function splitSolutionSteps(steps) {
+  if (Array.isArray(steps)) return steps.map(String);
+  if (steps && typeof steps === 'object') return Object.values(steps).map(String);
+  return String(steps || '')
+    .split(/\n+|(?<=\.)\s+(?=[A-Z])/)
+    .map((step) => step.trim())
+    .filter(Boolean);
+}
+
+// Whether the learner has tried the question: answered, finished, skipped,
+// was shown the solution or used up every hint
+function solutionUnlocked(question, attempts, practiceContext) {
+  if (practiceContext.solutionShown) return true;
+  if (attempts.some((a) => a.user_response || ['completed', 'skipped'].includes(a.status))) {
+    return true;
+  }
+  const hints = Array.isArray(question.hints) ? question.hints.length : 0;
+  return hints > 0 && (practiceContext.hintCount || 0) >= hints;
+}
+
+// Model-written arguments, checked against the tool's schema
+function parseArguments(json, schema) {
+  let args;
+  try {
+    args = JSON.parse(json || '{}');
+  } catch {
+    return { success: false, args: null, problem: 'Arguments are not valid JSON' };
+  }
+
+  const parsed = schema.safeParse(args);
+  return parsed.success
+    ? { success: true, args: parsed.data }
+    : { success: false, args, problem: `Invalid arguments: ${parsed.error.issues[0].message}` };
+}
+
+function parseContext(json) {
+  try {
+    return json ? JSON.parse(json) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * In-memory call log. Used by tests and local development.
+ */
+export class MemoryTutorToolLogStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  async record(entry) {
+    this.entries.push({ ...entry, created_at: new Date().toISOString() });
+  }
+}
+
+/**
+ * Postgres call log (table: tutor_tool_calls)
+ */
+export class SupabaseTutorToolLogStore {
+  async record(entry) {
+    return executeQuery(async (supabase) => {
+      const { error } = await supabase.from('tutor_tool_calls').insert(entry);
+      if (error) throw error;
+    });
+  }
+}
+
+export class TutorToolsService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryTutorToolLogStore or SupabaseTutorToolLogStore
+   * @param {Object} options.data - Lookups: getQuestion(id), getAttempts(userId, questionId),
+   *   getRecentAttempts(userId, limit), getTopicReport(userId, topic)
+   */
+  constructor({ store, data }) {
+    this.store = store;
+    this.data = data;
+  }
+
+  /**
+   * Tool definitions for chat.completions `tools`
+   *
+   * @param {Object} options
+   * @param {boolean} options.allowPractice - Offer start_practice
+   * @returns {Array}
+   */
+  definitions({ allowPractice = true } = {}) {
+    return TOOL_DEFINITIONS.filter(
+      (tool) => allowPractice || tool.name !== TUTOR_TOOLS.START_PRACTICE
+    ).map((tool) => ({ type: 'function', function: tool }));
+  }
+
+  /**
+   * Run one tool call from the model and log it. Never throws: problems go
+   * back to the model as an error result.
+   *
+   * @param {Object} call - { id, function: { name, arguments } } from the reply
+   * @param {Object} session - { user, context, allowPractice, handoff }; start_practice sets `handoff`
+   * @returns {Promise<string>} JSON result for the tool message
+   */
+  async run(call, session) {
+    const started = Date.now();
+    const name = call.function?.name;
+    const schema = Object.hasOwn(ARGUMENT_SCHEMAS, name) ? ARGUMENT_SCHEMAS[name] : null;
+    const parsed = schema
+      ? parseArguments(call.function.arguments, schema)
+      : { success: false, args: null, problem: `Unknown tool ${name}` };
+    let status = TOOL_STATUS.OK;
+    let result;
+
+    if (!parsed.success) {
+      status = TOOL_STATUS.INVALID;
+      result = { error: parsed.problem };
+    } else {
+      try {
+        result = await this.execute(name, parsed.args, session);
+        if (result.available === false) status = TOOL_STATUS.DENIED;
+      } catch (error) {
+        console.error(`❌ Tutor tool ${name} failed:`, error);
+        status = TOOL_STATUS.ERROR;
+        result = { error: 'Lookup failed' };
+      }
+    }
+
+    await this.log({
+      user_id: session.user.id,
+      conversation_id: session.context.conversationId || null,
+      tool: name || 'unknown',
+      arguments: parsed.args,
+      status,
+      result,
+      duration_ms: Date.now() - started
+    });
+
+    return JSON.stringify(result);
+  }
+
+  async log(entry) {
+    console.log(`🛠️ Tutor tool ${entry.tool} (${entry.status}) for user ${entry.user_id}`);
+    try {
+      await this.store.record(entry);
+    } catch (error) {
+      console.error(`❌ Could not log tutor tool call ${entry.tool}:`, error);
+    }
+  }
+
+  async execute(name, args, session) {
+    const { user, context } = session;
+
+    switch (name) {
+      case TUTOR_TOOLS.GET_CURRENT_QUESTION: {
+        const question = await this.currentQuestion(user, context);
+        if (!question) return { question: null };
+
+        const practiceContext = parseContext(user.practice_context);
+        return {
+          question: {
+            id: question.id,
+            text: question.question_text,
+            topic: question.topic,
+            difficulty: question.difficulty,
+            hints_available: Array.isArray(question.hints) ? question.hints.length : 0,
+            hints_used: practiceContext.hintCount || 0,
+            solution_shown: Boolean(practiceContext.solutionShown)
+          }
+        };
+      }
+
+      case TUTOR_TOOLS.GET_SOLUTION_STEPS: {
+        const question = await this.currentQuestion(user, context);
+        if (!question) return { available: false, reason: 'The student has no current question.' };
+
+        const attempts = await this.data.getAttempts(user.id, question.id);
+        if (!solutionUnlocked(question, attempts || [], parseContext(user.practice_context))) {
+          return {
+            available: false,
+            reason:
+              'The student has not attempted this question yet. Guide them with a hint or a question instead.'
+          };
+        }
+
+        const steps = splitSolutionSteps(question.solution_steps);
+        return {
+          available: true,
+          question_id: question.id,
+          total_steps: steps.length,
+          steps: args.up_to_step ? steps.slice(0, args.up_to_step) : steps
+        };
+      }
+
+      case TUTOR_TOOLS.GET_RECENT_MISTAKES: {
+        const attempts =
+          (await this.data.getRecentAttempts(user.id, RECENT_ATTEMPTS_SCANNED)) || [];
+        const mistakes = attempts
+          .filter((a) => !args.topic || a.practice_questions?.topic === args.topic)
+          .filter(
+            (a) =>
+              a.status === 'skipped' ||
+              (a.understanding_rating && a.understanding_rating <= 2) ||
+              (a.misconceptions || []).length > 0
+          )
+          .slice(0, args.limit || 5)
+          .map((a) => ({
+            question: a.practice_questions?.question_text,
+            topic: a.practice_questions?.topic,
+            status: a.status,
+            understanding_rating: a.understanding_rating,
+            misconceptions: a.misconceptions || [],
+            feedback: a.tutor_feedback,
+            when: a.completed_at || a.started_at
+          }));
+        return { mistakes };
+      }
+
+      case TUTOR_TOOLS.GET_TOPIC_REPORT: {
+        const report = await this.data.getTopicReport(user.id, args.topic);
+        if (report.error) return { topic: args.topic, error: report.error };
+
+        return {
+          topic: report.topic,
+          attempts_count: report.attempts_count,
+          completed_count: report.completed_count,
+          lessons_viewed: report.lessons_viewed,
+          average_understanding: report.average_understanding,
+          mastery_percentage: report.mastery_percentage,
+          understanding_by_difficulty: report.understanding_by_difficulty,
+          strengths: report.strengths,
+          weaknesses: report.weaknesses,
+          common_misconceptions: report.common_misconceptions
+        };
+      }
+
+      case TUTOR_TOOLS.START_PRACTICE: {
+        if (!session.allowPractice) {
+          return { available: false, reason: 'Practice cannot be started from here.' };
+        }
+        session.handoff = { type: 'practice', topic: args.topic, difficulty: args.difficulty };
+        return {
+          started: true,
+          topic: args.topic,
+          note: 'The question is sent right after your reply; introduce it in one short sentence and do not write a question yourself.'
+        };
+      }
+
+      default:
+        throw new Error(`No handler for tutor tool ${name}`);
+    }
+  }
+
+  // Question the tutor was handed, else the learner's current practice question
+  async currentQuestion(user, context) {
+    const questionId = context.questionId || user.current_question_id;
+    return questionId ? this.data.getQuestion(questionId) : null;
+  }
+}
+
+export const tutorToolsService = new TutorToolsService({
+  store:
+    env.TUTOR_TOOL_STORE === 'memory'
+      ? new MemoryTutorToolLogStore()
+      : new SupabaseTutorToolLogStore(),
+  data: {
+    getQuestion: (id) => practiceService.getQuestionById(id),
+    getAttempts: (userId, questionId) =>
+      executeQuery(async (supabase) => {
+        const { data, error } = await supabase
+          .from('practice_attempts')
+          .select('status, user_response, hints_used')
+          .eq('user_id', userId)
+          .eq('question_id', questionId);
+
+        if (error) throw error;
+        return data;
+      }),
+    getRecentAttempts: (userId, limit) =>
+      executeQuery(async (supabase) => {
+        const { data, error } = await supabase
+          .from('practice_attempts')
+          .select(
+            `
+            status,
+            understanding_rating,
+            misconceptions,
+            tutor_feedback,
+            started_at,
+            completed_at,
+            practice_questions (
+              question_text,
+              topic
+            )
+          `
+          )
+          .eq('user_id', userId)
+          .order('started_at', { ascending: false })
+          .limit(limit);
+
+        if (error) throw error;
+        return data;
+      }),
+    getTopicReport: (userId, topic) => analyticsService.getTopicReport(userId, topic)
+  }
+});
@@ -0,0 +1,115 @@
+/**
+ * AI Response Schemas
+ * Date: 2026-10-19 21:50:00 UTC
+ *
+ * zod schemas for every JSON reply we ask the model for. Parsing gives
+ * callers a typed result: lists are always arrays, optional text is a string,
+ * and enums fall back to a safe value. A reply missing a field we can't
+ * invent (the question text, the learner-facing message) fails validation,
+ * and aiUsageService.completeJSON() asks the model to repair it.
+ */
+
+import { z } from 'zod';
+
+// Models sometimes send a single string where we asked for a list
+const stringList = z.preprocess(
+  (value) => (typeof value === 'string' ? [value] : value),
+  z.array(z.coerce.string()).catch([])
+);
+
+const optionalText = z.string().catch('');
+
+const requiredText = z.string().trim().min(1, 'must not be empty');
+
+// "true"/"false" strings as well as booleans
+const flag = z.preprocess(
+  (value) => (value === 'true' ? true : value === 'false' ? false : value),
+  z.boolean().catch(false)
+);
+
+const nullableText = z.preprocess(
+  (value) => (value === '' || value === 'null' ? null : value),
+  z.union([z.string(), z.number()]).transform(String).nullable().catch(null)
+);
+
+/**
+ * Homework, problem and refinement analyses (same fields as aiService.validateAnalysis)
+ */
+export const analysisSchema = z.object({
+  concepts: stringList.refine((list) => list.length > 0, 'must list at least one concept'),
+  confusion_type: z
+    .enum(['conceptual', 'procedural', 'computational', 'applied', 'emotional'])
+    .catch('conceptual'),
+  emotional_state: z.string().catch('neutral'),
+  clarity_level: z.enum(['clear', 'needs_followup', 'too_vague']).catch('needs_followup'),
+  follow_up_needed: flag,
+  specific_gap: optionalText,
+  intervention_focus: optionalText,
+  method_needed: optionalText,
+  prerequisite_knowledge: stringList,
+  teaching_focus: optionalText,
+  reasoning: optionalText,
+  confidence_score: z.coerce.number().min(0).max(1).catch(0.5)
+});
+
+export const tutorInsightsSchema = z.object({
+  topics: stringList,
+  concepts_understood: stringList,
+  concepts_struggled_with: stringList,
+  misconceptions: stringList,
+  learning_style_preferences: stringList
+});
+
+export const generatedQuestionSchema = z.object({
+  question_text: requiredText,
+  // Numbered steps sometimes come back as a list
+  solution_steps: z.preprocess(
+    (value) => (Array.isArray(value) ? value.join('\n') : value),
+    requiredText
+  ),
+  key_concepts: stringList,
+  hints: stringList,
+  understanding_checkpoints: stringList,
+  estimated_time_minutes: z.coerce.number().int().positive().catch(5)
+});
+
+export const understandingAssessmentSchema = z.object({
+  understanding_level: z.coerce.number().int().min(1).max(5),
+  key_concepts_demonstrated: stringList,
+  misconceptions: stringList,
+  feedback: requiredText
+});
+
+export const examPrepReplySchema = z.object({
+  message: requiredText,
+  extracted_data: z.preprocess(
+    (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {}),
+    z.object({
+      grade: nullableText,
+      subject: nullableText,
+      topics: stringList,
+      exam_date: z
+        .string()
+        .regex(/^\d{4}-\d{2}-\d{2}$/)
+        .nullable()
+        .catch(null),
+      preferred_time: nullableText
+    })
+  ),
+  conversation_state: z
+    .enum(['collecting_info', 'offering_plan', 'confirming_details'])
+    .catch('collecting_info'),
+  is_data_complete: flag
+});
+
+/**
+ * Validation problems as one line, for logs and the repair prompt
+ *
+ * @param {z.ZodError} error
+ * @returns {string} e.g. "question_text: Required; solution_steps: must not be empty"
+ */
+export function describeIssues(error) {
+  return error.issues
+    .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    .join('; ');
+}
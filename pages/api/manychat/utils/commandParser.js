@@ -122,7 +122,8 @@ function isTextInputContext(currentMenu) {
     'homework_grade',
     'homework_subject', // CRITICAL FIX: Added homework_subject for "yes" input
     'homework_confusion',
-    'stress_exam_date'
+    'stress_exam_date',
+    'notification_settings'
   ];
 
   return textInputMenus.includes(currentMenu);
@@ -143,8 +144,35 @@ function parseAnswerInput(input) {
 }
 
 function parseGlobalCommands(trimmed, originalInput) {
+  // Notification opt-out / opt-in (START also shows the main menu)
+  if (['stop', 'unsubscribe', 'opt out', 'stop reminders'].includes(trimmed)) {
+    return { type: CONSTANTS.COMMAND_TYPES.NOTIFICATIONS_STOP, action: 'stop', originalInput };
+  }
+
+  if (['start', 'unstop', 'resume', 'resume reminders'].includes(trimmed)) {
+    return { type: CONSTANTS.COMMAND_TYPES.NOTIFICATIONS_START, action: 'start', originalInput };
+  }
+
+  const pause = parsePauseCommand(trimmed);
+  if (pause) {
+    return {
+      type: CONSTANTS.COMMAND_TYPES.NOTIFICATIONS_PAUSE,
+      action: 'pause',
+      days: pause.days,
+      originalInput
+    };
+  }
+
+  if (['notifications', 'notification settings', 'settings'].includes(trimmed)) {
+    return {
+      type: CONSTANTS.COMMAND_TYPES.NOTIFICATION_SETTINGS,
+      action: 'show',
+      originalInput
+    };
+  }
+
   // Help and menu commands
-  if (['help', 'menu', 'start', 'back'].includes(trimmed)) {
+  if (['help', 'menu', 'back'].includes(trimmed)) {
     return { type: 'welcome_menu', action: trimmed, originalInput };
   }
 
@@ -161,9 +189,33 @@ function parseGlobalCommands(trimmed, originalInput) {
     return { type: CONSTANTS.COMMAND_TYPES.HOMEWORK, action: 'start', originalInput };
   }
 
+  if (trimmed === 'tutor') {
+    return { type: CONSTANTS.COMMAND_TYPES.TUTOR, action: 'start', originalInput };
+  }
+
+  if (trimmed === 'progress') {
+    return { type: CONSTANTS.COMMAND_TYPES.PROGRESS, action: 'start', originalInput };
+  }
+
+  if (trimmed === 'offline') {
+    return { type: CONSTANTS.COMMAND_TYPES.OFFLINE, action: 'start', originalInput };
+  }
+
   return { type: 'unrecognized', originalInput };
 }
 
+// "pause", "pause reminders for 3 days", "pause notifications for a week"
+function parsePauseCommand(trimmed) {
+  const match = trimmed.match(
+    /^pause(?:\s+(?:reminders|notifications|messages))?(?:\s+for\s+(\d+|a|an|one)\s+(days?|weeks?))?$/
+  );
+  if (!match) return null;
+
+  const count = match[1] && /^\d+$/.test(match[1]) ? parseInt(match[1]) : 1;
+  const perUnit = match[2] && match[2].startsWith('week') ? 7 : 1;
+  return { days: count * perUnit };
+}
+
 function parseMenuInput(input, currentMenu) {
   const choice = parseInt(input.trim());
 
@@ -4,11 +4,36 @@
  * Date: 2025-08-17 15:36:12 UTC
  */
 
+import { MESSAGES } from '../config/constants.js';
+import { menuReply } from './richReply.js';
+
+const NUMBER_EMOJI = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣'];
+
 export class MenuRenderer {
   static renderLessonMenu(context = 'general') {
-    const backLabel = this.getBackLabel(context);
+    return this.renderNumbered(this.getLessonOptions(context));
+  }
+
+  static getLessonOptions(context = 'general') {
+    return ['Try practice questions', 'See another example', this.getBackLabel(context)];
+  }
+
+  static renderNumbered(options) {
+    return options.map((option, index) => `${NUMBER_EMOJI[index]} ${option}`).join('\n');
+  }
 
-    return `1️⃣ Try practice questions\n` + `2️⃣ See another example\n` + `3️⃣ ${backLabel}`;
+  // Text followed by a numbered menu, with matching buttons where the channel supports them
+  static withMenu(text, options) {
+    return menuReply(`${text}\n\n${this.renderNumbered(options)}`, options);
+  }
+
+  static lessonReply(text, context = 'general') {
+    return this.withMenu(text, this.getLessonOptions(context));
+  }
+
+  static mainMenuReply(intro = '') {
+    const text = intro ? `${intro}\n\n${MESSAGES.WELCOME.MAIN_MENU}` : MESSAGES.WELCOME.MAIN_MENU;
+    return menuReply(text, MESSAGES.WELCOME.MAIN_MENU_OPTIONS);
   }
 
   static getBackLabel(context) {
@@ -34,7 +59,11 @@ export class MenuRenderer {
   }
 
   static renderExamPrepPlanMenu() {
-    return `1️⃣ Begin review\n` + `2️⃣ Switch topics\n` + `3️⃣ Main menu`;
+    return this.renderNumbered(this.getExamPrepPlanOptions());
+  }
+
+  static getExamPrepPlanOptions() {
+    return ['Begin review', 'Switch topics', 'Main menu'];
   }
 
   static renderHomeworkMenu() {
@@ -0,0 +1,89 @@
+/**
+ * Quiet Hours
+ * Date: 2026-10-19 14:40:00 UTC
+ *
+ * Local-clock windows (e.g. 21:00-07:00) in which learners are not messaged.
+ * Windows may wrap past midnight; a window whose start equals its end is off.
+ */
+
+/**
+ * Parse an "HH:MM" clock time into minutes after midnight
+ * @param {string} value - Clock time, e.g. "21:00".
+ * @returns {number|null} Minutes, or null if the value is not a valid time.
+ */
+export function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether Intl knows a time zone
+ * @param {string} timeZone - IANA time zone, e.g. "Africa/Johannesburg".
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Minutes after local midnight for an instant in a time zone
+ * @param {Date} date - Instant.
+ * @param {string} timeZone - IANA time zone, e.g. "Africa/Johannesburg".
+ * @returns {number}
+ */
+export function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Whether an instant falls inside a quiet-hours window
+ * @param {Date} date - Instant to check.
+ * @param {object} window
+ * @param {string} window.start - "HH:MM" local start.
+ * @param {string} window.end - "HH:MM" local end (exclusive).
+ * @param {string} window.timeZone - IANA time zone.
+ * @returns {boolean}
+ */
+export function isQuietTime(date, { start, end, timeZone }) {
+  const startMin = parseClock(start);
+  const endMin = parseClock(end);
+  if (startMin === null || endMin === null || startMin === endMin) return false;
+
+  const now = localMinutes(date, timeZone);
+  return startMin < endMin ? now >= startMin && now < endMin : now >= startMin || now < endMin;
+}
+
+/**
+ * The instant the current quiet-hours window ends
+ * @param {Date} date - Instant inside the window.
+ * @param {object} window - Same shape as isQuietTime.
+ * @returns {Date} Start of the first minute after the window.
+ */
+export function quietHoursEnd(date, { end, timeZone }) {
+  const endMin = parseClock(end);
+  const untilEnd = (endMin - localMinutes(date, timeZone) + 24 * 60) % (24 * 60);
+
+  const result = new Date(date.getTime() + untilEnd * 60 * 1000);
+  result.setSeconds(0, 0);
+  return result;
+}
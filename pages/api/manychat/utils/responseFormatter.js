@@ -4,21 +4,25 @@
  */
 
 import { CONSTANTS } from '../config/constants.js';
+import { env } from '../../../../lib/config.js';
+import { replyText, toManyChatV2, truncateText } from './richReply.js';
+import { createCallbackToken, parseSecrets } from './webhookSignature.js';
 
 /**
  * Formats a successful response payload for the webhook.
- * Truncates long messages to prevent errors.
- * @param {string} reply - The text message to send to the user.
+ * Long messages are truncated to what MANYCHAT_CHANNEL accepts, in `echo` and
+ * in the dynamic block alike. `echo` carries the plain text for
+ * flows that map it into a field; `version`/`content` is the same reply as a
+ * ManyChat v2 dynamic block, with buttons when the reply is a rich reply.
+ * @param {string|object} reply - The text message, or a rich reply (see richReply.js).
  * @param {object} metadata - Additional metadata for the response.
  * @returns {object} The final JSON payload.
  */
 export function formatResponse(reply, metadata = {}) {
   return {
     status: 'success',
-    echo:
-      reply.length > CONSTANTS.MAX_RESPONSE_LENGTH
-        ? reply.substring(0, CONSTANTS.MAX_RESPONSE_LENGTH - 3) + '...'
-        : reply,
+    echo: truncateText(replyText(reply), env.MANYCHAT_CHANNEL),
+    ...toManyChatV2(reply, buildDynamicBlockOptions(metadata.subscriber_id)),
     elapsed_ms: metadata.elapsed_ms || 0,
     subscriber_id: metadata.subscriber_id,
     processed_at: new Date().toISOString(),
@@ -26,6 +30,31 @@ export function formatResponse(reply, metadata = {}) {
   };
 }
 
+/**
+ * Dynamic block options for a subscriber: quick replies post back to this
+ * webhook with a token signed by the active webhook secret.
+ * @param {string} subscriberId - ManyChat subscriber id.
+ * @returns {object} Options for toManyChatV2.
+ */
+export function buildDynamicBlockOptions(subscriberId) {
+  const [secret] = parseSecrets(env.MANYCHAT_WEBHOOK_SECRETS);
+  const baseUrl = env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+
+  return {
+    channel: env.MANYCHAT_CHANNEL,
+    subscriberId,
+    callbackUrl: baseUrl ? `${baseUrl}/api/manychat` : null,
+    signCallback: secret
+      ? (message) =>
+          createCallbackToken(secret, {
+            subscriberId,
+            message,
+            expiresAt: Math.floor(Date.now() / 1000) + env.QUICK_REPLY_TTL_SEC
+          })
+      : null
+  };
+}
+
 /**
  * Formats an error response payload.
  * @param {Error|string} error - The error object or message.
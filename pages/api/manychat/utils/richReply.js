@@ -0,0 +1,149 @@
+/**
+ * Rich Replies
+ * Date: 2026-10-19 13:05:00 UTC
+ *
+ * Handlers can return a rich reply (text + quick replies + link buttons +
+ * images) instead of a plain string. The text always keeps its numbered menu,
+ * so learners who type "1", "2", "3" and channels that only read `echo` keep
+ * working; formatResponse additionally serializes the reply into ManyChat's
+ * v2 dynamic block format.
+ */
+
+// WhatsApp allows at most 3 buttons on a message, with short titles
+export const WHATSAPP_MAX_BUTTONS = 3;
+export const WHATSAPP_MAX_TITLE = 20;
+// Messenger / Instagram quick replies
+export const MAX_QUICK_REPLIES = 11;
+// Longest text message each channel accepts
+export const MAX_TEXT_LENGTH = { whatsapp: 4096, messenger: 2000, instagram: 1000 };
+
+/**
+ * Build a rich reply
+ * @param {string} text - Message text, including any numbered menu for typing users.
+ * @param {object} options
+ * @param {Array<{title: string, value: string}>} options.quickReplies - Choices; `value` is sent back as the learner's message.
+ * @param {Array<{title: string, url: string}>} options.buttons - Link buttons.
+ * @param {string[]} options.images - Image URLs shown before the text.
+ * @returns {object} Rich reply.
+ */
+export function createReply(text, { quickReplies = [], buttons = [], images = [] } = {}) {
+  return { type: 'rich', text, quickReplies, buttons, images };
+}
+
+/**
+ * Rich reply for a numbered menu: option N sends "N", exactly like typing it.
+ * @param {string} text - Message text with the numbered menu.
+ * @param {string[]} options - Option titles in menu order.
+ * @returns {object} Rich reply.
+ */
+export function menuReply(text, options) {
+  return createReply(text, {
+    quickReplies: options.map((title, index) => ({ title, value: String(index + 1) }))
+  });
+}
+
+/**
+ * Put text in front of a reply, keeping its buttons.
+ * @param {string} prefix - Text to prepend (include any separator).
+ * @param {string|object} reply - String or rich reply.
+ * @returns {string|object} Same kind of reply as given.
+ */
+export function prependText(prefix, reply) {
+  if (isRichReply(reply)) return { ...reply, text: `${prefix}${reply.text}` };
+  return `${prefix}${reply}`;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a rich reply.
+ */
+export function isRichReply(value) {
+  return !!value && typeof value === 'object' && value.type === 'rich';
+}
+
+/**
+ * Plain-text fallback for any reply.
+ * @param {string|object} reply - String or rich reply.
+ * @returns {string}
+ */
+export function replyText(reply) {
+  if (isRichReply(reply)) return reply.text || '';
+  return typeof reply === 'string' ? reply : '';
+}
+
+function truncateTitle(title, max) {
+  return title.length > max ? `${title.substring(0, max - 1)}…` : title;
+}
+
+/**
+ * Cut text to what a channel accepts, marking the cut with "..."
+ * @param {string} text - Message text.
+ * @param {string} channel - 'whatsapp', 'messenger' or 'instagram'.
+ * @returns {string}
+ */
+export function truncateText(text, channel = 'whatsapp') {
+  const max = MAX_TEXT_LENGTH[channel] || MAX_TEXT_LENGTH.whatsapp;
+  return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+}
+
+/**
+ * Serialize a reply into a ManyChat v2 dynamic block.
+ * Text longer than the channel accepts is truncated. Quick replies become `dynamic_block_callback` buttons that post the choice
+ * back to `callbackUrl`; without a callback URL or signer they are left out
+ * and the learner types the number instead.
+ * @param {string|object} reply - String or rich reply.
+ * @param {object} options
+ * @param {string} options.channel - 'whatsapp', 'messenger' or 'instagram'.
+ * @param {string} options.subscriberId - Subscriber the reply is for.
+ * @param {string} options.callbackUrl - Webhook URL for quick-reply callbacks.
+ * @param {Function} options.signCallback - (message) => callback token.
+ * @returns {{version: string, content: object}}
+ */
+export function toManyChatV2(
+  reply,
+  { channel = 'whatsapp', subscriberId, callbackUrl, signCallback } = {}
+) {
+  const rich = isRichReply(reply) ? reply : createReply(replyText(reply));
+  const canCallBack = !!(callbackUrl && subscriberId && signCallback);
+
+  const callback = ({ title, value }, maxTitle) => ({
+    type: 'dynamic_block_callback',
+    caption: maxTitle ? truncateTitle(title, maxTitle) : title,
+    url: callbackUrl,
+    method: 'post',
+    payload: {
+      subscriber_id: subscriberId,
+      message: value,
+      callback_token: signCallback(value)
+    }
+  });
+
+  const linkButtons = rich.buttons.map(({ title, url }) => ({ type: 'url', caption: title, url }));
+  const messages = rich.images.map((url) => ({ type: 'image', url, buttons: [] }));
+  const content = { messages, actions: [], quick_replies: [] };
+
+  if (channel === 'whatsapp') {
+    content.type = 'whatsapp';
+
+    // WhatsApp has no quick replies: choices ride on the text as buttons, but
+    // only when they all fit; a partial menu is worse than typing the number.
+    const choices = canCallBack ? rich.quickReplies : [];
+    const fits = linkButtons.length + choices.length <= WHATSAPP_MAX_BUTTONS;
+    const buttons = fits
+      ? [...linkButtons, ...choices.map((choice) => callback(choice, WHATSAPP_MAX_TITLE))]
+      : linkButtons.slice(0, WHATSAPP_MAX_BUTTONS);
+
+    messages.push({ type: 'text', text: truncateText(rich.text, channel), buttons });
+  } else {
+    if (channel === 'instagram') content.type = 'instagram';
+
+    messages.push({ type: 'text', text: truncateText(rich.text, channel), buttons: linkButtons });
+    if (canCallBack) {
+      content.quick_replies = rich.quickReplies
+        .slice(0, MAX_QUICK_REPLIES)
+        .map((choice) => callback(choice));
+    }
+  }
+
+  return { version: 'v2', content };
+}
@@ -0,0 +1,350 @@
+/**
+ * Declarative State Router
+ * Date: 2026-10-19 12:10:00 UTC
+ *
+ * Replaces the hand-written switch in index.js. Each handler exports a route
+ * table declaring the current_menu states it owns, the global and menu
+ * commands it answers, and the transitions each of those may make. The router
+ * validates the combined graph at startup and can export it as Mermaid or DOT.
+ *
+ * Route table shape:
+ *   {
+ *     owner: 'practiceHandler',
+ *     states: {
+ *       practice_active: { transitions: [...], handle: ({ user, command, text }) => ... }
+ *     },
+ *     commands: {
+ *       practice: { from: '*', transitions: [...], handle },
+ *       exam_prep_subject: { from: ['exam_prep_subject'], transitions: [...], handle }
+ *     }
+ *   }
+ *
+ * A state without `handle` is a resting state: free text there falls back to
+ * the 'text_input' / 'unrecognized' commands. `entry: true` marks states that
+ * are entered from outside the router (e.g. the connectivity check). `slow: true`
+ * marks routes that may wait on OpenAI; index.js answers those asynchronously
+ * when they overrun (see services/asyncReplyService.js).
+ */
+
+import { isRichReply } from './richReply.js';
+
+// Command types that carry free text and are therefore routed by current_menu
+export const FREE_TEXT_COMMANDS = ['text_input', 'unrecognized'];
+
+export const START_STATE = 'welcome';
+
+export class StateRouter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onTransition - async (user, nextState) => void, persists current_menu
+   */
+  constructor({ onTransition } = {}) {
+    this.onTransition = onTransition || (async () => {});
+    this.states = new Map();
+    this.commands = new Map();
+    this.duplicates = [];
+  }
+
+  /**
+   * Register a handler's route table. Duplicates are recorded and reported by validate().
+   *
+   * @param {Object} table - Route table (see file header)
+   * @returns {StateRouter} this, for chaining
+   */
+  register(table) {
+    const owner = table.owner || 'unknown';
+
+    for (const [name, route] of Object.entries(table.states || {})) {
+      if (this.states.has(name)) {
+        this.duplicates.push({ kind: 'state', name, owners: [this.states.get(name).owner, owner] });
+        continue;
+      }
+      this.states.set(name, { transitions: [], ...route, name, owner });
+    }
+
+    for (const [name, route] of Object.entries(table.commands || {})) {
+      if (this.commands.has(name)) {
+        this.duplicates.push({
+          kind: 'command',
+          name,
+          owners: [this.commands.get(name).owner, owner]
+        });
+        continue;
+      }
+      this.commands.set(name, { transitions: [], from: '*', ...route, name, owner });
+    }
+
+    return this;
+  }
+
+  /**
+   * Check the registered graph
+   *
+   * @returns {Object} { errors: string[], warnings: string[] }
+   */
+  validate() {
+    const errors = [];
+    const warnings = [];
+
+    for (const dup of this.duplicates) {
+      errors.push(`Duplicate ${dup.kind} "${dup.name}" registered by ${dup.owners.join(' and ')}`);
+    }
+
+    if (!this.states.has(START_STATE)) {
+      errors.push(`Start state "${START_STATE}" is not registered`);
+    }
+
+    for (const route of [...this.states.values(), ...this.commands.values()]) {
+      const label = this.describe(route);
+
+      if (route.handle !== undefined && typeof route.handle !== 'function') {
+        errors.push(`${label} has a non-function handle`);
+      }
+
+      for (const target of route.transitions) {
+        if (!this.states.has(target)) {
+          errors.push(`${label} transitions to undeclared state "${target}"`);
+        }
+      }
+
+      if (Array.isArray(route.from)) {
+        for (const source of route.from) {
+          if (!this.states.has(source)) {
+            errors.push(`${label} is scoped to undeclared state "${source}"`);
+          }
+        }
+      }
+    }
+
+    for (const route of this.commands.values()) {
+      if (!route.handle) {
+        errors.push(`${this.describe(route)} has no handle`);
+      }
+    }
+
+    const reachable = this.reachableStates();
+    for (const name of this.states.keys()) {
+      if (!reachable.has(name)) {
+        warnings.push(`State "${name}" (${this.states.get(name).owner}) is unreachable`);
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Validate and throw on structural errors. Unreachable states are only logged,
+   * since some are entered by flows that have not been wired up yet.
+   */
+  assertValid() {
+    const { errors, warnings } = this.validate();
+
+    for (const warning of warnings) {
+      console.warn(`⚠️ Router: ${warning}`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid state router configuration:\n- ${errors.join('\n- ')}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * States reachable from the start state, global commands and entry states
+   *
+   * @returns {Set<string>}
+   */
+  reachableStates() {
+    const seeds = [START_STATE];
+    for (const state of this.states.values()) {
+      if (state.entry) seeds.push(state.name);
+    }
+    for (const command of this.commands.values()) {
+      if (command.from === '*') seeds.push(...command.transitions);
+    }
+
+    const edges = new Map();
+    for (const { from, to } of this.edges()) {
+      if (from === '*') continue;
+      if (!edges.has(from)) edges.set(from, []);
+      edges.get(from).push(to);
+    }
+
+    const seen = new Set();
+    const queue = seeds.filter((name) => this.states.has(name));
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (seen.has(name)) continue;
+      seen.add(name);
+      queue.push(...(edges.get(name) || []));
+    }
+
+    return seen;
+  }
+
+  /**
+   * Flatten the registry into labelled edges. Global commands start at '*'.
+   *
+   * @returns {Array<{from: string, to: string, label: string|null}>}
+   */
+  edges() {
+    const edges = [];
+
+    for (const state of this.states.values()) {
+      for (const to of state.transitions) {
+        edges.push({ from: state.name, to, label: null });
+      }
+    }
+
+    for (const command of this.commands.values()) {
+      const sources = command.from === '*' ? ['*'] : command.from;
+      for (const from of sources) {
+        for (const to of command.transitions) {
+          edges.push({ from, to, label: command.name });
+        }
+      }
+    }
+
+    return edges;
+  }
+
+  /**
+   * Pick the route for a parsed command. Menu-specific and global commands win;
+   * free text is routed by the user's current_menu.
+   *
+   * @param {string} currentMenu - User's current_menu
+   * @param {Object} command - Parsed command ({ type, ... })
+   * @returns {Object|null} Route, or null if nothing is registered
+   */
+  resolve(currentMenu, command) {
+    if (FREE_TEXT_COMMANDS.includes(command.type)) {
+      const state = this.states.get(currentMenu);
+      if (state && state.handle) return state;
+    }
+
+    return this.commands.get(command.type) || null;
+  }
+
+  /**
+   * Whether the route for this turn is marked slow
+   *
+   * @param {string} currentMenu - Learner's current_menu
+   * @param {Object} command - Parsed command
+   * @returns {boolean}
+   */
+  isSlow(currentMenu, command) {
+    return !!this.resolve(currentMenu, command)?.slow;
+  }
+
+  /**
+   * Run the matching route and apply its declared transition
+   *
+   * @param {Object} user - User record
+   * @param {Object} command - Parsed command
+   * @returns {Object} { message, nextState, route }
+   */
+  async dispatch(user, command) {
+    let route = this.resolve(user.current_menu, command);
+
+    if (!route) {
+      console.warn(`⚠️ No route for command "${command.type}" in state "${user.current_menu}"`);
+      route = this.commands.get('unrecognized');
+      if (!route) {
+        throw new Error(`No route for command "${command.type}" and no "unrecognized" fallback`);
+      }
+    } else if (
+      FREE_TEXT_COMMANDS.includes(command.type) &&
+      route.name === command.type &&
+      user.current_menu &&
+      !this.states.has(user.current_menu)
+    ) {
+      console.warn(`⚠️ Free text in unregistered state "${user.current_menu}"`);
+    }
+
+    // 'unrecognized' commands carry the learner's words only in originalInput
+    const text = command.text || command.originalInput || '';
+    const result = await route.handle({ user, command, text });
+    // Handlers return a string, a rich reply, or { message, nextState }
+    const { message, nextState } =
+      result && typeof result === 'object' && !isRichReply(result)
+        ? result
+        : { message: result, nextState: null };
+
+    if (nextState && nextState !== user.current_menu) {
+      if (route.transitions.includes(nextState)) {
+        await this.onTransition(user, nextState);
+      } else {
+        console.error(
+          `❌ ${this.describe(route)} attempted undeclared transition to "${nextState}"`
+        );
+      }
+    }
+
+    return { message: message || '', nextState: nextState || null, route };
+  }
+
+  /**
+   * Mermaid stateDiagram-v2 source for the registered graph
+   *
+   * @returns {string}
+   */
+  toMermaid() {
+    const lines = ['stateDiagram-v2', `  [*] --> ${START_STATE}`];
+
+    for (const [owner, states] of this.statesByOwner()) {
+      lines.push(`  %% ${owner}`);
+      for (const state of states) {
+        lines.push(`  ${state.name}${state.handle ? '' : ' : (resting)'}`);
+      }
+    }
+
+    for (const { from, to, label } of this.edges()) {
+      const source = from === '*' ? '[*]' : from;
+      lines.push(`  ${source} --> ${to}${label ? ` : ${label}` : ''}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Graphviz DOT source, with one cluster per owning handler
+   *
+   * @returns {string}
+   */
+  toDot() {
+    const lines = ['digraph states {', '  rankdir=LR;', '  node [shape=box, style=rounded];'];
+    lines.push('  "*" [shape=point];');
+
+    let index = 0;
+    for (const [owner, states] of this.statesByOwner()) {
+      lines.push(`  subgraph cluster_${index++} {`, `    label="${owner}";`);
+      for (const state of states) {
+        lines.push(`    "${state.name}"${state.handle ? '' : ' [style="rounded,dashed"]'};`);
+      }
+      lines.push('  }');
+    }
+
+    lines.push(`  "*" -> "${START_STATE}";`);
+    for (const { from, to, label } of this.edges()) {
+      lines.push(`  "${from}" -> "${to}"${label ? ` [label="${label}"]` : ''};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  statesByOwner() {
+    const groups = new Map();
+    for (const state of this.states.values()) {
+      if (!groups.has(state.owner)) groups.set(state.owner, []);
+      groups.get(state.owner).push(state);
+    }
+    return groups;
+  }
+
+  describe(route) {
+    const kind = this.states.get(route.name) === route ? 'State' : 'Command';
+    return `${kind} "${route.name}" (${route.owner})`;
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Inbound Webhook Payload Schemas
+ * Date: 2026-10-19 17:20:00 UTC
+ *
+ * Every body ManyChat (or the offline app) may POST to the webhook, validated
+ * with zod and normalized to one shape before the bot sees it:
+ *
+ *   text          { subscriber_id, message }
+ *   media         { subscriber_id, attachment: { type, url }, message? (caption) }
+ *   postback      { subscriber_id, payload, message? (button title) }
+ *   offline sync  { subscriber_id, type: 'offline_sync', data: { completed_lessons, ... } }
+ *
+ * All variants accept `psid` for `subscriber_id`, `mid` for `message_id`, a
+ * `session_id`, a `callback_token` and the connection metrics
+ * (`response_time_ms`, `connection_type`, `signal_strength`). ManyChat sends
+ * custom fields as strings, so numbers are coerced.
+ */
+
+import { z } from 'zod';
+
+export const PAYLOAD_KINDS = {
+  TEXT: 'text',
+  MEDIA: 'media',
+  POSTBACK: 'postback',
+  OFFLINE_SYNC: 'offline_sync'
+};
+
+export const MAX_MESSAGE_LENGTH = 4096;
+
+const id = z.union([z.string().trim().min(1).max(128), z.number().int().nonnegative()]);
+const timestamp = z.string().datetime({ offset: true });
+const blankToUndefined = (value) => (value === '' || value === null ? undefined : value);
+const optionalNumber = (schema) => z.preprocess(blankToUndefined, schema.optional());
+
+const connectionFields = {
+  response_time_ms: optionalNumber(z.coerce.number().int().min(0).max(600000)),
+  connection_type: z.preprocess(
+    blankToUndefined,
+    z.string().trim().toLowerCase().max(20).optional()
+  ),
+  signal_strength: optionalNumber(z.coerce.number().min(0).max(5))
+};
+
+const envelope = z.object({
+  subscriber_id: id.optional(),
+  psid: id.optional(),
+  message_id: z.string().max(256).optional(),
+  mid: z.string().max(256).optional(),
+  session_id: z.string().max(128).optional(),
+  callback_token: z.string().max(512).optional(),
+  ...connectionFields
+});
+
+const text = z.string().trim().min(1, 'must not be empty').max(MAX_MESSAGE_LENGTH);
+
+export const textPayloadSchema = envelope.extend({ message: text });
+
+export const mediaPayloadSchema = envelope.extend({
+  message: z.string().trim().max(MAX_MESSAGE_LENGTH).optional(),
+  attachment: z.object({
+    type: z.enum(['image', 'audio', 'video', 'file']),
+    url: z.string().url()
+  })
+});
+
+export const postbackPayloadSchema = envelope.extend({
+  message: z.string().trim().max(MAX_MESSAGE_LENGTH).optional(),
+  payload: text
+});
+
+/**
+ * Progress recorded by the offline app; shape matches offlineService.syncOfflineProgress
+ */
+export const offlineSyncDataSchema = z
+  .object({
+    completed_lessons: z
+      .array(
+        z.object({
+          id: id,
+          viewed_at: timestamp.optional(),
+          context: z.record(z.unknown()).optional(),
+          feedback: z
+            .object({
+              rating: z.coerce.number().int().min(1).max(5),
+              text: z.string().max(2000).optional()
+            })
+            .optional()
+        })
+      )
+      .max(500)
+      .default([]),
+    practice_attempts: z
+      .array(
+        z.object({
+          question_id: id,
+          status: z.enum(['started', 'completed', 'skipped']).optional(),
+          hints_used: z.coerce.number().int().min(0).optional(),
+          understanding_rating: z.coerce.number().int().min(1).max(5).optional(),
+          user_response: z.string().max(MAX_MESSAGE_LENGTH).optional(),
+          started_at: timestamp.optional(),
+          completed_at: timestamp.optional(),
+          context: z.record(z.unknown()).optional()
+        })
+      )
+      .max(500)
+      .default([]),
+    plan_progress: z
+      .object({
+        plan_id: id,
+        completed_days: z.array(z.coerce.number().int().min(1)).default([]),
+        sync_time: timestamp.optional()
+      })
+      .optional()
+  })
+  .refine(
+    (data) =>
+      data.completed_lessons.length + data.practice_attempts.length > 0 || data.plan_progress,
+    { message: 'contains no progress to sync' }
+  );
+
+export const offlineSyncPayloadSchema = envelope.extend({
+  type: z.literal('offline_sync'),
+  data: offlineSyncDataSchema
+});
+
+const SCHEMAS = {
+  [PAYLOAD_KINDS.TEXT]: textPayloadSchema,
+  [PAYLOAD_KINDS.MEDIA]: mediaPayloadSchema,
+  [PAYLOAD_KINDS.POSTBACK]: postbackPayloadSchema,
+  [PAYLOAD_KINDS.OFFLINE_SYNC]: offlineSyncPayloadSchema
+};
+
+/**
+ * Which variant a body claims to be (validation happens afterwards)
+ * @param {object} body
+ * @returns {string} One of PAYLOAD_KINDS
+ */
+export function detectPayloadKind(body) {
+  if (body.type === 'offline_sync') return PAYLOAD_KINDS.OFFLINE_SYNC;
+  if (body.attachment !== undefined) return PAYLOAD_KINDS.MEDIA;
+  if (body.payload !== undefined) return PAYLOAD_KINDS.POSTBACK;
+  return PAYLOAD_KINDS.TEXT;
+}
+
+function describeIssues(issues) {
+  return issues.map((issue) => ({
+    field: issue.path.join('.') || '(body)',
+    message: issue.message
+  }));
+}
+
+/**
+ * Validate and normalize a webhook body
+ *
+ * @param {object} body - Parsed JSON body
+ * @returns {Object} { ok: true, data } or { ok: false, kind, error, issues: [{ field, message }] }
+ *   where data is { kind, subscriberId, message, messageId, sessionId, callbackToken,
+ *   connection, attachment?, postback?, sync? }
+ */
+export function parseWebhookPayload(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return {
+      ok: false,
+      kind: null,
+      error: 'Request body must be a JSON object',
+      issues: [{ field: '(body)', message: 'Expected an object' }]
+    };
+  }
+
+  const kind = detectPayloadKind(body);
+  const result = SCHEMAS[kind].safeParse(body);
+
+  if (!result.success) {
+    const issues = describeIssues(result.error.issues);
+    return {
+      ok: false,
+      kind,
+      error: `Invalid ${kind} payload: ${issues.map((i) => `${i.field} ${i.message}`).join('; ')}`,
+      issues
+    };
+  }
+
+  const data = result.data;
+  const subscriberId = data.subscriber_id ?? data.psid;
+
+  if (subscriberId === undefined) {
+    const issues = [{ field: 'subscriber_id', message: 'Required (or psid)' }];
+    return { ok: false, kind, error: `Invalid ${kind} payload: subscriber_id is required`, issues };
+  }
+
+  const connection = {
+    response_time_ms: data.response_time_ms ?? null,
+    connection_type: data.connection_type ?? null,
+    signal_strength: data.signal_strength ?? null
+  };
+  const hasConnection = Object.values(connection).some((value) => value !== null);
+
+  const normalized = {
+    kind,
+    subscriberId: String(subscriberId),
+    message: data.message ?? '',
+    messageId: data.message_id ?? data.mid ?? null,
+    sessionId: data.session_id ?? null,
+    callbackToken: data.callback_token ?? null,
+    connection: hasConnection ? connection : null
+  };
+
+  if (kind === PAYLOAD_KINDS.MEDIA) normalized.attachment = data.attachment;
+  if (kind === PAYLOAD_KINDS.POSTBACK) {
+    // Buttons are matched on their payload, the same way a typed reply would be
+    normalized.postback = data.payload;
+    normalized.message = data.payload;
+  }
+  if (kind === PAYLOAD_KINDS.OFFLINE_SYNC) normalized.sync = data.data;
+
+  return { ok: true, data: normalized };
+}
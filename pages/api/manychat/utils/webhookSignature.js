@@ -0,0 +1,202 @@
+/**
+ * Webhook Signature Verification
+ * Date: 2026-10-19 09:12:00 UTC
+ *
+ * Verifies that inbound ManyChat webhooks were signed with our shared secret.
+ * Header format: `X-Goat-Signature: t=<unix seconds>,v1=<hex hmac>[,v1=<hex hmac>]`
+ * The HMAC-SHA256 is computed over `${t}.${rawBody}` so the timestamp cannot be
+ * swapped without invalidating the signature.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-goat-signature';
+export const SIGNATURE_SCHEME = 'v1';
+export const DEFAULT_TOLERANCE_SEC = 300;
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Split a comma-separated secret list into individual secrets.
+ * The first secret is the active signing key; the rest are still accepted so
+ * keys can be rotated without dropping in-flight deliveries.
+ * @param {string} value - Comma-separated secrets.
+ * @returns {string[]} Non-empty secrets.
+ */
+export function parseSecrets(value) {
+  if (!value) return [];
+  return value
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Compute the signature for a payload.
+ * @param {string} secret - Shared secret.
+ * @param {number|string} timestamp - Unix timestamp in seconds.
+ * @param {string} rawBody - Raw request body.
+ * @returns {string} Hex-encoded HMAC-SHA256.
+ */
+export function computeSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Build a signature header value (used by tests and internal callers).
+ * @param {string} secret - Shared secret.
+ * @param {string} rawBody - Raw request body.
+ * @param {number} timestamp - Unix timestamp in seconds.
+ * @returns {string} Header value.
+ */
+export function buildSignatureHeader(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},${SIGNATURE_SCHEME}=${computeSignature(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Parse a signature header into its timestamp and candidate signatures.
+ * @param {string} header - Header value.
+ * @returns {{timestamp: number|null, signatures: string[]}}
+ */
+export function parseSignatureHeader(header) {
+  const result = { timestamp: null, signatures: [] };
+  if (!header || typeof header !== 'string') return result;
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.split('=').map((s) => s && s.trim());
+    if (!key || !value) continue;
+
+    if (key === 't' && /^\d+$/.test(value)) {
+      result.timestamp = parseInt(value, 10);
+    } else if (key === SIGNATURE_SCHEME) {
+      result.signatures.push(value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Verify a webhook signature.
+ * @param {object} params
+ * @param {string} params.rawBody - Raw request body exactly as received.
+ * @param {string} params.header - Signature header value.
+ * @param {string[]} params.secrets - Accepted secrets (active first).
+ * @param {number} params.toleranceSec - Maximum allowed clock skew / replay window.
+ * @param {number} params.now - Current time in ms (injectable for tests).
+ * @returns {{valid: boolean, reason?: string, keyIndex?: number}}
+ */
+export function verifyWebhookSignature({
+  rawBody,
+  header,
+  secrets,
+  toleranceSec = DEFAULT_TOLERANCE_SEC,
+  now = Date.now()
+}) {
+  if (!secrets || secrets.length === 0) {
+    return { valid: false, reason: 'no_secret_configured' };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (timestamp === null || signatures.length === 0) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  // Reject anything outside the replay window, in either direction
+  const ageSec = Math.floor(now / 1000) - timestamp;
+  if (Math.abs(ageSec) > toleranceSec) {
+    return { valid: false, reason: 'timestamp_out_of_window' };
+  }
+
+  for (let keyIndex = 0; keyIndex < secrets.length; keyIndex++) {
+    const expected = Buffer.from(computeSignature(secrets[keyIndex], timestamp, rawBody), 'hex');
+
+    for (const candidate of signatures) {
+      if (!/^[0-9a-f]+$/i.test(candidate)) continue;
+      const provided = Buffer.from(candidate, 'hex');
+      if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+        return { valid: true, keyIndex };
+      }
+    }
+  }
+
+  return { valid: false, reason: 'signature_mismatch' };
+}
+
+/**
+ * Read the raw request body. Requires the Next.js body parser to be disabled
+ * on the route so the bytes we verify are the bytes that were signed.
+ * @param {import('http').IncomingMessage} req - Incoming request.
+ * @param {number} [maxBytes] - Largest body accepted (the body parser's 1 MB default).
+ * @returns {Promise<string>} Raw body as UTF-8.
+ * @throws {Error} When the body is larger than maxBytes or the client aborts.
+ */
+export async function readRawBody(req, maxBytes = MAX_BODY_BYTES) {
+  if (typeof req.body === 'string') return req.body;
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    const bytes = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    size += bytes.length;
+    if (size > maxBytes) {
+      throw new Error(`Request body exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(bytes);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Mint a token for a quick-reply callback. ManyChat posts button payloads back
+ * without our signature header, so each payload carries a token binding the
+ * subscriber and the message the button sends, valid until `expiresAt`.
+ * @param {string} secret - Shared secret.
+ * @param {object} params
+ * @param {string} params.subscriberId - Subscriber the button was rendered for.
+ * @param {string} params.message - Message the button sends.
+ * @param {number} params.expiresAt - Unix timestamp in seconds.
+ * @returns {string} Token of the form `<expiresAt>.<hex hmac>`.
+ */
+export function createCallbackToken(secret, { subscriberId, message, expiresAt }) {
+  const hmac = computeSignature(secret, expiresAt, `cb.${subscriberId}.${message}`);
+  return `${expiresAt}.${hmac}`;
+}
+
+/**
+ * Verify a quick-reply callback token.
+ * @param {object} params
+ * @param {string} params.token - Token from the callback payload.
+ * @param {string} params.subscriberId - Subscriber id in the payload.
+ * @param {string} params.message - Message in the payload.
+ * @param {string[]} params.secrets - Accepted secrets (active first).
+ * @param {number} params.now - Current time in ms (injectable for tests).
+ * @returns {{valid: boolean, reason?: string, keyIndex?: number}}
+ */
+export function verifyCallbackToken({ token, subscriberId, message, secrets, now = Date.now() }) {
+  if (!secrets || secrets.length === 0) {
+    return { valid: false, reason: 'no_secret_configured' };
+  }
+
+  const match = typeof token === 'string' && token.match(/^(\d+)\.([0-9a-f]+)$/i);
+  if (!match) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const expiresAt = parseInt(match[1], 10);
+  if (Math.floor(now / 1000) > expiresAt) {
+    return { valid: false, reason: 'callback_expired' };
+  }
+
+  const provided = Buffer.from(match[2], 'hex');
+  for (let keyIndex = 0; keyIndex < secrets.length; keyIndex++) {
+    const expected = Buffer.from(
+      computeSignature(secrets[keyIndex], expiresAt, `cb.${subscriberId}.${message}`),
+      'hex'
+    );
+    if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+      return { valid: true, keyIndex };
+    }
+  }
+
+  return { valid: false, reason: 'signature_mismatch' };
+}
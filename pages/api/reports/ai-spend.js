@@ -0,0 +1,46 @@
+/**
+ * AI Spend Report Endpoint
+ * Date: 2026-10-19 20:55:00 UTC
+ *
+ * GET /api/reports/ai-spend?days=7 with `Authorization: Bearer <CRON_SECRET>`.
+ * OpenAI calls, tokens and estimated cost per feature over the last `days`
+ * days (default 1, max 90), plus the configured daily budgets and the
+ * response cache hit rate per feature.
+ */
+
+import { env } from '../../../lib/config.js';
+import { isAuthorizedCronCall } from '../../../lib/cronAuth.js';
+import { aiUsageService } from '../manychat/services/aiUsageService.js';
+import { aiCacheService } from '../manychat/services/aiCacheService.js';
+
+const MAX_DAYS = 90;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ status: 'error', error: 'Method not allowed', allowed: ['GET'] });
+  }
+
+  if (!isAuthorizedCronCall(req.headers.authorization, env.CRON_SECRET)) {
+    console.warn('⚠️ Rejected unauthorized AI spend report call');
+    return res.status(401).json({ status: 'error', error: 'Unauthorized' });
+  }
+
+  const days = Number(req.query.days ?? 1);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_DAYS) {
+    return res
+      .status(400)
+      .json({ status: 'error', error: `days must be a number between 0 and ${MAX_DAYS}` });
+  }
+
+  try {
+    const [report, cache] = await Promise.all([
+      aiUsageService.spendByFeature({ days }),
+      aiCacheService.stats({ days })
+    ]);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ status: 'success', ...report, cache });
+  } catch (error) {
+    console.error('❌ AI spend report failed:', error);
+    return res.status(500).json({ status: 'error', error: 'Report unavailable' });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Score prompts against the golden set (lib/promptEval.js).
+ *
+ *   npm run eval:prompts
+ *   npm run eval:prompts -- --provider local --version tutor=1 --prompt tutor
+ *   npm run eval:prompts -- --min-score 0.8 --out eval-results.json
+ *
+ * Options:
+ *   --provider openai|local|mock  Defaults to LLM_PROVIDER
+ *   --golden <file>               Defaults to tests/evals/golden.json
+ *   --prompt <name>               Only cases for this prompt (repeatable)
+ *   --version <name>=<n>          Evaluate a version other than the live one (repeatable)
+ *   --min-score <0..1>            Fail when the mean score is lower
+ *   --out <file>                  Write every result as JSON
+ *
+ * Exits 1 when a banned answer leaks, a call errors or the mean score is under --min-score.
+ */
+
+import fs from 'fs';
+import { runEval } from '../lib/promptEval.js';
+import { OPENAI_CONFIG } from '../pages/api/manychat/config/openai.js';
+import { renderPrompt } from '../pages/api/manychat/config/prompts.js';
+import { RESPONSE_SCHEMAS } from '../pages/api/manychat/services/aiUsageService.js';
+import { createLLMProvider } from '../pages/api/manychat/services/llmProvider.js';
+
+function parseArgs(argv) {
+  const args = { prompts: [], versions: {}, golden: 'tests/evals/golden.json', minScore: 0 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--provider':
+        args.provider = value;
+        break;
+      case '--golden':
+        args.golden = value;
+        break;
+      case '--prompt':
+        args.prompts.push(value);
+        break;
+      case '--version': {
+        const [name, version] = value.split('=');
+        args.versions[name] = Number(version);
+        break;
+      }
+      case '--min-score':
+        args.minScore = Number(value);
+        break;
+      case '--out':
+        args.out = value;
+        break;
+      default:
+        console.error(`❌ Unknown option ${argv[i]}`);
+        process.exit(2);
+    }
+    i++;
+  }
+
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const cases = JSON.parse(fs.readFileSync(args.golden, 'utf8')).filter(
+  (testCase) => args.prompts.length === 0 || args.prompts.includes(testCase.prompt)
+);
+const provider = createLLMProvider(args.provider);
+
+console.log(`🧪 Evaluating ${cases.length} cases with the ${provider.name} provider`);
+
+const { results, summary } = await runEval(cases, {
+  provider,
+  render: renderPrompt,
+  schemas: RESPONSE_SCHEMAS,
+  versions: args.versions,
+  model: OPENAI_CONFIG.MODEL
+});
+
+for (const result of results) {
+  const failed = result.checks.filter((check) => !check.pass);
+  const icon = result.error || result.leaks.length > 0 ? '❌' : failed.length > 0 ? '⚠️' : '✅';
+  console.log(`${icon} ${result.id} (${result.prompt}) score ${result.score.toFixed(2)}`);
+  if (result.error) console.log(`   error: ${result.error}`);
+  failed.forEach((check) =>
+    console.log(`   failed: ${check.name}${check.detail ? ` (${check.detail})` : ''}`)
+  );
+}
+
+console.log(`\n${JSON.stringify(summary, null, 2)}`);
+
+if (args.out) {
+  fs.writeFileSync(args.out, JSON.stringify({ summary, results }, null, 2));
+  console.log(`📝 Results written to ${args.out}`);
+}
+
+if (summary.leaks.length > 0 || summary.errors.length > 0 || summary.mean_score < args.minScore) {
+  process.exit(1);
+}
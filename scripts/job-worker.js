@@ -0,0 +1,46 @@
+/**
+ * Run background jobs continuously (or one batch with --once).
+ *
+ *   npm run jobs:worker
+ *   npm run jobs:worker -- --once
+ *
+ * Any number of workers can run side by side; each claims its own jobs.
+ */
+
+import { env } from '../lib/config.js';
+import { jobQueue } from '../pages/api/manychat/services/jobHandlers.js';
+
+const once = process.argv.includes('--once');
+let stopping = false;
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    console.log(`🛑 ${signal} received, finishing the current batch`);
+    stopping = true;
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function run() {
+  console.log(`👷 Job worker ${jobQueue.workerId} started`);
+
+  do {
+    let summary;
+    try {
+      summary = await jobQueue.processBatch();
+      if (summary.claimed > 0) console.log(`✅ Job run: ${JSON.stringify(summary)}`);
+    } catch (error) {
+      console.error('❌ Job run failed:', error);
+    }
+
+    // A full batch means more may be waiting; go again straight away
+    if (!once && !stopping && summary?.claimed !== jobQueue.batchSize) {
+      await sleep(env.JOB_WORKER_POLL_MS);
+    }
+  } while (!once && !stopping);
+
+  console.log('👋 Job worker stopped');
+}
+
+run().then(() => process.exit(0));
@@ -0,0 +1,58 @@
+/**
+ * Fail if the code uses tables, columns or functions the migrations don't create,
+ * or if SHIPPED_MIGRATION (what /api/health expects) isn't the newest migration.
+ *
+ *   npm run schema:check
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  findDrift,
+  latestMigrationVersion,
+  parseMigrations,
+  scanSource
+} from '../lib/schemaDrift.js';
+import { SHIPPED_MIGRATION } from '../pages/api/manychat/config/schemaVersion.js';
+
+const ROOT = process.cwd();
+const SOURCE_DIRS = ['pages', 'lib', 'scripts'];
+const MIGRATIONS_DIR = path.join(ROOT, 'supabase', 'migrations');
+
+function listJsFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listJsFiles(full);
+    return entry.name.endsWith('.js') ? [full] : [];
+  });
+}
+
+const migrations = fs
+  .readdirSync(MIGRATIONS_DIR)
+  .filter((name) => name.endsWith('.sql'))
+  .sort()
+  .map((name) => ({ name, sql: fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8') }));
+
+const references = SOURCE_DIRS.flatMap((dir) => listJsFiles(path.join(ROOT, dir))).flatMap((file) =>
+  scanSource(fs.readFileSync(file, 'utf8'), path.relative(ROOT, file))
+);
+
+const schema = parseMigrations(migrations);
+const problems = findDrift(schema, references);
+
+const newest = latestMigrationVersion(migrations.map((migration) => migration.name));
+if (SHIPPED_MIGRATION !== newest) {
+  problems.push(`SHIPPED_MIGRATION is ${SHIPPED_MIGRATION} but the newest migration is ${newest}`);
+}
+
+if (problems.length > 0) {
+  console.error(`❌ Schema drift: ${problems.length} problem(s)\n`);
+  problems.forEach((problem) => console.error(`- ${problem}`));
+  process.exit(1);
+}
+
+console.log(
+  `✅ Schema matches: ${new Set(references.filter((r) => r.table).map((r) => r.table)).size} tables checked against ${migrations.length} migrations`
+);
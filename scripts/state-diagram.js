@@ -0,0 +1,12 @@
+/**
+ * Print the bot's state diagram.
+ *
+ *   npm run routes:diagram            # Mermaid
+ *   npm run routes:diagram -- dot     # Graphviz DOT
+ */
+
+import { botRouter } from '../pages/api/manychat/config/routes.js';
+
+const format = (process.argv[2] || 'mermaid').toLowerCase();
+
+console.log(format === 'dot' ? botRouter.toDot() : botRouter.toMermaid());
@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  dedup_key text PRIMARY KEY,
+  subscriber_id text NOT NULL,
+  status text NOT NULL DEFAULT 'processing' CHECK (status IN ('processing','completed')),
+  response jsonb NULL,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz NULL
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_expires_idx ON public.webhook_deliveries(expires_at);
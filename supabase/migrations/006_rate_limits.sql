@@ -0,0 +1,48 @@
+CREATE TABLE IF NOT EXISTS public.rate_limit_events (
+  id bigserial PRIMARY KEY,
+  bucket_key text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_events_key_created_idx ON public.rate_limit_events(bucket_key, created_at);
+
+DROP FUNCTION IF EXISTS public.rate_limit_hit(text, integer, integer);
+CREATE OR REPLACE FUNCTION public.rate_limit_hit(
+  p_key text,
+  p_window_sec integer,
+  p_max integer
+)
+RETURNS TABLE (allowed boolean, hits integer, retry_after_sec integer)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_window_start timestamptz := now() - make_interval(secs => p_window_sec);
+  v_hits integer;
+  v_oldest timestamptz;
+BEGIN
+  -- Serialize concurrent hits on the same key across webhook instances
+  PERFORM pg_advisory_xact_lock(hashtext(p_key));
+
+  DELETE FROM public.rate_limit_events
+  WHERE bucket_key = p_key
+    AND created_at < v_window_start;
+
+  SELECT count(*), min(created_at)
+  INTO v_hits, v_oldest
+  FROM public.rate_limit_events
+  WHERE bucket_key = p_key;
+
+  IF v_hits >= p_max THEN
+    RETURN QUERY SELECT
+      false,
+      v_hits,
+      GREATEST(1, CEIL(EXTRACT(EPOCH FROM (v_oldest + make_interval(secs => p_window_sec) - now())))::integer);
+    RETURN;
+  END IF;
+
+  INSERT INTO public.rate_limit_events (bucket_key) VALUES (p_key);
+
+  RETURN QUERY SELECT true, v_hits + 1, 0;
+END;
+$$;
@@ -0,0 +1,71 @@
+CREATE TABLE IF NOT EXISTS public.study_reminders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  study_plan_id uuid NULL,
+  day_number int NULL,
+  scheduled_for timestamptz NOT NULL,
+  message text NOT NULL,
+  status text NOT NULL DEFAULT 'scheduled',
+  sent_at timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+ALTER TABLE public.study_reminders
+  ADD COLUMN IF NOT EXISTS attempts int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_attempt_at timestamptz NULL,
+  ADD COLUMN IF NOT EXISTS last_error text NULL,
+  ADD COLUMN IF NOT EXISTS claimed_until timestamptz NULL;
+
+CREATE INDEX IF NOT EXISTS study_reminders_due_idx ON public.study_reminders(status, scheduled_for);
+
+CREATE TABLE IF NOT EXISTS public.study_reminder_attempts (
+  id bigserial PRIMARY KEY,
+  reminder_id uuid NOT NULL REFERENCES public.study_reminders(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL,
+  outcome text NOT NULL CHECK (outcome IN ('sent','failed','retry','deferred','skipped')),
+  error_type text NULL,
+  error_message text NULL,
+  attempted_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS study_reminder_attempts_reminder_idx ON public.study_reminder_attempts(reminder_id, attempted_at);
+
+-- Per-learner quiet hours (local clock, HH:MM); NULL falls back to QUIET_HOURS_START/END
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS has_active_reminders boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS preferred_reminder_time text NULL,
+  ADD COLUMN IF NOT EXISTS timezone text NULL,
+  ADD COLUMN IF NOT EXISTS quiet_hours_start text NULL,
+  ADD COLUMN IF NOT EXISTS quiet_hours_end text NULL;
+
+-- Claim a batch of due reminders for one worker run. Rows are moved to 'sending'
+-- with a lease; SKIP LOCKED keeps concurrent runs from claiming the same row, and
+-- a run that dies mid-batch has its rows reclaimed once the lease expires.
+DROP FUNCTION IF EXISTS public.claim_due_reminders(integer, integer);
+CREATE OR REPLACE FUNCTION public.claim_due_reminders(
+  p_batch_size integer,
+  p_lease_sec integer
+)
+RETURNS SETOF public.study_reminders
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE public.study_reminders r
+  SET status = 'sending',
+      claimed_until = now() + make_interval(secs => p_lease_sec),
+      updated_at = now()
+  WHERE r.id IN (
+    SELECT id
+    FROM public.study_reminders
+    WHERE (status = 'scheduled' AND scheduled_for <= now())
+       OR (status = 'sending' AND claimed_until < now())
+    ORDER BY scheduled_for
+    LIMIT p_batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING r.*;
+END;
+$$;
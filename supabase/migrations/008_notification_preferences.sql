@@ -0,0 +1,12 @@
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+  user_id uuid PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  study_reminders boolean NOT NULL DEFAULT true,
+  streak_hooks boolean NOT NULL DEFAULT true,
+  friend_challenges boolean NOT NULL DEFAULT true,
+  weekly_reports boolean NOT NULL DEFAULT true,
+  -- STOP: nothing is sent until START clears it
+  opted_out_at timestamptz NULL,
+  paused_until timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,19 @@
+-- Migrations applied to this database, read by /api/health.
+-- Every migration from here on ends by recording its own version.
+CREATE TABLE IF NOT EXISTS public.schema_versions (
+  version int PRIMARY KEY,
+  name text NOT NULL,
+  applied_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.schema_versions (version, name) VALUES
+  (1, '001_schema'),
+  (2, '002_indexes'),
+  (3, '003_rpc_next_mcq'),
+  (4, '004_seed_mcqs'),
+  (5, '005_webhook_deliveries'),
+  (6, '006_rate_limits'),
+  (7, '007_reminder_delivery'),
+  (8, '008_notification_preferences'),
+  (9, '009_schema_version')
+ON CONFLICT (version) DO NOTHING;
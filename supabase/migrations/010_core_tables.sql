@@ -0,0 +1,398 @@
+-- Tables and columns the services use that earlier migrations never created.
+-- Free-form state the handlers serialize (contexts, plans, session state) is jsonb.
+
+-- users: profile, navigation state and per-flow context
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS username text NULL,
+  ADD COLUMN IF NOT EXISTS display_name text NULL,
+  ADD COLUMN IF NOT EXISTS name text NULL,
+  ADD COLUMN IF NOT EXISTS grade text NULL,
+  ADD COLUMN IF NOT EXISTS preferred_subjects jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS friend_code text NULL,
+  ADD COLUMN IF NOT EXISTS current_menu text NOT NULL DEFAULT 'welcome',
+  ADD COLUMN IF NOT EXISTS expecting_input text NULL,
+  ADD COLUMN IF NOT EXISTS current_subject text NULL,
+  ADD COLUMN IF NOT EXISTS current_day int NULL,
+  ADD COLUMN IF NOT EXISTS current_question_index int NULL,
+  ADD COLUMN IF NOT EXISTS current_attempt_id uuid NULL,
+  ADD COLUMN IF NOT EXISTS current_lesson_id uuid NULL,
+  ADD COLUMN IF NOT EXISTS current_lesson_topic text NULL,
+  ADD COLUMN IF NOT EXISTS exam_prep_session_id uuid NULL,
+  ADD COLUMN IF NOT EXISTS homework_session_id uuid NULL,
+  ADD COLUMN IF NOT EXISTS offline_package_id uuid NULL,
+  ADD COLUMN IF NOT EXISTS practice_context jsonb NULL,
+  ADD COLUMN IF NOT EXISTS tutor_context jsonb NULL,
+  ADD COLUMN IF NOT EXISTS lesson_context jsonb NULL,
+  ADD COLUMN IF NOT EXISTS analytics_context jsonb NULL,
+  ADD COLUMN IF NOT EXISTS conversation_context jsonb NULL,
+  ADD COLUMN IF NOT EXISTS exam_practice_context jsonb NULL,
+  ADD COLUMN IF NOT EXISTS prefers_conversation boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS total_questions_answered int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_correct_answers int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS accuracy_percentage numeric NULL,
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_username_key ON public.users(lower(username)) WHERE username IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS users_friend_code_key ON public.users(friend_code) WHERE friend_code IS NOT NULL;
+
+-- Curriculum
+CREATE TABLE IF NOT EXISTS public.subjects (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL UNIQUE,
+  display_name text NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.topics (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subject_id uuid NULL REFERENCES public.subjects(id) ON DELETE SET NULL,
+  subject_name text NULL,
+  name text NOT NULL,
+  display_name text NULL,
+  description text NULL,
+  display_order int NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (subject_name, name)
+);
+
+ALTER TABLE public.mcqs
+  ADD COLUMN IF NOT EXISTS subject_id uuid NULL REFERENCES public.subjects(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS topic_id uuid NULL REFERENCES public.topics(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS is_active boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS times_served int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS times_correct int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS accuracy_rate numeric NULL;
+
+ALTER TABLE public.user_weaknesses
+  ADD COLUMN IF NOT EXISTS topic_id uuid NULL REFERENCES public.topics(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS subject_id uuid NULL REFERENCES public.subjects(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS occurrence_count int NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS logged_at timestamptz NULL,
+  ADD COLUMN IF NOT EXISTS first_logged_at timestamptz NULL,
+  ADD COLUMN IF NOT EXISTS last_logged_at timestamptz NULL;
+
+CREATE TABLE IF NOT EXISTS public.user_responses (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  mcq_id uuid NOT NULL REFERENCES public.mcqs(id) ON DELETE CASCADE,
+  user_answer text NOT NULL,
+  correct_answer text NOT NULL,
+  is_correct boolean NOT NULL,
+  time_taken int NULL,
+  session_id uuid NULL,
+  answered_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Lessons
+CREATE TABLE IF NOT EXISTS public.lessons (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  title text NOT NULL,
+  content text NOT NULL,
+  subject text NOT NULL,
+  topic text NOT NULL,
+  grade_level text NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  usage_count int NOT NULL DEFAULT 0,
+  effectiveness_score numeric NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.lesson_views (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  lesson_id uuid NOT NULL REFERENCES public.lessons(id) ON DELETE CASCADE,
+  session_id uuid NULL,
+  study_plan_id uuid NULL,
+  day_number int NULL,
+  context_data jsonb NULL,
+  viewed_at timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.lesson_feedback (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  lesson_id uuid NOT NULL REFERENCES public.lessons(id) ON DELETE CASCADE,
+  helpfulness_rating int NULL CHECK (helpfulness_rating BETWEEN 1 AND 5),
+  understanding_improvement int NULL,
+  qualitative_feedback text NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+-- Practice
+CREATE TABLE IF NOT EXISTS public.practice_questions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  question_text text NOT NULL,
+  solution_steps jsonb NULL,
+  subject text NOT NULL,
+  topic text NOT NULL,
+  subtopic text NULL,
+  difficulty text NULL,
+  grade_level text NULL,
+  hints jsonb NOT NULL DEFAULT '[]'::jsonb,
+  key_concepts jsonb NOT NULL DEFAULT '[]'::jsonb,
+  understanding_checkpoints jsonb NOT NULL DEFAULT '[]'::jsonb,
+  estimated_time_minutes int NULL,
+  is_ai_generated boolean NOT NULL DEFAULT false,
+  is_active boolean NOT NULL DEFAULT true,
+  last_used_at timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.practice_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  question_id uuid NOT NULL REFERENCES public.practice_questions(id) ON DELETE CASCADE,
+  session_id uuid NULL,
+  study_plan_id uuid NULL,
+  day_number int NULL,
+  status text NOT NULL DEFAULT 'started' CHECK (status IN ('started','completed','skipped')),
+  user_response text NULL,
+  hints_used int NOT NULL DEFAULT 0,
+  understanding_level text NULL,
+  understanding_rating int NULL,
+  concepts_demonstrated jsonb NOT NULL DEFAULT '[]'::jsonb,
+  misconceptions jsonb NOT NULL DEFAULT '[]'::jsonb,
+  tutor_feedback text NULL,
+  context_data jsonb NULL,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz NULL,
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.topic_performance (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  topic text NOT NULL,
+  attempts_count int NOT NULL DEFAULT 0,
+  completed_count int NOT NULL DEFAULT 0,
+  average_understanding numeric NULL,
+  mastery_level text NOT NULL DEFAULT 'beginner',
+  strengths jsonb NOT NULL DEFAULT '[]'::jsonb,
+  weaknesses jsonb NOT NULL DEFAULT '[]'::jsonb,
+  last_practiced_at timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL,
+  UNIQUE (user_id, topic)
+);
+
+-- Exam prep, homework and study plans
+CREATE TABLE IF NOT EXISTS public.exam_prep_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed','cancelled')),
+  session_state jsonb NULL,
+  focus_subject text NULL,
+  chosen_subject_name text NULL,
+  focus_topics jsonb NULL,
+  current_topic text NULL,
+  exam_date text NULL,
+  exam_hours_away numeric NULL,
+  preferred_time text NULL,
+  plan_opt_in boolean NULL,
+  study_plan_id uuid NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.exam_prep_conversations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  session_id uuid NULL REFERENCES public.exam_prep_sessions(id) ON DELETE CASCADE,
+  conversation_data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.study_plans (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  session_id uuid NULL REFERENCES public.exam_prep_sessions(id) ON DELETE SET NULL,
+  plan_data jsonb NOT NULL,
+  subject text NULL,
+  topics jsonb NULL,
+  total_days int NULL,
+  current_day int NOT NULL DEFAULT 1,
+  completion_percentage numeric NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.homework_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  subject text NULL,
+  problem_type text NULL,
+  session_state jsonb NULL,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  ended_at timestamptz NULL,
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.study_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  session_type text NOT NULL,
+  topic text NULL,
+  session_data jsonb NULL,
+  start_time timestamptz NOT NULL DEFAULT now(),
+  end_time timestamptz NULL,
+  duration_minutes int NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- AI tutor and conversations
+CREATE TABLE IF NOT EXISTS public.tutor_conversations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  subject text NULL,
+  topic text NULL,
+  grade_level text NULL,
+  session_id uuid NULL,
+  study_plan_id uuid NULL,
+  conversation_data jsonb NULL,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  ended_at timestamptz NULL,
+  duration_minutes int NULL,
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.tutor_conversation_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id uuid NOT NULL REFERENCES public.tutor_conversations(id) ON DELETE CASCADE,
+  messages jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.tutor_insights (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  conversation_id uuid NULL REFERENCES public.tutor_conversations(id) ON DELETE CASCADE,
+  topics_discussed jsonb NOT NULL DEFAULT '[]'::jsonb,
+  strengths_identified jsonb NOT NULL DEFAULT '[]'::jsonb,
+  weaknesses_identified jsonb NOT NULL DEFAULT '[]'::jsonb,
+  misconceptions jsonb NOT NULL DEFAULT '[]'::jsonb,
+  learning_preferences jsonb NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.conversation_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id uuid NOT NULL,
+  messages jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+-- Engagement: streaks, friends, hooks, activity
+CREATE TABLE IF NOT EXISTS public.user_streaks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL UNIQUE REFERENCES public.users(id) ON DELETE CASCADE,
+  current_streak int NOT NULL DEFAULT 0,
+  longest_streak int NOT NULL DEFAULT 0,
+  last_activity_date date NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.friendships (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id_1 uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  user_id_2 uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  friend_username text NULL,
+  friend_display_name text NULL,
+  status text NOT NULL DEFAULT 'active',
+  initiated_by uuid NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id_1, user_id_2)
+);
+
+CREATE TABLE IF NOT EXISTS public.hook_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  hook_type text NOT NULL,
+  message_text text NOT NULL,
+  trigger_condition jsonb NULL,
+  priority_level int NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.user_hook_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  hook_template_id uuid NULL REFERENCES public.hook_templates(id) ON DELETE SET NULL,
+  hook_type text NOT NULL,
+  sent_at timestamptz NOT NULL DEFAULT now(),
+  was_successful boolean NOT NULL DEFAULT true,
+  user_responded boolean NOT NULL DEFAULT false,
+  response_time interval NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.user_activity_log (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  activity_type text NOT NULL,
+  activity_date date NOT NULL DEFAULT current_date,
+  activity_data jsonb NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Offline mode and connectivity
+CREATE TABLE IF NOT EXISTS public.offline_packages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  package_data jsonb NOT NULL,
+  size_kb numeric NULL,
+  topics_included jsonb NOT NULL DEFAULT '[]'::jsonb,
+  expires_at timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.connection_metrics (
+  id bigserial PRIMARY KEY,
+  user_id uuid NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  session_id text NULL,
+  response_time_ms int NULL,
+  connection_type text NULL,
+  signal_strength numeric NULL,
+  metric_date date NOT NULL DEFAULT current_date,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.study_reminders
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz NULL;
+
+-- Indexes for the services' common lookups
+CREATE INDEX IF NOT EXISTS topics_subject_idx ON public.topics(subject_name, display_order);
+CREATE INDEX IF NOT EXISTS mcqs_subject_topic_idx ON public.mcqs(subject_id, topic_id) WHERE is_active;
+CREATE INDEX IF NOT EXISTS user_responses_user_idx ON public.user_responses(user_id, answered_at DESC);
+CREATE INDEX IF NOT EXISTS user_weaknesses_user_mcq_tag_idx ON public.user_weaknesses(user_id, mcq_id, weakness_tag);
+CREATE INDEX IF NOT EXISTS lessons_subject_topic_idx ON public.lessons(subject, topic) WHERE is_active;
+CREATE INDEX IF NOT EXISTS lesson_views_user_idx ON public.lesson_views(user_id, viewed_at DESC);
+CREATE INDEX IF NOT EXISTS lesson_feedback_lesson_idx ON public.lesson_feedback(lesson_id);
+CREATE INDEX IF NOT EXISTS practice_questions_lookup_idx ON public.practice_questions(subject, topic, difficulty) WHERE is_active;
+CREATE INDEX IF NOT EXISTS practice_attempts_user_idx ON public.practice_attempts(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS practice_attempts_question_idx ON public.practice_attempts(question_id);
+CREATE INDEX IF NOT EXISTS exam_prep_sessions_user_status_idx ON public.exam_prep_sessions(user_id, status);
+CREATE INDEX IF NOT EXISTS study_plans_session_idx ON public.study_plans(session_id) WHERE is_active;
+CREATE INDEX IF NOT EXISTS homework_sessions_user_idx ON public.homework_sessions(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS study_sessions_user_idx ON public.study_sessions(user_id, start_time DESC);
+CREATE INDEX IF NOT EXISTS tutor_conversations_user_idx ON public.tutor_conversations(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS tutor_conversation_history_conversation_idx ON public.tutor_conversation_history(conversation_id);
+CREATE INDEX IF NOT EXISTS tutor_insights_user_idx ON public.tutor_insights(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS conversation_history_session_idx ON public.conversation_history(session_id);
+CREATE INDEX IF NOT EXISTS friendships_user_2_idx ON public.friendships(user_id_2);
+CREATE INDEX IF NOT EXISTS hook_templates_type_idx ON public.hook_templates(hook_type, priority_level DESC) WHERE is_active;
+CREATE INDEX IF NOT EXISTS user_hook_history_user_idx ON public.user_hook_history(user_id, sent_at DESC);
+CREATE INDEX IF NOT EXISTS user_activity_log_user_date_idx ON public.user_activity_log(user_id, activity_date);
+CREATE INDEX IF NOT EXISTS offline_packages_user_idx ON public.offline_packages(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS connection_metrics_user_date_idx ON public.connection_metrics(user_id, metric_date);
+
+INSERT INTO public.schema_versions (version, name) VALUES (10, '010_core_tables')
+ON CONFLICT (version) DO NOTHING;
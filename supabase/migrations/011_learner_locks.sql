@@ -0,0 +1,57 @@
+-- One webhook at a time per learner: a leased lock row per subscriber.
+-- Leases expire so a crashed instance can't block a learner for good.
+CREATE TABLE IF NOT EXISTS public.learner_locks (
+  lock_key text PRIMARY KEY,
+  holder text NOT NULL,
+  acquired_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS learner_locks_expires_idx ON public.learner_locks(expires_at);
+
+DROP FUNCTION IF EXISTS public.acquire_learner_lock(text, text, integer);
+CREATE OR REPLACE FUNCTION public.acquire_learner_lock(
+  p_key text,
+  p_holder text,
+  p_lease_sec integer
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_holder text;
+BEGIN
+  INSERT INTO public.learner_locks AS l (lock_key, holder, acquired_at, expires_at)
+  VALUES (p_key, p_holder, now(), now() + make_interval(secs => p_lease_sec))
+  ON CONFLICT (lock_key) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        acquired_at = EXCLUDED.acquired_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE l.expires_at < now() OR l.holder = EXCLUDED.holder
+  RETURNING holder INTO v_holder;
+
+  RETURN v_holder IS NOT NULL;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.release_learner_lock(text, text);
+CREATE OR REPLACE FUNCTION public.release_learner_lock(
+  p_key text,
+  p_holder text
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  DELETE FROM public.learner_locks
+  WHERE lock_key = p_key
+    AND holder = p_holder;
+
+  RETURN FOUND;
+END;
+$$;
+
+INSERT INTO public.schema_versions (version, name) VALUES (11, '011_learner_locks')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,92 @@
+-- Background jobs run by the worker (pages/api/cron/jobs.js, scripts/job-worker.js).
+-- Rows live here while queued or running; succeeded jobs are deleted and
+-- jobs that exhaust their attempts move to dead_letter_jobs.
+CREATE TABLE IF NOT EXISTS public.jobs (
+  id bigserial PRIMARY KEY,
+  type text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued','running')),
+  dedup_key text NULL,
+  attempts int NOT NULL DEFAULT 0,
+  max_attempts int NOT NULL DEFAULT 5,
+  run_at timestamptz NOT NULL DEFAULT now(),
+  locked_by text NULL,
+  locked_until timestamptz NULL,
+  last_error text NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NULL
+);
+
+CREATE INDEX IF NOT EXISTS jobs_due_idx ON public.jobs(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS jobs_lease_idx ON public.jobs(locked_until) WHERE status = 'running';
+-- At most one waiting job per dedup key; a running one may have a successor queued
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_dedup_key_queued_idx ON public.jobs(dedup_key)
+  WHERE status = 'queued' AND dedup_key IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.dead_letter_jobs (
+  id bigserial PRIMARY KEY,
+  job_id bigint NOT NULL,
+  type text NOT NULL,
+  payload jsonb NOT NULL,
+  attempts int NOT NULL,
+  last_error text NULL,
+  enqueued_at timestamptz NOT NULL,
+  failed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS dead_letter_jobs_type_idx ON public.dead_letter_jobs(type, failed_at DESC);
+
+-- Claim due jobs (and jobs whose worker lease ran out) without blocking other workers
+DROP FUNCTION IF EXISTS public.claim_jobs(integer, integer, text);
+CREATE OR REPLACE FUNCTION public.claim_jobs(
+  p_batch_size integer,
+  p_lease_sec integer,
+  p_worker text
+)
+RETURNS SETOF public.jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE public.jobs j
+  SET status = 'running',
+      attempts = j.attempts + 1,
+      locked_by = p_worker,
+      locked_until = now() + make_interval(secs => p_lease_sec),
+      updated_at = now()
+  WHERE j.id IN (
+    SELECT id
+    FROM public.jobs
+    WHERE (status = 'queued' AND run_at <= now())
+       OR (status = 'running' AND locked_until < now())
+    ORDER BY run_at
+    LIMIT p_batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$;
+
+-- Move a job to the dead-letter table in one step
+DROP FUNCTION IF EXISTS public.dead_letter_job(bigint, text);
+CREATE OR REPLACE FUNCTION public.dead_letter_job(
+  p_id bigint,
+  p_error text
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  INSERT INTO public.dead_letter_jobs (job_id, type, payload, attempts, last_error, enqueued_at)
+  SELECT id, type, payload, attempts, p_error, created_at
+  FROM public.jobs
+  WHERE id = p_id;
+
+  DELETE FROM public.jobs WHERE id = p_id;
+END;
+$$;
+
+INSERT INTO public.schema_versions (version, name) VALUES (12, '012_job_queue')
+ON CONFLICT (version) DO NOTHING;
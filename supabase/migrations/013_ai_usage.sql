@@ -0,0 +1,84 @@
+-- One row per OpenAI completion: who, which feature, model, tokens and estimated cost
+CREATE TABLE IF NOT EXISTS public.ai_usage (
+  id bigserial PRIMARY KEY,
+  user_id uuid NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  feature text NOT NULL,
+  model text NOT NULL,
+  prompt_tokens int NOT NULL DEFAULT 0,
+  completion_tokens int NOT NULL DEFAULT 0,
+  cost_usd numeric(12,6) NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ai_usage_created_idx ON public.ai_usage(created_at);
+CREATE INDEX IF NOT EXISTS ai_usage_feature_created_idx ON public.ai_usage(feature, created_at);
+
+-- Running daily totals (UTC day) checked by the budget guard before every call.
+-- scope is 'global' or 'user:<uuid>'.
+CREATE TABLE IF NOT EXISTS public.ai_usage_daily (
+  day date NOT NULL,
+  scope text NOT NULL,
+  calls int NOT NULL DEFAULT 0,
+  tokens bigint NOT NULL DEFAULT 0,
+  cost_usd numeric(12,6) NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, scope)
+);
+
+-- Log a call and bump the global and per-learner totals in one round trip
+DROP FUNCTION IF EXISTS public.record_ai_usage(uuid, text, text, integer, integer, numeric);
+CREATE OR REPLACE FUNCTION public.record_ai_usage(
+  p_user_id uuid,
+  p_feature text,
+  p_model text,
+  p_prompt_tokens integer,
+  p_completion_tokens integer,
+  p_cost_usd numeric
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_day date := (now() AT TIME ZONE 'utc')::date;
+  v_tokens integer := p_prompt_tokens + p_completion_tokens;
+BEGIN
+  INSERT INTO public.ai_usage (user_id, feature, model, prompt_tokens, completion_tokens, cost_usd)
+  VALUES (p_user_id, p_feature, p_model, p_prompt_tokens, p_completion_tokens, p_cost_usd);
+
+  INSERT INTO public.ai_usage_daily AS d (day, scope, calls, tokens, cost_usd)
+  SELECT v_day, s.scope, 1, v_tokens, p_cost_usd
+  FROM (
+    SELECT 'global' AS scope
+    UNION ALL
+    SELECT 'user:' || p_user_id::text WHERE p_user_id IS NOT NULL
+  ) s
+  ON CONFLICT (day, scope) DO UPDATE
+  SET calls = d.calls + 1,
+      tokens = d.tokens + EXCLUDED.tokens,
+      cost_usd = d.cost_usd + EXCLUDED.cost_usd;
+END;
+$$;
+
+-- Spend report: calls, tokens and cost per feature in [p_from, p_to)
+DROP FUNCTION IF EXISTS public.ai_spend_by_feature(timestamptz, timestamptz);
+CREATE OR REPLACE FUNCTION public.ai_spend_by_feature(
+  p_from timestamptz,
+  p_to timestamptz
+)
+RETURNS TABLE(feature text, calls bigint, prompt_tokens bigint, completion_tokens bigint, cost_usd numeric)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT u.feature,
+         count(*) AS calls,
+         sum(u.prompt_tokens)::bigint AS prompt_tokens,
+         sum(u.completion_tokens)::bigint AS completion_tokens,
+         sum(u.cost_usd) AS cost_usd
+  FROM public.ai_usage u
+  WHERE u.created_at >= p_from AND u.created_at < p_to
+  GROUP BY u.feature
+  ORDER BY cost_usd DESC;
+$$;
+
+INSERT INTO public.schema_versions (version, name) VALUES (13, '013_ai_usage')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,47 @@
+-- Which prompt (name@vN from config/prompts.js) produced each AI call and artifact
+ALTER TABLE public.ai_usage ADD COLUMN IF NOT EXISTS prompt_version text NULL;
+ALTER TABLE public.practice_questions ADD COLUMN IF NOT EXISTS prompt_version text NULL;
+ALTER TABLE public.practice_attempts ADD COLUMN IF NOT EXISTS assessment_prompt_version text NULL;
+ALTER TABLE public.tutor_insights ADD COLUMN IF NOT EXISTS prompt_version text NULL;
+
+CREATE INDEX IF NOT EXISTS ai_usage_prompt_version_idx ON public.ai_usage(prompt_version, created_at);
+
+-- record_ai_usage gains the prompt version
+DROP FUNCTION IF EXISTS public.record_ai_usage(uuid, text, text, integer, integer, numeric);
+DROP FUNCTION IF EXISTS public.record_ai_usage(uuid, text, text, integer, integer, numeric, text);
+CREATE OR REPLACE FUNCTION public.record_ai_usage(
+  p_user_id uuid,
+  p_feature text,
+  p_model text,
+  p_prompt_tokens integer,
+  p_completion_tokens integer,
+  p_cost_usd numeric,
+  p_prompt_version text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_day date := (now() AT TIME ZONE 'utc')::date;
+  v_tokens integer := p_prompt_tokens + p_completion_tokens;
+BEGIN
+  INSERT INTO public.ai_usage (user_id, feature, model, prompt_tokens, completion_tokens, cost_usd, prompt_version)
+  VALUES (p_user_id, p_feature, p_model, p_prompt_tokens, p_completion_tokens, p_cost_usd, p_prompt_version);
+
+  INSERT INTO public.ai_usage_daily AS d (day, scope, calls, tokens, cost_usd)
+  SELECT v_day, s.scope, 1, v_tokens, p_cost_usd
+  FROM (
+    SELECT 'global' AS scope
+    UNION ALL
+    SELECT 'user:' || p_user_id::text WHERE p_user_id IS NOT NULL
+  ) s
+  ON CONFLICT (day, scope) DO UPDATE
+  SET calls = d.calls + 1,
+      tokens = d.tokens + EXCLUDED.tokens,
+      cost_usd = d.cost_usd + EXCLUDED.cost_usd;
+END;
+$$;
+
+INSERT INTO public.schema_versions (version, name) VALUES (14, '014_prompt_versions')
+ON CONFLICT (version) DO NOTHING;
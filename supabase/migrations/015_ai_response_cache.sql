@@ -0,0 +1,85 @@
+-- Cached model replies, keyed by a hash of their inputs (services/aiCacheService.js)
+CREATE TABLE IF NOT EXISTS public.ai_response_cache (
+  key text PRIMARY KEY,
+  feature text NOT NULL,
+  question_id uuid NULL,
+  prompt_version text NULL,
+  value jsonb NOT NULL,
+  hits int NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ai_response_cache_question_idx ON public.ai_response_cache(question_id);
+CREATE INDEX IF NOT EXISTS ai_response_cache_expires_idx ON public.ai_response_cache(expires_at);
+
+-- Lookups per feature and UTC day, for the hit rate in the AI spend report
+CREATE TABLE IF NOT EXISTS public.ai_cache_stats (
+  day date NOT NULL,
+  feature text NOT NULL,
+  hits int NOT NULL DEFAULT 0,
+  misses int NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, feature)
+);
+
+-- Return a live entry (or NULL) and count the hit or miss in one round trip.
+-- An expired entry is deleted on the way.
+DROP FUNCTION IF EXISTS public.ai_cache_lookup(text, text);
+CREATE OR REPLACE FUNCTION public.ai_cache_lookup(
+  p_key text,
+  p_feature text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_value jsonb;
+BEGIN
+  UPDATE public.ai_response_cache
+  SET hits = hits + 1
+  WHERE key = p_key AND expires_at > now()
+  RETURNING value INTO v_value;
+
+  IF v_value IS NULL THEN
+    DELETE FROM public.ai_response_cache WHERE key = p_key AND expires_at <= now();
+  END IF;
+
+  INSERT INTO public.ai_cache_stats AS s (day, feature, hits, misses)
+  VALUES (
+    (now() AT TIME ZONE 'utc')::date,
+    p_feature,
+    CASE WHEN v_value IS NULL THEN 0 ELSE 1 END,
+    CASE WHEN v_value IS NULL THEN 1 ELSE 0 END
+  )
+  ON CONFLICT (day, feature) DO UPDATE
+  SET hits = s.hits + EXCLUDED.hits,
+      misses = s.misses + EXCLUDED.misses;
+
+  RETURN v_value;
+END;
+$$;
+
+-- Editing or deleting a question drops the replies cached about it
+CREATE OR REPLACE FUNCTION public.invalidate_ai_cache_for_question()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM public.ai_response_cache WHERE question_id = OLD.id;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS mcqs_invalidate_ai_cache ON public.mcqs;
+CREATE TRIGGER mcqs_invalidate_ai_cache
+AFTER UPDATE OF question_text, choices, correct_choice OR DELETE ON public.mcqs
+FOR EACH ROW EXECUTE FUNCTION public.invalidate_ai_cache_for_question();
+
+DROP TRIGGER IF EXISTS practice_questions_invalidate_ai_cache ON public.practice_questions;
+CREATE TRIGGER practice_questions_invalidate_ai_cache
+AFTER UPDATE OF question_text, solution_steps, hints OR DELETE ON public.practice_questions
+FOR EACH ROW EXECUTE FUNCTION public.invalidate_ai_cache_for_question();
+
+INSERT INTO public.schema_versions (version, name) VALUES (15, '015_ai_response_cache')
+ON CONFLICT (version) DO NOTHING;
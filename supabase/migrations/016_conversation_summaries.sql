@@ -0,0 +1,14 @@
+-- Rolling summaries for tutor and exam-prep conversations (services/conversationMemoryService.js).
+-- Counts are absolute: messages dropped from the front of `messages`, and messages folded into `summary`.
+ALTER TABLE public.tutor_conversation_history ADD COLUMN IF NOT EXISTS summary text NULL;
+ALTER TABLE public.tutor_conversation_history ADD COLUMN IF NOT EXISTS summarized_count int NOT NULL DEFAULT 0;
+ALTER TABLE public.tutor_conversation_history ADD COLUMN IF NOT EXISTS trimmed_count int NOT NULL DEFAULT 0;
+ALTER TABLE public.tutor_conversation_history ADD COLUMN IF NOT EXISTS summary_updated_at timestamptz NULL;
+
+ALTER TABLE public.conversation_history ADD COLUMN IF NOT EXISTS summary text NULL;
+ALTER TABLE public.conversation_history ADD COLUMN IF NOT EXISTS summarized_count int NOT NULL DEFAULT 0;
+ALTER TABLE public.conversation_history ADD COLUMN IF NOT EXISTS trimmed_count int NOT NULL DEFAULT 0;
+ALTER TABLE public.conversation_history ADD COLUMN IF NOT EXISTS summary_updated_at timestamptz NULL;
+
+INSERT INTO public.schema_versions (version, name) VALUES (16, '016_conversation_summaries')
+ON CONFLICT (version) DO NOTHING;
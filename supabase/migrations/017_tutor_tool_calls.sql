@@ -0,0 +1,19 @@
+-- Every tool the AI tutor calls (services/tutorToolsService.js): what it asked for and what it got.
+-- status: ok, denied (e.g. solution steps before an attempt), invalid (bad tool or arguments) or error.
+CREATE TABLE IF NOT EXISTS public.tutor_tool_calls (
+  id bigserial PRIMARY KEY,
+  user_id uuid NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  conversation_id uuid NULL REFERENCES public.tutor_conversations(id) ON DELETE SET NULL,
+  tool text NOT NULL,
+  arguments jsonb NULL,
+  status text NOT NULL CHECK (status IN ('ok','denied','invalid','error')),
+  result jsonb NULL,
+  duration_ms int NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS tutor_tool_calls_user_idx ON public.tutor_tool_calls(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS tutor_tool_calls_tool_created_idx ON public.tutor_tool_calls(tool, created_at);
+
+INSERT INTO public.schema_versions (version, name) VALUES (17, '017_tutor_tool_calls')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,16 @@
+-- SECURITY DEFINER functions run with their owner's rights, so they must not resolve names through
+-- the caller's search_path (a caller could shadow public tables or operators from another schema).
+-- Pin it for every one of them; new SECURITY DEFINER functions should say SET search_path inline.
+ALTER FUNCTION public.next_mcq(text, uuid, text, integer, integer) SET search_path = public, pg_temp;
+ALTER FUNCTION public.rate_limit_hit(text, integer, integer) SET search_path = public, pg_temp;
+ALTER FUNCTION public.claim_due_reminders(integer, integer) SET search_path = public, pg_temp;
+ALTER FUNCTION public.acquire_learner_lock(text, text, integer) SET search_path = public, pg_temp;
+ALTER FUNCTION public.release_learner_lock(text, text) SET search_path = public, pg_temp;
+ALTER FUNCTION public.claim_jobs(integer, integer, text) SET search_path = public, pg_temp;
+ALTER FUNCTION public.dead_letter_job(bigint, text) SET search_path = public, pg_temp;
+ALTER FUNCTION public.record_ai_usage(uuid, text, text, integer, integer, numeric, text)
+  SET search_path = public, pg_temp;
+ALTER FUNCTION public.ai_cache_lookup(text, text) SET search_path = public, pg_temp;
+
+INSERT INTO public.schema_versions (version, name) VALUES (18, '018_security_definer_search_path')
+ON CONFLICT (version) DO NOTHING;
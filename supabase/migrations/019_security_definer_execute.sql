@@ -0,0 +1,43 @@
+-- Functions are executable by PUBLIC by default, and Supabase also grants anon and authenticated,
+-- so anyone holding the public anon key could call these SECURITY DEFINER functions through
+-- PostgREST with their owner's rights. Only the server (service_role) calls them.
+-- New SECURITY DEFINER functions should revoke and grant the same way right after creation.
+REVOKE EXECUTE ON FUNCTION public.next_mcq(text, uuid, text, integer, integer)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.next_mcq(text, uuid, text, integer, integer) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.rate_limit_hit(text, integer, integer)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.rate_limit_hit(text, integer, integer) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.claim_due_reminders(integer, integer)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_due_reminders(integer, integer) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.acquire_learner_lock(text, text, integer)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.acquire_learner_lock(text, text, integer) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.release_learner_lock(text, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.release_learner_lock(text, text) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.claim_jobs(integer, integer, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_jobs(integer, integer, text) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.dead_letter_job(bigint, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.dead_letter_job(bigint, text) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.record_ai_usage(uuid, text, text, integer, integer, numeric, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_ai_usage(uuid, text, text, integer, integer, numeric, text)
+  TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.ai_cache_lookup(text, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.ai_cache_lookup(text, text) TO service_role;
+
+INSERT INTO public.schema_versions (version, name) VALUES (19, '019_security_definer_execute')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,8 @@
+-- Set just before a reminder is handed to ManyChat and cleared when the outcome is recorded. A row
+-- reclaimed with it still set was (probably) delivered by a run that died or couldn't write the
+-- outcome, so it is settled as sent instead of being sent a second time.
+ALTER TABLE public.study_reminders
+  ADD COLUMN IF NOT EXISTS delivery_started_at timestamptz NULL;
+
+INSERT INTO public.schema_versions (version, name) VALUES (20, '020_reminder_delivery_started')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,5 @@
+// lib/config.js validates the environment on import; give tests harmless values
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.MANYCHAT_API_TOKEN ||= 'test-manychat-token';
+process.env.MANYCHAT_WEBHOOK_SECRETS ||= 'test-webhook-secret';
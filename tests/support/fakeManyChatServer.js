@@ -0,0 +1,48 @@
+/**
+ * Local stand-in for the ManyChat API
+ *
+ * Records every request and answers with scripted responses, in order; once
+ * the script runs out it answers 200 { status: 'success' }.
+ */
+
+import http from 'node:http';
+
+export async function startFakeManyChatServer() {
+  const requests = [];
+  const script = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null
+      });
+
+      const {
+        status = 200,
+        body = { status: 'success', data: {} },
+        headers = {}
+      } = script.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/fb`,
+    requests,
+    /** Queue responses: { status, body, headers } */
+    respondWith(...responses) {
+      script.push(...responses);
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+
+// The AI services use the shared singletons; keep them off Postgres
+process.env.AI_CACHE_STORE = 'memory';
+process.env.AI_USAGE_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const {
+  AICacheService,
+  MemoryAICacheStore,
+  aiCacheService,
+  cacheKey,
+  normalizeText,
+  questionFingerprint
+} = await import('../../pages/api/manychat/services/aiCacheService.js');
+const { MockProvider } = await import('../../pages/api/manychat/services/llmProvider.js');
+const { AIService } = await import('../../pages/api/manychat/services/aiService.js');
+
+const question = {
+  id: '5b1c7a52-0000-4000-8000-000000000001',
+  question_text: 'What is 15% of R200?',
+  choices: [
+    { choice: 'A', text: 'R15' },
+    { choice: 'B', text: 'R30' }
+  ],
+  correct_choice: 'B',
+  topic: 'percentages',
+  difficulty: 'easy'
+};
+
+function createCache(overrides = {}) {
+  return new AICacheService({ store: new MemoryAICacheStore(), ttlSeconds: 3600, ...overrides });
+}
+
+describe('cache keys', () => {
+  test('depend on content, not key order', () => {
+    expect(cacheKey('explanation', { a: 1, b: [1, 2] })).toBe(
+      cacheKey('explanation', { b: [1, 2], a: 1 })
+    );
+    expect(cacheKey('explanation', { a: 1 })).not.toBe(cacheKey('motivation', { a: 1 }));
+    expect(cacheKey('explanation', { promptVersion: 'explanation@v1' })).not.toBe(
+      cacheKey('explanation', { promptVersion: 'explanation@v2' })
+    );
+  });
+
+  test('an edited question gets a new fingerprint', () => {
+    const edited = { ...question, correct_choice: 'A' };
+    expect(questionFingerprint(question)).toBe(questionFingerprint({ ...question }));
+    expect(questionFingerprint(edited)).not.toBe(questionFingerprint(question));
+  });
+
+  test('free text ignores case and spacing', () => {
+    expect(normalizeText('  I  dont get\nDerivatives ')).toBe('i dont get derivatives');
+  });
+});
+
+describe('AICacheService', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('serves a stored reply and counts hits and misses per feature', async () => {
+    const cache = createCache();
+    const parts = { questionId: question.id, userAnswer: 'A' };
+
+    expect(await cache.get('explanation', parts)).toBeNull();
+    await cache.set('explanation', parts, 'Check the percent first');
+    expect(await cache.get('explanation', parts)).toBe('Check the percent first');
+    expect(await cache.get('explanation', { ...parts, userAnswer: 'C' })).toBeNull();
+
+    const stats = await cache.stats();
+    expect(stats.total).toEqual({ hits: 1, misses: 2, hit_rate: 0.333 });
+    expect(stats.features).toEqual([
+      { feature: 'explanation', hits: 1, misses: 2, hit_rate: 0.333 }
+    ]);
+  });
+
+  test('entries expire after the TTL', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00Z') });
+    const cache = createCache({ ttlSeconds: 60 });
+
+    await cache.set('explanation', { q: 1 }, 'cached');
+    jest.setSystemTime(new Date('2026-10-19T08:00:59Z'));
+    expect(await cache.get('explanation', { q: 1 })).toBe('cached');
+
+    jest.setSystemTime(new Date('2026-10-19T08:01:01Z'));
+    expect(await cache.get('explanation', { q: 1 })).toBeNull();
+  });
+
+  test('invalidating a question drops only its replies', async () => {
+    const cache = createCache();
+    await cache.set('explanation', { answer: 'A' }, 'one', { questionId: question.id });
+    await cache.set('explanation', { answer: 'C' }, 'two', { questionId: question.id });
+    await cache.set('explanation', { answer: 'A', other: true }, 'three', { questionId: 'other' });
+
+    expect(await cache.invalidateQuestion(question.id)).toBe(2);
+    expect(await cache.get('explanation', { answer: 'A' })).toBeNull();
+    expect(await cache.get('explanation', { answer: 'A', other: true })).toBe('three');
+  });
+
+  test('a TTL of 0 turns the cache off', async () => {
+    const cache = createCache({ ttlSeconds: 0 });
+    await cache.set('explanation', { q: 1 }, 'cached');
+    expect(await cache.get('explanation', { q: 1 })).toBeNull();
+    expect((await cache.stats()).total.misses).toBe(0);
+  });
+
+  test('fails open when the store is down', async () => {
+    const down = () => Promise.reject(new Error('db down'));
+    const cache = createCache({
+      store: { lookup: down, save: down, invalidateQuestion: down, counters: down }
+    });
+
+    await expect(cache.get('explanation', { q: 1 })).resolves.toBeNull();
+    await expect(cache.set('explanation', { q: 1 }, 'x')).resolves.toBeUndefined();
+  });
+});
+
+describe('AIService.generateExplanation', () => {
+  test('learners with the same wrong choice share one model call until the question changes', async () => {
+    const service = new AIService();
+    const provider = new MockProvider({ script: [{ reply: 'Eish, 15% is 0.15 × 200 = R30.' }] });
+    service.provider = provider;
+
+    const learner = (id) => ({ id, grade: 10, correct_answer_rate: 0.5 });
+    const first = await service.generateExplanation(question, 'A', 'B', learner('u1'));
+    const second = await service.generateExplanation(question, 'A', 'B', learner('u2'));
+
+    expect(second).toBe(first);
+    expect(provider.calls).toHaveLength(1);
+
+    await service.generateExplanation(question, 'C', 'B', learner('u3'));
+    expect(provider.calls).toHaveLength(2);
+
+    const edited = { ...question, question_text: 'What is 15% of R300?' };
+    await service.generateExplanation(edited, 'A', 'B', learner('u4'));
+    expect(provider.calls).toHaveLength(3);
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import {
+  AIBudgetError,
+  AIResponseError,
+  AIUsageService,
+  MemoryAIUsageStore
+} from '../../pages/api/manychat/services/aiUsageService.js';
+import { MockProvider } from '../../pages/api/manychat/services/llmProvider.js';
+import {
+  examPrepReplySchema,
+  generatedQuestionSchema
+} from '../../pages/api/manychat/utils/aiResponseSchemas.js';
+
+function createService(overrides = {}) {
+  return new AIUsageService({
+    store: new MemoryAIUsageStore(),
+    globalDailyUsd: 1,
+    learnerDailyUsd: 1,
+    throttle: async () => ({ allowed: true }),
+    repairAttempts: 1,
+    ...overrides
+  });
+}
+
+const params = {
+  model: 'gpt-4o-mini',
+  messages: [
+    { role: 'system', content: 'Generate a question as JSON' },
+    { role: 'user', content: 'Generate a medium question about algebra' }
+  ]
+};
+
+const question = {
+  question_text: 'Solve for x: 3x - 5 = 10',
+  solution_steps: 'Add 5 to both sides, then divide by 3: x = 5.'
+};
+
+describe('AI response schemas', () => {
+  test('fill in lists and safe defaults so callers never check for missing fields', () => {
+    const reply = examPrepReplySchema.parse({
+      message: 'Sharp! When is the test?',
+      extracted_data: { grade: 11, topics: 'algebra', exam_date: 'next Friday' },
+      is_data_complete: 'false'
+    });
+
+    expect(reply).toEqual({
+      message: 'Sharp! When is the test?',
+      extracted_data: {
+        grade: '11',
+        subject: null,
+        topics: ['algebra'],
+        exam_date: null,
+        preferred_time: null
+      },
+      conversation_state: 'collecting_info',
+      is_data_complete: false
+    });
+  });
+
+  test('joins solution steps sent as a list and rejects a missing question', () => {
+    const parsed = generatedQuestionSchema.parse({
+      ...question,
+      solution_steps: ['Add 5', 'x = 5']
+    });
+    expect(parsed).toMatchObject({
+      solution_steps: 'Add 5\nx = 5',
+      hints: [],
+      estimated_time_minutes: 5
+    });
+
+    expect(generatedQuestionSchema.safeParse({ solution_steps: 'x = 5' }).success).toBe(false);
+  });
+});
+
+describe('completeJSON repair and retry', () => {
+  test('sends an invalid reply back with its problems and returns the repaired result', async () => {
+    const service = createService();
+    const provider = new MockProvider({
+      script: [
+        { reply: { solution_steps: 'x = 5' }, once: true },
+        { match: 'did not match the required JSON format', reply: question }
+      ]
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const completion = await service.completeJSON(provider, params, {
+      feature: 'question_generation'
+    });
+
+    expect(completion.repairs).toBe(1);
+    expect(completion.data).toMatchObject({ ...question, key_concepts: [] });
+    const repairMessages = provider.calls[1].params.messages;
+    expect(repairMessages[2]).toEqual({ role: 'assistant', content: '{"solution_steps":"x = 5"}' });
+    expect(repairMessages[3].content).toContain('question_text: Required');
+    // Both calls are metered
+    expect(service.store.entries).toHaveLength(2);
+
+    console.warn.mockRestore();
+  });
+
+  test('repairs a reply that is not JSON at all', async () => {
+    const service = createService();
+    const provider = new MockProvider({
+      script: [{ reply: 'Here is your question!', once: true }, { reply: question }]
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const completion = await service.completeJSON(provider, params, {
+      feature: 'question_generation'
+    });
+
+    expect(completion.data.question_text).toBe(question.question_text);
+    expect(provider.calls[1].params.messages[3].content).toContain('not a valid JSON object');
+
+    console.warn.mockRestore();
+  });
+
+  test('gives up with AIResponseError once the repair attempts are used', async () => {
+    const service = createService({ repairAttempts: 2 });
+    const provider = new MockProvider({ script: [{ reply: { feedback: 'Nice' } }] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const call = service.completeJSON(provider, params, {
+      feature: 'understanding_assessment'
+    });
+
+    await expect(call).rejects.toBeInstanceOf(AIResponseError);
+    await expect(call).rejects.toMatchObject({
+      problems: expect.stringContaining('understanding_level')
+    });
+    expect(provider.calls).toHaveLength(3);
+
+    console.warn.mockRestore();
+  });
+
+  test('does not retry calls the budget guard blocked', async () => {
+    const service = createService({ throttle: async () => ({ allowed: false }) });
+    const provider = new MockProvider();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(
+      service.completeJSON(provider, params, { feature: 'question_generation' })
+    ).rejects.toBeInstanceOf(AIBudgetError);
+    expect(provider.calls).toHaveLength(0);
+
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import {
+  AIBudgetError,
+  AIUsageService,
+  MemoryAIUsageStore,
+  estimateCost
+} from '../../pages/api/manychat/services/aiUsageService.js';
+
+const PRICING = {
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 }
+};
+
+function createService(overrides = {}) {
+  return new AIUsageService({
+    store: new MemoryAIUsageStore(),
+    globalDailyUsd: 1,
+    learnerDailyUsd: 0.1,
+    throttle: async () => ({ allowed: true }),
+    pricing: PRICING,
+    ...overrides
+  });
+}
+
+function createProvider(usage = { prompt_tokens: 1000, completion_tokens: 500 }) {
+  const chat = jest.fn(async (params) => ({
+    content: 'ok',
+    model: `${params.model}-2024-07-18`,
+    usage
+  }));
+  return { chat, provider: { chat } };
+}
+
+const params = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] };
+
+describe('AI usage metering', () => {
+  test('prices dated model names by their longest matching prefix', () => {
+    const usage = { prompt_tokens: 1000, completion_tokens: 1000 };
+
+    expect(estimateCost('gpt-4o-mini-2024-07-18', usage, PRICING)).toBe(0.00075);
+    expect(estimateCost('gpt-4-0613', usage, PRICING)).toBe(0.09);
+  });
+
+  test('records feature, learner, tokens and cost for each completion', async () => {
+    const service = createService();
+    const { provider } = createProvider();
+
+    const completion = await service.complete(provider, params, {
+      feature: 'tutor',
+      userId: 'u1'
+    });
+
+    expect(completion.content).toBe('ok');
+    expect(service.store.entries).toEqual([
+      expect.objectContaining({
+        user_id: 'u1',
+        feature: 'tutor',
+        model: 'gpt-4o-mini-2024-07-18',
+        prompt_tokens: 1000,
+        completion_tokens: 500,
+        cost_usd: 0.00045
+      })
+    ]);
+  });
+
+  test('blocks a learner over their daily budget without calling OpenAI', async () => {
+    const service = createService();
+    await service.record({
+      userId: 'u1',
+      feature: 'tutor',
+      model: 'gpt-4',
+      usage: { prompt_tokens: 2000, completion_tokens: 1000 }
+    });
+    const { provider, chat } = createProvider();
+
+    await expect(
+      service.complete(provider, params, { feature: 'tutor', userId: 'u1' })
+    ).rejects.toMatchObject({ name: 'AIBudgetError', reason: 'learner_daily' });
+    expect(chat).not.toHaveBeenCalled();
+
+    // Other learners still have room
+    await expect(
+      service.complete(provider, params, { feature: 'tutor', userId: 'u2' })
+    ).resolves.toBeDefined();
+  });
+
+  test('blocks everyone once the global daily budget is spent', async () => {
+    const service = createService({ globalDailyUsd: 0.05 });
+    await service.record({
+      userId: null,
+      feature: 'question_generation',
+      model: 'gpt-4',
+      usage: { prompt_tokens: 1000, completion_tokens: 500 }
+    });
+    const { provider, chat } = createProvider();
+
+    const call = service.complete(provider, params, { feature: 'explanation', userId: 'u3' });
+
+    await expect(call).rejects.toBeInstanceOf(AIBudgetError);
+    await expect(call).rejects.toMatchObject({ reason: 'global_daily' });
+    expect(chat).not.toHaveBeenCalled();
+  });
+
+  test('blocks calls when the per-minute throttle is exhausted', async () => {
+    const service = createService({ throttle: async () => ({ allowed: false }) });
+    const { provider, chat } = createProvider();
+
+    await expect(
+      service.complete(provider, params, { feature: 'tutor', userId: 'u1' })
+    ).rejects.toMatchObject({ reason: 'throttled' });
+    expect(chat).not.toHaveBeenCalled();
+  });
+
+  test('lets calls through when the usage store is down', async () => {
+    const store = new MemoryAIUsageStore();
+    store.dailySpend = async () => {
+      throw new Error('connection refused');
+    };
+    store.record = async () => {
+      throw new Error('connection refused');
+    };
+    const service = createService({
+      store,
+      throttle: async () => {
+        throw new Error('connection refused');
+      }
+    });
+    const { provider, chat } = createProvider();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(
+      service.complete(provider, params, { feature: 'tutor', userId: 'u1' })
+    ).resolves.toBeDefined();
+    expect(chat).toHaveBeenCalledTimes(1);
+
+    console.error.mockRestore();
+  });
+
+  test('reports spend per feature, most expensive first', async () => {
+    const service = createService();
+    const { provider } = createProvider();
+    await service.complete(provider, params, { feature: 'tutor', userId: 'u1' });
+    await service.complete(provider, params, { feature: 'tutor', userId: 'u2' });
+    await service.complete(provider, { ...params, model: 'gpt-4' }, { feature: 'exam_prep' });
+
+    const report = await service.spendByFeature({
+      days: 1,
+      now: new Date(Date.now() + 1000)
+    });
+
+    expect(report.features.map((row) => row.feature)).toEqual(['exam_prep', 'tutor']);
+    expect(report.features[1]).toMatchObject({ calls: 2, prompt_tokens: 2000 });
+    expect(report.total).toMatchObject({ calls: 3, prompt_tokens: 3000, cost_usd: 0.0609 });
+    expect(report.budgets).toEqual({ global_daily_usd: 1, learner_daily_usd: 0.1 });
+  });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import { AsyncReplyService } from '../../pages/api/manychat/services/asyncReplyService.js';
+import { MESSAGES } from '../../pages/api/manychat/config/constants.js';
+
+function createService(sendToUser = jest.fn(async () => ({ ok: true }))) {
+  return new AsyncReplyService({ messaging: { sendToUser }, thresholdMs: 20 });
+}
+
+const later = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+describe('async replies for slow turns', () => {
+  test('fast turns settle inline', async () => {
+    const result = await createService().race(later(1, 'REPLY'));
+    expect(result).toEqual({ settled: true, value: 'REPLY' });
+  });
+
+  test('slow turns are left running once the threshold passes', async () => {
+    const work = later(60, 'REPLY');
+    expect(await createService().race(work)).toEqual({ settled: false });
+    expect(await work).toBe('REPLY');
+  });
+
+  test('a failing turn inside the threshold rejects for the inline error path', async () => {
+    const work = Promise.reject(new Error('openai down'));
+    await expect(createService().race(work)).rejects.toThrow('openai down');
+  });
+
+  test('pushes the finished reply as a conversation message', async () => {
+    const sendToUser = jest.fn(async () => ({ ok: true }));
+
+    const result = await createService(sendToUser).deliver('u1', later(5, 'Here is how…'));
+
+    expect(result).toEqual({ ok: true });
+    expect(sendToUser).toHaveBeenCalledWith('u1', 'Here is how…', { category: 'conversation' });
+  });
+
+  test('tells the learner when the background turn fails', async () => {
+    const sendToUser = jest.fn(async () => ({ ok: true }));
+
+    await createService(sendToUser).deliver('u1', Promise.reject(new Error('timeout')));
+
+    expect(sendToUser).toHaveBeenCalledWith('u1', MESSAGES.ERRORS.GENERIC, {
+      category: 'conversation'
+    });
+  });
+
+  test('never throws when the push itself fails', async () => {
+    const sendToUser = jest.fn(async () => {
+      throw new Error('Database operation failed: timeout');
+    });
+
+    const result = await createService(sendToUser).deliver('u1', Promise.resolve('REPLY'));
+    expect(result.ok).toBe(false);
+  });
+});
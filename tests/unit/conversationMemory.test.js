@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+
+// summarize() meters through the shared aiUsageService; keep it off Postgres
+process.env.AI_USAGE_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const { ConversationMemoryService, MemoryConversationStore, emptyMemory, withMemory } =
+  await import('../../pages/api/manychat/services/conversationMemoryService.js');
+const { MockProvider } = await import('../../pages/api/manychat/services/llmProvider.js');
+const { JOB_TYPES } = await import('../../pages/api/manychat/services/jobQueueService.js');
+
+const ID = 'conversation-1';
+
+function createMemory(overrides = {}) {
+  const queue = { enqueue: jest.fn(async () => ({ queued: true, id: 1 })) };
+  const service = new ConversationMemoryService({
+    store: new MemoryConversationStore(),
+    window: 4,
+    batch: 2,
+    maxStored: 20,
+    queue,
+    ...overrides
+  });
+  service.provider = new MockProvider({
+    script: [{ feature: 'conversation_summary', reply: '- The student is revising trig.' }]
+  });
+  return { service, queue };
+}
+
+// One learner turn plus the tutor's reply, saved the way the services do it
+async function turn(service, n) {
+  const memory = await service.load('tutor', ID);
+  memory.messages.push({ role: 'user', content: `question ${n}` });
+  memory.messages.push({ role: 'assistant', content: `answer ${n}` });
+  return service.save('tutor', ID, memory, { userId: 'u1' });
+}
+
+describe('conversation memory', () => {
+  test('short conversations are sent whole and need no summary', async () => {
+    const { service, queue } = createMemory();
+    await turn(service, 1);
+    await turn(service, 2);
+
+    const memory = await service.load('tutor', ID);
+    expect(service.recentMessages(memory)).toHaveLength(4);
+    expect(withMemory('SYSTEM', memory.summary)).toBe('SYSTEM');
+    expect(queue.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('queues a summary once a batch of messages has left the window', async () => {
+    const { service, queue } = createMemory();
+    await turn(service, 1);
+    await turn(service, 2);
+    const result = await turn(service, 3);
+
+    expect(result.summaryQueued).toBe(true);
+    expect(queue.enqueue).toHaveBeenCalledWith(
+      JOB_TYPES.SUMMARIZE_CONVERSATION,
+      { kind: 'tutor', id: ID, userId: 'u1' },
+      { dedupKey: `summary:tutor:${ID}` }
+    );
+  });
+
+  test('folds older turns into the summary and sends only what it does not cover', async () => {
+    const { service } = createMemory();
+    for (let n = 1; n <= 3; n++) await turn(service, n);
+
+    expect(await service.summarize('tutor', ID, { userId: 'u1' })).toEqual({ summarized: 2 });
+
+    const memory = await service.load('tutor', ID);
+    expect(memory).toMatchObject({
+      summary: '- The student is revising trig.',
+      summarized_count: 2
+    });
+    expect(service.recentMessages(memory).map((m) => m.content)).toEqual([
+      'question 2',
+      'answer 2',
+      'question 3',
+      'answer 3'
+    ]);
+    expect(withMemory('SYSTEM', memory.summary)).toContain('- The student is revising trig.');
+
+    const [call] = service.provider.calls;
+    expect(call.feature).toBe('conversation_summary');
+    expect(call.params.messages[1].content).toContain('Student: question 1\nTutor: answer 1');
+    expect(call.params.messages[1].content).not.toContain('question 2');
+  });
+
+  test('the next summary builds on the previous one', async () => {
+    const { service } = createMemory();
+    for (let n = 1; n <= 3; n++) await turn(service, n);
+    await service.summarize('tutor', ID);
+    await turn(service, 4);
+
+    expect(await service.summarize('tutor', ID)).toEqual({ summarized: 2 });
+
+    const second = service.provider.calls[1].params.messages[1].content;
+    expect(second).toContain('MEMORY SO FAR:\n- The student is revising trig.');
+    expect(second).toContain('Student: question 2');
+    expect((await service.load('tutor', ID)).summarized_count).toBe(4);
+  });
+
+  test('nothing to do when every message is still in the window', async () => {
+    const { service } = createMemory();
+    await turn(service, 1);
+
+    expect(await service.summarize('tutor', ID)).toEqual({ summarized: 0 });
+    expect(service.provider.calls).toHaveLength(0);
+  });
+
+  test('caps stored history and keeps counting from the right message', async () => {
+    const { service } = createMemory({ maxStored: 6 });
+    for (let n = 1; n <= 3; n++) await turn(service, n);
+    await service.summarize('tutor', ID);
+    const result = await turn(service, 4);
+
+    const memory = await service.load('tutor', ID);
+    expect(result.trimmed).toBe(2);
+    expect(memory.messages).toHaveLength(6);
+    expect(memory).toMatchObject({ trimmed_count: 2, summarized_count: 2 });
+    expect(service.recentMessages(memory)[0].content).toBe('question 2');
+
+    await service.summarize('tutor', ID);
+    expect(service.provider.calls[1].params.messages[1].content).toContain('question 2');
+    expect((await service.load('tutor', ID)).summarized_count).toBe(4);
+  });
+
+  test('a summary that lost a race is discarded', async () => {
+    const { service } = createMemory();
+    for (let n = 1; n <= 3; n++) await turn(service, n);
+    await service.store.saveSummary('tutor', ID, { summary: 'other job', summarized_count: 2 }, 0);
+    const stale = service.store.load.bind(service.store);
+    service.store.load = async (...args) => ({ ...(await stale(...args)), summarized_count: 0 });
+
+    expect(await service.summarize('tutor', ID)).toEqual({ summarized: 0 });
+    service.store.load = stale;
+    expect((await service.load('tutor', ID)).summary).toBe('other job');
+  });
+
+  test('model errors propagate so the job retries', async () => {
+    const { service } = createMemory();
+    for (let n = 1; n <= 3; n++) await turn(service, n);
+    service.provider = new MockProvider({ script: [{ reply: { error: 'model down' } }] });
+
+    await expect(service.summarize('tutor', ID)).rejects.toThrow('model down');
+    expect((await service.load('tutor', ID)).summarized_count).toBe(0);
+  });
+
+  test('an unknown conversation loads empty', async () => {
+    const { service } = createMemory();
+    expect(await service.load('exam_prep', 'missing')).toEqual(emptyMemory());
+  });
+});
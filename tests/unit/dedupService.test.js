@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { DedupService, MemoryDedupStore } from '../../pages/api/manychat/services/dedupService.js';
+
+describe('webhook de-duplication', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new DedupService({ store: new MemoryDedupStore(), windowSec: 20 });
+  });
+
+  test('prefers the platform message id over the signature', () => {
+    expect(service.buildKey({ subscriberId: 's1', messageId: 'm1', signature: 't=1,v1=aa' })).toBe(
+      's1:msg:m1'
+    );
+    const a = service.buildKey({ subscriberId: 's1', signature: 't=1,v1=aa' });
+    const b = service.buildKey({ subscriberId: 's1', signature: 't=2,v1=bb' });
+    expect(a).not.toBe(b);
+  });
+
+  test('two identical messages without a message id are both processed', async () => {
+    // Same body, signed a few seconds apart: the learner really sent "next" twice
+    const first = service.buildKey({ subscriberId: 's1', signature: 't=1000,v1=aa' });
+    const second = service.buildKey({ subscriberId: 's1', signature: 't=1004,v1=bb' });
+
+    expect(await service.begin(first, 's1')).toEqual({ duplicate: false });
+    await service.complete(first, { status: 'success', echo: 'Question 2' });
+    expect(await service.begin(second, 's1')).toEqual({ duplicate: false });
+  });
+
+  test('a re-delivered quick-reply tap is caught by its callback token', async () => {
+    const key = service.buildKey({ subscriberId: 's1', callbackToken: '1700000000.abc' });
+
+    expect(key).toMatch(/^s1:cb:/);
+    expect(await service.begin(key, 's1')).toEqual({ duplicate: false });
+    await service.complete(key, { status: 'success', echo: 'Question 1' });
+    expect(await service.begin(key, 's1')).toMatchObject({ duplicate: true });
+  });
+
+  test('deliveries with neither a message id a signature or a callback token are never deduplicated', async () => {
+    const key = service.buildKey({ subscriberId: 's1' });
+
+    expect(key).toBeNull();
+    expect(await service.begin(key, 's1')).toEqual({ duplicate: false });
+    await service.complete(key, { status: 'success' });
+    expect(await service.begin(key, 's1')).toEqual({ duplicate: false });
+  });
+
+  test('retry while the first delivery is still running is flagged as in-flight', async () => {
+    const key = 's1:msg:m2';
+    await service.begin(key, 's1');
+
+    const retry = await service.begin(key, 's1');
+    expect(retry).toEqual({ duplicate: true, status: 'processing', response: null });
+  });
+
+  test('abandoned deliveries can be retried', async () => {
+    const key = 's1:msg:m3';
+    await service.begin(key, 's1');
+    await service.abandon(key);
+
+    expect(await service.begin(key, 's1')).toEqual({ duplicate: false });
+  });
+
+  test('keys expire after the window', async () => {
+    const store = new MemoryDedupStore();
+    const now = Date.now();
+    await store.claim('k', 's1', 20, now);
+
+    expect((await store.claim('k', 's1', 20, now + 5_000)).claimed).toBe(false);
+    expect((await store.claim('k', 's1', 20, now + 21_000)).claimed).toBe(true);
+  });
+
+  test('fails open when the store is unavailable', async () => {
+    const broken = new DedupService({
+      store: {
+        claim: async () => {
+          throw new Error('db down');
+        }
+      },
+      windowSec: 20
+    });
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await broken.begin('k', 's1')).toEqual({ duplicate: false });
+    spy.mockRestore();
+  });
+});
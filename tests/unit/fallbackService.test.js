@@ -0,0 +1,119 @@
+import { FallbackService } from '../../pages/api/manychat/services/fallbackService.js';
+
+function createService(overrides = {}) {
+  let now = 0;
+  const service = new FallbackService({
+    mode: 'auto',
+    windowSec: 60,
+    minCalls: 4,
+    failureRate: 0.5,
+    probeSec: 10,
+    now: () => now,
+    ...overrides
+  });
+  return { service, advance: (sec) => (now += sec * 1000) };
+}
+
+function record(service, results) {
+  results.forEach((ok) => service.recordAIResult(ok));
+}
+
+describe('degraded mode switching', () => {
+  test('switches on when the failure rate crosses the threshold', () => {
+    const { service } = createService();
+
+    record(service, [true, false, false]);
+    expect(service.isDegraded()).toBe(false); // not enough calls yet
+
+    record(service, [false]);
+    expect(service.isDegraded()).toBe(true);
+    expect(service.status()).toMatchObject({ degraded: true, failure_rate: 0.75 });
+  });
+
+  test('stays off while most calls succeed', () => {
+    const { service } = createService();
+    record(service, [true, true, false, true, true, false, true]);
+
+    expect(service.isDegraded()).toBe(false);
+    expect(service.shouldUseAI()).toBe(true);
+  });
+
+  test('only lets a probe through every probeSec while degraded', () => {
+    const { service, advance } = createService();
+    record(service, [false, false, false, false]);
+
+    expect(service.shouldUseAI()).toBe(false);
+    advance(10);
+    expect(service.shouldUseAI()).toBe(true);
+    expect(service.shouldUseAI()).toBe(false);
+  });
+
+  test('switches off once old failures age out and probes succeed', () => {
+    const { service, advance } = createService();
+    record(service, [false, false, false, false]);
+
+    advance(30);
+    record(service, [true]);
+    expect(service.isDegraded()).toBe(true);
+
+    advance(31);
+    record(service, [true]);
+    expect(service.isDegraded()).toBe(false);
+    expect(service.shouldUseAI()).toBe(true);
+  });
+
+  test('AI_FALLBACK_MODE on/off overrides failure rates', () => {
+    const forcedOn = createService({ mode: 'on' }).service;
+    expect(forcedOn.isDegraded()).toBe(true);
+    expect(forcedOn.shouldUseAI()).toBe(false);
+
+    const forcedOff = createService({ mode: 'off' }).service;
+    record(forcedOff, [false, false, false, false]);
+    expect(forcedOff.isDegraded()).toBe(false);
+    expect(forcedOff.shouldUseAI()).toBe(true);
+  });
+});
+
+describe('offline content', () => {
+  test('explains from solution steps stored as text', () => {
+    const explanation = FallbackService.explainFromSolution(
+      {
+        topic: 'algebra',
+        solution_steps: 'Step 1: Subtract 5 from both sides\nStep 2: Divide by 2',
+        key_concepts: ['inverse operations'],
+        hints: ['Undo operations in reverse order']
+      },
+      'B'
+    );
+
+    expect(explanation).toContain('The correct answer is **B**');
+    expect(explanation).toContain('1. Subtract 5 from both sides\n2. Divide by 2');
+    expect(explanation).toContain('Key idea: inverse operations');
+    expect(explanation).toContain('Quick tip: Undo operations in reverse order');
+  });
+
+  test('explains from structured solution steps', () => {
+    const explanation = FallbackService.explainFromSolution({
+      solution_steps: [
+        { step: 'Factorise', explanation: '(x - 3)(x - 4) = 0' },
+        'Set each factor to zero'
+      ]
+    });
+
+    expect(explanation).toContain('1. Factorise - (x - 3)(x - 4) = 0\n2. Set each factor to zero');
+  });
+
+  test('falls back to the topic tip without solution steps', () => {
+    expect(FallbackService.explainFromSolution({ topic: 'geometry' }, 'C')).toContain(
+      'Draw diagrams'
+    );
+  });
+
+  test('maps homework problem types and tutor topics to method templates', () => {
+    expect(FallbackService.getMethodTemplate('word_problems')).toContain('WORD PROBLEM METHOD');
+    expect(FallbackService.getMethodTemplate('algebra')).toContain('EQUATION SOLVING METHOD');
+    expect(FallbackService.getMethodTemplate('Calculus')).toContain('derivative');
+    expect(FallbackService.getMethodTemplate('statistics')).toContain('GENERAL PROBLEM-SOLVING');
+    expect(FallbackService.getTutorReply('functions')).toContain('GRAPHS & FUNCTIONS METHOD');
+  });
+});
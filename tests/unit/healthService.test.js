@@ -0,0 +1,90 @@
+import { HealthService } from '../../pages/api/manychat/services/healthService.js';
+
+function createService(overrides = {}) {
+  return new HealthService({
+    checkDatabase: async () => true,
+    checkOpenAI: async () => true,
+    countReminderBacklog: async () => ({ pending: 2, oldest_due_at: '2026-10-19T08:00:00Z' }),
+    getAppliedMigration: async () => 9,
+    shippedMigration: 9,
+    version: '1.0.0',
+    timeoutMs: 50,
+    openAICacheSec: 60,
+    ...overrides
+  });
+}
+
+describe('health checks', () => {
+  test('reports ok with latency, backlog and migration versions', async () => {
+    const report = await createService().readiness();
+
+    expect(report.status).toBe('ok');
+    expect(report.version).toBe('1.0.0');
+    expect(report.checks.database).toMatchObject({ ok: true });
+    expect(typeof report.checks.database.latency_ms).toBe('number');
+    expect(report.checks.reminders).toMatchObject({ ok: true, pending: 2 });
+    expect(report.checks.migrations).toEqual({ ok: true, applied: 9, expected: 9 });
+  });
+
+  test('AI degraded mode and open circuits show in the report', async () => {
+    const report = await createService({
+      getCircuits: () => ({ openai: { state: 'open', failures: 5, retry_in_ms: 20000 } }),
+      getAIMode: () => ({ degraded: true, mode: 'auto', failure_rate: 0.8 })
+    }).readiness();
+
+    expect(report.status).toBe('degraded');
+    expect(report.ai_mode).toMatchObject({ degraded: true });
+    expect(report.circuits.openai.state).toBe('open');
+  });
+
+  test('OpenAI failures and pending migrations degrade, Supabase failures are down', async () => {
+    const degraded = await createService({
+      checkOpenAI: async () => false,
+      getAppliedMigration: async () => 7
+    }).readiness();
+    expect(degraded.status).toBe('degraded');
+    expect(degraded.checks.migrations).toMatchObject({ ok: false, applied: 7, expected: 9 });
+
+    const down = await createService({
+      checkDatabase: async () => {
+        throw new Error('connection refused');
+      }
+    }).readiness();
+    expect(down.status).toBe('down');
+    expect(down.checks.database.error).toBe('connection refused');
+  });
+
+  test('slow checks time out', async () => {
+    const report = await createService({
+      checkDatabase: () => new Promise((resolve) => setTimeout(() => resolve(true), 200))
+    }).readiness();
+
+    expect(report.checks.database).toMatchObject({ ok: false, error: 'Timed out after 50ms' });
+  });
+
+  test('OpenAI results are cached between probes', async () => {
+    let calls = 0;
+    const service = createService({ checkOpenAI: async () => ++calls > 0 });
+    const now = new Date('2026-10-19T10:00:00Z');
+
+    await service.readiness(now);
+    const second = await service.readiness(new Date(now.getTime() + 30_000));
+    await service.readiness(new Date(now.getTime() + 61_000));
+
+    expect(second.checks.openai.cached).toBe(true);
+    expect(calls).toBe(2);
+  });
+
+  test('liveness makes no external calls', () => {
+    const fail = async () => {
+      throw new Error('should not be called');
+    };
+    const live = createService({ checkDatabase: fail, checkOpenAI: fail }).liveness();
+    expect(live).toMatchObject({ status: 'ok', version: '1.0.0' });
+  });
+
+  test('an unknown shipped migration version is not ready', async () => {
+    const report = await createService({ shippedMigration: null }).readiness();
+    expect(report.checks.migrations).toMatchObject({ ok: false, applied: 9, expected: null });
+  });
+});
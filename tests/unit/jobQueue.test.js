@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import {
+  JobQueueService,
+  MemoryJobStore
+} from '../../pages/api/manychat/services/jobQueueService.js';
+
+function createQueue(overrides = {}) {
+  return new JobQueueService({
+    store: new MemoryJobStore(),
+    batchSize: 10,
+    leaseSec: 60,
+    maxAttempts: 3,
+    retryBaseSec: 30,
+    ...overrides
+  });
+}
+
+const later = (date, sec) => new Date(date.getTime() + sec * 1000);
+
+describe('job queue', () => {
+  test('runs a queued job with its payload and removes it', async () => {
+    const queue = createQueue();
+    const handler = jest.fn();
+    queue.register('lesson.update_effectiveness', handler);
+
+    const { queued } = await queue.enqueue('lesson.update_effectiveness', { lessonId: 'l1' });
+    const summary = await queue.processBatch();
+
+    expect(queued).toBe(true);
+    expect(handler).toHaveBeenCalledWith({ lessonId: 'l1' }, expect.objectContaining({ id: 1 }));
+    expect(summary).toEqual({ claimed: 1, succeeded: 1, retried: 0, deadLettered: 0 });
+    expect(queue.store.jobs.size).toBe(0);
+  });
+
+  test('keeps one waiting job per dedup key', async () => {
+    const queue = createQueue();
+
+    const first = await queue.enqueue('tutor.extract_insights', {}, { dedupKey: 'insights:c1' });
+    const second = await queue.enqueue('tutor.extract_insights', {}, { dedupKey: 'insights:c1' });
+
+    expect(first.queued).toBe(true);
+    expect(second).toEqual({ queued: false, id: null, duplicate: true });
+    expect(queue.store.jobs.size).toBe(1);
+  });
+
+  test('does not run a job before its run_at', async () => {
+    const queue = createQueue();
+    const handler = jest.fn();
+    queue.register('offline.generate_package', handler);
+    const now = new Date();
+
+    await queue.enqueue('offline.generate_package', {}, { runAt: later(now, 60) });
+
+    expect((await queue.processBatch({ now })).claimed).toBe(0);
+    expect((await queue.processBatch({ now: later(now, 61) })).succeeded).toBe(1);
+  });
+
+  test('retries failures with exponential backoff, then dead-letters', async () => {
+    const queue = createQueue();
+    queue.register('practice.generate_question', async () => {
+      throw new Error('openai down');
+    });
+    let now = new Date();
+    await queue.enqueue('practice.generate_question', { topic: 'algebra' });
+
+    expect((await queue.processBatch({ now })).retried).toBe(1);
+    const [job] = queue.store.jobs.values();
+    expect(new Date(job.run_at)).toEqual(later(now, 30));
+    expect(job.last_error).toBe('openai down');
+
+    expect((await queue.processBatch({ now: later(now, 29) })).claimed).toBe(0);
+
+    now = later(now, 30);
+    await queue.processBatch({ now });
+    expect(new Date([...queue.store.jobs.values()][0].run_at)).toEqual(later(now, 60));
+
+    expect((await queue.processBatch({ now: later(now, 60) })).deadLettered).toBe(1);
+    expect(queue.store.jobs.size).toBe(0);
+    expect(queue.store.deadLetters).toEqual([
+      expect.objectContaining({
+        type: 'practice.generate_question',
+        payload: { topic: 'algebra' },
+        attempts: 3,
+        last_error: 'openai down'
+      })
+    ]);
+  });
+
+  test('dead-letters jobs with no registered handler without retrying', async () => {
+    const queue = createQueue();
+    await queue.enqueue('unknown.type', {});
+
+    expect((await queue.processBatch()).deadLettered).toBe(1);
+    expect(queue.store.deadLetters[0].last_error).toMatch(/No handler registered/);
+  });
+
+  test('reclaims a job whose worker lease expired', async () => {
+    const queue = createQueue();
+    const handler = jest.fn();
+    queue.register('tutor.extract_insights', handler);
+    const now = new Date();
+    await queue.enqueue('tutor.extract_insights', {});
+    await queue.store.claim(10, 60, 'crashed-worker', now);
+
+    expect((await queue.processBatch({ now: later(now, 30) })).claimed).toBe(0);
+    expect((await queue.processBatch({ now: later(now, 61) })).succeeded).toBe(1);
+  });
+
+  test('enqueue reports failure instead of throwing when the store is down', async () => {
+    const store = { insert: jest.fn().mockRejectedValue(new Error('db down')) };
+    const queue = createQueue({ store });
+
+    await expect(queue.enqueue('tutor.extract_insights', {})).resolves.toEqual({
+      queued: false,
+      id: null
+    });
+  });
+});
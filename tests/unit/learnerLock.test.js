@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import {
+  LearnerLockService,
+  MemoryLearnerLockStore
+} from '../../pages/api/manychat/services/learnerLockService.js';
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function createService(overrides = {}) {
+  return new LearnerLockService({
+    store: new MemoryLearnerLockStore(),
+    leaseSec: 60,
+    waitMs: 1000,
+    pollMs: 10,
+    sleep: tick,
+    ...overrides
+  });
+}
+
+describe('per-learner serialization', () => {
+  test('a second message runs after the first, against its updated state', async () => {
+    const service = createService();
+    const user = { current_menu: 'practice_active', current_question_id: 'q1' };
+    const graded = [];
+    let finishFirst;
+
+    const first = service.runExclusive('s1', async () => {
+      const question = user.current_question_id;
+      await new Promise((resolve) => {
+        finishFirst = resolve;
+      });
+      graded.push(question);
+      user.current_question_id = 'q2';
+      return 'first';
+    });
+
+    const second = service.runExclusive('s1', async () => {
+      graded.push(user.current_question_id);
+      return 'second';
+    });
+
+    await tick();
+    await tick();
+    expect(graded).toEqual([]);
+
+    finishFirst();
+    expect(await first).toMatchObject({ acquired: true, result: 'first' });
+    expect(await second).toMatchObject({ acquired: true, result: 'second' });
+    expect(graded).toEqual(['q1', 'q2']);
+  });
+
+  test('different learners are not serialized against each other', async () => {
+    const service = createService();
+    let release;
+    const blocked = service.runExclusive('s1', () => new Promise((resolve) => (release = resolve)));
+
+    expect(await service.runExclusive('s2', async () => 'ok')).toMatchObject({
+      acquired: true,
+      result: 'ok'
+    });
+
+    release();
+    await blocked;
+  });
+
+  test('gives up when the learner stays busy past the wait budget', async () => {
+    const store = new MemoryLearnerLockStore();
+    await store.acquire('learner:s1', 'someone-else', 60);
+    const fn = jest.fn();
+
+    const result = await createService({ store, waitMs: 0 }).runExclusive('s1', fn);
+
+    expect(result.acquired).toBe(false);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('reclaims a lease left behind by a crashed request', async () => {
+    const store = new MemoryLearnerLockStore();
+    await store.acquire('learner:s1', 'crashed', 60, Date.now() - 120000);
+
+    const result = await createService({ store, waitMs: 0 }).runExclusive('s1', async () => 'ok');
+    expect(result).toMatchObject({ acquired: true, result: 'ok' });
+  });
+
+  test('releases the lock when the request throws', async () => {
+    const service = createService();
+
+    await expect(
+      service.runExclusive('s1', async () => {
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+    expect(service.store.locks.size).toBe(0);
+  });
+
+  test('an early-acked turn keeps the lock until its background work settles', async () => {
+    const service = createService({ waitMs: 0 });
+    let finishTurn;
+    const turn = new Promise((resolve) => (finishTurn = resolve));
+
+    const first = await service.runExclusive('s1', async () => ({
+      status: 200,
+      background: () => turn
+    }));
+    const pending = first.result.background();
+
+    expect((await service.runExclusive('s1', async () => 'second')).acquired).toBe(false);
+
+    finishTurn();
+    await pending;
+    expect(await service.runExclusive('s1', async () => 'second')).toMatchObject({
+      acquired: true,
+      result: 'second'
+    });
+  });
+
+  test('fails open when the lock store is unavailable', async () => {
+    const store = {
+      acquire: jest.fn().mockRejectedValue(new Error('db down')),
+      release: jest.fn()
+    };
+
+    const result = await createService({ store }).runExclusive('s1', async () => 'ok');
+
+    expect(result).toMatchObject({ acquired: true, result: 'ok' });
+    expect(store.release).not.toHaveBeenCalled();
+  });
+});
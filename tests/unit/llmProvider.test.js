@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals';
+import {
+  MockProvider,
+  OpenAIProvider,
+  loadMockScript,
+  parseJSONContent,
+  requireLLMProvider
+} from '../../pages/api/manychat/services/llmProvider.js';
+import {
+  AIUnavailableError,
+  fallbackService
+} from '../../pages/api/manychat/services/fallbackService.js';
+import {
+  AIResponseError,
+  AIUsageService,
+  MemoryAIUsageStore
+} from '../../pages/api/manychat/services/aiUsageService.js';
+import { OPENAI_CONFIG, createOpenAIClient } from '../../pages/api/manychat/config/openai.js';
+import { env } from '../../lib/config.js';
+
+const ask = (content) => ({
+  model: 'gpt-4o-mini',
+  messages: [
+    { role: 'system', content: 'You are a tutor' },
+    { role: 'user', content }
+  ]
+});
+
+describe('mock LLM provider', () => {
+  test('answers from the first matching rule and records the call', async () => {
+    const provider = new MockProvider({
+      script: loadMockScript('tests/support/llmMockScript.json')
+    });
+
+    const reply = await provider.chat(ask('Help with QUADRATIC equations'), {
+      feature: 'tutor',
+      userId: 'u1'
+    });
+
+    expect(reply.content).toMatch(/^Eish, quadratics!/);
+    expect(reply.model).toBe('mock');
+    expect(reply.usage.prompt_tokens).toBeGreaterThan(0);
+    expect(provider.calls).toEqual([
+      expect.objectContaining({ feature: 'tutor', userId: 'u1', json: false })
+    ]);
+  });
+
+  test('gives the same reply to the same call', async () => {
+    const provider = new MockProvider();
+
+    const first = await provider.chat(ask('hello'), { feature: 'tutor' });
+    const second = await provider.chat(ask('hello'), { feature: 'tutor' });
+
+    expect(second).toEqual(first);
+  });
+
+  test('falls back to a per-feature JSON default when nothing matches', async () => {
+    const provider = new MockProvider();
+
+    const reply = await provider.chatJSON(ask('Grade 11 maths test on Friday'), {
+      feature: 'exam_prep'
+    });
+
+    expect(reply.data).toMatchObject({
+      conversation_state: 'collecting_info',
+      is_data_complete: false
+    });
+    expect(typeof reply.data.message).toBe('string');
+  });
+
+  test('supports one-shot rules, regex matches, functions and scripted failures', async () => {
+    const provider = new MockProvider({
+      script: [
+        { match: /^fail/i, reply: { error: 'scripted outage' }, once: true },
+        { feature: 'explanation', reply: (params) => `Echo: ${params.messages[1].content}` }
+      ]
+    });
+
+    await expect(provider.chat(ask('Fail please'), { feature: 'explanation' })).rejects.toThrow(
+      'scripted outage'
+    );
+    const reply = await provider.chat(ask('Fail please'), { feature: 'explanation' });
+
+    expect(reply.content).toBe('Echo: Fail please');
+  });
+
+  test('scripts tool calls in the chat.completions shape', async () => {
+    const provider = new MockProvider({
+      script: [
+        { reply: { tool_calls: [{ name: 'get_topic_report', arguments: { topic: 'algebra' } }] } }
+      ]
+    });
+
+    const reply = await provider.chat(ask('How am I doing?'), { feature: 'tutor' });
+
+    expect(reply.content).toBe('');
+    expect(reply.tool_calls).toEqual([
+      {
+        id: 'call_1_0',
+        type: 'function',
+        function: { name: 'get_topic_report', arguments: '{"topic":"algebra"}' }
+      }
+    ]);
+  });
+});
+
+describe('OpenAI provider', () => {
+  function createProvider(content, options = {}) {
+    const create = jest.fn(async (params) => ({
+      model: params.model,
+      usage: { prompt_tokens: 10, completion_tokens: 5 },
+      choices: [{ message: { content } }]
+    }));
+    const provider = new OpenAIProvider({
+      client: () => ({ chat: { completions: { create } } }),
+      ...options
+    });
+    return { provider, create };
+  }
+
+  test('maps a completion to { content, tool_calls, model, usage }', async () => {
+    const { provider } = createProvider('Sharp!');
+
+    await expect(provider.chat(ask('hi'))).resolves.toEqual({
+      content: 'Sharp!',
+      tool_calls: [],
+      model: 'gpt-4o-mini',
+      usage: { prompt_tokens: 10, completion_tokens: 5 }
+    });
+  });
+
+  test('passes tool calls through', async () => {
+    const toolCall = {
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'get_topic_report', arguments: '{"topic":"algebra"}' }
+    };
+    const create = jest.fn(async (params) => ({
+      model: params.model,
+      choices: [{ message: { content: null, tool_calls: [toolCall] } }]
+    }));
+    const provider = new OpenAIProvider({ client: () => ({ chat: { completions: { create } } }) });
+
+    const reply = await provider.chat({ ...ask('how am I doing?'), tools: [] });
+    expect(reply.content).toBe('');
+    expect(reply.tool_calls).toEqual([toolCall]);
+  });
+
+  test('uses the configured model for local endpoints and asks for JSON in JSON mode', async () => {
+    const { provider, create } = createProvider('```json\n{"ok": true}\n```', {
+      name: 'local',
+      model: 'llama3.1'
+    });
+
+    const reply = await provider.chatJSON(ask('hi'));
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ model: 'llama3.1', response_format: { type: 'json_object' } })
+    );
+    expect(reply.data).toEqual({ ok: true });
+    expect(reply.model).toBe('llama3.1');
+  });
+
+  test('a call with its retry fits the total deadline', () => {
+    const client = createOpenAIClient({ apiKey: 'sk-test' });
+    const worstCase =
+      OPENAI_CONFIG.TIMEOUT_MS * (OPENAI_CONFIG.MAX_RETRIES + 1) +
+      env.RETRY_MAX_DELAY_MS * OPENAI_CONFIG.MAX_RETRIES;
+
+    expect(OPENAI_CONFIG.MAX_RETRIES).toBeLessThanOrEqual(1);
+    expect(client.maxRetries).toBe(0);
+    expect(client.timeout).toBe(OPENAI_CONFIG.TOTAL_TIMEOUT_MS);
+    expect(worstCase).toBeLessThanOrEqual(OPENAI_CONFIG.TOTAL_TIMEOUT_MS);
+  });
+});
+
+describe('metering provider calls', () => {
+  test('a JSON reply that fails to parse is still metered', async () => {
+    const service = new AIUsageService({
+      store: new MemoryAIUsageStore(),
+      globalDailyUsd: 1,
+      learnerDailyUsd: 1,
+      throttle: async () => ({ allowed: true }),
+      repairAttempts: 0
+    });
+    const provider = new MockProvider({ script: [{ reply: 'not json' }] });
+
+    await expect(
+      service.completeJSON(provider, ask('hi'), { feature: 'tutor_insights', userId: 'u1' })
+    ).rejects.toBeInstanceOf(AIResponseError);
+
+    expect(service.store.entries).toEqual([
+      expect.objectContaining({ feature: 'tutor_insights', model: 'mock', cost_usd: 0 })
+    ]);
+  });
+
+  test('parseJSONContent reads plain and fenced JSON', () => {
+    expect(parseJSONContent(' {"a": 1} ')).toEqual({ a: 1 });
+    expect(parseJSONContent('```\n{"a": 2}\n```')).toEqual({ a: 2 });
+  });
+});
+
+describe('providers for service calls', () => {
+  test("a service's own provider is used until degraded mode refuses the call", () => {
+    const own = new MockProvider({ script: [] });
+    const mode = fallbackService.mode;
+
+    try {
+      fallbackService.mode = 'off';
+      expect(requireLLMProvider(own)).toBe(own);
+
+      fallbackService.mode = 'on';
+      expect(() => requireLLMProvider(own)).toThrow(AIUnavailableError);
+    } finally {
+      fallbackService.mode = mode;
+    }
+  });
+});
@@ -0,0 +1,241 @@
+import {
+  classifyError,
+  DELIVERY_ERRORS,
+  ManyChatClient
+} from '../../pages/api/manychat/services/manychatClient.js';
+import {
+  isWithinMessagingWindow,
+  MessagingService
+} from '../../pages/api/manychat/services/messagingService.js';
+import { menuReply } from '../../pages/api/manychat/utils/richReply.js';
+import { startFakeManyChatServer } from '../support/fakeManyChatServer.js';
+
+describe('ManyChat outbound client', () => {
+  let fake;
+  let client;
+
+  beforeEach(async () => {
+    fake = await startFakeManyChatServer();
+    client = new ManyChatClient({
+      token: 'tok',
+      baseUrl: fake.baseUrl,
+      maxRetries: 2,
+      baseDelayMs: 1,
+      timeoutMs: 1000
+    });
+  });
+
+  afterEach(() => fake.close());
+
+  test('sendContent posts a v2 dynamic block with the bearer token', async () => {
+    const result = await client.sendContent('sub-1', menuReply('Pick one', ['A', 'B']), {
+      messageTag: 'ACCOUNT_UPDATE'
+    });
+
+    expect(result.ok).toBe(true);
+    expect(fake.requests).toHaveLength(1);
+    const [request] = fake.requests;
+    expect(request.path).toBe('/fb/sending/sendContent');
+    expect(request.headers.authorization).toBe('Bearer tok');
+    expect(request.body.subscriber_id).toBe('sub-1');
+    expect(request.body.message_tag).toBe('ACCOUNT_UPDATE');
+    expect(request.body.data.version).toBe('v2');
+    expect(request.body.data.content.messages[0].text).toBe('Pick one');
+  });
+
+  test('setCustomField and triggerFlow hit their endpoints', async () => {
+    await client.setCustomField('sub-1', 'streak', 4);
+    await client.triggerFlow('sub-1', 'content2026');
+
+    expect(fake.requests.map((r) => r.path)).toEqual([
+      '/fb/subscriber/setCustomFieldByName',
+      '/fb/sending/sendFlow'
+    ]);
+    expect(fake.requests[0].body).toEqual({
+      subscriber_id: 'sub-1',
+      field_name: 'streak',
+      field_value: 4
+    });
+    expect(fake.requests[1].body.flow_ns).toBe('content2026');
+  });
+
+  test('retries transient failures and rate limits, then succeeds', async () => {
+    fake.respondWith(
+      { status: 503, body: { status: 'error', message: 'Service unavailable' } },
+      { status: 429, body: { status: 'error', message: 'Too many requests' } }
+    );
+
+    const result = await client.sendContent('sub-1', 'hi');
+
+    expect(result).toMatchObject({ ok: true, attempts: 3 });
+    expect(fake.requests).toHaveLength(3);
+  });
+
+  test('gives up after maxRetries and reports the last error', async () => {
+    const failure = { status: 500, body: { status: 'error', message: 'boom' } };
+    fake.respondWith(failure, failure, failure);
+
+    const result = await client.sendContent('sub-1', 'hi');
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatchObject({ type: DELIVERY_ERRORS.TRANSIENT, status: 500 });
+    expect(fake.requests).toHaveLength(3);
+  });
+
+  test('does not retry a blocked user', async () => {
+    fake.respondWith({
+      status: 400,
+      body: { status: 'error', message: 'Subscriber blocked the page' }
+    });
+
+    const result = await client.sendContent('sub-1', 'hi');
+
+    expect(result.error).toMatchObject({ type: DELIVERY_ERRORS.BLOCKED_USER, retryable: false });
+    expect(fake.requests).toHaveLength(1);
+  });
+
+  test('waits at most maxDelayMs between attempts, whatever Retry-After says', () => {
+    const capped = new ManyChatClient({ token: 'tok', baseUrl: fake.baseUrl, maxDelayMs: 5000 });
+
+    expect(capped.backoffMs(1, { retryAfterSec: 3600 })).toBe(5000);
+    expect(capped.backoffMs(1, { retryAfterSec: 2 })).toBe(2000);
+    expect(capped.backoffMs(20, null)).toBeLessThanOrEqual(5000);
+  });
+
+  test('network errors are transient', async () => {
+    await fake.close();
+    const result = await new ManyChatClient({
+      token: 'tok',
+      baseUrl: fake.baseUrl,
+      maxRetries: 0
+    }).sendContent('sub-1', 'hi');
+
+    expect(result.error.type).toBe(DELIVERY_ERRORS.TRANSIENT);
+    fake = await startFakeManyChatServer();
+  });
+});
+
+describe('delivery error classification', () => {
+  const classify = (status, message) => classifyError({ status, body: { message } }).type;
+
+  test('maps ManyChat failures to delivery error types', () => {
+    expect(classify(400, 'User has unsubscribed')).toBe(DELIVERY_ERRORS.BLOCKED_USER);
+    expect(classify(400, 'Message sent outside the 24 hour window')).toBe(
+      DELIVERY_ERRORS.WINDOW_EXPIRED
+    );
+    expect(classify(400, 'Subscriber does not exist')).toBe(DELIVERY_ERRORS.UNKNOWN_SUBSCRIBER);
+    expect(classify(401, 'Unauthorized')).toBe(DELIVERY_ERRORS.AUTH);
+    expect(classify(429, 'Slow down')).toBe(DELIVERY_ERRORS.RATE_LIMITED);
+    expect(classify(400, 'Invalid payload')).toBe(DELIVERY_ERRORS.INVALID_REQUEST);
+  });
+});
+
+describe('MessagingService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const template = {
+    key: 'study_reminder',
+    name: 'goat_study_reminder_v1',
+    language: 'en',
+    params: ['name', 'message'],
+    body: 'Hi {{1}}! {{2}}',
+    flowNs: 'content_reminder'
+  };
+
+  function createService(recipients, { sendContent } = {}) {
+    const calls = [];
+    const record =
+      (method, result = { ok: true }) =>
+      async (...args) => (calls.push([method, ...args]), result);
+
+    const service = new MessagingService({
+      client: {
+        sendContent: sendContent || record('sendContent'),
+        setCustomField: record('setCustomField'),
+        triggerFlow: record('triggerFlow')
+      },
+      lookupRecipient: async (userId) => recipients[userId] || null,
+      preferences: { allows: async () => ({ allowed: true, reason: null }) },
+      channel: 'whatsapp',
+      windowHours: 24,
+      findTemplate: (key) => (key === template.key ? template : null)
+    });
+
+    return { service, calls };
+  }
+
+  const active = { subscriberId: 'psid-1', lastActiveAt: '2026-10-19T09:00:00Z', name: 'Thandi' };
+  const lapsed = { ...active, lastActiveAt: '2026-10-17T09:00:00Z' };
+
+  test('sends free-form inside the window and resolves the subscriber id', async () => {
+    const { service, calls } = createService({ u1: active });
+
+    expect((await service.sendToUser('u1', 'hello', { now })).ok).toBe(true);
+    expect(calls).toEqual([['sendContent', 'psid-1', 'hello', {}]]);
+
+    const missing = await service.sendToUser('u2', 'hello', { now });
+    expect(missing.error.type).toBe(DELIVERY_ERRORS.UNKNOWN_SUBSCRIBER);
+  });
+
+  test('switches to the approved template outside the window', async () => {
+    const { service, calls } = createService({ u1: lapsed });
+
+    const result = await service.sendToUser('u1', 'Study time!\nDay 2', {
+      template: 'study_reminder',
+      params: { message: 'Study time!\nDay 2' },
+      now
+    });
+
+    expect(result).toMatchObject({ ok: true, template: 'goat_study_reminder_v1' });
+    expect(calls).toEqual([
+      ['setCustomField', 'psid-1', 'tpl_name', 'Thandi'],
+      ['setCustomField', 'psid-1', 'tpl_message', 'Study time! Day 2'],
+      ['triggerFlow', 'psid-1', 'content_reminder']
+    ]);
+  });
+
+  test('falls back to the template when ManyChat reports the window closed', async () => {
+    const { service, calls } = createService(
+      { u1: active },
+      {
+        sendContent: async () => ({
+          ok: false,
+          error: { type: DELIVERY_ERRORS.WINDOW_EXPIRED, retryable: false }
+        })
+      }
+    );
+
+    const result = await service.sendToUser('u1', 'hi', { template: 'study_reminder', now });
+
+    expect(result.ok).toBe(true);
+    expect(calls.map(([method]) => method)).toContain('triggerFlow');
+  });
+
+  test('fails without sending when no template applies', async () => {
+    const { service, calls } = createService({ u1: lapsed });
+
+    const result = await service.sendToUser('u1', 'hi', { template: 'fomo_hook', now });
+
+    expect(result.error).toMatchObject({ type: DELIVERY_ERRORS.WINDOW_EXPIRED, retryable: false });
+    expect(calls).toHaveLength(0);
+  });
+
+  test('an error while falling back to a template is returned, not thrown', async () => {
+    const { service } = createService({ u1: lapsed });
+    service.findTemplate = () => {
+      throw new Error('WHATSAPP_TEMPLATE_FLOWS is malformed');
+    };
+
+    const result = await service.sendToUser('u1', 'hi', { template: 'study_reminder', now });
+
+    expect(result).toMatchObject({
+      ok: false,
+      error: { type: DELIVERY_ERRORS.TRANSIENT, retryable: true }
+    });
+  });
+
+  test('window check', () => {
+    expect(isWithinMessagingWindow('2026-10-18T13:00:00Z', { now, windowHours: 24 })).toBe(true);
+    expect(isWithinMessagingWindow('2026-10-18T12:05:00Z', { now, windowHours: 24 })).toBe(false);
+    expect(isWithinMessagingWindow(null, { now })).toBe(false);
+  });
+});
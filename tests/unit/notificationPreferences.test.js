@@ -0,0 +1,107 @@
+import {
+  CONVERSATION_CATEGORY,
+  MemoryPreferenceStore,
+  NOTIFICATION_CATEGORIES,
+  NotificationPreferenceService
+} from '../../pages/api/manychat/services/notificationPreferenceService.js';
+import { MessagingService } from '../../pages/api/manychat/services/messagingService.js';
+import { DELIVERY_ERRORS } from '../../pages/api/manychat/services/manychatClient.js';
+import { parseCommand } from '../../pages/api/manychat/utils/commandParser.js';
+import { CONSTANTS } from '../../pages/api/manychat/config/constants.js';
+
+const { STUDY_REMINDERS, STREAK_HOOKS } = NOTIFICATION_CATEGORIES;
+
+describe('notification preferences', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new NotificationPreferenceService({ store: new MemoryPreferenceStore() });
+  });
+
+  test('everything is on by default', async () => {
+    expect(await service.allows('u1', STUDY_REMINDERS)).toEqual({ allowed: true, reason: null });
+  });
+
+  test('STOP blocks every category until START; replies still go out', async () => {
+    await service.stopAll('u1');
+    expect((await service.allows('u1', STREAK_HOOKS)).reason).toBe('opted_out');
+    expect((await service.allows('u1', CONVERSATION_CATEGORY)).allowed).toBe(true);
+
+    await service.resumeAll('u1');
+    expect((await service.allows('u1', STREAK_HOOKS)).allowed).toBe(true);
+  });
+
+  test('pause lasts the requested days, capped at 30', async () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+    const paused = await service.pause('u1', 3, now);
+    expect(paused.paused_until).toBe('2026-10-22T10:00:00.000Z');
+
+    expect((await service.allows('u1', STUDY_REMINDERS, now)).reason).toBe('paused');
+    expect((await service.allows('u1', STUDY_REMINDERS, new Date('2026-10-23'))).allowed).toBe(
+      true
+    );
+
+    const long = await service.pause('u1', 365, now);
+    expect(long.paused_until).toBe('2026-11-18T10:00:00.000Z');
+  });
+
+  test('categories toggle independently', async () => {
+    await service.toggle('u1', STREAK_HOOKS);
+    expect((await service.allows('u1', STREAK_HOOKS)).reason).toBe('category_disabled');
+    expect((await service.allows('u1', STUDY_REMINDERS)).allowed).toBe(true);
+  });
+
+  test('undeclared categories and unreadable preferences fail closed', async () => {
+    expect((await service.allows('u1', undefined)).reason).toBe('unknown_category');
+
+    const broken = new NotificationPreferenceService({
+      store: {
+        get: async () => {
+          throw new Error('db down');
+        }
+      }
+    });
+    expect((await broken.allows('u1', STUDY_REMINDERS)).reason).toBe('preferences_unavailable');
+  });
+
+  test('outbound sends are dropped before reaching ManyChat', async () => {
+    await service.stopAll('u1');
+    const sent = [];
+    const messaging = new MessagingService({
+      client: { sendContent: async (...args) => (sent.push(args), { ok: true }) },
+      lookupRecipient: async () => ({ subscriberId: 'psid-1', lastActiveAt: new Date() }),
+      preferences: service,
+      channel: 'whatsapp'
+    });
+
+    const result = await messaging.sendToUser('u1', 'Study time!', { category: STUDY_REMINDERS });
+
+    expect(result.error.type).toBe(DELIVERY_ERRORS.OPTED_OUT);
+    expect(sent).toHaveLength(0);
+  });
+});
+
+describe('notification commands', () => {
+  const { COMMAND_TYPES } = CONSTANTS;
+
+  test.each([
+    ['STOP', COMMAND_TYPES.NOTIFICATIONS_STOP],
+    ['Start', COMMAND_TYPES.NOTIFICATIONS_START],
+    ['settings', COMMAND_TYPES.NOTIFICATION_SETTINGS],
+    ['menu', 'welcome_menu']
+  ])('"%s" is a global command', (input, type) => {
+    expect(parseCommand(input, { current_menu: 'homework_confusion' }).type).toBe(type);
+  });
+
+  test.each([
+    ['pause reminders for 3 days', 3],
+    ['pause notifications for a week', 7],
+    ['pause for 2 weeks', 14],
+    ['pause', 1]
+  ])('"%s" pauses for %i days', (input, days) => {
+    expect(parseCommand(input, {})).toMatchObject({
+      type: COMMAND_TYPES.NOTIFICATIONS_PAUSE,
+      days
+    });
+  });
+});
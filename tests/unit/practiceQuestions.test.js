@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+
+// Generation queues its pool top-up on the shared queue
+process.env.JOB_QUEUE_STORE = 'memory';
+process.env.AI_USAGE_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.PRACTICE_GENERATION_TIMEOUT_MS = '50';
+
+const { FALLBACK_QUESTION_ID, PracticeService, practiceService } = await import(
+  '../../pages/api/manychat/services/practiceService.js'
+);
+const { JOB_TYPES, jobQueue } = await import(
+  '../../pages/api/manychat/services/jobQueueService.js'
+);
+const { practiceHandler } = await import('../../pages/api/manychat/handlers/practiceHandler.js');
+
+const generated = { id: 'q-new', topic: 'functions', difficulty: 'medium', is_ai_generated: true };
+
+function createService(createQuestion) {
+  const service = new PracticeService();
+  service.createQuestion = jest.fn(createQuestion);
+  service.getQuestionsByTopic = jest.fn(async () => []);
+  return service;
+}
+
+const queuedTypes = () => [...jobQueue.store.jobs.values()].map((job) => job.type);
+
+describe('questions for a topic with none stored', () => {
+  beforeEach(() => {
+    jobQueue.store.jobs.clear();
+  });
+
+  test('are generated for this turn and the queue only tops up the pool', async () => {
+    const service = createService(async () => generated);
+
+    const question = await service.requestGeneratedQuestion({ topic: 'functions', grade: 11 });
+
+    expect(question).toBe(generated);
+    expect(queuedTypes()).toEqual([JOB_TYPES.GENERATE_PRACTICE_QUESTION]);
+  });
+
+  test('fall back when generation is too slow', async () => {
+    const service = createService(() => new Promise((resolve) => setTimeout(resolve, 500)));
+
+    const question = await service.requestGeneratedQuestion({ topic: 'functions', grade: 11 });
+
+    expect(question.id).toBe(FALLBACK_QUESTION_ID);
+    expect(queuedTypes()).toEqual([JOB_TYPES.GENERATE_PRACTICE_QUESTION]);
+  });
+
+  test('the generic fallback is never recorded as an attempt', async () => {
+    // Own properties shadow the singleton's methods until deleted
+    const stubs = {
+      getQuestionsByTopic: jest.fn(async () => []),
+      createQuestion: jest.fn(async () => {
+        throw new Error('OpenAI down');
+      }),
+      recordQuestionAttempt: jest.fn()
+    };
+    Object.assign(practiceService, stubs);
+
+    try {
+      const reply = await practiceHandler.startPractice(
+        { id: 'u1', grade: 11 },
+        { topic: 'functions' }
+      );
+
+      expect(reply.nextState).toBeNull();
+      expect(stubs.recordQuestionAttempt).not.toHaveBeenCalled();
+    } finally {
+      Object.keys(stubs).forEach((name) => delete practiceService[name]);
+    }
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  PromptNotFoundError,
+  activeVersion,
+  listPrompts,
+  renderPrompt
+} from '../../pages/api/manychat/config/prompts.js';
+import { AI_FEATURES, RESPONSE_SCHEMAS } from '../../pages/api/manychat/services/aiUsageService.js';
+import { MockProvider } from '../../pages/api/manychat/services/llmProvider.js';
+import { findLeaks, runCheck, runEval } from '../../lib/promptEval.js';
+
+describe('prompt registry', () => {
+  test('every AI feature that sends a system prompt has a registered prompt', () => {
+    const names = listPrompts().map((prompt) => prompt.name);
+    for (const feature of [
+      AI_FEATURES.EXPLANATION,
+      AI_FEATURES.TUTOR,
+      AI_FEATURES.TUTOR_INSIGHTS,
+      AI_FEATURES.QUESTION_GENERATION,
+      AI_FEATURES.EXAM_PREP
+    ]) {
+      expect(names).toContain(feature);
+    }
+  });
+
+  test('renders the latest version by default and tags it with an id', () => {
+    const prompt = renderPrompt(AI_FEATURES.TUTOR_INSIGHTS);
+    expect(prompt.id).toBe(`tutor_insights@v${prompt.version}`);
+    expect(prompt.version).toBe(2);
+    expect(prompt.text).toContain('concepts_struggled_with');
+  });
+
+  test('an older version can be rendered or pinned', () => {
+    expect(renderPrompt(AI_FEATURES.TUTOR_INSIGHTS, {}, { version: 1 }).id).toBe(
+      'tutor_insights@v1'
+    );
+    expect(activeVersion(AI_FEATURES.TUTOR_INSIGHTS, { tutor_insights: 1 })).toBe(1);
+    expect(activeVersion(AI_FEATURES.TUTOR_INSIGHTS, {})).toBe(2);
+  });
+
+  test('fills template variables', () => {
+    const prompt = renderPrompt(AI_FEATURES.QUESTION_GENERATION, {
+      topic: 'trigonometry',
+      difficulty: 'hard',
+      grade: 11
+    });
+    expect(prompt.text).toContain('trigonometry');
+    expect(prompt.text).toContain('11');
+  });
+
+  test('unknown prompts and versions throw PromptNotFoundError', () => {
+    expect(() => renderPrompt('no_such_prompt')).toThrow(PromptNotFoundError);
+    expect(() => renderPrompt(AI_FEATURES.TUTOR, {}, { version: 99 })).toThrow(PromptNotFoundError);
+  });
+});
+
+describe('eval checks', () => {
+  test('text checks', () => {
+    expect(runCheck({ type: 'includes', value: 'STEP' }, 'first step', null).pass).toBe(true);
+    expect(runCheck({ type: 'excludes', value: 'answer' }, 'The answer is', null).pass).toBe(false);
+    expect(runCheck({ type: 'matches', pattern: '\\?$' }, 'What next?', null).pass).toBe(true);
+    expect(runCheck({ type: 'max_words', value: 3 }, 'one two three four', null)).toMatchObject({
+      pass: false,
+      detail: '4 words'
+    });
+  });
+
+  test('field checks read the validated JSON reply', () => {
+    const data = { understanding_level: 4, feedback: '', nested: { state: 'done' } };
+    expect(
+      runCheck({ type: 'field', path: 'understanding_level', min: 1, max: 3 }, '', data).pass
+    ).toBe(false);
+    expect(runCheck({ type: 'field', path: 'feedback', nonEmpty: true }, '', data).pass).toBe(
+      false
+    );
+    expect(runCheck({ type: 'field', path: 'nested.state', oneOf: ['done'] }, '', data).pass).toBe(
+      true
+    );
+    expect(runCheck({ type: 'field', path: 'feedback' }, '', null).pass).toBe(false);
+  });
+
+  test('unknown checks fail rather than pass silently', () => {
+    expect(runCheck({ type: 'vibes' }, 'anything', null).pass).toBe(false);
+  });
+
+  test('leaks ignore case and spacing', () => {
+    expect(findLeaks('So X=4, well done', ['x = 4', 'x = 5'])).toEqual(['x = 4']);
+    expect(findLeaks('What do you get when you divide by 2?', ['x = 4'])).toEqual([]);
+  });
+});
+
+describe('runEval', () => {
+  const options = (script) => ({
+    provider: new MockProvider({ script }),
+    render: renderPrompt,
+    schemas: RESPONSE_SCHEMAS,
+    model: 'gpt-4o-mini'
+  });
+
+  test('scores cases, flags leaks and groups by prompt version', async () => {
+    const cases = [
+      {
+        id: 'tutor-leak',
+        prompt: AI_FEATURES.TUTOR,
+        vars: { gradeLevel: 10, subject: 'math', topic: 'algebra' },
+        input: 'Just tell me the answer to 2x + 3 = 11',
+        checks: [{ type: 'max_words', value: 50 }],
+        banned: ['x = 4']
+      },
+      {
+        id: 'question',
+        prompt: AI_FEATURES.QUESTION_GENERATION,
+        vars: { topic: 'algebra', difficulty: 'easy', grade: 9 },
+        input: 'Generate a question',
+        checks: [{ type: 'field', path: 'question_text', nonEmpty: true }]
+      }
+    ];
+
+    const { results, summary } = await runEval(
+      cases,
+      options([{ feature: AI_FEATURES.TUTOR, reply: 'Easy: X = 4.' }])
+    );
+
+    expect(results[0]).toMatchObject({ id: 'tutor-leak', prompt: 'tutor@v2', leaks: ['x = 4'] });
+    expect(results[0].score).toBe(0.5);
+    expect(results[1].score).toBe(1);
+    expect(results[1].checks.map((check) => check.name)).toContain('json_valid');
+    expect(summary).toMatchObject({
+      cases: 2,
+      mean_score: 0.75,
+      json_valid_rate: 1,
+      leaks: ['tutor-leak'],
+      errors: []
+    });
+    expect(Object.keys(summary.by_prompt)).toEqual(['tutor@v2', 'question_generation@v1']);
+  });
+
+  test('invalid JSON and provider errors score zero on the affected checks', async () => {
+    const cases = [
+      { id: 'bad-json', prompt: AI_FEATURES.EXAM_PREP, input: 'hi' },
+      { id: 'down', prompt: AI_FEATURES.EXPLANATION, input: 'why?' }
+    ];
+
+    const { results, summary } = await runEval(
+      cases,
+      options([
+        { feature: AI_FEATURES.EXAM_PREP, reply: 'not json at all' },
+        { feature: AI_FEATURES.EXPLANATION, reply: { error: 'provider down' } }
+      ])
+    );
+
+    expect(results[0].score).toBe(0);
+    expect(results[0].output).toBe('not json at all');
+    expect(results[1]).toMatchObject({ score: 0, error: 'provider down' });
+    expect(summary.json_valid_rate).toBe(0);
+    expect(summary.errors).toEqual(['down']);
+  });
+
+  test('a version override evaluates that version', async () => {
+    const { results } = await runEval(
+      [{ id: 'insights', prompt: AI_FEATURES.TUTOR_INSIGHTS, input: 'conversation' }],
+      { ...options([]), versions: { tutor_insights: 1 } }
+    );
+    expect(results[0].prompt).toBe('tutor_insights@v1');
+  });
+});
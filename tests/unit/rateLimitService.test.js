@@ -0,0 +1,43 @@
+import {
+  MemoryRateLimitStore,
+  RateLimitService
+} from '../../pages/api/manychat/services/rateLimitService.js';
+
+describe('per-learner rate limiting', () => {
+  test('sliding window allows up to max hits then blocks', async () => {
+    const store = new MemoryRateLimitStore();
+    const now = Date.now();
+
+    for (let i = 0; i < 3; i++) {
+      expect((await store.hit('k', 10, 3, now + i)).allowed).toBe(true);
+    }
+
+    const blocked = await store.hit('k', 10, 3, now + 5_000);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.retryAfterSec).toBe(5);
+
+    // Oldest hit has slid out of the window
+    expect((await store.hit('k', 10, 3, now + 10_001)).allowed).toBe(true);
+  });
+
+  test('AI budget is tracked separately from the general budget', async () => {
+    const service = new RateLimitService({
+      store: new MemoryRateLimitStore(),
+      budgets: { default: { windowSec: 10, max: 5 }, ai: { windowSec: 60, max: 1 } }
+    });
+
+    expect((await service.consume('ai', 's1')).allowed).toBe(true);
+    expect((await service.consume('ai', 's1')).allowed).toBe(false);
+    expect((await service.consume('default', 's1')).allowed).toBe(true);
+    expect((await service.consume('ai', 's2')).allowed).toBe(true);
+  });
+
+  test('only AI-backed menus use the AI budget, and menu navigation escapes it', () => {
+    const service = new RateLimitService({ store: new MemoryRateLimitStore(), budgets: {} });
+
+    expect(service.isAiBackedTurn('tutor_active', { type: 'unrecognized' })).toBe(true);
+    expect(service.isAiBackedTurn('homework_confusion', { type: 'text_input' })).toBe(true);
+    expect(service.isAiBackedTurn('tutor_active', { type: 'welcome_menu' })).toBe(false);
+    expect(service.isAiBackedTurn('welcome', { type: 'practice' })).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import { ReminderService } from '../../pages/api/manychat/services/reminderService.js';
+import { isQuietTime, quietHoursEnd } from '../../pages/api/manychat/utils/quietHours.js';
+import { isAuthorizedCronCall } from '../../lib/cronAuth.js';
+
+const SAST = 'Africa/Johannesburg'; // UTC+2, no DST
+
+describe('quiet hours', () => {
+  const overnight = { start: '21:00', end: '07:00', timeZone: SAST };
+
+  test('windows that wrap past midnight', () => {
+    expect(isQuietTime(new Date('2026-10-19T19:30:00Z'), overnight)).toBe(true); // 21:30
+    expect(isQuietTime(new Date('2026-10-19T03:00:00Z'), overnight)).toBe(true); // 05:00
+    expect(isQuietTime(new Date('2026-10-19T05:00:00Z'), overnight)).toBe(false); // 07:00
+    expect(isQuietTime(new Date('2026-10-19T16:00:00Z'), overnight)).toBe(false); // 18:00
+  });
+
+  test('same-day windows and disabled windows', () => {
+    const lunch = { start: '12:00', end: '13:00', timeZone: SAST };
+    expect(isQuietTime(new Date('2026-10-19T10:30:00Z'), lunch)).toBe(true);
+    expect(isQuietTime(new Date('2026-10-19T11:00:00Z'), lunch)).toBe(false);
+    expect(isQuietTime(new Date(), { start: '08:00', end: '08:00', timeZone: SAST })).toBe(false);
+    expect(isQuietTime(new Date(), { start: 'late', end: '07:00', timeZone: SAST })).toBe(false);
+  });
+
+  test('deferred reminders resume when the window ends', () => {
+    const resume = quietHoursEnd(new Date('2026-10-19T19:30:45Z'), overnight);
+    expect(resume.toISOString()).toBe('2026-10-20T05:00:00.000Z');
+  });
+});
+
+describe('reminder retries', () => {
+  const service = new ReminderService({ maxAttempts: 4, retryBaseMinutes: 5 });
+  const now = new Date('2026-10-19T10:00:00Z');
+  const transient = { type: 'transient', retryable: true };
+
+  test('backs off exponentially for retryable errors', () => {
+    expect(service.nextRetryAt(1, transient, now).toISOString()).toBe('2026-10-19T10:05:00.000Z');
+    expect(service.nextRetryAt(3, transient, now).toISOString()).toBe('2026-10-19T10:20:00.000Z');
+  });
+
+  test('gives up on permanent errors and after maxAttempts', () => {
+    expect(service.nextRetryAt(1, { type: 'blocked_user', retryable: false }, now)).toBeNull();
+    expect(service.nextRetryAt(4, transient, now)).toBeNull();
+  });
+
+  test('learner quiet hours override the defaults', () => {
+    expect(
+      service.quietHoursFor({ quiet_hours_start: '22:00', quiet_hours_end: null, timezone: null })
+    ).toEqual({
+      start: '22:00',
+      end: service.quietHours.end,
+      timeZone: service.quietHours.timeZone
+    });
+  });
+
+  test('an unknown learner time zone falls back to the default', () => {
+    const quietHours = service.quietHoursFor({ id: 'u1', timezone: 'Mars/Olympus_Mons' });
+
+    expect(quietHours.timeZone).toBe(service.quietHours.timeZone);
+    expect(() => isQuietTime(now, quietHours)).not.toThrow();
+  });
+});
+
+describe('reminder delivery', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  const recipient = { id: 'u1', has_active_reminders: true, timezone: SAST };
+
+  function createService(overrides = {}) {
+    const service = new ReminderService({
+      quietHours: { start: '21:00', end: '07:00', timeZone: SAST }
+    });
+    return Object.assign(service, {
+      markDeliveryStarted: jest.fn(async () => {}),
+      updateReminder: jest.fn(async () => {}),
+      recordAttempt: jest.fn(async () => {}),
+      sendReminderMessage: jest.fn(async () => ({ ok: true })),
+      ...overrides
+    });
+  }
+
+  test('is not sent when the attempt cannot be recorded first', async () => {
+    const service = createService({
+      markDeliveryStarted: jest.fn(async () => {
+        throw new Error('db down');
+      })
+    });
+
+    await expect(
+      service.deliverReminder({ id: 'r1', user_id: 'u1', message: 'Study!' }, recipient, now)
+    ).rejects.toThrow('db down');
+    expect(service.sendReminderMessage).not.toHaveBeenCalled();
+  });
+
+  test('a reclaimed reminder that was already handed over is not sent again', async () => {
+    const service = createService();
+    const reminder = {
+      id: 'r1',
+      user_id: 'u1',
+      message: 'Study!',
+      delivery_started_at: '2026-10-19T09:50:00Z'
+    };
+
+    expect(await service.deliverReminder(reminder, recipient, now)).toBe('sent');
+    expect(service.sendReminderMessage).not.toHaveBeenCalled();
+    expect(service.updateReminder).toHaveBeenCalledWith(
+      'r1',
+      expect.objectContaining({ status: 'sent', sent_at: '2026-10-19T09:50:00Z' })
+    );
+  });
+});
+
+describe('cron authorization', () => {
+  test('requires the configured bearer token', () => {
+    expect(isAuthorizedCronCall('Bearer s3cret', 's3cret')).toBe(true);
+    expect(isAuthorizedCronCall('Bearer nope', 's3cret')).toBe(false);
+    expect(isAuthorizedCronCall(undefined, 's3cret')).toBe(false);
+    expect(isAuthorizedCronCall('Bearer ', '')).toBe(false);
+  });
+});
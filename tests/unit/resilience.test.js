@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  TimeoutError,
+  backoffDelay,
+  createResilientFetch,
+  isTransientError,
+  retry,
+  withTimeout
+} from '../../lib/resilience.js';
+
+const noSleep = async () => {};
+
+function createBreaker(overrides = {}) {
+  let now = 0;
+  const breaker = new CircuitBreaker({
+    name: 'test',
+    failureThreshold: 3,
+    resetAfterMs: 1000,
+    now: () => now,
+    ...overrides
+  });
+  return { breaker, advance: (ms) => (now += ms) };
+}
+
+function createFetch(fetchImpl, breaker, overrides = {}) {
+  return createResilientFetch({
+    name: 'test',
+    breaker,
+    timeoutMs: 50,
+    retries: 2,
+    baseMs: 10,
+    maxMs: 100,
+    fetchImpl,
+    sleep: noSleep,
+    ...overrides
+  });
+}
+
+const response = (status) => ({ status, body: null });
+
+describe('transient error classification', () => {
+  test.each([
+    [{ status: 503 }, true],
+    [{ status: 429 }, true],
+    [{ code: 'ECONNRESET' }, true],
+    [{ code: '57014', message: 'canceling statement due to statement timeout' }, true],
+    [new TypeError('fetch failed'), true],
+    [new TimeoutError('db', 10), true],
+    [{ status: 400 }, false],
+    [{ code: '23505', message: 'duplicate key' }, false],
+    [new CircuitOpenError('db', 1000), false]
+  ])('%p -> %p', (error, expected) => {
+    expect(isTransientError(error)).toBe(expected);
+  });
+});
+
+describe('retry', () => {
+  test('full jitter stays within the capped exponential window', () => {
+    expect(backoffDelay(1, { baseMs: 100, maxMs: 1000, random: () => 0.999 })).toBe(100);
+    expect(backoffDelay(3, { baseMs: 100, maxMs: 1000, random: () => 0.5 })).toBe(200);
+    expect(backoffDelay(10, { baseMs: 100, maxMs: 1000, random: () => 0.999 })).toBe(999);
+  });
+
+  test('retries transient failures and returns the eventual result', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce({ status: 503 })
+      .mockRejectedValueOnce({ code: 'ECONNRESET' })
+      .mockResolvedValue('ok');
+
+    await expect(retry(fn, { retries: 2, baseMs: 1, maxMs: 1, sleep: noSleep })).resolves.toBe(
+      'ok'
+    );
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry permanent failures', async () => {
+    const fn = jest.fn().mockRejectedValue({ status: 400 });
+
+    await expect(retry(fn, { retries: 3, baseMs: 1, maxMs: 1, sleep: noSleep })).rejects.toEqual({
+      status: 400
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('withTimeout rejects and aborts the call when the deadline passes', async () => {
+    let signal;
+    const hang = (s) => {
+      signal = s;
+      return new Promise(() => {});
+    };
+
+    await expect(withTimeout(hang, 10, 'query')).rejects.toBeInstanceOf(TimeoutError);
+    expect(signal.aborted).toBe(true);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after consecutive failures and fails fast', async () => {
+    const { breaker } = createBreaker();
+    const failing = jest.fn().mockRejectedValue({ status: 503 });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.exec(failing)).rejects.toEqual({ status: 503 });
+    }
+
+    await expect(breaker.exec(failing)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(failing).toHaveBeenCalledTimes(3);
+    expect(breaker.status()).toMatchObject({ state: 'open', retry_in_ms: 1000 });
+  });
+
+  test('permanent errors do not count against the dependency', async () => {
+    const { breaker } = createBreaker();
+
+    for (let i = 0; i < 5; i++) {
+      await expect(breaker.exec(() => Promise.reject({ status: 400 }))).rejects.toBeTruthy();
+    }
+    expect(breaker.status().state).toBe('closed');
+  });
+
+  test('lets one trial through after the reset period', async () => {
+    const { breaker, advance } = createBreaker({ failureThreshold: 1 });
+    await expect(breaker.exec(() => Promise.reject({ status: 503 }))).rejects.toBeTruthy();
+
+    advance(1000);
+    let finishTrial;
+    const trial = breaker.exec(() => new Promise((resolve) => (finishTrial = resolve)));
+    await expect(breaker.exec(async () => 'other')).rejects.toBeInstanceOf(CircuitOpenError);
+
+    finishTrial('ok');
+    await expect(trial).resolves.toBe('ok');
+    await expect(breaker.exec(async () => 'after')).resolves.toBe('after');
+  });
+
+  test('a failed trial opens the circuit again', async () => {
+    const { breaker, advance } = createBreaker({ failureThreshold: 1 });
+    await expect(breaker.exec(() => Promise.reject({ status: 503 }))).rejects.toBeTruthy();
+
+    advance(1000);
+    await expect(breaker.exec(() => Promise.reject({ status: 503 }))).rejects.toBeTruthy();
+    expect(breaker.status().state).toBe('open');
+  });
+});
+
+describe('resilient fetch', () => {
+  test('retries transient responses on reads', async () => {
+    const { breaker } = createBreaker();
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(response(502))
+      .mockResolvedValueOnce(response(200));
+
+    const result = await createFetch(fetchImpl, breaker)('https://db/rest/v1/users');
+
+    expect(result.status).toBe(200);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry writes, but hands back the failed response', async () => {
+    const { breaker } = createBreaker();
+    const fetchImpl = jest.fn().mockResolvedValue(response(503));
+
+    const result = await createFetch(fetchImpl, breaker)('https://db/rest/v1/users', {
+      method: 'POST'
+    });
+
+    expect(result.status).toBe(503);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(breaker.failures).toBe(1);
+  });
+
+  test('times out hung requests and opens the circuit', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1 });
+    const fetchImpl = jest.fn(() => new Promise(() => {}));
+    const resilientFetch = createFetch(fetchImpl, breaker, { retries: 0, timeoutMs: 5 });
+
+    await expect(resilientFetch('https://api/v1/chat')).rejects.toBeInstanceOf(TimeoutError);
+    await expect(resilientFetch('https://api/v1/chat')).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports one outcome per call, after retries', async () => {
+    const { breaker } = createBreaker();
+    const outcomes = [];
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(response(200))
+      .mockRejectedValue(new TypeError('fetch failed'));
+    const resilientFetch = createFetch(fetchImpl, breaker, {
+      onOutcome: (ok) => outcomes.push(ok)
+    });
+
+    await resilientFetch('https://api/v1/chat');
+    await expect(resilientFetch('https://api/v1/chat')).rejects.toThrow('fetch failed');
+
+    expect(outcomes).toEqual([true, false]);
+  });
+
+  test('client errors close the circuit instead of counting as failures', async () => {
+    const { breaker } = createBreaker();
+    breaker.failures = 2;
+
+    await createFetch(jest.fn().mockResolvedValue(response(404)), breaker)('https://db/x');
+
+    expect(breaker.failures).toBe(0);
+  });
+});
@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+
+// The homework analysis meters and caches through the shared singletons
+process.env.AI_CACHE_STORE = 'memory';
+process.env.AI_USAGE_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const { BM25Index, splitPassages, tokenize } = await import('../../lib/retrieval.js');
+const {
+  RetrievalService,
+  formatCitations,
+  lessonPassages,
+  retrievalService,
+  solutionPassageId,
+  withCitations,
+  withPassages
+} = await import('../../pages/api/manychat/services/retrievalService.js');
+const { INITIAL_LESSONS } = await import('../../pages/api/manychat/services/initialLessonsData.js');
+const { MockProvider } = await import('../../pages/api/manychat/services/llmProvider.js');
+const { AIService } = await import('../../pages/api/manychat/services/aiService.js');
+const { AITutorService } = await import('../../pages/api/manychat/services/aiTutorService.js');
+const { emptyMemory } = await import(
+  '../../pages/api/manychat/services/conversationMemoryService.js'
+);
+
+const solution = {
+  id: 'pq-1',
+  question_text: 'Find the area of a circle with radius 7 cm.',
+  solution_steps: ['Area = πr²', 'Area = π × 7² = 49π', 'Area ≈ 153.9 cm²'],
+  topic: 'geometry'
+};
+
+function createRetrieval(overrides = {}) {
+  return new RetrievalService({
+    loadLessons: jest.fn(async () => INITIAL_LESSONS),
+    loadSolutions: jest.fn(async () => [solution]),
+    topK: 3,
+    minScore: 1.5,
+    refreshMinutes: 60,
+    ...overrides
+  });
+}
+
+describe('BM25 index', () => {
+  test('tokenize drops stopwords and folds plurals', () => {
+    expect(tokenize('How do I solve these Equations?')).toEqual(['solve', 'equation']);
+  });
+
+  test('lessons split at headings and short sections are merged', () => {
+    const words = (n) => Array.from({ length: n }, (_, i) => `word${i}`).join(' ');
+    const passages = splitPassages(
+      `# Intro\n${words(5)}\n## Method\n${words(50)}\n## Tip\n${words(3)}`
+    );
+
+    expect(passages).toHaveLength(1);
+    expect(passages[0]).toMatch(/^# Intro[\s\S]*## Method[\s\S]*## Tip/);
+    expect(splitPassages(`## A\n${words(45)}\n## B\n${words(45)}`)).toHaveLength(2);
+  });
+
+  test('ranks the lesson a learner is asking about first', () => {
+    const index = new BM25Index();
+    INITIAL_LESSONS.flatMap(lessonPassages).forEach((passage) => index.add(passage));
+
+    expect(index.search('how do I solve a quadratic equation')[0].title).toBe(
+      'Solving Quadratic Equations'
+    );
+    expect(index.search('I dont get sin cos and tan')[0].title).toBe('Basic Trigonometric Ratios');
+    expect(index.search('hi there')).toEqual([]);
+  });
+
+  test('boost reorders matches', () => {
+    const index = new BM25Index()
+      .add({ id: 'a', topic: 'algebra', text: 'graph of a line' })
+      .add({ id: 'b', topic: 'calculus', text: 'graph of a curve' });
+
+    const boosted = index.search('graph', { boost: (p) => (p.topic === 'calculus' ? 2 : 1) });
+    expect(boosted[0].id).toBe('b');
+  });
+});
+
+describe('RetrievalService', () => {
+  test('finds lessons and worked solutions', async () => {
+    const retrieval = createRetrieval();
+
+    const results = await retrieval.search('area of a circle radius');
+    expect(results.map((r) => r.source)).toContain('solution');
+    expect(results.find((r) => r.source === 'solution').text).toContain('49π');
+  });
+
+  test('falls back to the built-in lessons when the lessons table fails', async () => {
+    const retrieval = createRetrieval({
+      loadLessons: jest.fn(async () => {
+        throw new Error('db down');
+      }),
+      loadSolutions: jest.fn(async () => {
+        throw new Error('db down');
+      })
+    });
+
+    const [best] = await retrieval.search('quadratic formula discriminant');
+    expect(best.title).toBe('Solving Quadratic Equations');
+  });
+
+  test('builds once per refresh interval, even for concurrent searches', async () => {
+    const retrieval = createRetrieval();
+
+    await Promise.all([retrieval.search('derivative'), retrieval.search('integral')]);
+    await retrieval.search('logarithm');
+    expect(retrieval.loadLessons).toHaveBeenCalledTimes(1);
+
+    retrieval.builtAt -= 61 * 60 * 1000;
+    await retrieval.search('logarithm');
+    expect(retrieval.loadLessons).toHaveBeenCalledTimes(2);
+  });
+
+  test('excluded passages never come back, however well they match', async () => {
+    const retrieval = createRetrieval();
+
+    const results = await retrieval.search('area of a circle with radius 7 cm', {
+      exclude: [solutionPassageId(solution.id)]
+    });
+
+    expect(results.map((r) => r.id)).not.toContain('solution:pq-1');
+  });
+
+  test('RETRIEVAL_TOP_K=0 turns retrieval off', async () => {
+    const retrieval = createRetrieval({ topK: 0 });
+
+    expect(await retrieval.search('quadratic equation')).toEqual([]);
+    expect(retrieval.loadLessons).not.toHaveBeenCalled();
+  });
+
+  test('cites each lesson once and adds passages to the prompt', async () => {
+    const passages = await createRetrieval().search('solve quadratic equation by factoring', {
+      lessonTitle: 'Solving Quadratic Equations'
+    });
+
+    expect(formatCitations(passages)[0]).toBe('📖 See lesson: Solving Quadratic Equations');
+    expect(new Set(formatCitations(passages)).size).toBe(formatCitations(passages).length);
+
+    const reply = withCitations('Factor first, then set each bracket to zero.', passages);
+    expect(reply).toContain('📖 See lesson: Solving Quadratic Equations');
+    expect(withCitations(reply, passages)).toBe(reply);
+
+    expect(withPassages('SYSTEM', passages)).toContain('[Lesson: Solving Quadratic Equations]');
+    expect(withPassages('SYSTEM', [])).toBe('SYSTEM');
+  });
+});
+
+describe('AIService.analyzeHomeworkProblem', () => {
+  test('grounds the analysis in our lessons and returns them as sources', async () => {
+    retrievalService.loadLessons = async () => INITIAL_LESSONS;
+    retrievalService.loadSolutions = async () => [];
+
+    const service = new AIService();
+    const provider = new MockProvider();
+    service.provider = provider;
+
+    const analysis = await service.analyzeHomeworkProblem(
+      { id: 'u1', grade: 10 },
+      'I do not understand when to use the quadratic formula',
+      { subject: 'math', problem_type: 'quadratic', problem_type_display: 'Quadratic Equations' }
+    );
+
+    expect(analysis.sources[0]).toEqual({ source: 'lesson', title: 'Solving Quadratic Equations' });
+    const prompt = provider.calls[0].params.messages[1].content;
+    expect(prompt).toContain('OUR LESSON CONTENT');
+    expect(prompt).toContain('[Lesson: Solving Quadratic Equations]');
+  });
+});
+
+describe('AITutorService.getTutorResponse', () => {
+  test("never grounds the reply in the current question's worked solution", async () => {
+    retrievalService.loadLessons = async () => INITIAL_LESSONS;
+    retrievalService.loadSolutions = async () => [solution];
+    retrievalService.index = null;
+
+    const service = new AITutorService();
+    service.toolRounds = 0;
+    service.provider = new MockProvider({ script: [{ reply: 'What is the formula for area?' }] });
+    service.getConversationHistory = async () => emptyMemory();
+    service.saveConversationHistory = async () => {};
+    service.buildTutorSystemPrompt = async () => ({ id: 'tutor@v2', text: 'You are a tutor' });
+
+    const response = await service.getTutorResponse(
+      { id: 'u1', grade: 10, current_question_id: solution.id },
+      'How do I find the area of a circle with radius 7 cm?',
+      { conversationId: 'c1', topic: 'geometry', questionId: solution.id }
+    );
+
+    const prompt = service.provider.calls[0].params.messages[0].content;
+    expect(prompt).not.toContain('49π');
+    expect(response.message).not.toContain('See worked example');
+    expect(response.sources.map((s) => s.source)).not.toContain('solution');
+  });
+});
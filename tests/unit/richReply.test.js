@@ -0,0 +1,104 @@
+import {
+  createReply,
+  menuReply,
+  prependText,
+  replyText,
+  toManyChatV2
+} from '../../pages/api/manychat/utils/richReply.js';
+import { formatResponse } from '../../pages/api/manychat/utils/responseFormatter.js';
+
+const MENU = menuReply('Pick one:\n1️⃣ Exam\n2️⃣ Homework\n3️⃣ Practice', [
+  'Exam',
+  'Homework',
+  'Practice'
+]);
+
+const callbackOptions = {
+  subscriberId: 'sub-1',
+  callbackUrl: 'https://goat.example/api/manychat',
+  signCallback: (message) => `token-${message}`
+};
+
+describe('rich replies', () => {
+  test('plain strings become a single v2 text message', () => {
+    const block = toManyChatV2('Hello');
+    expect(block).toEqual({
+      version: 'v2',
+      content: {
+        type: 'whatsapp',
+        messages: [{ type: 'text', text: 'Hello', buttons: [] }],
+        actions: [],
+        quick_replies: []
+      }
+    });
+  });
+
+  test('WhatsApp menus of up to three options become callback buttons', () => {
+    const { content } = toManyChatV2(MENU, { channel: 'whatsapp', ...callbackOptions });
+    const [text] = content.messages;
+
+    expect(text.text).toContain('1️⃣ Exam');
+    expect(text.buttons).toHaveLength(3);
+    expect(text.buttons[1]).toEqual({
+      type: 'dynamic_block_callback',
+      caption: 'Homework',
+      url: 'https://goat.example/api/manychat',
+      method: 'post',
+      payload: { subscriber_id: 'sub-1', message: '2', callback_token: 'token-2' }
+    });
+  });
+
+  test('WhatsApp menus that do not fit fall back to typing numbers', () => {
+    const reply = menuReply('Five options', ['A', 'B', 'C', 'D', 'E']);
+    const { content } = toManyChatV2(reply, { channel: 'whatsapp', ...callbackOptions });
+    expect(content.messages[0].buttons).toEqual([]);
+  });
+
+  test('no callback URL means no choice buttons', () => {
+    const { content } = toManyChatV2(MENU, { channel: 'whatsapp', subscriberId: 'sub-1' });
+    expect(content.messages[0].buttons).toEqual([]);
+  });
+
+  test('Messenger gets quick replies, link buttons and images', () => {
+    const reply = createReply('See your dashboard', {
+      quickReplies: [{ title: 'Main menu', value: 'menu' }],
+      buttons: [{ title: 'Dashboard', url: 'https://goat.example/d' }],
+      images: ['https://goat.example/chart.png']
+    });
+    const { content } = toManyChatV2(reply, { channel: 'messenger', ...callbackOptions });
+
+    expect(content.type).toBeUndefined();
+    expect(content.messages[0]).toEqual({
+      type: 'image',
+      url: 'https://goat.example/chart.png',
+      buttons: []
+    });
+    expect(content.messages[1].buttons).toEqual([
+      { type: 'url', caption: 'Dashboard', url: 'https://goat.example/d' }
+    ]);
+    expect(content.quick_replies[0].payload.message).toBe('menu');
+  });
+
+  test('long text is cut to what the channel accepts', () => {
+    const long = 'x'.repeat(5000);
+
+    const whatsapp = toManyChatV2(long, { channel: 'whatsapp' }).content.messages[0].text;
+    const messenger = toManyChatV2(long, { channel: 'messenger' }).content.messages[0].text;
+
+    expect(whatsapp).toHaveLength(4096);
+    expect(whatsapp.endsWith('...')).toBe(true);
+    expect(messenger).toHaveLength(2000);
+    expect(toManyChatV2('short', { channel: 'instagram' }).content.messages[0].text).toBe('short');
+
+    const response = formatResponse(long, { subscriber_id: 'sub-1' });
+    expect(response.echo).toHaveLength(4096);
+    expect(response.content.messages[0].text).toBe(response.echo);
+  });
+
+  test('prependText keeps buttons and replyText gives the fallback text', () => {
+    const prefixed = prependText('Saved!\n\n', MENU);
+    expect(prefixed.quickReplies).toHaveLength(3);
+    expect(replyText(prefixed)).toMatch(/^Saved!\n\nPick one:/);
+    expect(prependText('A ', 'B')).toBe('A B');
+  });
+});
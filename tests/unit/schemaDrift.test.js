@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  findDrift,
+  latestMigrationVersion,
+  parseMigrations,
+  parseSelect,
+  scanSource
+} from '../../lib/schemaDrift.js';
+import { SHIPPED_MIGRATION } from '../../pages/api/manychat/config/schemaVersion.js';
+
+const migrations = [
+  {
+    name: '001_init.sql',
+    sql: `
+      CREATE TABLE IF NOT EXISTS public.users (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        username text NULL,
+        score numeric(5,2) NULL,
+        UNIQUE (username)
+      );
+      -- CREATE TABLE ignored (id int);
+      CREATE OR REPLACE FUNCTION public.claim_rows(p_limit int)
+      RETURNS void LANGUAGE plpgsql AS $$
+      BEGIN
+        CREATE TABLE not_real (id int);
+      END;
+      $$;
+    `
+  },
+  {
+    name: '002_alter.sql',
+    sql: `
+      ALTER TABLE public.users ADD COLUMN IF NOT EXISTS grade text NULL, ADD COLUMN streak int;
+      ALTER TABLE public.users RENAME COLUMN score TO points;
+      ALTER TABLE public.users DROP COLUMN IF EXISTS streak;
+    `
+  }
+];
+
+describe('schema drift check', () => {
+  test('applies migrations in order, skipping comments and function bodies', () => {
+    const { tables, functions } = parseMigrations(migrations);
+
+    expect([...tables.keys()]).toEqual(['users']);
+    expect([...tables.get('users')].sort()).toEqual(['grade', 'id', 'points', 'username']);
+    expect(functions.has('claim_rows')).toBe(true);
+  });
+
+  test('parses select strings with aliases, casts and embeds', () => {
+    expect(parseSelect('id, name:display_name, data->score, total::int, topics(name), *')).toEqual({
+      columns: ['id', 'display_name', 'data', 'total'],
+      embeds: ['topics']
+    });
+  });
+
+  test('collects columns from the whole query chain', () => {
+    const source = `
+      async function save(supabase) {
+        await supabase.from('users').select('id, username').eq('grade', '10').order('points');
+        await supabase.from('users').upsert({ id: 1, nickname: 'x' }, { onConflict: 'username' });
+        await supabase.rpc('claim_rows', { p_limit: 5 });
+      }
+    `;
+    const refs = scanSource(source, 'file.js');
+
+    expect(refs.filter((ref) => ref.kind === 'column').map((ref) => ref.column)).toEqual([
+      'id',
+      'username',
+      'grade',
+      'points',
+      'id',
+      'nickname',
+      'username'
+    ]);
+    expect(refs).toContainEqual({ kind: 'rpc', name: 'claim_rows', location: 'file.js:5' });
+  });
+
+  test('reports missing tables, columns and functions with every location', () => {
+    const source = `
+      supabase.from('users').select('id, nickname');
+      supabase.from('users').update({ nickname: 'x' });
+      supabase.from('lessons').select('*');
+      supabase.rpc('missing_fn');
+    `;
+    const problems = findDrift(parseMigrations(migrations), scanSource(source, 'a.js'));
+
+    expect(problems).toEqual([
+      'Column "users.nickname" does not exist (a.js:2, a.js:3)',
+      'Table "lessons" is not created (a.js:4)',
+      'Function "missing_fn" is not defined (a.js:5)'
+    ]);
+  });
+});
+
+describe('shipped migrations', () => {
+  test('every SECURITY DEFINER function pins its search_path and is closed to anon', () => {
+    const dir = path.join(process.cwd(), 'supabase', 'migrations');
+    const sql = fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith('.sql'))
+      .sort()
+      .map((file) => fs.readFileSync(path.join(dir, file), 'utf8'))
+      .join('\n');
+
+    // Function headers run up to the body (AS $$)
+    const headers = sql
+      .split(/CREATE OR REPLACE FUNCTION/i)
+      .slice(1)
+      .map((chunk) => chunk.split(/\bAS\s/)[0]);
+    const definers = headers
+      .filter((header) => /SECURITY DEFINER/i.test(header))
+      .map((header) => /public\.(\w+)/.exec(header)[1]);
+    const pinned = [
+      ...headers
+        .filter((header) => /SET search_path = public, pg_temp/i.test(header))
+        .map((header) => /public\.(\w+)/.exec(header)[1]),
+      ...[
+        ...sql.matchAll(/ALTER FUNCTION public\.(\w+)\([^;]*SET search_path = public, pg_temp/gi)
+      ].map((match) => match[1])
+    ];
+
+    expect(definers.length).toBeGreaterThan(0);
+    expect(definers.filter((name) => !pinned.includes(name))).toEqual([]);
+
+    // The anon key must not reach them through PostgREST
+    const revoked = [
+      ...sql.matchAll(
+        /REVOKE EXECUTE ON FUNCTION public\.(\w+)\([^;]*FROM PUBLIC, anon, authenticated;/gi
+      )
+    ].map((match) => match[1]);
+    expect(definers.filter((name) => !revoked.includes(name))).toEqual([]);
+  });
+
+  test('SHIPPED_MIGRATION is the newest migration file', () => {
+    const files = fs.readdirSync(path.join(process.cwd(), 'supabase', 'migrations'));
+
+    expect(SHIPPED_MIGRATION).toBe(latestMigrationVersion(files));
+    expect(latestMigrationVersion(['001_schema.sql', '010_x.sql', 'README.md'])).toBe(10);
+    expect(latestMigrationVersion([])).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { StateRouter } from '../../pages/api/manychat/utils/stateRouter.js';
+import { menuReply } from '../../pages/api/manychat/utils/richReply.js';
+
+const core = {
+  owner: 'core',
+  states: { welcome: { transitions: [] } },
+  commands: {
+    unrecognized: { transitions: ['welcome'], handle: () => 'MENU' },
+    practice: { transitions: ['practice_active'], handle: () => 'QUESTION' },
+    welcome_menu: { transitions: ['welcome'], handle: () => menuReply('MENU', ['A', 'B']) }
+  }
+};
+
+const practice = {
+  owner: 'practice',
+  states: {
+    practice_active: {
+      transitions: ['practice_offer'],
+      handle: ({ text }) =>
+        text === 'next' ? { message: 'OFFER', nextState: 'practice_offer' } : 'HINT'
+    },
+    practice_offer: {
+      transitions: ['practice_active'],
+      handle: () => ({ message: 'SNEAKY', nextState: 'welcome' })
+    }
+  }
+};
+
+function buildRouter(...tables) {
+  const onTransition = jest.fn(async () => {});
+  const router = new StateRouter({ onTransition });
+  tables.forEach((table) => router.register(table));
+  return { router, onTransition };
+}
+
+describe('state router', () => {
+  test('routes free text by current_menu and applies declared transitions', async () => {
+    const { router, onTransition } = buildRouter(core, practice);
+    const user = { id: 'u1', current_menu: 'practice_active' };
+
+    const result = await router.dispatch(user, { type: 'unrecognized', originalInput: 'next' });
+
+    expect(result.message).toBe('OFFER');
+    expect(result.route.owner).toBe('practice');
+    expect(onTransition).toHaveBeenCalledWith(user, 'practice_offer');
+  });
+
+  test('global commands win over the current state', async () => {
+    const { router } = buildRouter(core, practice);
+    const result = await router.dispatch(
+      { id: 'u1', current_menu: 'practice_active' },
+      { type: 'practice' }
+    );
+    expect(result.message).toBe('QUESTION');
+  });
+
+  test('passes rich replies through untouched', async () => {
+    const { router, onTransition } = buildRouter(core, practice);
+    const result = await router.dispatch(
+      { id: 'u1', current_menu: 'welcome' },
+      { type: 'welcome_menu' }
+    );
+    expect(result.message.quickReplies).toHaveLength(2);
+    expect(onTransition).not.toHaveBeenCalled();
+  });
+
+  test('refuses undeclared transitions', async () => {
+    const { router, onTransition } = buildRouter(core, practice);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await router.dispatch({ id: 'u1', current_menu: 'practice_offer' }, { type: 'unrecognized' });
+
+    expect(onTransition).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  test('falls back to unrecognized for unknown commands', async () => {
+    const { router } = buildRouter(core, practice);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await router.dispatch(
+      { id: 'u1', current_menu: 'welcome' },
+      { type: 'mystery' }
+    );
+
+    expect(result.message).toBe('MENU');
+    console.warn.mockRestore();
+  });
+
+  test('reports routes marked slow for the current turn', () => {
+    const { router } = buildRouter(core, {
+      owner: 'tutor',
+      states: { tutor_active: { slow: true, transitions: [], handle: () => 'REPLY' } }
+    });
+
+    expect(router.isSlow('tutor_active', { type: 'text_input' })).toBe(true);
+    expect(router.isSlow('tutor_active', { type: 'practice' })).toBe(false);
+    expect(router.isSlow('welcome', { type: 'text_input' })).toBe(false);
+  });
+
+  test('reports duplicate states and undeclared targets as errors', () => {
+    const { router } = buildRouter(core, practice, {
+      owner: 'rogue',
+      states: { practice_active: { transitions: [] }, lost: { transitions: ['nowhere'] } }
+    });
+
+    const { errors } = router.validate();
+
+    expect(errors).toContain('Duplicate state "practice_active" registered by practice and rogue');
+    expect(errors).toContain('State "lost" (rogue) transitions to undeclared state "nowhere"');
+    expect(() => router.assertValid()).toThrow(/Invalid state router configuration/);
+  });
+
+  test('warns about unreachable states', () => {
+    const { router } = buildRouter(core, practice, {
+      owner: 'lessons',
+      states: { lesson_active: { transitions: ['welcome'], handle: () => 'LESSON' } }
+    });
+
+    const { errors, warnings } = router.validate();
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(['State "lesson_active" (lessons) is unreachable']);
+  });
+
+  test('exports Mermaid and DOT diagrams', () => {
+    const { router } = buildRouter(core, practice);
+
+    const mermaid = router.toMermaid();
+    expect(mermaid).toMatch(/^stateDiagram-v2/);
+    expect(mermaid).toContain('[*] --> practice_active : practice');
+    expect(mermaid).toContain('practice_active --> practice_offer');
+
+    const dot = router.toDot();
+    expect(dot).toContain('label="practice"');
+    expect(dot).toContain('"practice_active" -> "practice_offer";');
+  });
+});
+
+describe('bot route tables', () => {
+  test('every state is declared, reachable and transitions only to declared states', async () => {
+    const { botRouter } = await import('../../pages/api/manychat/config/routes.js');
+
+    expect(botRouter.validate()).toEqual({ errors: [], warnings: [] });
+  });
+});
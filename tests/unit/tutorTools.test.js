@@ -0,0 +1,340 @@
+import { jest } from '@jest/globals';
+
+// The tutor meters through the shared aiUsageService and logs through the shared toolset
+process.env.AI_USAGE_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.TUTOR_TOOL_STORE = 'memory';
+
+const {
+  MemoryTutorToolLogStore,
+  TOOL_STATUS,
+  TUTOR_TOOLS,
+  TutorToolsService,
+  splitSolutionSteps,
+  tutorToolsService
+} = await import('../../pages/api/manychat/services/tutorToolsService.js');
+const { MockProvider } = await import('../../pages/api/manychat/services/llmProvider.js');
+const { AITutorService } = await import('../../pages/api/manychat/services/aiTutorService.js');
+const { TimeoutError } = await import('../../lib/resilience.js');
+
+const question = {
+  id: 'q1',
+  question_text: 'Solve for x: 2x + 3 = 11',
+  topic: 'algebra',
+  difficulty: 'easy',
+  hints: ['Get the x term on its own first', 'Undo the multiplication last'],
+  solution_steps: 'Subtract 3 from both sides: 2x = 8. Divide both sides by 2: x = 4.'
+};
+
+const user = {
+  id: 'u1',
+  current_question_id: 'q1',
+  practice_context: JSON.stringify({ hintCount: 1 })
+};
+
+function createData(overrides = {}) {
+  return {
+    getQuestion: jest.fn(async (id) => (id === question.id ? question : null)),
+    getAttempts: jest.fn(async () => [{ status: 'started', user_response: null }]),
+    getRecentAttempts: jest.fn(async () => [
+      {
+        status: 'completed',
+        understanding_rating: 5,
+        misconceptions: [],
+        practice_questions: { question_text: 'Easy one', topic: 'algebra' }
+      },
+      {
+        status: 'completed',
+        understanding_rating: 2,
+        misconceptions: ['adds instead of subtracting'],
+        completed_at: '2026-10-18T10:00:00Z',
+        practice_questions: { question_text: 'Solve 3x - 2 = 7', topic: 'algebra' }
+      },
+      {
+        status: 'skipped',
+        practice_questions: { question_text: 'Find sin 30°', topic: 'trigonometry' }
+      }
+    ]),
+    getTopicReport: jest.fn(async (userId, topic) => ({
+      user_id: userId,
+      topic,
+      attempts_count: 4,
+      completed_count: 3,
+      mastery_percentage: 60,
+      weaknesses: ['factorising'],
+      recent_lessons: [{ title: 'not needed' }]
+    })),
+    ...overrides
+  };
+}
+
+function createTools(data = createData()) {
+  return new TutorToolsService({ store: new MemoryTutorToolLogStore(), data });
+}
+
+const call = (name, args = {}) => ({
+  id: `call_${name}`,
+  type: 'function',
+  function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+});
+
+const session = (overrides = {}) => ({
+  user,
+  context: { conversationId: 'c1' },
+  allowPractice: true,
+  handoff: null,
+  ...overrides
+});
+
+describe('tutor tools', () => {
+  test('offers start_practice only when a handover is allowed', () => {
+    const tools = createTools();
+
+    expect(tools.definitions().map((t) => t.function.name)).toEqual(Object.values(TUTOR_TOOLS));
+    expect(tools.definitions({ allowPractice: false }).map((t) => t.function.name)).not.toContain(
+      TUTOR_TOOLS.START_PRACTICE
+    );
+  });
+
+  test('current question comes without its solution', async () => {
+    const tools = createTools();
+
+    const result = JSON.parse(await tools.run(call(TUTOR_TOOLS.GET_CURRENT_QUESTION), session()));
+
+    expect(result.question).toMatchObject({ id: 'q1', hints_available: 2, hints_used: 1 });
+    expect(JSON.stringify(result)).not.toContain('x = 4');
+  });
+
+  test('solution steps stay locked until the learner has attempted the question', async () => {
+    const data = createData();
+    const tools = createTools(data);
+
+    const locked = JSON.parse(await tools.run(call(TUTOR_TOOLS.GET_SOLUTION_STEPS), session()));
+    expect(locked.available).toBe(false);
+    expect(JSON.stringify(locked)).not.toContain('x = 4');
+
+    data.getAttempts.mockResolvedValue([{ status: 'started', user_response: 'x = 7' }]);
+    const first = JSON.parse(
+      await tools.run(call(TUTOR_TOOLS.GET_SOLUTION_STEPS, { up_to_step: 1 }), session())
+    );
+    expect(first).toMatchObject({
+      available: true,
+      total_steps: 2,
+      steps: ['Subtract 3 from both sides: 2x = 8.']
+    });
+
+    expect(tools.store.entries.map((e) => e.status)).toEqual([TOOL_STATUS.DENIED, TOOL_STATUS.OK]);
+  });
+
+  test('using every hint also unlocks the solution', async () => {
+    const tools = createTools();
+    const stuck = { ...user, practice_context: JSON.stringify({ hintCount: 2 }) };
+
+    const result = JSON.parse(
+      await tools.run(call(TUTOR_TOOLS.GET_SOLUTION_STEPS), session({ user: stuck }))
+    );
+
+    expect(result.steps).toHaveLength(2);
+  });
+
+  test('recent mistakes keep weak, wrong and skipped attempts', async () => {
+    const tools = createTools();
+
+    const all = JSON.parse(await tools.run(call(TUTOR_TOOLS.GET_RECENT_MISTAKES), session()));
+    const algebra = JSON.parse(
+      await tools.run(call(TUTOR_TOOLS.GET_RECENT_MISTAKES, { topic: 'algebra' }), session())
+    );
+
+    expect(all.mistakes.map((m) => m.question)).toEqual(['Solve 3x - 2 = 7', 'Find sin 30°']);
+    expect(algebra.mistakes).toEqual([
+      expect.objectContaining({ misconceptions: ['adds instead of subtracting'] })
+    ]);
+  });
+
+  test('topic report is the learner-facing part of getTopicReport', async () => {
+    const data = createData();
+    const tools = createTools(data);
+
+    const report = JSON.parse(
+      await tools.run(call(TUTOR_TOOLS.GET_TOPIC_REPORT, { topic: 'algebra' }), session())
+    );
+
+    expect(data.getTopicReport).toHaveBeenCalledWith('u1', 'algebra');
+    expect(report).toMatchObject({ topic: 'algebra', mastery_percentage: 60 });
+    expect(report).not.toHaveProperty('recent_lessons');
+    expect(report).not.toHaveProperty('user_id');
+  });
+
+  test('start_practice records a handover only when allowed', async () => {
+    const tools = createTools();
+    const allowed = session();
+    const welcome = session({ allowPractice: false });
+
+    await tools.run(call(TUTOR_TOOLS.START_PRACTICE, { topic: 'algebra' }), allowed);
+    await tools.run(call(TUTOR_TOOLS.START_PRACTICE, { topic: 'algebra' }), welcome);
+
+    expect(allowed.handoff).toEqual({ type: 'practice', topic: 'algebra', difficulty: undefined });
+    expect(welcome.handoff).toBeNull();
+  });
+
+  test('start_practice only hands over to a practice topic', async () => {
+    const tools = createTools();
+    const tutoring = session();
+
+    const result = JSON.parse(
+      await tools.run(call(TUTOR_TOOLS.START_PRACTICE, { topic: 'pottery' }), tutoring)
+    );
+
+    expect(result.error).toBeDefined();
+    expect(tutoring.handoff).toBeNull();
+    expect(tools.store.entries[0].status).toBe(TOOL_STATUS.INVALID);
+  });
+
+  test('bad calls and failed lookups are logged and reported, never thrown', async () => {
+    const tools = createTools(
+      createData({
+        getTopicReport: jest.fn(async () => {
+          throw new Error('db down');
+        })
+      })
+    );
+
+    const results = [
+      await tools.run(call('delete_user'), session()),
+      await tools.run(call('toString'), session()),
+      await tools.run(call(TUTOR_TOOLS.GET_TOPIC_REPORT, {}), session()),
+      await tools.run(call(TUTOR_TOOLS.GET_TOPIC_REPORT, '{not json'), session()),
+      await tools.run(call(TUTOR_TOOLS.GET_TOPIC_REPORT, { topic: 'algebra' }), session())
+    ].map((result) => JSON.parse(result));
+
+    expect(results.every((result) => result.error)).toBe(true);
+    expect(tools.store.entries.map((e) => [e.tool, e.status])).toEqual([
+      ['delete_user', TOOL_STATUS.INVALID],
+      ['toString', TOOL_STATUS.INVALID],
+      [TUTOR_TOOLS.GET_TOPIC_REPORT, TOOL_STATUS.INVALID],
+      [TUTOR_TOOLS.GET_TOPIC_REPORT, TOOL_STATUS.INVALID],
+      [TUTOR_TOOLS.GET_TOPIC_REPORT, TOOL_STATUS.ERROR]
+    ]);
+    expect(tools.store.entries[4]).toMatchObject({
+      user_id: 'u1',
+      conversation_id: 'c1',
+      arguments: { topic: 'algebra' }
+    });
+  });
+
+  test('solution text splits into steps', () => {
+    expect(splitSolutionSteps(['a', 'b'])).toEqual(['a', 'b']);
+    expect(splitSolutionSteps('Step one.\nStep two, 0.5 each. Then add.')).toEqual([
+      'Step one.',
+      'Step two, 0.5 each.',
+      'Then add.'
+    ]);
+  });
+});
+
+describe('AITutorService.completeWithTools', () => {
+  const messages = [
+    { role: 'system', content: 'You are a tutor' },
+    { role: 'user', content: 'Which ones did I get wrong?' }
+  ];
+
+  beforeEach(() => {
+    tutorToolsService.data = createData();
+    tutorToolsService.store = new MemoryTutorToolLogStore();
+  });
+
+  function complete(service, provider, options = {}) {
+    return service.completeWithTools(provider, messages, {
+      user,
+      context: { conversationId: 'c1' },
+      tools: tutorToolsService.definitions(),
+      allowPractice: true,
+      promptVersion: 'tutor@v2',
+      ...options
+    });
+  }
+
+  test('runs the tools the model asks for and sends their results back', async () => {
+    const service = new AITutorService();
+    const provider = new MockProvider({
+      script: [
+        {
+          reply: {
+            tool_calls: [
+              { name: TUTOR_TOOLS.GET_RECENT_MISTAKES, arguments: {} },
+              { name: TUTOR_TOOLS.START_PRACTICE, arguments: { topic: 'algebra' } }
+            ]
+          },
+          once: true
+        },
+        { reply: 'You mixed up the signs in 3x - 2 = 7. Try this one:' }
+      ]
+    });
+
+    const reply = await complete(service, provider);
+
+    expect(reply).toEqual({
+      content: 'You mixed up the signs in 3x - 2 = 7. Try this one:',
+      handoff: { type: 'practice', topic: 'algebra', difficulty: undefined },
+      toolCalls: 2
+    });
+    const followUp = provider.calls[1].params.messages;
+    expect(followUp.filter((m) => m.role === 'tool')).toHaveLength(2);
+    expect(followUp.find((m) => m.role === 'tool').content).toContain('Solve 3x - 2 = 7');
+    expect(tutorToolsService.store.entries.map((e) => e.tool)).toEqual([
+      TUTOR_TOOLS.GET_RECENT_MISTAKES,
+      TUTOR_TOOLS.START_PRACTICE
+    ]);
+  });
+
+  test('stops offering tools after TUTOR_TOOL_ROUNDS', async () => {
+    const service = new AITutorService();
+    service.toolRounds = 2;
+    const provider = new MockProvider({
+      script: [
+        {
+          reply: (params) =>
+            params.tool_choice === 'none'
+              ? 'Here is what I found.'
+              : { tool_calls: [{ name: TUTOR_TOOLS.GET_CURRENT_QUESTION }] }
+        }
+      ]
+    });
+
+    const reply = await complete(service, provider);
+
+    expect(reply.content).toBe('Here is what I found.');
+    expect(provider.calls.map((c) => c.params.tool_choice)).toEqual(['auto', 'auto', 'none']);
+    expect(tutorToolsService.store.entries).toHaveLength(2);
+  });
+
+  test('gives up once the turn runs past TUTOR_TURN_TIMEOUT_MS', async () => {
+    const service = new AITutorService();
+    service.turnTimeoutMs = 50;
+    const provider = new MockProvider({
+      script: [{ reply: { tool_calls: [{ name: TUTOR_TOOLS.GET_CURRENT_QUESTION }] } }]
+    });
+    const slowRun = tutorToolsService.run.bind(tutorToolsService);
+    tutorToolsService.run = async (...args) => {
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      return slowRun(...args);
+    };
+
+    try {
+      await expect(complete(service, provider)).rejects.toBeInstanceOf(TimeoutError);
+      expect(provider.calls).toHaveLength(1);
+    } finally {
+      delete tutorToolsService.run;
+    }
+  });
+
+  test('without tools it is a plain completion', async () => {
+    const service = new AITutorService();
+    const provider = new MockProvider({ script: [{ reply: 'Sharp!' }] });
+
+    const reply = await complete(service, provider, { tools: [] });
+
+    expect(reply).toEqual({ content: 'Sharp!', handoff: null, toolCalls: 0 });
+    expect(provider.calls[0].params).not.toHaveProperty('tools');
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  PAYLOAD_KINDS,
+  offlineSyncDataSchema,
+  parseWebhookPayload
+} from '../../pages/api/manychat/utils/webhookPayload.js';
+
+describe('webhook payload validation', () => {
+  test('normalizes a text message and coerces connection metrics', () => {
+    const result = parseWebhookPayload({
+      psid: 12345,
+      message: '  practice ',
+      mid: 'm-1',
+      response_time_ms: '4200',
+      connection_type: '2G',
+      signal_strength: ''
+    });
+
+    expect(result).toEqual({
+      ok: true,
+      data: {
+        kind: PAYLOAD_KINDS.TEXT,
+        subscriberId: '12345',
+        message: 'practice',
+        messageId: 'm-1',
+        sessionId: null,
+        callbackToken: null,
+        connection: { response_time_ms: 4200, connection_type: '2g', signal_strength: null }
+      }
+    });
+  });
+
+  test('omits connection data when none was sent', () => {
+    const result = parseWebhookPayload({ subscriber_id: '1', message: 'hi' });
+    expect(result.data.connection).toBeNull();
+  });
+
+  test('rejects a text message without subscriber or text', () => {
+    expect(parseWebhookPayload({ message: 'hi' })).toMatchObject({
+      ok: false,
+      issues: [{ field: 'subscriber_id', message: 'Required (or psid)' }]
+    });
+
+    const empty = parseWebhookPayload({ subscriber_id: '1', message: '   ' });
+    expect(empty.ok).toBe(false);
+    expect(empty.kind).toBe(PAYLOAD_KINDS.TEXT);
+    expect(empty.error).toBe('Invalid text payload: message must not be empty');
+  });
+
+  test('describes invalid connection metrics', () => {
+    const result = parseWebhookPayload({
+      subscriber_id: '1',
+      message: 'hi',
+      response_time_ms: 'slow'
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.issues[0].field).toBe('response_time_ms');
+  });
+
+  test('accepts media with an optional caption', () => {
+    const result = parseWebhookPayload({
+      subscriber_id: '1',
+      attachment: { type: 'image', url: 'https://cdn.example.com/a.jpg' }
+    });
+
+    expect(result.data).toMatchObject({
+      kind: PAYLOAD_KINDS.MEDIA,
+      message: '',
+      attachment: { type: 'image', url: 'https://cdn.example.com/a.jpg' }
+    });
+    expect(
+      parseWebhookPayload({ subscriber_id: '1', attachment: { type: 'sticker', url: 'x' } }).issues
+    ).toEqual([
+      expect.objectContaining({ field: 'attachment.type' }),
+      expect.objectContaining({ field: 'attachment.url' })
+    ]);
+  });
+
+  test('routes a postback on its button payload', () => {
+    const result = parseWebhookPayload({ subscriber_id: '1', payload: '2', message: 'Homework' });
+    expect(result.data).toMatchObject({
+      kind: PAYLOAD_KINDS.POSTBACK,
+      postback: '2',
+      message: '2'
+    });
+  });
+
+  test('validates offline sync uploads', () => {
+    const result = parseWebhookPayload({
+      subscriber_id: '1',
+      type: 'offline_sync',
+      data: {
+        completed_lessons: [{ id: 'l-1', feedback: { rating: '4' } }],
+        plan_progress: { plan_id: 'p-1', completed_days: ['1', 2] }
+      }
+    });
+
+    expect(result.data.kind).toBe(PAYLOAD_KINDS.OFFLINE_SYNC);
+    expect(result.data.sync).toEqual({
+      completed_lessons: [{ id: 'l-1', feedback: { rating: 4 } }],
+      practice_attempts: [],
+      plan_progress: { plan_id: 'p-1', completed_days: [1, 2] }
+    });
+
+    const bad = parseWebhookPayload({
+      subscriber_id: '1',
+      type: 'offline_sync',
+      data: { practice_attempts: [{ started_at: 'yesterday' }] }
+    });
+    expect(bad.issues.map((issue) => issue.field)).toEqual([
+      'data.practice_attempts.0.question_id',
+      'data.practice_attempts.0.started_at'
+    ]);
+  });
+
+  test('rejects an empty sync', () => {
+    const result = offlineSyncDataSchema.safeParse({});
+    expect(result.success).toBe(false);
+    expect(result.error.issues[0].message).toBe('contains no progress to sync');
+  });
+
+  test('rejects non-object bodies', () => {
+    expect(parseWebhookPayload([1, 2])).toMatchObject({ ok: false, kind: null });
+  });
+});
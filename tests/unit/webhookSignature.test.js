@@ -0,0 +1,145 @@
+import { Readable } from 'stream';
+import {
+  buildSignatureHeader,
+  createCallbackToken,
+  parseSecrets,
+  readRawBody,
+  verifyCallbackToken,
+  verifyWebhookSignature
+} from '../../pages/api/manychat/utils/webhookSignature.js';
+
+const SECRET = 'test-secret-active';
+const OLD_SECRET = 'test-secret-previous';
+const BODY = JSON.stringify({ subscriber_id: '12345', message: 'practice' });
+const NOW = 1_760_000_000_000;
+const TS = Math.floor(NOW / 1000);
+
+describe('webhook signature verification', () => {
+  test('accepts a correctly signed request', () => {
+    const result = verifyWebhookSignature({
+      rawBody: BODY,
+      header: buildSignatureHeader(SECRET, BODY, TS),
+      secrets: [SECRET],
+      now: NOW
+    });
+    expect(result).toEqual({ valid: true, keyIndex: 0 });
+  });
+
+  test('rejects a tampered body', () => {
+    const header = buildSignatureHeader(SECRET, BODY, TS);
+    const tampered = BODY.replace('12345', '99999');
+    const result = verifyWebhookSignature({
+      rawBody: tampered,
+      header,
+      secrets: [SECRET],
+      now: NOW
+    });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('signature_mismatch');
+  });
+
+  test('rejects a tampered timestamp', () => {
+    const header = buildSignatureHeader(SECRET, BODY, TS).replace(`t=${TS}`, `t=${TS + 1}`);
+    const result = verifyWebhookSignature({ rawBody: BODY, header, secrets: [SECRET], now: NOW });
+    expect(result.reason).toBe('signature_mismatch');
+  });
+
+  test('rejects a replayed request outside the tolerance window', () => {
+    const header = buildSignatureHeader(SECRET, BODY, TS - 301);
+    const result = verifyWebhookSignature({
+      rawBody: BODY,
+      header,
+      secrets: [SECRET],
+      toleranceSec: 300,
+      now: NOW
+    });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('timestamp_out_of_window');
+  });
+
+  test('rejects timestamps too far in the future', () => {
+    const header = buildSignatureHeader(SECRET, BODY, TS + 301);
+    const result = verifyWebhookSignature({ rawBody: BODY, header, secrets: [SECRET], now: NOW });
+    expect(result.reason).toBe('timestamp_out_of_window');
+  });
+
+  test('accepts requests signed with a previous key during rotation', () => {
+    const result = verifyWebhookSignature({
+      rawBody: BODY,
+      header: buildSignatureHeader(OLD_SECRET, BODY, TS),
+      secrets: parseSecrets(`${SECRET}, ${OLD_SECRET}`),
+      now: NOW
+    });
+    expect(result).toEqual({ valid: true, keyIndex: 1 });
+  });
+
+  test('rejects missing headers and unconfigured secrets', () => {
+    expect(
+      verifyWebhookSignature({ rawBody: BODY, header: undefined, secrets: [SECRET], now: NOW })
+        .reason
+    ).toBe('missing_signature');
+    expect(
+      verifyWebhookSignature({
+        rawBody: BODY,
+        header: buildSignatureHeader(SECRET, BODY, TS),
+        secrets: parseSecrets(''),
+        now: NOW
+      }).reason
+    ).toBe('no_secret_configured');
+  });
+});
+
+describe('quick-reply callback tokens', () => {
+  const token = createCallbackToken(SECRET, {
+    subscriberId: '12345',
+    message: '2',
+    expiresAt: TS + 60
+  });
+
+  test('accepts the token for the subscriber and message it was minted for', () => {
+    expect(
+      verifyCallbackToken({
+        token,
+        subscriberId: '12345',
+        message: '2',
+        secrets: [SECRET],
+        now: NOW
+      })
+    ).toEqual({ valid: true, keyIndex: 0 });
+  });
+
+  test('rejects a token replayed with a different message or subscriber', () => {
+    const base = { token, secrets: [SECRET], now: NOW };
+    expect(verifyCallbackToken({ ...base, subscriberId: '12345', message: '3' }).reason).toBe(
+      'signature_mismatch'
+    );
+    expect(verifyCallbackToken({ ...base, subscriberId: '99999', message: '2' }).reason).toBe(
+      'signature_mismatch'
+    );
+  });
+
+  test('rejects expired tokens', () => {
+    const result = verifyCallbackToken({
+      token,
+      subscriberId: '12345',
+      message: '2',
+      secrets: [SECRET],
+      now: NOW + 61_000
+    });
+    expect(result.reason).toBe('callback_expired');
+  });
+});
+
+describe('reading the raw body', () => {
+  test('returns the bytes as sent', async () => {
+    expect(await readRawBody(Readable.from([Buffer.from('{"a":'), Buffer.from('1}')]))).toBe(
+      '{"a":1}'
+    );
+  });
+
+  test('refuses a body over the size limit', async () => {
+    const req = Readable.from([Buffer.alloc(8), Buffer.alloc(8)]);
+
+    await expect(readRawBody(req, 10)).rejects.toThrow('exceeds 10 bytes');
+  });
+});